@@ -0,0 +1,35 @@
+/**
+ * Kinds of course item (things a course rep schedules for a course).
+ * Adding a kind here is all it takes to support it in the model, the
+ * /api/course-items endpoints and deadline reminders. A legacy alias router
+ * (e.g. /api/quizzes) is only mounted for kinds listed in routes/index.js.
+ *
+ * - label: Display name used in notifications
+ * - plural: Collection-style name, used for legacy routes and response keys
+ * - deadline: true if the date/time is a submission deadline rather than
+ *   when the item takes place; changes the notification wording
+ * - submissions: true if students mark the item as submitted. Reps get a
+ *   submission roster and reminders only go to students who haven't submitted.
+ */
+const COURSE_ITEM_KINDS = {
+  assignment: {
+    label: 'Assignment',
+    plural: 'assignments',
+    deadline: true,
+    submissions: true,
+  },
+  quiz: {
+    label: 'Quiz',
+    plural: 'quizzes',
+    deadline: false,
+    submissions: false,
+  },
+  tutorial: {
+    label: 'Tutorial',
+    plural: 'tutorials',
+    deadline: false,
+    submissions: false,
+  },
+};
+
+module.exports = COURSE_ITEM_KINDS;
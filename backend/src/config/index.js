@@ -1,11 +1,112 @@
 require('dotenv').config();
+const path = require('path');
 
 module.exports = {
   port: process.env.PORT || 3000,
   nodeEnv: process.env.NODE_ENV || 'development',
+  // IANA timezone for courses that don't set their own
+  defaultTimezone: process.env.DEFAULT_TIMEZONE || 'Africa/Accra',
   jwt: {
     secret: process.env.JWT_SECRET || 'default-secret-change-in-production',
     expiresIn: process.env.JWT_EXPIRES_IN || '7d',
   },
+  // Outgoing push and SMS messages, sent by the outbound queue worker
+  outboundQueue: {
+    // Tries before a message is moved to the dead-letter state
+    maxAttempts: parseInt(process.env.OUTBOUND_MAX_ATTEMPTS, 10) || 5,
+    // The first retry waits this long, doubling with each attempt up to maxRetryDelayMs
+    retryDelayMs: 30 * 1000,
+    maxRetryDelayMs: 60 * 60 * 1000,
+    // Most messages handed to each provider per second
+    rateLimits: {
+      // Expo accepts up to 600 notifications per second per project
+      expo: parseInt(process.env.EXPO_PUSH_RATE_LIMIT, 10) || 500,
+      moolre: parseInt(process.env.MOOLRE_SMS_RATE_LIMIT, 10) || 10,
+      africastalking: parseInt(process.env.AT_SMS_RATE_LIMIT, 10) || 10,
+      fake: 100,
+    },
+  },
+  // SMS credits per week (Monday to Sunday in defaultTimezone) for what course reps send,
+  // by the rep's plan: perRep across all their courses, perCourse for each course
+  smsQuota: {
+    plans: {
+      paid: {
+        perRep: parseInt(process.env.SMS_QUOTA_PAID_PER_REP, 10) || 500,
+        perCourse: parseInt(process.env.SMS_QUOTA_PAID_PER_COURSE, 10) || 200,
+      },
+      trial: {
+        perRep: parseInt(process.env.SMS_QUOTA_TRIAL_PER_REP, 10) || 100,
+        perCourse: parseInt(process.env.SMS_QUOTA_TRIAL_PER_COURSE, 10) || 50,
+      },
+      free: {
+        perRep: parseInt(process.env.SMS_QUOTA_FREE_PER_REP, 10) || 20,
+        perCourse: parseInt(process.env.SMS_QUOTA_FREE_PER_COURSE, 10) || 20,
+      },
+    },
+  },
+  // Prepaid SMS credits course reps buy through Paystack once their weekly quota runs out.
+  // One credit pays for one SMS segment. Prices are in GHS and only ever read from here.
+  smsCreditBundles: [
+    { id: 'sms_100', credits: 100, amount: 10 },
+    { id: 'sms_500', credits: 500, amount: 45 },
+    { id: 'sms_1000', credits: 1000, amount: 85 },
+  ],
+  // SMS gateway: 'moolre', 'africastalking', or 'fake' to record messages locally instead
+  sms: {
+    provider: process.env.SMS_PROVIDER || 'moolre',
+    // Shared secret providers pass as ?token= when posting delivery reports; reports are refused without it
+    webhookSecret: process.env.SMS_WEBHOOK_SECRET || null,
+    // Added to local numbers (starting with 0) for gateways that need international format
+    countryCode: process.env.SMS_COUNTRY_CODE || '233',
+    moolre: {
+      apiKey: process.env.MOOLRE_API_KEY,
+      senderId: process.env.MOOLRE_SENDER_ID || 'LectureLet',
+    },
+    africasTalking: {
+      username: process.env.AT_USERNAME,
+      apiKey: process.env.AT_API_KEY,
+      senderId: process.env.AT_SENDER_ID || null,
+      // For gateways that copy the Africa's Talking API
+      apiUrl: process.env.AT_API_URL || null,
+    },
+    fake: {
+      file: process.env.SMS_FAKE_FILE || path.join(__dirname, '../../data/sms-outbox.jsonl'),
+    },
+  },
+  // Files attached to announcements and course items
+  attachments: {
+    // 'local' keeps files on this server's disk; 's3' uses any S3-compatible store
+    storage: process.env.ATTACHMENT_STORAGE || 'local',
+    localDir: process.env.ATTACHMENT_DIR || path.join(__dirname, '../../uploads'),
+    maxFileSize: (parseInt(process.env.ATTACHMENT_MAX_MB, 10) || 10) * 1024 * 1024,
+    maxPerItem: 5,
+    // Unattached uploads are deleted after this many hours
+    orphanHours: 24,
+    // Download links for opening a file outside the app
+    downloadTokenExpiresIn: '10m',
+    allowedTypes: {
+      'application/pdf': '.pdf',
+      'image/jpeg': '.jpg',
+      'image/png': '.png',
+      'image/webp': '.webp',
+      'image/heic': '.heic',
+      'application/msword': '.doc',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '.docx',
+      'application/vnd.ms-powerpoint': '.ppt',
+      'application/vnd.openxmlformats-officedocument.presentationml.presentation': '.pptx',
+      'application/vnd.ms-excel': '.xls',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': '.xlsx',
+      'text/plain': '.txt',
+    },
+    s3: {
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION || 'us-east-1',
+      // Leave unset for AWS; set for other S3-compatible stores (e.g. MinIO, R2)
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    },
+  },
 };
 
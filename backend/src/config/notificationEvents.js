@@ -0,0 +1,116 @@
+/**
+ * Events the notification dispatcher sends, and the preference categories
+ * users turn channels on and off for. Adding an event here is all it takes
+ * to send it through utils/notificationDispatcher.js.
+ *
+ * - type: Notification type of the in-app row
+ * - category: Key in NOTIFICATION_CATEGORIES whose preferences apply
+ * - channels: Channels the event may use besides in-app ('push', 'sms').
+ *   SMS only goes out when the send is urgent.
+ * - greet: true to start messages with "Hi <name>, "
+ * - requiresAccess: true if push and SMS need a paid plan or active trial
+ * - breaksQuietHours: true if urgent sends still go out during a user's quiet hours
+ * - markSmsUrgent: false to leave "URGENT: " off SMS (default true)
+ */
+const NOTIFICATION_EVENTS = {
+  announcement: {
+    type: 'announcement',
+    category: 'announcements',
+    channels: ['push', 'sms'],
+    greet: true,
+    requiresAccess: true,
+  },
+  // An announcement re-sent by SMS to the students who haven't read it
+  announcement_resent: {
+    type: 'announcement',
+    category: 'announcements',
+    channels: ['sms'],
+    greet: true,
+    requiresAccess: true,
+    markSmsUrgent: false,
+  },
+  course_updated: {
+    type: 'course_update',
+    category: 'class_changes',
+    channels: ['push', 'sms'],
+    greet: true,
+    requiresAccess: true,
+  },
+  // A class was cancelled, rescheduled or added
+  class_changed: {
+    type: 'course_update',
+    category: 'class_changes',
+    channels: ['push', 'sms'],
+    greet: true,
+    requiresAccess: true,
+    breaksQuietHours: true,
+  },
+  item_created: {
+    type: 'announcement',
+    category: 'course_items',
+    channels: ['push', 'sms'],
+    greet: true,
+    requiresAccess: true,
+  },
+  // An item was updated, cancelled or removed
+  item_changed: {
+    type: 'announcement',
+    category: 'course_items',
+    channels: ['push'],
+    greet: true,
+    requiresAccess: true,
+  },
+  join_requested: {
+    type: 'announcement',
+    category: 'enrollment',
+    channels: ['push'],
+    greet: false,
+    requiresAccess: false,
+  },
+  join_reviewed: {
+    type: 'announcement',
+    category: 'enrollment',
+    channels: ['push'],
+    greet: false,
+    requiresAccess: false,
+  },
+  // A student enrolled, or a rep added or removed a student
+  enrollment_changed: {
+    type: 'announcement',
+    category: 'enrollment',
+    channels: [],
+    greet: false,
+    requiresAccess: false,
+  },
+  // A student's own reminder before a class starts
+  class_reminder: {
+    type: 'lecture_reminder',
+    category: 'reminders',
+    channels: ['push'],
+    greet: false,
+    requiresAccess: true,
+  },
+  // A reminder before an assignment, quiz or tutorial is due; urgent items' final one also goes by SMS
+  deadline_reminder: {
+    type: 'deadline_reminder',
+    category: 'reminders',
+    channels: ['push', 'sms'],
+    greet: false,
+    requiresAccess: true,
+    breaksQuietHours: true,
+  },
+};
+
+/**
+ * Preference categories, each with the channels users can turn off for it
+ * - label: Display name in settings
+ */
+const NOTIFICATION_CATEGORIES = {
+  announcements: { label: 'Announcements', channels: ['push', 'sms'] },
+  class_changes: { label: 'Class changes', channels: ['push', 'sms'] },
+  course_items: { label: 'Assignments, quizzes and tutorials', channels: ['push', 'sms'] },
+  enrollment: { label: 'Enrollment', channels: ['push'] },
+  reminders: { label: 'Class and deadline reminders', channels: ['push', 'sms'] },
+};
+
+module.exports = { NOTIFICATION_EVENTS, NOTIFICATION_CATEGORIES };
@@ -2,6 +2,19 @@ const jwt = require('jsonwebtoken');
 const config = require('../config');
 const { User } = require('../models');
 
+/**
+ * Verify a login token. Tokens issued for anything else, like attachment download
+ * links, carry a purpose or audience and never authenticate a request.
+ * @throws {JsonWebTokenError} If the token is invalid or not a login token
+ */
+const verifySessionToken = (token) => {
+  const decoded = jwt.verify(token, config.jwt.secret);
+  if (decoded.purpose || decoded.aud) {
+    throw new jwt.JsonWebTokenError('Not a login token');
+  }
+  return decoded;
+};
+
 /**
  * Authentication middleware
  * Verifies JWT token and attaches user to request
@@ -18,7 +31,7 @@ const authenticate = async (req, res, next) => {
     }
 
     const token = authHeader.split(' ')[1];
-    const decoded = jwt.verify(token, config.jwt.secret);
+    const decoded = verifySessionToken(token);
     
     const user = await User.findById(decoded.userId).select('-password');
     if (!user) {
@@ -54,7 +67,7 @@ const optionalAuth = async (req, res, next) => {
     
     if (authHeader && authHeader.startsWith('Bearer ')) {
       const token = authHeader.split(' ')[1];
-      const decoded = jwt.verify(token, config.jwt.secret);
+      const decoded = verifySessionToken(token);
       const user = await User.findById(decoded.userId).select('-password');
       if (user) {
         req.user = user.toPublicJSON();
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+/**
+ * An announcement a course rep sent to a course. Each enrolled student gets a
+ * Notification linked by announcementId, which records whether it was read and
+ * how the push and SMS copies fared; the delivery report is built from those.
+ */
+const announcementSchema = new mongoose.Schema({
+  courseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  message: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  attachments: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attachment'
+  }],
+  // The scheduled announcement this was sent from, if any
+  scheduledAnnouncementId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ScheduledAnnouncement',
+    default: null
+  },
+  // Which of the scheduled announcement's sends this is (its send time)
+  scheduledFor: {
+    type: Date,
+    default: null
+  },
+  recipientCount: {
+    type: Number,
+    default: 0
+  },
+  // When the rep last re-sent it by SMS to students who hadn't read it
+  lastSmsResendAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+announcementSchema.index({ createdBy: 1, createdAt: -1 });
+announcementSchema.index({ courseId: 1, createdAt: -1 });
+// One announcement per send of a scheduled announcement, so a retried send picks up where it stopped
+announcementSchema.index(
+  { scheduledAnnouncementId: 1, scheduledFor: 1 },
+  { unique: true, partialFilterExpression: { scheduledAnnouncementId: { $type: 'objectId' } } }
+);
+
+/**
+ * Get a course rep's sent announcements, newest first
+ * @param {string} userId - Creator's user ID
+ * @param {Object} options
+ * @param {string} [options.courseId] - Only announcements for this course
+ * @param {number} [options.limit] - Most announcements to return
+ */
+announcementSchema.statics.findByCreator = function(userId, { courseId, limit = 50 } = {}) {
+  const query = { createdBy: userId };
+  if (courseId) query.courseId = courseId;
+
+  return this.find(query)
+    .populate('courseId', 'courseName courseCode')
+    .sort({ createdAt: -1 })
+    .limit(limit);
+};
+
+/**
+ * Transform to expected API format
+ */
+announcementSchema.methods.toJSON = function() {
+  return {
+    id: this._id,
+    course_id: this.courseId?._id || this.courseId,
+    course_name: this.courseId?.courseName,
+    course_code: this.courseId?.courseCode,
+    title: this.title,
+    message: this.message,
+    attachments: (this.attachments || []).map(attachment => (
+      attachment && attachment.fileName ? attachment.toJSON() : attachment
+    )),
+    scheduled_announcement_id: this.scheduledAnnouncementId,
+    recipient_count: this.recipientCount,
+    last_sms_resend_at: this.lastSmsResendAt,
+    created_by: this.createdBy,
+    created_at: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('Announcement', announcementSchema);
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+/**
+ * A file uploaded by a course rep and attached to announcements or course items.
+ * The file itself lives in the configured storage (see utils/storage); this records
+ * where, and which course's students may download it.
+ */
+const attachmentSchema = new mongoose.Schema({
+  fileName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  // Storage adapter the file was saved with ('local' or 's3') and its key there
+  storage: {
+    type: String,
+    required: true
+  },
+  storageKey: {
+    type: String,
+    required: true
+  },
+  // Students enrolled in this course (and its creator) can download the file
+  courseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Set once the upload is attached to something; unattached uploads are cleaned up
+  attachedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+attachmentSchema.index({ attachedAt: 1, createdAt: 1 });
+
+/**
+ * Load uploads a user may attach to something in a course, and mark them as attached
+ * @param {Array<string>} ids - Attachment IDs
+ * @param {Object} owner
+ * @param {string} owner.userId - Uploader (only your own uploads can be attached)
+ * @param {string} owner.courseId - Course the item or announcement belongs to
+ * @returns {Promise<Array|null>} The attachments in the given order, or null if any is
+ *   missing, uploaded by someone else or for another course
+ */
+attachmentSchema.statics.claim = async function(ids, { userId, courseId }) {
+  const uniqueIds = [...new Set(ids.map(String))];
+  if (uniqueIds.length === 0) return [];
+
+  const attachments = await this.find({
+    _id: { $in: uniqueIds },
+    uploadedBy: userId,
+    courseId
+  });
+  if (attachments.length !== uniqueIds.length) return null;
+
+  await this.updateMany(
+    { _id: { $in: uniqueIds }, attachedAt: null },
+    { attachedAt: new Date() }
+  );
+
+  const byId = new Map(attachments.map(a => [a._id.toString(), a]));
+  return uniqueIds.map(id => byId.get(id));
+};
+
+/**
+ * Transform to expected API format
+ */
+attachmentSchema.methods.toJSON = function() {
+  return {
+    id: this._id,
+    file_name: this.fileName,
+    mime_type: this.mimeType,
+    size: this.size,
+    course_id: this.courseId,
+    created_at: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('Attachment', attachmentSchema);
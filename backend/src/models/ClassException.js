@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+/**
+ * A dated change to a course's weekly pattern.
+ * - cancel: no class on originalDate
+ * - reschedule: the class on originalDate moves to date/startTime/endTime/venue
+ * - extra: a one-off make-up session on date
+ * Dates are calendar days (YYYY-MM-DD) in the course's timezone.
+ */
+const classExceptionSchema = new mongoose.Schema({
+  courseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['cancel', 'reschedule', 'extra'],
+    required: true
+  },
+  // The regular class this exception replaces (cancel/reschedule only)
+  originalDate: {
+    type: String,
+    default: null
+  },
+  // When the class takes place instead (reschedule/extra)
+  date: {
+    type: String,
+    default: null
+  },
+  startTime: {
+    type: String,
+    default: null
+  },
+  endTime: {
+    type: String,
+    default: null
+  },
+  venue: {
+    type: String,
+    default: null
+  },
+  reason: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// One cancel/reschedule per regular class
+classExceptionSchema.index(
+  { courseId: 1, originalDate: 1 },
+  { unique: true, partialFilterExpression: { originalDate: { $type: 'string' } } }
+);
+classExceptionSchema.index({ courseId: 1, date: 1 });
+
+/**
+ * Get exceptions for a course that affect classes on or after a date, soonest first
+ * @param {string} courseId - Course ID
+ * @param {string} fromDate - Calendar day as YYYY-MM-DD
+ */
+classExceptionSchema.statics.getUpcoming = function(courseId, fromDate) {
+  return this.find({
+    courseId,
+    $or: [
+      { originalDate: { $gte: fromDate } },
+      { date: { $gte: fromDate } }
+    ]
+  }).sort({ originalDate: 1, date: 1 });
+};
+
+/**
+ * Transform to expected API format
+ */
+classExceptionSchema.methods.toJSON = function() {
+  return {
+    id: this._id,
+    course_id: this.courseId,
+    type: this.type,
+    original_date: this.originalDate,
+    date: this.date,
+    start_time: this.startTime,
+    end_time: this.endTime,
+    venue: this.venue,
+    reason: this.reason,
+    created_at: this.createdAt,
+    updated_at: this.updatedAt
+  };
+};
+
+module.exports = mongoose.model('ClassException', classExceptionSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+/**
+ * A precomputed class occurrence within the reminder horizon.
+ * Materialized from the course's weekly pattern, term and class changes
+ * by utils/occurrenceSync so the reminder job can query by start time
+ * instead of expanding every course on every tick.
+ */
+const classOccurrenceSchema = new mongoose.Schema({
+  courseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  start: {
+    type: Date,
+    required: true
+  },
+  end: {
+    type: Date,
+    default: null
+  },
+  // Calendar day (YYYY-MM-DD) in the course's timezone
+  date: {
+    type: String,
+    required: true
+  },
+  day: {
+    type: String,
+    default: null
+  },
+  venue: {
+    type: String,
+    default: null
+  },
+  timezone: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'rescheduled', 'extra'],
+    default: 'scheduled'
+  },
+  // Stamp of the sync run that last wrote this occurrence
+  syncedAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+classOccurrenceSchema.index({ courseId: 1, start: 1 }, { unique: true });
+// Serves the reminder job's range query; past occurrences expire a day after they start
+classOccurrenceSchema.index({ start: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+/**
+ * Get occurrences starting within any of several time ranges, soonest first
+ * @param {Array<{from: Date, to: Date}>} ranges - Inclusive start-time ranges
+ */
+classOccurrenceSchema.statics.findStartingInRanges = function(ranges) {
+  return this.find({
+    $or: ranges.map(({ from, to }) => ({ start: { $gte: from, $lte: to } }))
+  }).sort({ start: 1 });
+};
+
+module.exports = mongoose.model('ClassOccurrence', classOccurrenceSchema);
@@ -41,6 +41,23 @@ const courseSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // IANA timezone the class times are in (null falls back to the server default)
+  timezone: {
+    type: String,
+    default: null
+  },
+  // Academic term the course runs in (null repeats weekly with no end date)
+  termId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Term',
+    default: null
+  },
+  // Course this one was rolled over from
+  rolledOverFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    default: null
+  },
   creditHours: {
     type: String,
     default: null
@@ -80,6 +97,13 @@ const courseSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Dated cancellations, reschedules and extra sessions (see ClassException)
+courseSchema.virtual('exceptions', {
+  ref: 'ClassException',
+  localField: '_id',
+  foreignField: 'courseId'
+});
+
 /**
  * Generate a unique 5-digit course code
  */
@@ -138,6 +162,28 @@ courseSchema.statics.isCreator = async function(courseId, userId) {
   return !!course;
 };
 
+/**
+ * Reduce a phone number to comparable digits.
+ * Local (054...) and international (23354...) forms of the same number match.
+ */
+const normalizePhoneNumber = (phoneNumber) => {
+  const digits = String(phoneNumber || '').replace(/\D/g, '');
+  return digits.length > 9 ? digits.slice(-9) : digits;
+};
+
+/**
+ * Check if a phone number may join this course.
+ * An empty whitelist means the course is open to anyone with the code.
+ */
+courseSchema.methods.isPhoneNumberAllowed = function(phoneNumber) {
+  const allowed = this.allowedPhoneNumbers || [];
+  if (allowed.length === 0) return true;
+
+  const target = normalizePhoneNumber(phoneNumber);
+  if (!target) return false;
+  return allowed.some(num => normalizePhoneNumber(num) === target);
+};
+
 /**
  * Reset temporary edits that have expired
  */
@@ -177,6 +223,10 @@ courseSchema.methods.toJSON = function() {
     day_times: this.dayTimes,
     day_venues: this.dayVenues,
     venue: this.venue,
+    timezone: this.timezone,
+    term_id: this.termId && this.termId._id ? this.termId._id : this.termId,
+    term_name: this.termId && this.termId.name !== undefined ? this.termId.name : undefined,
+    rolled_over_from: this.rolledOverFrom,
     credit_hours: this.creditHours,
     index_from: this.indexFrom,
     index_to: this.indexTo,
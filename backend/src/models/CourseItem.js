@@ -0,0 +1,191 @@
+const mongoose = require('mongoose');
+const COURSE_ITEM_KINDS = require('../config/courseItemKinds');
+
+/**
+ * An assignment, quiz, tutorial or other kind of item scheduled for a course.
+ * The kinds are defined in config/courseItemKinds.
+ */
+const courseItemSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: Object.keys(COURSE_ITEM_KINDS),
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  date: {
+    type: String,
+    required: true
+  },
+  time: {
+    type: String,
+    required: true
+  },
+  venue: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  topic: {
+    type: String,
+    default: null,
+    trim: true
+  },
+  courseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  courseCode: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  courseName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // When the item is due or takes place: date and time resolved in the course's timezone.
+  // Drives deadline reminders; null if date/time could not be parsed.
+  dueAt: {
+    type: Date,
+    default: null
+  },
+  // Set when date/time could not be parsed into dueAt (legacy free-text values)
+  dateInvalid: {
+    type: Boolean,
+    default: false
+  },
+  // Urgent items also get their final deadline reminder by SMS
+  urgent: {
+    type: Boolean,
+    default: false
+  },
+  // Set when the course rep cancels the item. Cancelled items stay listed for the
+  // course (so students see the cancellation) but are left out of due-date queries and reminders.
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+  cancelReason: {
+    type: String,
+    default: null,
+    trim: true
+  },
+  // Files shared with the item, e.g. the assignment brief
+  attachments: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attachment'
+  }]
+}, {
+  timestamps: true
+});
+
+courseItemSchema.index({ dueAt: 1 });
+courseItemSchema.index({ courseId: 1, kind: 1, dueAt: 1 });
+courseItemSchema.index({ createdBy: 1, kind: 1 });
+
+/**
+ * Add an optional kind to a filter
+ */
+const withKind = (filter, kind) => (kind ? { ...filter, kind } : filter);
+
+/**
+ * Get all items for a course, newest first
+ * @param {string} courseId - Course ID
+ * @param {string} [kind] - Only items of this kind
+ */
+courseItemSchema.statics.findByCourse = function(courseId, kind) {
+  return this.find(withKind({ courseId }, kind))
+    .populate('createdBy', 'fullName')
+    .populate('attachments')
+    .sort({ createdAt: -1 });
+};
+
+/**
+ * Get items due within any of several course/time ranges, soonest first.
+ * Cancelled items are left out.
+ * @param {Array<{courseIds: Array, from: Date, to: Date}>} ranges - Courses and [from, to) due-time range
+ * @param {string} [kind] - Only items of this kind
+ */
+courseItemSchema.statics.findDueBetween = function(ranges, kind) {
+  return this.find(withKind({
+    $or: ranges.map(({ courseIds, from, to }) => ({
+      courseId: { $in: courseIds },
+      dueAt: { $gte: from, $lt: to }
+    })),
+    cancelledAt: null
+  }, kind))
+    .populate('createdBy', 'fullName')
+    .populate('attachments')
+    .sort({ dueAt: 1 });
+};
+
+/**
+ * Get all items created by a user, newest first
+ * @param {string} userId - Creator's user ID
+ * @param {string} [kind] - Only items of this kind
+ */
+courseItemSchema.statics.findByCreator = function(userId, kind) {
+  return this.find(withKind({ createdBy: userId }, kind))
+    .populate('courseId', 'courseName courseCode')
+    .populate('attachments')
+    .sort({ createdAt: -1 });
+};
+
+/**
+ * Check whether the item has been cancelled
+ */
+courseItemSchema.methods.isCancelled = function() {
+  return this.cancelledAt !== null && this.cancelledAt !== undefined;
+};
+
+/**
+ * Display name of the item's kind, e.g. "Quiz"
+ */
+courseItemSchema.methods.getKindLabel = function() {
+  return COURSE_ITEM_KINDS[this.kind].label;
+};
+
+/**
+ * Transform to expected API format.
+ * Also sets the kind-specific name key (e.g. quiz_name) older app builds read.
+ */
+courseItemSchema.methods.toJSON = function() {
+  return {
+    id: this._id,
+    kind: this.kind,
+    name: this.name,
+    [`${this.kind}_name`]: this.name,
+    date: this.date,
+    time: this.time,
+    venue: this.venue,
+    topic: this.topic,
+    course_id: this.courseId,
+    course_code: this.courseCode,
+    course_name: this.courseName,
+    due_at: this.dueAt,
+    date_invalid: this.dateInvalid,
+    urgent: this.urgent,
+    cancelled: this.isCancelled(),
+    cancelled_at: this.cancelledAt,
+    cancel_reason: this.cancelReason,
+    attachments: (this.attachments || []).map(attachment => (
+      attachment && attachment.fileName ? attachment.toJSON() : attachment
+    )),
+    created_by: this.createdBy,
+    created_at: this.createdAt,
+    updated_at: this.updatedAt
+  };
+};
+
+module.exports = mongoose.model('CourseItem', courseItemSchema);
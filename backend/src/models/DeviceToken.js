@@ -105,6 +105,34 @@ deviceTokenSchema.statics.getActiveTokens = async function (userId) {
     }).select('pushToken platform lastUsed').lean();
 };
 
+/**
+ * Get active tokens for many users in one query
+ * @param {Array<String>} userIds - User IDs
+ * @returns {Promise<Array>} Active tokens, each with its userId
+ */
+deviceTokenSchema.statics.getActiveTokensForUsers = async function (userIds) {
+    return this.find({
+        userId: { $in: userIds },
+        isActive: true
+    }).select('userId pushToken platform lastUsed').lean();
+};
+
+/**
+ * Get active tokens for many users, grouped by user
+ * @param {Array<String>} userIds - User IDs
+ * @returns {Promise<Map>} User ID string -> that user's active tokens (users without any are absent)
+ */
+deviceTokenSchema.statics.getActiveTokensByUser = async function (userIds) {
+    const tokens = await this.getActiveTokensForUsers(userIds);
+    const byUser = new Map();
+    tokens.forEach(token => {
+        const key = token.userId.toString();
+        if (!byUser.has(key)) byUser.set(key, []);
+        byUser.get(key).push(token);
+    });
+    return byUser;
+};
+
 /**
  * Deactivate a specific token
  * @param {String} pushToken - Token to deactivate
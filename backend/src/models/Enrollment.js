@@ -10,6 +10,16 @@ const enrollmentSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Course',
     required: true
+  },
+  // Per-course reminder offsets in minutes; empty means use the student's defaults
+  reminderOffsets: {
+    type: [Number],
+    default: undefined
+  },
+  // No class reminders for this course
+  remindersMuted: {
+    type: Boolean,
+    default: false
   }
 }, {
   timestamps: { createdAt: 'enrolledAt', updatedAt: false }
@@ -46,7 +56,9 @@ enrollmentSchema.statics.getStudentCourses = async function(userId) {
   
   return enrollments.map(e => ({
     ...e.courseId.toJSON(),
-    enrolled_at: e.enrolledAt
+    enrolled_at: e.enrolledAt,
+    reminder_offsets: e.reminderOffsets && e.reminderOffsets.length > 0 ? e.reminderOffsets : null,
+    reminders_muted: !!e.remindersMuted
   }));
 };
 
@@ -67,6 +79,21 @@ enrollmentSchema.statics.getCourseStudents = async function(courseId) {
   }));
 };
 
+/**
+ * Work out which reminder offsets apply to an enrollment, largest first.
+ * Works on plain objects too, so lean query results can be passed in.
+ * @param {Object} enrollment - Enrollment with reminderOffsets/remindersMuted
+ * @param {Object} user - User document (for the default offsets)
+ * @returns {Array<number>} Offsets in minutes; empty when muted
+ */
+enrollmentSchema.statics.resolveReminderOffsets = function(enrollment, user) {
+  if (enrollment.remindersMuted) return [];
+  if (enrollment.reminderOffsets && enrollment.reminderOffsets.length > 0) {
+    return [...new Set(enrollment.reminderOffsets)].sort((a, b) => b - a);
+  }
+  return user.getReminderOffsets();
+};
+
 /**
  * Check if student is enrolled in a course
  */
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+const enrollmentRequestSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  courseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for rep-side queue lookups
+enrollmentRequestSchema.index({ courseId: 1, status: 1 });
+// A student has at most one open request per course, so double taps can't queue duplicates
+enrollmentRequestSchema.index(
+  { userId: 1, courseId: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' }, name: 'userId_1_courseId_1_pending' }
+);
+
+/**
+ * Find the open (pending) request for a student and course, if any
+ */
+enrollmentRequestSchema.statics.findPending = function(userId, courseId) {
+  return this.findOne({ userId, courseId, status: 'pending' });
+};
+
+/**
+ * Get pending requests for a course, oldest first
+ */
+enrollmentRequestSchema.statics.getPendingForCourse = function(courseId) {
+  return this.find({ courseId, status: 'pending' })
+    .populate('userId', 'fullName phoneNumber studentId')
+    .sort({ createdAt: 1 });
+};
+
+/**
+ * Get all requests made by a student
+ */
+enrollmentRequestSchema.statics.getByUser = function(userId) {
+  return this.find({ userId })
+    .populate('courseId', 'courseName courseCode uniqueCode')
+    .sort({ createdAt: -1 });
+};
+
+/**
+ * Mark a request as approved or rejected
+ */
+enrollmentRequestSchema.methods.review = function(status, reviewerId) {
+  this.status = status;
+  this.reviewedBy = reviewerId;
+  this.reviewedAt = new Date();
+  return this.save();
+};
+
+/**
+ * Transform to expected API format
+ */
+enrollmentRequestSchema.methods.toJSON = function() {
+  const student = this.userId && this.userId.fullName !== undefined ? this.userId : null;
+  const course = this.courseId && this.courseId.courseName !== undefined ? this.courseId : null;
+
+  return {
+    id: this._id,
+    user_id: student ? student._id : this.userId,
+    full_name: student?.fullName,
+    phone_number: student?.phoneNumber,
+    student_id: student?.studentId,
+    course_id: course ? course._id : this.courseId,
+    course_name: course?.courseName,
+    course_code: course?.courseCode,
+    status: this.status,
+    reviewed_at: this.reviewedAt,
+    requested_at: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('EnrollmentRequest', enrollmentRequestSchema);
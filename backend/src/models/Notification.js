@@ -16,7 +16,7 @@ const notificationSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['lecture_reminder', 'course_update', 'announcement', 'system'],
+    enum: ['lecture_reminder', 'deadline_reminder', 'course_update', 'announcement', 'system'],
     default: 'system'
   },
   courseId: {
@@ -27,13 +27,79 @@ const notificationSchema = new mongoose.Schema({
   isRead: {
     type: Boolean,
     default: false
-  }
+  },
+  readAt: {
+    type: Date,
+    default: null
+  },
+  // The course rep's announcement this notification is a copy of
+  announcementId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Announcement',
+    default: null
+  },
+  // How the push copy fared across the student's devices: 'held' while waiting for the
+  // student's quiet hours to end, 'queued' while waiting in the outbound queue, 'sent'
+  // if Expo accepted it for at least one device, 'delivered' once a receipt confirms
+  // one of them got it, 'failed' if it was rejected or undeliverable for all of them
+  pushStatus: {
+    type: String,
+    enum: ['none', 'held', 'queued', 'sent', 'delivered', 'failed'],
+    default: 'none'
+  },
+  // When a held push goes out in the quiet hours digest
+  pushHeldUntil: {
+    type: Date,
+    default: null
+  },
+  // Set by the quiet hours digest run that claimed this held push, so two runs
+  // can't send it twice
+  digestClaimToken: {
+    type: String,
+    default: undefined
+  },
+  digestClaimedAt: {
+    type: Date,
+    default: undefined
+  },
+  pushTicketIds: {
+    type: [String],
+    default: undefined
+  },
+  pushError: {
+    type: String,
+    default: null
+  },
+  // How the SMS copy fared: 'sent' once the provider accepted it, then 'delivered' or
+  // 'failed' when its delivery report comes in (see SmsLog)
+  smsStatus: {
+    type: String,
+    enum: ['none', 'queued', 'sent', 'delivered', 'failed'],
+    default: 'none'
+  },
+  smsError: {
+    type: String,
+    default: null
+  },
+  smsSentAt: {
+    type: Date,
+    default: null
+  },
+  // Files sent with an announcement
+  attachments: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attachment'
+  }]
 }, {
   timestamps: true
 });
 
 // Index for faster queries
 notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ announcementId: 1 });
+notificationSchema.index({ pushStatus: 1, pushHeldUntil: 1 });
+// Reading back the held pushes one digest run claimed
+notificationSchema.index({ digestClaimToken: 1 }, { sparse: true });
 
 /**
  * Create notifications for all students in a course
@@ -75,6 +141,7 @@ notificationSchema.statics.getByUser = function(userId, { limit = 50, unreadOnly
   
   return this.find(query)
     .populate('courseId', 'courseName')
+    .populate('attachments')
     .sort({ createdAt: -1 })
     .limit(limit);
 };
@@ -83,14 +150,14 @@ notificationSchema.statics.getByUser = function(userId, { limit = 50, unreadOnly
  * Mark notification as read
  */
 notificationSchema.statics.markAsRead = function(id, userId) {
-  return this.updateOne({ _id: id, userId }, { isRead: true });
+  return this.updateOne({ _id: id, userId, isRead: false }, { isRead: true, readAt: new Date() });
 };
 
 /**
  * Mark all notifications as read for a user
  */
 notificationSchema.statics.markAllAsRead = function(userId) {
-  return this.updateMany({ userId, isRead: false }, { isRead: true });
+  return this.updateMany({ userId, isRead: false }, { isRead: true, readAt: new Date() });
 };
 
 /**
@@ -100,6 +167,170 @@ notificationSchema.statics.getUnreadCount = function(userId) {
   return this.countDocuments({ userId, isRead: false });
 };
 
+/**
+ * Count recipients, reads and delivery outcomes for announcements.
+ * A student counts as delivered if the push or SMS copy was sent, and as failed
+ * if every copy tried was rejected. Students with no device or phone only got
+ * the in-app notification and count as neither.
+ * @param {Array} announcementIds - Announcement IDs
+ * @returns {Promise<Map>} Announcement ID string -> counts
+ */
+notificationSchema.statics.getAnnouncementStats = async function(announcementIds) {
+  const isPushSent = { $in: ['$pushStatus', ['sent', 'delivered']] };
+  const isSmsSent = { $in: ['$smsStatus', ['sent', 'delivered']] };
+  const isSent = { $or: [isPushSent, isSmsSent] };
+  const isFailed = {
+    $and: [
+      { $not: [isSent] },
+      { $or: [{ $eq: ['$pushStatus', 'failed'] }, { $eq: ['$smsStatus', 'failed'] }] }
+    ]
+  };
+  const count = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
+
+  const rows = await this.aggregate([
+    { $match: { announcementId: { $in: announcementIds.map(id => new mongoose.Types.ObjectId(id)) } } },
+    {
+      $group: {
+        _id: '$announcementId',
+        recipients: { $sum: 1 },
+        read: count('$isRead'),
+        delivered: count(isSent),
+        failed: count(isFailed),
+        push_sent: count(isPushSent),
+        push_delivered: count({ $eq: ['$pushStatus', 'delivered'] }),
+        push_failed: count({ $eq: ['$pushStatus', 'failed'] }),
+        push_held: count({ $eq: ['$pushStatus', 'held'] }),
+        sms_sent: count(isSmsSent),
+        sms_delivered: count({ $eq: ['$smsStatus', 'delivered'] }),
+        sms_failed: count({ $eq: ['$smsStatus', 'failed'] })
+      }
+    }
+  ]);
+
+  return new Map(rows.map(({ _id, ...stats }) => [
+    _id.toString(),
+    { ...stats, unread: stats.recipients - stats.read }
+  ]));
+};
+
+/**
+ * Record what push receipts say about notifications' push copies. A notification
+ * is delivered once any of its devices' receipts is ok, and failed once every
+ * ticket has come back with an error. Others are left as they are.
+ * @param {Array} notificationIds - Notifications whose tickets just got receipts
+ * @returns {Promise<Object>} Counts of notifications marked delivered and failed
+ */
+notificationSchema.statics.applyPushReceipts = async function(notificationIds) {
+  const PushTicket = mongoose.model('PushTicket');
+  const tickets = await PushTicket.find({ notificationIds: { $in: notificationIds } })
+    .select('notificationIds status error')
+    .lean();
+
+  // A digest push's ticket counts for every notification it summed up
+  const wanted = new Set(notificationIds.map(String));
+  const byNotification = new Map();
+  tickets.forEach(ticket => {
+    ticket.notificationIds.map(String).filter(key => wanted.has(key)).forEach(key => {
+      if (!byNotification.has(key)) byNotification.set(key, []);
+      byNotification.get(key).push(ticket);
+    });
+  });
+
+  const delivered = [];
+  const failed = [];
+  byNotification.forEach((notificationTickets, notificationId) => {
+    if (notificationTickets.some(ticket => ticket.status === 'ok')) {
+      delivered.push(notificationId);
+    } else if (notificationTickets.every(ticket => ticket.status === 'error')) {
+      failed.push({ notificationId, error: notificationTickets[0].error });
+    }
+  });
+
+  const updates = [
+    ...delivered.map(notificationId => ({
+      updateOne: {
+        filter: { _id: notificationId },
+        update: { $set: { pushStatus: 'delivered', pushError: null } }
+      }
+    })),
+    ...failed.map(({ notificationId, error }) => ({
+      updateOne: {
+        filter: { _id: notificationId },
+        update: { $set: { pushStatus: 'failed', pushError: error } }
+      }
+    }))
+  ];
+  if (updates.length > 0) {
+    await this.bulkWrite(updates, { ordered: false });
+  }
+
+  return { delivered: delivered.length, failed: failed.length };
+};
+
+/**
+ * Record how the outbound queue's messages for notifications fared. A notification's
+ * push or SMS copy is sent once any of its messages is sent, and failed once every
+ * message has failed for good. Others are left queued.
+ * @param {string} channel - 'push' or 'sms'
+ * @param {Array} notificationIds - Notifications whose messages just finished
+ * @returns {Promise<Object>} Counts of notifications marked sent and failed
+ */
+notificationSchema.statics.applyOutboundResults = async function(channel, notificationIds) {
+  const OutboundMessage = mongoose.model('OutboundMessage');
+  const messages = await OutboundMessage.find({ channel, notificationIds: { $in: notificationIds } })
+    .select('notificationIds status ticketId lastError sentAt')
+    .lean();
+
+  const byNotification = new Map(notificationIds.map(id => [id.toString(), []]));
+  messages.forEach(message => {
+    message.notificationIds.forEach(id => {
+      const list = byNotification.get(id.toString());
+      if (list) list.push(message);
+    });
+  });
+
+  const updates = [];
+  let sent = 0;
+  let failed = 0;
+  byNotification.forEach((notificationMessages, notificationId) => {
+    if (notificationMessages.length === 0) return;
+    const sentMessages = notificationMessages.filter(message => message.status === 'sent');
+
+    let $set;
+    if (sentMessages.length > 0) {
+      sent++;
+      $set = channel === 'push'
+        ? { pushStatus: 'sent', pushTicketIds: sentMessages.map(message => message.ticketId).filter(Boolean), pushError: null }
+        : { smsStatus: 'sent', smsError: null, smsSentAt: sentMessages[0].sentAt };
+    } else if (notificationMessages.every(message => ['failed', 'dead'].includes(message.status))) {
+      failed++;
+      const error = notificationMessages[0].lastError || `${channel === 'push' ? 'Push' : 'SMS'} failed`;
+      $set = channel === 'push'
+        ? { pushStatus: 'failed', pushError: error }
+        : { smsStatus: 'failed', smsError: error };
+    } else {
+      return;
+    }
+
+    updates.push({
+      updateOne: {
+        // A receipt may already have confirmed delivery of another device's copy,
+        // and an SMS delivery report may have come in before this
+        filter: channel === 'push'
+          ? { _id: notificationId, pushStatus: { $ne: 'delivered' } }
+          : { _id: notificationId, smsStatus: 'queued' },
+        update: { $set }
+      }
+    });
+  });
+
+  if (updates.length > 0) {
+    await this.bulkWrite(updates, { ordered: false });
+  }
+
+  return { sent, failed };
+};
+
 /**
  * Delete all notifications for a user
  */
@@ -120,6 +351,11 @@ notificationSchema.methods.toJSON = function() {
     course_id: this.courseId,
     course_name: this.courseId?.courseName,
     is_read: this.isRead,
+    read_at: this.readAt,
+    announcement_id: this.announcementId,
+    attachments: (this.attachments || []).map(attachment => (
+      attachment && attachment.fileName ? attachment.toJSON() : attachment
+    )),
     created_at: this.createdAt
   };
 };
@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+
+/**
+ * One push or SMS waiting to go out, or already sent, through the outbound queue.
+ * The queue worker claims due messages per provider, sends them and either marks
+ * them sent, retries them later with exponential backoff, or gives up:
+ * - failed: the provider rejected the message in a way retrying won't fix
+ * - dead: it kept failing until it ran out of attempts (kept a week for inspection)
+ */
+const outboundMessageSchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    enum: ['push', 'sms'],
+    required: true
+  },
+  // Service that sends it, e.g. expo or moolre; rate limits apply per provider
+  provider: {
+    type: String,
+    required: true
+  },
+  // Expo push token or phone number
+  to: {
+    type: String,
+    required: true
+  },
+  // Push title (push only)
+  title: {
+    type: String,
+    default: null
+  },
+  body: {
+    type: String,
+    required: true
+  },
+  // Push payload (push only)
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  },
+  // Recipient, course and SmsLog type of an SMS
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  courseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    default: null
+  },
+  smsType: {
+    type: String,
+    default: null
+  },
+  // SmsLog recording how an SMS fared, created as queued
+  smsLogId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SmsLog',
+    default: null
+  },
+  // In-app notifications this message is a copy of; their push or SMS status follows it.
+  // A push ticket is linked to the first one.
+  notificationIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notification'
+  }],
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'sent', 'failed', 'dead'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set while a worker is sending it; a message still processing after lockedUntil is requeued
+  lockId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  // Expo ticket id of a sent push
+  ticketId: {
+    type: String,
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  },
+  // When it was sent, failed for good or was dead-lettered; finished messages expire a week later
+  finishedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+outboundMessageSchema.index({ provider: 1, status: 1, nextAttemptAt: 1 });
+outboundMessageSchema.index({ status: 1, lockedUntil: 1 });
+outboundMessageSchema.index({ notificationIds: 1 });
+outboundMessageSchema.index({ finishedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+/**
+ * Claim due messages for a provider so no other worker sends them
+ * @param {string} provider - Provider name
+ * @param {number} limit - Most messages to claim
+ * @param {number} lockMs - How long the claim lasts before the messages are requeued
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Array>} Claimed messages, oldest due first
+ */
+outboundMessageSchema.statics.claimDue = async function(provider, limit, lockMs, now = new Date()) {
+  const due = await this.find({ provider, status: 'queued', nextAttemptAt: { $lte: now } })
+    .sort({ nextAttemptAt: 1 })
+    .limit(limit)
+    .select('_id')
+    .lean();
+  if (due.length === 0) return [];
+
+  const lockId = new mongoose.Types.ObjectId();
+  await this.updateMany(
+    { _id: { $in: due.map(message => message._id) }, status: 'queued' },
+    { $set: { status: 'processing', lockId, lockedUntil: new Date(now.getTime() + lockMs) } }
+  );
+
+  return this.find({ lockId, status: 'processing' }).sort({ nextAttemptAt: 1 });
+};
+
+/**
+ * Requeue messages whose worker stopped before finishing them
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object>} Update result
+ */
+outboundMessageSchema.statics.releaseStale = function(now = new Date()) {
+  return this.updateMany(
+    { status: 'processing', lockedUntil: { $lt: now } },
+    { $set: { status: 'queued', lockId: null, lockedUntil: null } }
+  );
+};
+
+module.exports = mongoose.model('OutboundMessage', outboundMessageSchema);
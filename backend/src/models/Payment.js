@@ -37,6 +37,22 @@ const paymentSchema = new mongoose.Schema({
     enum: ['pending', 'success', 'failed'],
     default: 'pending',
   },
+  // What the payment buys: app access, or a bundle of prepaid SMS credits
+  purpose: {
+    type: String,
+    enum: ['access', 'sms_credits'],
+    default: 'access',
+  },
+  // SMS credits added once an sms_credits payment succeeds
+  credits: {
+    type: Number,
+    default: null,
+  },
+  // When the credits were added to the payer's balance and recorded in their ledger
+  creditedAt: {
+    type: Date,
+    default: null,
+  },
   gatewayResponse: {
     type: String,
   },
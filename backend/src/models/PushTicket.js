@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// Expo keeps receipts for about a day; tickets still unanswered after this are given up on
+const RECEIPT_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * One Expo push ticket: a push message Expo accepted for one device.
+ * The push receipt job later fetches its receipt to find out whether it
+ * actually reached the device, and deactivates tokens Expo reports as dead.
+ */
+const pushTicketSchema = new mongoose.Schema({
+  ticketId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  pushToken: {
+    type: String,
+    required: true
+  },
+  // The in-app notifications the push was a copy of, if the sender linked them
+  // (a quiet hours digest push sums up several)
+  notificationIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notification'
+  }],
+  // pending until the receipt is fetched; unknown if Expo never produced one
+  status: {
+    type: String,
+    enum: ['pending', 'ok', 'error', 'unknown'],
+    default: 'pending'
+  },
+  // Expo error code from the receipt, e.g. DeviceNotRegistered
+  error: {
+    type: String,
+    default: null
+  },
+  checkedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+pushTicketSchema.index({ status: 1, createdAt: 1 });
+pushTicketSchema.index({ notificationIds: 1 });
+// Receipts are only available for a day; drop tickets a few days after that
+pushTicketSchema.index({ createdAt: 1 }, { expireAfterSeconds: 3 * 24 * 60 * 60 });
+
+/**
+ * Get pending tickets old enough for Expo to have their receipts
+ * @param {Date} sentBefore - Only tickets created before this time
+ * @param {number} limit - Most tickets to return
+ */
+pushTicketSchema.statics.findAwaitingReceipt = function(sentBefore, limit = 1000) {
+  return this.find({ status: 'pending', createdAt: { $lte: sentBefore } })
+    .sort({ createdAt: 1 })
+    .limit(limit);
+};
+
+/**
+ * Give up on pending tickets whose receipts Expo no longer holds
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} Update result
+ */
+pushTicketSchema.statics.expireUnanswered = function(now = new Date()) {
+  return this.updateMany(
+    { status: 'pending', createdAt: { $lt: new Date(now.getTime() - RECEIPT_WINDOW_MS) } },
+    { $set: { status: 'unknown', checkedAt: now } }
+  );
+};
+
+module.exports = mongoose.model('PushTicket', pushTicketSchema);
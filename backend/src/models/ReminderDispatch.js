@@ -0,0 +1,263 @@
+const mongoose = require('mongoose');
+const COURSE_ITEM_KINDS = require('../config/courseItemKinds');
+
+// How long a pending claim blocks other workers before it is considered abandoned
+const CLAIM_LEASE_MS = 2 * 60 * 1000;
+// Failed dispatches are retried on later ticks until this many attempts
+const MAX_ATTEMPTS = 3;
+
+/**
+ * One reminder for one user and one class occurrence or item deadline.
+ * The unique index makes this the source of truth for "was it sent?",
+ * so reminders survive restarts and are not duplicated across instances.
+ */
+const reminderDispatchSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  courseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  // Start instant of the class occurrence, or the item's due time
+  occurrenceStart: {
+    type: Date,
+    required: true
+  },
+  // The course item a deadline reminder is for (null for classes)
+  itemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  type: {
+    type: String,
+    enum: ['lecture_reminder', ...Object.keys(COURSE_ITEM_KINDS).map(kind => `${kind}_deadline`)],
+    default: 'lecture_reminder'
+  },
+  // Which of the user's reminders this is, in minutes before the class or deadline
+  offsetMinutes: {
+    type: Number,
+    default: 0
+  },
+  // 'held' while the push waits for the student's quiet hours to end; it becomes
+  // 'sent' when the quiet hours digest push goes out
+  status: {
+    type: String,
+    enum: ['pending', 'held', 'sent', 'failed'],
+    default: 'pending'
+  },
+  // How the reminder went out: 'push' if a push was queued or held, 'sms' if only an
+  // SMS was, 'in_app' if the student gets neither
+  channel: {
+    type: String,
+    enum: ['push', 'sms', 'in_app'],
+    default: 'push'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // When the current attempt was claimed by a worker
+  claimedAt: {
+    type: Date,
+    default: null
+  },
+  // Identifies the batch the current attempt was claimed in
+  claimToken: {
+    type: String,
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  },
+  // The in-app notification the reminder was sent as
+  notificationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notification',
+    default: null
+  },
+  // Expo push ticket ids, one per device the reminder went to, copied from the
+  // outbound queue once the pushes are sent
+  ticketIds: [{
+    type: String
+  }],
+  lastError: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+reminderDispatchSchema.index(
+  { userId: 1, courseId: 1, itemId: 1, occurrenceStart: 1, type: 1, offsetMinutes: 1 },
+  { unique: true }
+);
+// Reading back the records one claimMany call claimed
+reminderDispatchSchema.index({ claimToken: 1 });
+// Recording the tickets of sent pushes
+reminderDispatchSchema.index({ notificationId: 1 }, { sparse: true });
+// Records are only needed around the class or deadline itself; drop them a week later
+reminderDispatchSchema.index({ occurrenceStart: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+/**
+ * Key identifying one reminder, shared by claimed records and the reminders they came from
+ * @param {Object} reminder - userId, courseId, itemId, occurrenceStart, offsetMinutes, type
+ * @returns {string}
+ */
+reminderDispatchSchema.statics.keyOf = function({
+  userId,
+  courseId,
+  itemId = null,
+  occurrenceStart,
+  offsetMinutes = 0,
+  type = 'lecture_reminder'
+}) {
+  return [userId, courseId, itemId, new Date(occurrenceStart).getTime(), offsetMinutes, type].join(':');
+};
+
+/**
+ * Atomically claim the right to send a batch of reminders, in a fixed number of queries.
+ * New reminders are inserted in one unordered batch; reminders that already have a
+ * record are taken over in one bulk write if they failed earlier or their claim was
+ * abandoned. Reminders already sent, being sent by another worker, or out of attempts
+ * are left out.
+ * @param {Array<Object>} reminders - userId, courseId, itemId, occurrenceStart, offsetMinutes, type, channel
+ * @returns {Promise<Array<ReminderDispatch>>} The claimed records; match them to reminders with keyOf
+ */
+reminderDispatchSchema.statics.claimMany = async function(reminders) {
+  if (reminders.length === 0) return [];
+
+  const now = new Date();
+  // Marks the records this call claimed, so they can be read back in one query
+  const claimToken = new mongoose.Types.ObjectId().toString();
+  const records = reminders.map(reminder => ({
+    userId: reminder.userId,
+    courseId: reminder.courseId,
+    itemId: reminder.itemId || null,
+    occurrenceStart: reminder.occurrenceStart,
+    offsetMinutes: reminder.offsetMinutes || 0,
+    type: reminder.type || 'lecture_reminder',
+    channel: reminder.channel || 'push'
+  }));
+
+  let existing = [];
+  try {
+    await this.insertMany(
+      records.map(record => ({ ...record, status: 'pending', attempts: 1, claimedAt: now, claimToken })),
+      { ordered: false }
+    );
+  } catch (error) {
+    // Duplicates are reminders with a record already; anything else is a real failure
+    const writeErrors = error.writeErrors || [];
+    const isDuplicate = (writeError) => (writeError.err ? writeError.err.code : writeError.code) === 11000;
+    if (writeErrors.length === 0 || !writeErrors.every(isDuplicate)) {
+      throw error;
+    }
+    existing = writeErrors.map(writeError => records[writeError.index]);
+  }
+
+  if (existing.length > 0) {
+    await this.bulkWrite(existing.map(({ channel, ...key }) => ({
+      updateOne: {
+        filter: {
+          ...key,
+          $or: [
+            { status: 'failed', attempts: { $lt: MAX_ATTEMPTS } },
+            { status: 'pending', claimedAt: { $lt: new Date(now.getTime() - CLAIM_LEASE_MS) } }
+          ]
+        },
+        update: {
+          $set: { status: 'pending', channel, claimedAt: now, claimToken },
+          $inc: { attempts: 1 }
+        }
+      }
+    })), { ordered: false });
+  }
+
+  return this.find({ claimToken });
+};
+
+/**
+ * Record how a batch of claimed reminders went, in one bulk write. Reminders the
+ * dispatcher took are settled as it reached each student (see notificationDispatcher's
+ * toDelivery); the others failed and can be claimed again by a later tick.
+ * @param {Array<Object>} outcomes - `{ dispatch, delivery, error }` per reminder, with
+ *   `delivery` unset if the reminder wasn't sent
+ */
+reminderDispatchSchema.statics.settleMany = function(outcomes) {
+  if (outcomes.length === 0) return Promise.resolve();
+
+  const now = new Date();
+  return this.bulkWrite(outcomes.map(({ dispatch, delivery, error }) => ({
+    updateOne: {
+      filter: { _id: dispatch._id },
+      update: {
+        $set: delivery
+          ? {
+            status: delivery.held ? 'held' : 'sent',
+            sentAt: delivery.held ? null : now,
+            channel: delivery.channel,
+            notificationId: delivery.notificationId,
+            lastError: delivery.error || null
+          }
+          : { status: 'failed', lastError: error ? String(error) : null }
+      }
+    }
+  })), { ordered: false });
+};
+
+/**
+ * Copy the Expo ticket ids of sent pushes onto the reminders they were for. A held
+ * reminder becomes sent when its quiet hours digest push goes out.
+ * @param {Array<{notificationIds: Array, ticketId: string}>} pushes - Pushes Expo accepted
+ */
+reminderDispatchSchema.statics.recordPushTickets = function(pushes) {
+  if (pushes.length === 0) return Promise.resolve();
+
+  const now = new Date();
+  return this.bulkWrite(pushes.flatMap(({ notificationIds, ticketId }) => [
+    {
+      updateMany: {
+        filter: { notificationId: { $in: notificationIds } },
+        update: { $addToSet: { ticketIds: ticketId } }
+      }
+    },
+    {
+      updateMany: {
+        filter: { notificationId: { $in: notificationIds }, status: 'held' },
+        update: { $set: { status: 'sent', sentAt: now } }
+      }
+    }
+  ]), { ordered: false });
+};
+
+/**
+ * Transform to expected API format
+ */
+reminderDispatchSchema.methods.toJSON = function() {
+  return {
+    id: this._id,
+    user_id: this.userId,
+    course_id: this.courseId,
+    item_id: this.itemId,
+    occurrence_start: this.occurrenceStart,
+    offset_minutes: this.offsetMinutes,
+    type: this.type,
+    status: this.status,
+    channel: this.channel,
+    attempts: this.attempts,
+    sent_at: this.sentAt,
+    notification_id: this.notificationId,
+    ticket_ids: this.ticketIds,
+    last_error: this.lastError,
+    created_at: this.createdAt,
+    updated_at: this.updatedAt
+  };
+};
+
+module.exports = mongoose.model('ReminderDispatch', reminderDispatchSchema);
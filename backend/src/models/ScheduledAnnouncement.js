@@ -0,0 +1,205 @@
+const mongoose = require('mongoose');
+
+// How long a send in progress blocks other workers before it is considered abandoned
+const CLAIM_LEASE_MS = 5 * 60 * 1000;
+// Failed sends are retried on later ticks until this many attempts
+const MAX_ATTEMPTS = 3;
+
+/**
+ * An announcement a course rep has written to go out later, once or on repeat.
+ * The scheduled announcement job sends it to the course like POST /api/notifications/send.
+ */
+const scheduledAnnouncementSchema = new mongoose.Schema({
+  courseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  message: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Files sent with the announcement
+  attachments: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attachment'
+  }],
+  // When it goes out next. Repeating announcements move this forward after each send,
+  // keeping the same wall-clock time in the course's timezone.
+  sendAt: {
+    type: Date,
+    required: true
+  },
+  // How it repeats after the first send
+  recurrence: {
+    type: String,
+    enum: ['none', 'daily', 'weekly'],
+    default: 'none'
+  },
+  // Repeating announcements stop after this time (null = until cancelled)
+  repeatUntil: {
+    type: Date,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'sending', 'sent', 'cancelled', 'failed'],
+    default: 'scheduled'
+  },
+  // When the current send was claimed by a worker
+  claimedAt: {
+    type: Date,
+    default: null
+  },
+  // Failed attempts at the current send
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  sendCount: {
+    type: Number,
+    default: 0
+  },
+  lastSentAt: {
+    type: Date,
+    default: null
+  },
+  lastRecipientCount: {
+    type: Number,
+    default: 0
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+scheduledAnnouncementSchema.index({ status: 1, sendAt: 1 });
+scheduledAnnouncementSchema.index({ createdBy: 1, status: 1, sendAt: 1 });
+
+/**
+ * Get a course rep's scheduled announcements, soonest first
+ * @param {string} userId - Creator's user ID
+ * @param {Object} options
+ * @param {string} [options.courseId] - Only announcements for this course
+ * @param {boolean} [options.includeFinished] - Also list sent, cancelled and failed announcements
+ */
+scheduledAnnouncementSchema.statics.findByCreator = function(userId, { courseId, includeFinished = false } = {}) {
+  const query = { createdBy: userId };
+  if (courseId) query.courseId = courseId;
+  if (!includeFinished) query.status = { $in: ['scheduled', 'sending'] };
+
+  return this.find(query)
+    .populate('courseId', 'courseName courseCode')
+    .populate('attachments')
+    .sort({ sendAt: 1 });
+};
+
+/**
+ * Atomically claim the next announcement that is due, so each send happens once
+ * across instances. Sends abandoned by a crashed worker are reclaimed after a lease.
+ * @param {Date} now - Current time
+ * @returns {Promise<Object|null>} The claimed announcement, or null if none are due
+ */
+scheduledAnnouncementSchema.statics.claimNextDue = function(now = new Date()) {
+  return this.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'scheduled', sendAt: { $lte: now } },
+        { status: 'sending', claimedAt: { $lt: new Date(now.getTime() - CLAIM_LEASE_MS) } }
+      ]
+    },
+    { $set: { status: 'sending', claimedAt: now } },
+    { sort: { sendAt: 1 }, new: true }
+  );
+};
+
+/**
+ * Check whether the announcement can still be edited or cancelled
+ */
+scheduledAnnouncementSchema.methods.isPending = function() {
+  return this.status === 'scheduled';
+};
+
+/**
+ * Record a successful send and schedule the next one, if any
+ * @param {number} recipientCount - Students it was sent to
+ * @param {Date|null} nextSendAt - When a repeating announcement goes out next
+ */
+scheduledAnnouncementSchema.methods.markSent = function(recipientCount, nextSendAt = null) {
+  const repeats = nextSendAt && (!this.repeatUntil || nextSendAt <= this.repeatUntil);
+
+  this.sendCount += 1;
+  this.lastSentAt = new Date();
+  this.lastRecipientCount = recipientCount;
+  this.attempts = 0;
+  this.lastError = null;
+  this.claimedAt = null;
+  if (repeats) {
+    this.sendAt = nextSendAt;
+    this.status = 'scheduled';
+  } else {
+    this.status = 'sent';
+  }
+  return this.save();
+};
+
+/**
+ * Record a failed send. It is retried on the next tick until MAX_ATTEMPTS.
+ * @param {string} error - What went wrong
+ */
+scheduledAnnouncementSchema.methods.markFailed = function(error) {
+  this.attempts += 1;
+  this.lastError = error;
+  this.claimedAt = null;
+  this.status = this.attempts >= MAX_ATTEMPTS ? 'failed' : 'scheduled';
+  return this.save();
+};
+
+/**
+ * Transform to expected API format
+ */
+scheduledAnnouncementSchema.methods.toJSON = function() {
+  return {
+    id: this._id,
+    course_id: this.courseId?._id || this.courseId,
+    course_name: this.courseId?.courseName,
+    course_code: this.courseId?.courseCode,
+    title: this.title,
+    message: this.message,
+    attachments: (this.attachments || []).map(attachment => (
+      attachment && attachment.fileName ? attachment.toJSON() : attachment
+    )),
+    send_at: this.sendAt,
+    recurrence: this.recurrence,
+    repeat_until: this.repeatUntil,
+    status: this.status,
+    send_count: this.sendCount,
+    last_sent_at: this.lastSentAt,
+    last_recipient_count: this.lastRecipientCount,
+    last_error: this.lastError,
+    cancelled_at: this.cancelledAt,
+    created_by: this.createdBy,
+    created_at: this.createdAt,
+    updated_at: this.updatedAt
+  };
+};
+
+module.exports = mongoose.model('ScheduledAnnouncement', scheduledAnnouncementSchema);
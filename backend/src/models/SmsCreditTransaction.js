@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+/**
+ * One change to a course rep's prepaid SMS credit balance (User.smsCredits):
+ * - purchase: a Paystack payment for a credit bundle went through
+ * - debit: credits taken for a send's SMS beyond the weekly quota, one per segment
+ * - refund: credits given back for SMS that failed without being sent
+ */
+const smsCreditTransactionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['purchase', 'debit', 'refund'],
+    required: true
+  },
+  // Credits added (positive) or taken (negative)
+  credits: {
+    type: Number,
+    required: true
+  },
+  // Payment that bought the credits (purchase only)
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    default: null
+  },
+  // Course the SMS were for, and how many SMS (debit and refund)
+  courseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    default: null
+  },
+  smsCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+smsCreditTransactionSchema.index({ userId: 1, createdAt: -1 });
+// A payment is credited once, however many times it is verified
+smsCreditTransactionSchema.index(
+  { paymentId: 1 },
+  { unique: true, partialFilterExpression: { type: 'purchase' } }
+);
+
+/**
+ * Get a user's latest credit transactions, newest first
+ */
+smsCreditTransactionSchema.statics.findRecent = function(userId, limit = 20) {
+  return this.find({ userId })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .populate('courseId', 'courseCode courseName');
+};
+
+/**
+ * Transform to expected API format
+ */
+smsCreditTransactionSchema.methods.toJSON = function() {
+  const course = this.courseId && this.courseId.courseCode ? this.courseId : null;
+  return {
+    id: this._id,
+    type: this.type,
+    credits: this.credits,
+    payment_id: this.paymentId,
+    course_id: course ? course._id : this.courseId,
+    course_code: course ? course.courseCode : null,
+    sms_count: this.smsCount,
+    created_at: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('SmsCreditTransaction', smsCreditTransactionSchema);
@@ -1,5 +1,12 @@
 const mongoose = require('mongoose');
 
+/**
+ * One SMS to a user and how it fared:
+ * - queued: waiting in the outbound queue
+ * - sent: the provider accepted it
+ * - delivered / failed: the provider's delivery report says it reached the phone or didn't.
+ *   SMS the provider rejected, or that ran out of retries, are failed too.
+ */
 const smsLogSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -25,10 +32,61 @@ const smsLogSchema = new mongoose.Schema({
     ref: 'Course',
     default: null
   },
+  // Course rep whose send or course's deadline reminder this SMS was part of, charged to
+  // their weekly SMS quota. Unset for SMS not sent on a rep's behalf.
+  senderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // In-app notification this SMS is a copy of; its SMS status follows delivery reports
+  notificationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notification',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'sent', 'delivered', 'failed'],
+    default: 'sent'
+  },
+  // SMS segments the message takes (a long or non-GSM message is billed as several)
+  segments: {
+    type: Number,
+    default: 1
+  },
+  // Prepaid credits taken from the sender's wallet for it; 0 if the weekly quota covered it.
+  // Refunded if it fails without being sent.
+  walletCredits: {
+    type: Number,
+    default: 0
+  },
+  // SMS provider it went through, and the provider's message ID delivery reports refer to
+  provider: {
+    type: String,
+    default: null
+  },
+  providerRef: {
+    type: String,
+    default: null
+  },
+  failureReason: {
+    type: String,
+    default: null
+  },
+  // When the provider accepted it; unset until then
   sentAt: {
     type: Date,
-    default: Date.now,
+    default: null,
     index: true
+  },
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+  failedAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
@@ -36,10 +94,13 @@ const smsLogSchema = new mongoose.Schema({
 
 // Compound index for efficient weekly queries
 smsLogSchema.index({ userId: 1, sentAt: -1 });
+smsLogSchema.index({ provider: 1, providerRef: 1 });
+smsLogSchema.index({ courseId: 1, createdAt: -1 });
+smsLogSchema.index({ senderId: 1, createdAt: -1 });
 
 /**
  * Get SMS count for a user in the current week
- * Week starts from Monday
+ * Week starts from Monday. Counts SMS the provider accepted, delivered or not.
  */
 smsLogSchema.statics.getWeeklyCount = async function(userId) {
   const now = new Date();
@@ -62,28 +123,138 @@ smsLogSchema.statics.getWeeklyCount = async function(userId) {
 };
 
 /**
- * Check if user has exceeded weekly SMS limit
- * @param {ObjectId} userId - User ID
- * @param {number} limit - Weekly limit (default: 5)
- * @returns {Promise<boolean>} - true if limit exceeded, false otherwise
+ * Count course reps' SMS charged to a quota since a time: queued, sent or delivered,
+ * but not failed. SMS paid for with prepaid credits don't count. A week's SmsQuotaUsage
+ * counters start from this.
+ * @param {Object} filter - `{ senderId }` for one rep's SMS, or `{ courseId }` for a course's
+ * @param {Date} since - Start of the quota period
  */
-smsLogSchema.statics.hasExceededWeeklyLimit = async function(userId, limit = 5) {
-  const count = await this.getWeeklyCount(userId);
-  return count >= limit;
+smsLogSchema.statics.countQuotaUse = function(filter, since) {
+  return this.countDocuments({
+    senderId: { $ne: null },
+    ...filter,
+    status: { $ne: 'failed' },
+    walletCredits: { $not: { $gt: 0 } },
+    createdAt: { $gte: since }
+  });
 };
 
 /**
- * Log an SMS message
+ * Log an SMS message sent straight to the provider, or one the provider rejected
  */
-smsLogSchema.statics.logSms = async function({ userId, phoneNumber, message, type = 'announcement', courseId = null }) {
+smsLogSchema.statics.logSms = async function({
+  userId,
+  phoneNumber,
+  message,
+  type = 'announcement',
+  courseId = null,
+  provider = null,
+  providerRef = null,
+  failureReason = null
+}) {
+  const now = new Date();
   return await this.create({
     userId,
     phoneNumber,
     message,
     type,
     courseId,
-    sentAt: new Date()
+    provider,
+    providerRef,
+    status: failureReason ? 'failed' : 'sent',
+    failureReason,
+    sentAt: failureReason ? null : now,
+    failedAt: failureReason ? now : null
+  });
+};
+
+/**
+ * Record a provider's delivery report for an SMS. Delivered is final; a failure
+ * report after one saying it was delivered is ignored.
+ * @param {string} provider - Provider name
+ * @param {Object} report - `{ providerRef, status: 'delivered'|'failed', failureReason? }`
+ * @returns {Promise<Object|null>} The updated log, or null if no SMS matches or it was already delivered
+ */
+smsLogSchema.statics.applyDeliveryReport = async function(provider, { providerRef, status, failureReason = null }) {
+  const now = new Date();
+  const $set = status === 'delivered'
+    ? { status, deliveredAt: now, failureReason: null }
+    : { status, failedAt: now, failureReason: failureReason || 'Not delivered' };
+
+  const log = await this.findOneAndUpdate(
+    { provider, providerRef, status: { $ne: 'delivered' } },
+    { $set },
+    { new: true }
+  );
+
+  if (log && log.notificationId) {
+    const Notification = mongoose.model('Notification');
+    await Notification.updateOne(
+      { _id: log.notificationId, smsStatus: { $in: ['queued', 'sent', 'failed'] } },
+      { $set: status === 'delivered'
+        ? { smsStatus: 'delivered', smsError: null }
+        : { smsStatus: 'failed', smsError: log.failureReason } }
+    );
+  }
+
+  return log;
+};
+
+/**
+ * Get a course's SMS, newest first, with the students they went to
+ * @param {ObjectId} courseId - Course ID
+ * @param {Object} [options] - status to list only SMS in that state; limit (default 100)
+ */
+smsLogSchema.statics.findByCourse = function(courseId, { status, limit = 100 } = {}) {
+  const filter = { courseId };
+  if (status) filter.status = status;
+  return this.find(filter)
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .populate('userId', 'fullName studentId');
+};
+
+/**
+ * Count a course's SMS in each state
+ * @param {ObjectId} courseId - Course ID
+ * @returns {Promise<Object>} `{ queued, sent, delivered, failed }`
+ */
+smsLogSchema.statics.getStatusCounts = async function(courseId) {
+  const rows = await this.aggregate([
+    { $match: { courseId: new mongoose.Types.ObjectId(courseId) } },
+    { $group: { _id: { $ifNull: ['$status', 'sent'] }, count: { $sum: 1 } } }
+  ]);
+
+  const counts = { queued: 0, sent: 0, delivered: 0, failed: 0 };
+  rows.forEach(row => {
+    counts[row._id] = row.count;
   });
+  return counts;
+};
+
+/**
+ * Transform to expected API format
+ */
+smsLogSchema.methods.toJSON = function() {
+  return {
+    id: this._id,
+    user_id: this.userId,
+    phone_number: this.phoneNumber,
+    message: this.message,
+    type: this.type,
+    course_id: this.courseId,
+    notification_id: this.notificationId,
+    status: this.status,
+    segments: this.segments,
+    wallet_credits: this.walletCredits,
+    provider: this.provider,
+    provider_ref: this.providerRef,
+    failure_reason: this.failureReason,
+    sent_at: this.sentAt,
+    delivered_at: this.deliveredAt,
+    failed_at: this.failedAt,
+    created_at: this.createdAt
+  };
 };
 
 module.exports = mongoose.model('SmsLog', smsLogSchema);
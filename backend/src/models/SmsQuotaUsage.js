@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+/**
+ * SMS charged to one course rep's or one course's weekly SMS quota in one week.
+ * Sends reserve their SMS here with a conditional increment before queueing them,
+ * so concurrent sends can't go over the limit together.
+ * - rep: `ownerId` is the course rep
+ * - course: `ownerId` is the course
+ */
+const smsQuotaUsageSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: ['rep', 'course'],
+    required: true
+  },
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Start of the quota week (Monday in DEFAULT_TIMEZONE)
+  weekStart: {
+    type: Date,
+    required: true
+  },
+  // SMS reserved this week, less those that failed without being sent
+  used: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+smsQuotaUsageSchema.index({ scope: 1, ownerId: 1, weekStart: 1 }, { unique: true });
+// Only the current week is read; drop counters a few weeks after they end
+smsQuotaUsageSchema.index({ weekStart: 1 }, { expireAfterSeconds: 5 * 7 * 24 * 60 * 60 });
+
+/**
+ * Get a week's counter, creating it if this is the week's first SMS
+ * @param {Object} key - `{ scope, ownerId, weekStart }`
+ * @param {Function} countUsed - Resolves to the SMS already charged this week, to start a new counter from
+ * @returns {Promise<Object>} The counter (lean)
+ */
+smsQuotaUsageSchema.statics.getForWeek = async function(key, countUsed) {
+  const existing = await this.findOne(key).lean();
+  if (existing) return existing;
+
+  const used = await countUsed();
+  try {
+    return await this.findOneAndUpdate(
+      key,
+      { $setOnInsert: { used } },
+      { upsert: true, new: true }
+    ).lean();
+  } catch (error) {
+    // Another send created it first
+    if (error.code === 11000) return this.findOne(key).lean();
+    throw error;
+  }
+};
+
+/**
+ * Reserve SMS on a counter, only if they fit under the limit
+ * @param {Object} key - `{ scope, ownerId, weekStart }`
+ * @param {number} limit - Most SMS the week allows
+ * @param {number} count - SMS to reserve
+ * @returns {Promise<boolean>} Whether they were reserved
+ */
+smsQuotaUsageSchema.statics.reserve = async function(key, limit, count) {
+  const result = await this.updateOne(
+    { ...key, used: { $lte: limit - count } },
+    { $inc: { used: count } }
+  );
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Give back reserved SMS that weren't sent
+ * @param {Object} key - `{ scope, ownerId, weekStart }`
+ * @param {number} count - SMS to give back
+ */
+smsQuotaUsageSchema.statics.release = function(key, count) {
+  return this.updateOne(key, { $inc: { used: -count } });
+};
+
+module.exports = mongoose.model('SmsQuotaUsage', smsQuotaUsageSchema);
@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+/**
+ * A student's submission of a course item (kinds with `submissions` in config/courseItemKinds).
+ * The app only records that the student says they submitted, with an optional note
+ * or file reference; the work itself is handed in outside the app.
+ */
+const submissionSchema = new mongoose.Schema({
+  itemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CourseItem',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  courseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  note: {
+    type: String,
+    default: null,
+    trim: true,
+    maxlength: 500
+  },
+  // Where the work can be found, e.g. a file name or link
+  fileReference: {
+    type: String,
+    default: null,
+    trim: true,
+    maxlength: 500
+  },
+  // Updated when the student re-submits
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Whether submittedAt was after the item's due time
+  late: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// One submission per student per item
+submissionSchema.index({ itemId: 1, userId: 1 }, { unique: true });
+submissionSchema.index({ userId: 1, courseId: 1 });
+
+/**
+ * Record (or update) a student's submission
+ * @param {Object} item - The CourseItem being submitted
+ * @param {string} userId - Student's user ID
+ * @param {Object} details - Optional note and fileReference
+ */
+submissionSchema.statics.submit = function(item, userId, { note = null, fileReference = null } = {}) {
+  const submittedAt = new Date();
+  return this.findOneAndUpdate(
+    { itemId: item._id, userId },
+    {
+      $set: {
+        note,
+        fileReference,
+        submittedAt,
+        late: !!item.dueAt && submittedAt > item.dueAt
+      },
+      $setOnInsert: { courseId: item.courseId }
+    },
+    { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+};
+
+/**
+ * Get the IDs of students who submitted each of a set of items
+ * @param {Array} itemIds - CourseItem IDs
+ * @returns {Promise<Map<string, Set<string>>>} Item ID -> set of user IDs
+ */
+submissionSchema.statics.getSubmittersByItem = async function(itemIds) {
+  const submissions = await this.find({ itemId: { $in: itemIds } })
+    .select('itemId userId')
+    .lean();
+
+  const submitters = new Map();
+  submissions.forEach(({ itemId, userId }) => {
+    const key = itemId.toString();
+    if (!submitters.has(key)) submitters.set(key, new Set());
+    submitters.get(key).add(userId.toString());
+  });
+  return submitters;
+};
+
+/**
+ * Transform to expected API format
+ */
+submissionSchema.methods.toJSON = function() {
+  return {
+    id: this._id,
+    item_id: this.itemId,
+    user_id: this.userId,
+    course_id: this.courseId,
+    note: this.note,
+    file_reference: this.fileReference,
+    submitted_at: this.submittedAt,
+    late: this.late
+  };
+};
+
+module.exports = mongoose.model('Submission', submissionSchema);
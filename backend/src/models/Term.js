@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+
+const breakSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true,
+    default: 'Break'
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  }
+}, { _id: false });
+
+const termSchema = new mongoose.Schema({
+  collegeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'College',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Calendar dates (stored as UTC midnight), inclusive on both ends
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  // Mid-semester breaks, exam periods and holidays without classes
+  breaks: {
+    type: [breakSchema],
+    default: []
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for per-college term lookups
+termSchema.index({ collegeId: 1, startDate: 1 });
+
+/**
+ * Format a stored calendar date as YYYY-MM-DD
+ */
+const toDateKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Get all terms for a college, earliest first
+ */
+termSchema.statics.findByCollege = function(collegeId) {
+  return this.find({ collegeId }).sort({ startDate: 1 });
+};
+
+/**
+ * Find a term by ID, only if it belongs to the named college
+ * @param {ObjectId} termId - Term ID
+ * @param {string} collegeName - College name, as stored on the user
+ * @returns {Promise<Object|null>} The term, or null if it doesn't exist or belongs to another college
+ */
+termSchema.statics.findForCollege = async function(termId, collegeName) {
+  if (!collegeName) return null;
+
+  const college = await mongoose.model('College').findOne({ name: collegeName, isActive: true });
+  if (!college) return null;
+
+  return this.findOne({ _id: termId, collegeId: college._id });
+};
+
+/**
+ * Find a term of the college that shares at least one day with the given dates
+ * @param {ObjectId} collegeId - College ID
+ * @param {Date|string} startDate - First day
+ * @param {Date|string} endDate - Last day
+ * @param {ObjectId} [excludeId] - Term being updated, which can't overlap itself
+ * @returns {Promise<Object|null>} The first overlapping term, or null
+ */
+termSchema.statics.findOverlapping = function(collegeId, startDate, endDate, excludeId = null) {
+  const filter = {
+    collegeId,
+    startDate: { $lte: new Date(endDate) },
+    endDate: { $gte: new Date(startDate) }
+  };
+  if (excludeId) filter._id = { $ne: excludeId };
+  return this.findOne(filter).sort({ startDate: 1 });
+};
+
+/**
+ * Find the term that follows this one in the same college
+ */
+termSchema.methods.getNextTerm = function() {
+  return this.constructor.findOne({
+    collegeId: this.collegeId,
+    startDate: { $gt: this.endDate }
+  }).sort({ startDate: 1 });
+};
+
+/**
+ * Check if classes run on a calendar day
+ * @param {string} dateKey - Calendar day as YYYY-MM-DD
+ * @returns {boolean} True if the day is inside the term and not in a break
+ */
+termSchema.methods.isTeachingDay = function(dateKey) {
+  if (dateKey < toDateKey(this.startDate) || dateKey > toDateKey(this.endDate)) {
+    return false;
+  }
+
+  return !(this.breaks || []).some(
+    b => dateKey >= toDateKey(b.startDate) && dateKey <= toDateKey(b.endDate)
+  );
+};
+
+/**
+ * Transform to expected API format
+ */
+termSchema.methods.toJSON = function() {
+  return {
+    id: this._id,
+    college_id: this.collegeId,
+    name: this.name,
+    start_date: toDateKey(this.startDate),
+    end_date: toDateKey(this.endDate),
+    breaks: (this.breaks || []).map(b => ({
+      name: b.name,
+      start_date: toDateKey(b.startDate),
+      end_date: toDateKey(b.endDate)
+    })),
+    created_at: this.createdAt,
+    updated_at: this.updatedAt
+  };
+};
+
+module.exports = mongoose.model('Term', termSchema);
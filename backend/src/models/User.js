@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const COURSE_ITEM_KINDS = require('../config/courseItemKinds');
+const { NOTIFICATION_CATEGORIES } = require('../config/notificationEvents');
+const config = require('../config');
+const { isValidTimezone, getZonedParts, zonedTimeToDate } = require('../utils/schedule');
 
 const userSchema = new mongoose.Schema({
   phoneNumber: {
@@ -39,15 +43,62 @@ const userSchema = new mongoose.Schema({
     type: Number,
     default: 15
   },
-  pushToken: {
-    type: String,
-    default: null,
-    trim: true
+  // Minutes before class for each reminder, e.g. [1440, 15] for a day before and 15 minutes before.
+  // Empty means a single reminder at reminderMinutes.
+  reminderOffsets: {
+    type: [Number],
+    default: undefined
+  },
+  // Deadline reminders (24 hours and 1 hour before) per course item kind
+  deadlineReminders: Object.fromEntries(
+    Object.keys(COURSE_ITEM_KINDS).map(kind => [kind, { type: Boolean, default: true }])
+  ),
+  // Push and SMS on or off per notification category (in-app notifications always arrive)
+  notificationChannels: Object.fromEntries(
+    Object.entries(NOTIFICATION_CATEGORIES).map(([category, { channels }]) => [
+      category,
+      Object.fromEntries(channels.map(channel => [channel, { type: Boolean, default: true }]))
+    ])
+  ),
+  // Hold non-urgent pushes between start and end (HH:mm, 24-hour, in the user's timezone)
+  // and send them as a digest afterwards. Start after end spans midnight.
+  quietHours: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    start: {
+      type: String,
+      default: '22:00'
+    },
+    end: {
+      type: String,
+      default: '07:00'
+    },
+    // IANA timezone of the user's device (null falls back to the server default)
+    timezone: {
+      type: String,
+      default: null
+    }
   },
   paymentStatus: {
     type: Boolean,
     default: false
   },
+  // Prepaid SMS credits (course reps), one per SMS segment sent beyond the weekly SMS quota.
+  // Changed only with $inc alongside an SmsCreditTransaction.
+  smsCredits: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Payments for SMS credit bundles already added to smsCredits, pushed in the same
+  // update as their credits so a payment can't be credited twice or half-credited
+  smsCreditPaymentIds: {
+    type: [mongoose.Schema.Types.ObjectId],
+    default: undefined,
+    select: false
+  },
   trialStartDate: {
     type: Date,
     default: null
@@ -87,14 +138,6 @@ userSchema.statics.phoneNumberExists = async function (phoneNumber) {
   return !!user;
 };
 
-/**
- * Update push token for the user
- */
-userSchema.methods.updatePushToken = function (pushToken) {
-  this.pushToken = pushToken || null;
-  return this.save();
-};
-
 /**
  * Check if trial is currently active
  */
@@ -110,6 +153,14 @@ userSchema.methods.hasActiveAccess = function () {
   return this.paymentStatus || this.isTrialActive();
 };
 
+/**
+ * Plan the user is on: 'paid', 'trial' while the free trial lasts, otherwise 'free'
+ */
+userSchema.methods.getPlan = function () {
+  if (this.paymentStatus) return 'paid';
+  return this.isTrialActive() ? 'trial' : 'free';
+};
+
 /**
  * Start the 7-day free trial
  */
@@ -123,6 +174,64 @@ userSchema.methods.startTrial = function () {
   return this.save();
 };
 
+/**
+ * Get the user's reminder offsets in minutes, largest first
+ */
+userSchema.methods.getReminderOffsets = function () {
+  const offsets = this.reminderOffsets && this.reminderOffsets.length > 0
+    ? this.reminderOffsets
+    : [this.reminderMinutes || 15];
+  return [...new Set(offsets)].sort((a, b) => b - a);
+};
+
+/**
+ * Check whether the user wants a category of notification on a channel
+ * @param {string} category - Key in NOTIFICATION_CATEGORIES
+ * @param {string} channel - 'push' or 'sms'
+ */
+userSchema.methods.wantsNotification = function (category, channel) {
+  return this.notificationChannels?.[category]?.[channel] !== false;
+};
+
+/**
+ * Find when the user's current quiet hours end
+ * @param {Date} [now] - Instant to check
+ * @returns {Date|null} End of the quiet hours `now` falls in, or null if it isn't in quiet hours
+ */
+userSchema.methods.getQuietHoursEnd = function (now = new Date()) {
+  const { enabled, start, end, timezone } = this.quietHours || {};
+  if (!enabled || !start || !end || start === end) return null;
+
+  const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  };
+  const startMinutes = toMinutes(start);
+  const endMinutes = toMinutes(end);
+
+  const zone = isValidTimezone(timezone) ? timezone : config.defaultTimezone;
+  const local = getZonedParts(now, zone);
+  const current = local.hours * 60 + local.minutes;
+
+  let endsTomorrow;
+  if (startMinutes < endMinutes) {
+    if (current < startMinutes || current >= endMinutes) return null;
+    endsTomorrow = false;
+  } else {
+    // Spans midnight: quiet from start until end the next morning
+    if (current < startMinutes && current >= endMinutes) return null;
+    endsTomorrow = current >= startMinutes;
+  }
+
+  return zonedTimeToDate({
+    year: local.year,
+    month: local.month,
+    day: local.day + (endsTomorrow ? 1 : 0),
+    hours: Math.floor(endMinutes / 60),
+    minutes: endMinutes % 60
+  }, zone);
+};
+
 // Transform output to match expected format
 userSchema.methods.toPublicJSON = function () {
   const now = new Date();
@@ -143,8 +252,25 @@ userSchema.methods.toPublicJSON = function () {
     college: this.college,
     notifications_enabled: this.notificationsEnabled,
     reminder_minutes: this.reminderMinutes,
+    reminder_offsets: this.getReminderOffsets(),
+    deadline_reminders: Object.fromEntries(
+      Object.keys(COURSE_ITEM_KINDS).map(kind => [kind, this.deadlineReminders?.[kind] !== false])
+    ),
+    notification_channels: Object.fromEntries(
+      Object.entries(NOTIFICATION_CATEGORIES).map(([category, { channels }]) => [
+        category,
+        Object.fromEntries(channels.map(channel => [channel, this.wantsNotification(category, channel)]))
+      ])
+    ),
+    quiet_hours: {
+      enabled: !!this.quietHours?.enabled,
+      start: this.quietHours?.start || '22:00',
+      end: this.quietHours?.end || '07:00',
+      timezone: this.quietHours?.timezone || null
+    },
     notification_sound: this.notificationSound,
     payment_status: this.paymentStatus,
+    sms_credits: this.smsCredits || 0,
     trial_start_date: this.trialStartDate,
     trial_end_date: this.trialEndDate,
     trial_active: trialActive,
@@ -3,13 +3,24 @@ const Course = require('./Course');
 const Enrollment = require('./Enrollment');
 const Notification = require('./Notification');
 const Payment = require('./Payment');
-const Quiz = require('./Quiz');
-const Assignment = require('./Assignment');
-const Tutorial = require('./Tutorial');
+const CourseItem = require('./CourseItem');
 const College = require('./College');
 const Feedback = require('./Feedback');
 const SmsLog = require('./SmsLog');
 const DeviceToken = require('./DeviceToken');
+const EnrollmentRequest = require('./EnrollmentRequest');
+const Term = require('./Term');
+const ClassException = require('./ClassException');
+const ReminderDispatch = require('./ReminderDispatch');
+const ClassOccurrence = require('./ClassOccurrence');
+const Submission = require('./Submission');
+const Attachment = require('./Attachment');
+const ScheduledAnnouncement = require('./ScheduledAnnouncement');
+const Announcement = require('./Announcement');
+const PushTicket = require('./PushTicket');
+const OutboundMessage = require('./OutboundMessage');
+const SmsCreditTransaction = require('./SmsCreditTransaction');
+const SmsQuotaUsage = require('./SmsQuotaUsage');
 
 module.exports = {
   User,
@@ -17,13 +28,24 @@ module.exports = {
   Enrollment,
   Notification,
   Payment,
-  Quiz,
-  Assignment,
-  Tutorial,
+  CourseItem,
   College,
   Feedback,
   SmsLog,
   DeviceToken,
+  EnrollmentRequest,
+  Term,
+  ClassException,
+  ReminderDispatch,
+  ClassOccurrence,
+  Submission,
+  Attachment,
+  ScheduledAnnouncement,
+  Announcement,
+  PushTicket,
+  OutboundMessage,
+  SmsCreditTransaction,
+  SmsQuotaUsage,
 };
 
 
@@ -0,0 +1,270 @@
+const express = require('express');
+const multer = require('multer');
+const { Attachment, Course } = require('../models');
+const config = require('../config');
+const { authenticate, authorize } = require('../middleware/auth');
+const { getStorage } = require('../utils/storage');
+const {
+  storeUpload,
+  deleteAttachment,
+  canAccessAttachment,
+  createDownloadToken,
+  verifyDownloadToken,
+} = require('../utils/attachments');
+
+const router = express.Router();
+
+const allowedTypes = Object.keys(config.attachments.allowedTypes);
+
+// Files are held in memory only until they are handed to the storage adapter
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: config.attachments.maxFileSize,
+    files: 1,
+  },
+  fileFilter: (req, file, cb) => {
+    if (!allowedTypes.includes(file.mimetype)) {
+      const error = new Error('File type not allowed. Upload a PDF, image, Word, PowerPoint, Excel or text file.');
+      error.code = 'UNSUPPORTED_FILE_TYPE';
+      return cb(error);
+    }
+    cb(null, true);
+  },
+});
+
+/**
+ * Parse the multipart "file" field, turning multer errors into API responses
+ */
+const parseUpload = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (!error) return next();
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        success: false,
+        message: `File is too large. The limit is ${Math.round(config.attachments.maxFileSize / (1024 * 1024))} MB.`,
+      });
+    }
+    if (error.code === 'UNSUPPORTED_FILE_TYPE') {
+      return res.status(415).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    return res.status(400).json({
+      success: false,
+      message: error.message || 'Invalid upload',
+    });
+  });
+};
+
+/**
+ * Authenticate a download either with the usual Authorization header or with a
+ * download token in the query string (for opening the file outside the app)
+ */
+const authenticateDownload = (req, res, next) => {
+  if (!req.query.token) {
+    return authenticate(req, res, next);
+  }
+
+  const userId = verifyDownloadToken(req.query.token, req.params.id);
+  if (!userId) {
+    return res.status(401).json({
+      success: false,
+      message: 'Download link is invalid or has expired',
+    });
+  }
+  req.user = { id: userId };
+  next();
+};
+
+/**
+ * Load an attachment the current user may download. Responds 404/403 and returns null otherwise.
+ */
+const findAccessibleAttachment = async (req, res) => {
+  const attachment = await Attachment.findById(req.params.id);
+  if (!attachment) {
+    res.status(404).json({
+      success: false,
+      message: 'Attachment not found',
+    });
+    return null;
+  }
+
+  if (!(await canAccessAttachment(attachment, req.user.id))) {
+    res.status(403).json({
+      success: false,
+      message: 'You can only download attachments for courses you are enrolled in',
+    });
+    return null;
+  }
+
+  return attachment;
+};
+
+/**
+ * @route   POST /api/attachments
+ * @desc    Upload a file (multipart field "file", plus "courseId") to attach to an
+ *          announcement or course item. Unattached uploads are deleted after a day.
+ * @access  Private (course_rep)
+ */
+router.post(
+  '/',
+  authenticate,
+  authorize('course_rep'),
+  parseUpload,
+  async (req, res) => {
+    try {
+      const { courseId } = req.body;
+
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'No file uploaded',
+        });
+      }
+      if (!courseId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Course ID is required',
+        });
+      }
+
+      const course = await Course.findById(courseId);
+      if (!course) {
+        return res.status(404).json({
+          success: false,
+          message: 'Course not found',
+        });
+      }
+      if (!(await Course.isCreator(courseId, req.user.id))) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only upload attachments for your own courses',
+        });
+      }
+
+      const attachment = await storeUpload(req.file, { courseId, userId: req.user.id });
+
+      res.status(201).json({
+        success: true,
+        message: 'File uploaded successfully',
+        data: {
+          attachment: attachment.toJSON(),
+        },
+      });
+    } catch (error) {
+      console.error('Upload attachment error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to upload file',
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/attachments/:id/download-token
+ * @desc    Get a short-lived token for opening an attachment outside the app:
+ *          GET /api/attachments/:id/download?token=<token>
+ * @access  Private (enrolled students and the course's rep)
+ */
+router.post('/:id/download-token', authenticate, async (req, res) => {
+  try {
+    const attachment = await findAccessibleAttachment(req, res);
+    if (!attachment) return;
+
+    res.json({
+      success: true,
+      data: {
+        token: createDownloadToken(attachment, req.user.id),
+        expires_in: config.attachments.downloadTokenExpiresIn,
+      },
+    });
+  } catch (error) {
+    console.error('Create download token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create download link',
+    });
+  }
+});
+
+/**
+ * @route   GET /api/attachments/:id/download
+ * @desc    Download an attachment. Authenticate with the Authorization header or ?token=
+ * @access  Private (enrolled students and the course's rep)
+ */
+router.get('/:id/download', authenticateDownload, async (req, res) => {
+  try {
+    const attachment = await findAccessibleAttachment(req, res);
+    if (!attachment) return;
+
+    const stream = await getStorage(attachment.storage).getStream(attachment.storageKey);
+    if (!stream) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found',
+      });
+    }
+
+    res.set({
+      'Content-Type': attachment.mimeType,
+      'Content-Length': attachment.size,
+      'Content-Disposition': `inline; filename*=UTF-8''${encodeURIComponent(attachment.fileName)}`,
+      'Cache-Control': 'private, no-store',
+    });
+
+    stream.on('error', (streamError) => {
+      console.error('Attachment stream error:', streamError);
+      res.destroy(streamError);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Download attachment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download file',
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/attachments/:id
+ * @desc    Delete an attachment and remove it from anything it is attached to
+ * @access  Private (course_rep, uploader only)
+ */
+router.delete('/:id', authenticate, authorize('course_rep'), async (req, res) => {
+  try {
+    const attachment = await Attachment.findById(req.params.id);
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found',
+      });
+    }
+
+    if (attachment.uploadedBy.toString() !== req.user.id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only delete attachments you uploaded',
+      });
+    }
+
+    await deleteAttachment(attachment);
+
+    res.json({
+      success: true,
+      message: 'Attachment deleted successfully',
+    });
+  } catch (error) {
+    console.error('Delete attachment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete attachment',
+    });
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,9 @@ const { body } = require('express-validator');
 const { User, College, Course, Enrollment, Notification } = require('../models');
 const { authenticate, generateToken } = require('../middleware/auth');
 const validate = require('../middleware/validate');
+const COURSE_ITEM_KINDS = require('../config/courseItemKinds');
+const { NOTIFICATION_CATEGORIES } = require('../config/notificationEvents');
+const { isValidTimezone } = require('../utils/schedule');
 
 const router = express.Router();
 
@@ -213,6 +216,32 @@ router.put(
   [
     body('notificationsEnabled').optional().isBoolean(),
     body('reminderMinutes').optional().isInt({ min: 0, max: 120 }),
+    body('reminderOffsets')
+      .optional()
+      .isArray({ max: 3 })
+      .withMessage('reminderOffsets must be a list of at most 3 reminders'),
+    body('reminderOffsets.*')
+      .isInt({ min: 1, max: 1440 })
+      .withMessage('Each reminder must be between 1 minute and 1 day before class')
+      .toInt(),
+    body('deadlineReminders').optional().isObject(),
+    ...Object.keys(COURSE_ITEM_KINDS).map(kind => (
+      body(`deadlineReminders.${kind}`).optional().isBoolean().toBoolean()
+    )),
+    body('notificationChannels').optional().isObject(),
+    ...Object.entries(NOTIFICATION_CATEGORIES).flatMap(([category, { channels }]) => channels.map(channel => (
+      body(`notificationChannels.${category}.${channel}`).optional().isBoolean().toBoolean()
+    ))),
+    body('quietHours').optional().isObject(),
+    body('quietHours.enabled').optional().isBoolean().toBoolean(),
+    body(['quietHours.start', 'quietHours.end'])
+      .optional()
+      .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+      .withMessage('Quiet hours must be 24-hour times like 22:00'),
+    body('quietHours.timezone')
+      .optional({ nullable: true })
+      .custom(isValidTimezone)
+      .withMessage('Timezone must be a valid IANA timezone (e.g., Africa/Accra)'),
     body('notificationSound').optional().isString(),
     body('role').optional().isIn(['student', 'course_rep']),
   ],
@@ -228,7 +257,16 @@ router.put(
         });
       }
 
-      const { notificationsEnabled, reminderMinutes, notificationSound, role } = req.body;
+      const {
+        notificationsEnabled,
+        reminderMinutes,
+        reminderOffsets,
+        deadlineReminders,
+        notificationChannels,
+        quietHours,
+        notificationSound,
+        role,
+      } = req.body;
 
       if (notificationsEnabled !== undefined) {
         user.notificationsEnabled = notificationsEnabled;
@@ -236,6 +274,35 @@ router.put(
       if (reminderMinutes !== undefined) {
         user.reminderMinutes = reminderMinutes;
       }
+      if (reminderOffsets !== undefined) {
+        user.reminderOffsets = [...new Set(reminderOffsets)];
+      } else if (reminderMinutes !== undefined) {
+        // Older app versions only know one reminder time
+        user.reminderOffsets = reminderMinutes > 0 ? [reminderMinutes] : [];
+      }
+      if (deadlineReminders !== undefined) {
+        Object.keys(COURSE_ITEM_KINDS).forEach(kind => {
+          if (deadlineReminders[kind] !== undefined) {
+            user.set(`deadlineReminders.${kind}`, deadlineReminders[kind]);
+          }
+        });
+      }
+      if (notificationChannels !== undefined) {
+        Object.entries(NOTIFICATION_CATEGORIES).forEach(([category, { channels }]) => {
+          channels.forEach(channel => {
+            if (notificationChannels[category]?.[channel] !== undefined) {
+              user.set(`notificationChannels.${category}.${channel}`, notificationChannels[category][channel]);
+            }
+          });
+        });
+      }
+      if (quietHours !== undefined) {
+        ['enabled', 'start', 'end', 'timezone'].forEach(field => {
+          if (quietHours[field] !== undefined) {
+            user.set(`quietHours.${field}`, quietHours[field]);
+          }
+        });
+      }
       if (notificationSound !== undefined) {
         user.notificationSound = notificationSound;
       }
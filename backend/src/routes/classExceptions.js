@@ -0,0 +1,394 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const { Course, ClassException, Enrollment } = require('../models');
+const { authenticate, authorize } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { dispatch, SMS_WINDOW_MINUTES } = require('../utils/notificationDispatcher');
+const {
+  parseTimeOfDay,
+  parseDateKey,
+  getZonedParts,
+  getCourseTimezone,
+  getRegularOccurrenceOn,
+  getExceptionOccurrence,
+  getOccurrences,
+  occurrenceToJSON,
+  formatTimeInZone,
+} = require('../utils/schedule');
+const { syncCourseOccurrences } = require('../utils/occurrenceSync');
+
+// Mounted at /api/courses/:id/exceptions
+const router = express.Router({ mergeParams: true });
+
+const UPCOMING_DAYS = 28;
+
+/**
+ * Today's calendar day (YYYY-MM-DD) in the course's timezone
+ */
+const getTodayKey = (course) => {
+  const { year, month, day } = getZonedParts(new Date(), getCourseTimezone(course));
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * Format a calendar day for messages (e.g., "Tuesday, October 21")
+ */
+const formatDateKey = (dateKey) => {
+  const { year, month, day } = parseDateKey(dateKey);
+  return new Date(Date.UTC(year, month - 1, day)).toLocaleDateString('en-US', {
+    timeZone: 'UTC',
+    weekday: 'long',
+    month: 'long',
+    day: 'numeric',
+  });
+};
+
+/**
+ * Describe a class occurrence for messages (e.g., "Tuesday, October 21 at 2:00 PM in LT1")
+ */
+const describeOccurrence = (occurrence) => {
+  const venue = occurrence.venue ? ` in ${occurrence.venue}` : '';
+  return `${formatDateKey(occurrence.date)} at ${formatTimeInZone(occurrence.start, occurrence.timezone)}${venue}`;
+};
+
+/**
+ * Build the title and message students receive about an exception
+ * @param {Object} course - Course document
+ * @param {Object} exception - ClassException document
+ * @param {boolean} removed - True when the rep withdrew the exception
+ */
+const buildExceptionMessage = (course, exception, removed = false) => {
+  const reason = exception.reason ? ` Reason: ${exception.reason}` : '';
+  const moved = getExceptionOccurrence(course, exception);
+
+  if (removed) {
+    if (exception.type === 'extra') {
+      return {
+        title: 'Extra Class Cancelled',
+        message: `${course.courseName}: the extra class on ${formatDateKey(exception.date)} will no longer hold.`,
+      };
+    }
+    return {
+      title: 'Class Back On Schedule',
+      message: `${course.courseName}: the class on ${formatDateKey(exception.originalDate)} will hold at its usual time and venue.`,
+    };
+  }
+
+  if (exception.type === 'cancel') {
+    return {
+      title: 'Class Cancelled',
+      message: `${course.courseName}: the class on ${formatDateKey(exception.originalDate)} is cancelled.${reason}`,
+    };
+  }
+  if (exception.type === 'reschedule') {
+    return {
+      title: 'Class Rescheduled',
+      message: `${course.courseName}: the class on ${formatDateKey(exception.originalDate)} moves to ${describeOccurrence(moved)}.${reason}`,
+    };
+  }
+  return {
+    title: 'Extra Class',
+    message: `${course.courseName}: extra class on ${describeOccurrence(moved)}.${reason}`,
+  };
+};
+
+/**
+ * Class start times an exception touches: the regular class it replaces and the
+ * session it creates. Used to decide whether the change is urgent enough for SMS.
+ */
+const getAffectedStarts = (course, exception) => {
+  const starts = [];
+  if (exception.originalDate) {
+    const regular = getRegularOccurrenceOn(course, exception.originalDate);
+    if (regular) starts.push(regular.start);
+  }
+  const moved = getExceptionOccurrence(course, exception);
+  if (moved) starts.push(moved.start);
+  return starts;
+};
+
+/**
+ * Notify enrolled students about a class change: in-app for everyone, push for
+ * students with access, and SMS when an affected class starts within 30 minutes.
+ */
+const notifyStudents = async (course, exception, { title, message }) => {
+  const now = new Date();
+  const urgent = getAffectedStarts(course, exception).some((start) => {
+    const diff = start.getTime() - now.getTime();
+    return diff > 0 && diff <= SMS_WINDOW_MINUTES * 60 * 1000;
+  });
+
+  const result = await dispatch('class_changed', {
+    audience: { courseId: course._id },
+    course,
+    title,
+    message,
+    urgent,
+    data: {
+      type: 'course_update',
+      courseId: course._id.toString(),
+      courseName: course.courseName,
+      exceptionId: exception._id.toString(),
+    },
+  });
+
+  return {
+    notificationsSent: result.recipientCount,
+    pushNotificationsQueued: result.pushNotificationsQueued,
+    smsQueued: result.smsQueued,
+    smsSkippedForQuota: result.smsSkippedForQuota,
+  };
+};
+
+/**
+ * @route   GET /api/courses/:id/exceptions
+ * @desc    Get upcoming cancellations, reschedules and extra classes for a course,
+ *          plus the classes of the next four weeks with those changes applied
+ * @access  Private (creator or enrolled student)
+ */
+router.get(
+  '/',
+  authenticate,
+  [param('id').isMongoId().withMessage('Invalid course ID')],
+  validate,
+  async (req, res) => {
+    try {
+      const courseId = req.params.id;
+      const course = await Course.findById(courseId).populate(['termId', 'exceptions']);
+      if (!course) {
+        return res.status(404).json({
+          success: false,
+          message: 'Course not found',
+        });
+      }
+
+      const isCreator = course.createdBy.toString() === req.user.id.toString();
+      if (!isCreator && !(await Enrollment.isEnrolled(req.user.id, courseId))) {
+        return res.status(403).json({
+          success: false,
+          message: 'You are not enrolled in this course',
+        });
+      }
+
+      const exceptions = await ClassException.getUpcoming(courseId, getTodayKey(course));
+
+      const now = new Date();
+      const occurrences = getOccurrences(
+        course,
+        now,
+        new Date(now.getTime() + UPCOMING_DAYS * 24 * 60 * 60 * 1000),
+        { includeCancelled: true }
+      ).map(occurrenceToJSON);
+
+      res.json({
+        success: true,
+        data: {
+          exceptions,
+          occurrences,
+          count: exceptions.length,
+        },
+      });
+    } catch (error) {
+      console.error('Get class exceptions error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch class changes',
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/courses/:id/exceptions
+ * @desc    Cancel or reschedule one class, or add an extra session (Creator only)
+ * @access  Private (course_rep)
+ */
+router.post(
+  '/',
+  authenticate,
+  authorize('course_rep'),
+  [
+    param('id').isMongoId().withMessage('Invalid course ID'),
+    body('type')
+      .isIn(['cancel', 'reschedule', 'extra'])
+      .withMessage('Type must be cancel, reschedule or extra'),
+    body('originalDate')
+      .if(body('type').isIn(['cancel', 'reschedule']))
+      .matches(/^\d{4}-\d{2}-\d{2}$/)
+      .withMessage('originalDate (YYYY-MM-DD) is required to cancel or reschedule a class'),
+    body('date')
+      .if(body('type').equals('extra'))
+      .matches(/^\d{4}-\d{2}-\d{2}$/)
+      .withMessage('date (YYYY-MM-DD) is required for an extra class'),
+    body('date')
+      .optional({ nullable: true })
+      .matches(/^\d{4}-\d{2}-\d{2}$/)
+      .withMessage('date must be YYYY-MM-DD'),
+    body('startTime')
+      .if(body('type').equals('extra'))
+      .notEmpty()
+      .withMessage('startTime is required for an extra class'),
+    body('startTime')
+      .optional({ nullable: true })
+      .custom(value => !!parseTimeOfDay(value))
+      .withMessage('startTime must be a time like "10:00 AM" or "14:30"'),
+    body('endTime')
+      .optional({ nullable: true })
+      .custom(value => !!parseTimeOfDay(value))
+      .withMessage('endTime must be a time like "12:00 PM" or "16:00"'),
+    body('venue').optional({ nullable: true }).trim(),
+    body('reason').optional({ nullable: true }).trim(),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const courseId = req.params.id;
+      const { type, originalDate, date, startTime, endTime, venue, reason } = req.body;
+
+      if (!(await Course.isCreator(courseId, req.user.id))) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only change classes for courses you created',
+        });
+      }
+
+      const course = await Course.findById(courseId).populate('termId');
+      const now = new Date();
+
+      if (type !== 'extra') {
+        const regular = getRegularOccurrenceOn(course, originalDate);
+        if (!regular) {
+          return res.status(400).json({
+            success: false,
+            message: `${course.courseName} has no class on ${originalDate}`,
+          });
+        }
+        if (regular.start <= now) {
+          return res.status(400).json({
+            success: false,
+            message: 'That class has already started',
+          });
+        }
+
+        const existing = await ClassException.findOne({ courseId, originalDate });
+        if (existing) {
+          return res.status(409).json({
+            success: false,
+            message: 'This class already has a change. Remove it first to make a different one.',
+            data: {
+              exception: existing,
+            },
+          });
+        }
+      }
+
+      if (type === 'reschedule' && !date && !startTime && !endTime && !venue) {
+        return res.status(400).json({
+          success: false,
+          message: 'Provide a new date, time or venue to reschedule the class',
+        });
+      }
+
+      const exception = new ClassException({
+        courseId,
+        type,
+        originalDate: type === 'extra' ? null : originalDate,
+        date: type === 'cancel' ? null : (date || null),
+        startTime: type === 'cancel' ? null : (startTime || null),
+        endTime: type === 'cancel' ? null : (endTime || null),
+        venue: type === 'cancel' ? null : (venue || null),
+        reason: reason || null,
+        createdBy: req.user.id,
+      });
+
+      const moved = getExceptionOccurrence(course, exception);
+      if (type !== 'cancel' && (!moved || moved.start <= now)) {
+        return res.status(400).json({
+          success: false,
+          message: 'The new class time must be in the future',
+        });
+      }
+
+      await exception.save();
+      await syncCourseOccurrences(courseId);
+
+      const result = await notifyStudents(course, exception, buildExceptionMessage(course, exception));
+
+      res.status(201).json({
+        success: true,
+        message: 'Class change saved and students notified',
+        data: {
+          exception,
+          ...result,
+        },
+      });
+    } catch (error) {
+      console.error('Create class exception error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to save class change',
+      });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/courses/:id/exceptions/:exceptionId
+ * @desc    Withdraw a class change, restoring the regular class (Creator only)
+ * @access  Private (course_rep)
+ */
+router.delete(
+  '/:exceptionId',
+  authenticate,
+  authorize('course_rep'),
+  [
+    param('id').isMongoId().withMessage('Invalid course ID'),
+    param('exceptionId').isMongoId().withMessage('Invalid class change ID'),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const { id: courseId, exceptionId } = req.params;
+
+      if (!(await Course.isCreator(courseId, req.user.id))) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only change classes for courses you created',
+        });
+      }
+
+      const exception = await ClassException.findOne({ _id: exceptionId, courseId });
+      if (!exception) {
+        return res.status(404).json({
+          success: false,
+          message: 'Class change not found',
+        });
+      }
+
+      const course = await Course.findById(courseId).populate('termId');
+      await ClassException.deleteOne({ _id: exception._id });
+      await syncCourseOccurrences(courseId);
+
+      // Only tell students about changes to classes that haven't happened yet
+      const now = new Date();
+      const isUpcoming = getAffectedStarts(course, exception).some(start => start > now);
+      const result = isUpcoming
+        ? await notifyStudents(course, exception, buildExceptionMessage(course, exception, true))
+        : { notificationsSent: 0, pushNotificationsQueued: 0, smsQueued: 0, smsSkippedForQuota: 0 };
+
+      res.json({
+        success: true,
+        message: 'Class change removed',
+        data: result,
+      });
+    } catch (error) {
+      console.error('Delete class exception error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to remove class change',
+      });
+    }
+  }
+);
+
+module.exports = router;
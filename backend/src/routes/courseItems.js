@@ -0,0 +1,812 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const { CourseItem, Course, Enrollment, Submission, Attachment } = require('../models');
+const config = require('../config');
+const COURSE_ITEM_KINDS = require('../config/courseItemKinds');
+const { authenticate, authorize } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const {
+  isValidItemDate,
+  isValidItemTime,
+  resolveDueAt,
+  getUserCourses,
+  getUpcomingRange,
+  getTodayRanges,
+} = require('../utils/itemDates');
+const {
+  notifyItemCreated,
+  notifyItemUpdated,
+  notifyItemCancelled,
+  notifyItemDeleted,
+  describeItemChanges,
+} = require('../utils/courseItemNotifications');
+const { releaseAttachments } = require('../utils/attachments');
+
+const KINDS = Object.keys(COURSE_ITEM_KINDS);
+
+// Files uploaded through POST /api/attachments, attached by ID
+const attachmentIdsValidator = [
+  body('attachmentIds')
+    .optional()
+    .isArray({ max: config.attachments.maxPerItem })
+    .withMessage(`attachmentIds must be a list of at most ${config.attachments.maxPerItem} attachment IDs`),
+  body('attachmentIds.*').isMongoId().withMessage('Invalid attachment ID'),
+];
+
+/**
+ * Build the course item router.
+ *
+ * Without a kind it serves /api/course-items, where each request names its
+ * kind (`kind` in the body when creating, optional `?kind=` filter when listing)
+ * and responses use `item` / `items`.
+ *
+ * With a kind it serves the legacy per-kind API older app builds use, e.g.
+ * /api/quizzes: `POST /create`, `GET /my-quizzes`, `quizName` in request
+ * bodies and `quiz` / `quizzes` in responses.
+ *
+ * @param {Object} options
+ * @param {string} [options.kind] - Serve the legacy API for this kind only
+ * @returns {express.Router}
+ */
+const createCourseItemRouter = ({ kind = null } = {}) => {
+  const router = express.Router();
+  const legacy = kind !== null;
+
+  // Response keys and the request field holding the item's name
+  const itemKey = legacy ? kind : 'item';
+  const listKey = legacy ? COURSE_ITEM_KINDS[kind].plural : 'items';
+  const nameField = legacy ? `${kind}Name` : 'name';
+
+  // Wording for messages: "quiz"/"quizzes" on legacy routes, "item"/"items" otherwise
+  const noun = legacy ? kind : 'item';
+  const pluralNoun = listKey;
+  const Noun = legacy ? COURSE_ITEM_KINDS[kind].label : 'Item';
+
+  // The kind a list request is limited to, if any
+  const getListKind = (req) => kind || req.query.kind || undefined;
+
+  const kindFilter = legacy
+    ? []
+    : [query('kind').optional().isIn(KINDS).withMessage(`kind must be one of: ${KINDS.join(', ')}`)];
+
+  /**
+   * Load an item by id, limited to this router's kind. Responds 404 and returns null if missing.
+   */
+  const findItem = async (req, res) => {
+    const item = await CourseItem.findById(req.params.id);
+    if (!item || (legacy && item.kind !== kind)) {
+      res.status(404).json({
+        success: false,
+        message: `${Noun} not found`,
+      });
+      return null;
+    }
+    return item;
+  };
+
+  /**
+   * Check the current user created an item. Responds 403 and returns false if not.
+   */
+  const checkCreator = (req, res, item, action) => {
+    const userId = req.user.id?.toString ? req.user.id.toString() : String(req.user.id);
+    if (item.createdBy.toString() !== userId) {
+      res.status(403).json({
+        success: false,
+        message: `You can only ${action} ${pluralNoun} you created`,
+      });
+      return false;
+    }
+    return true;
+  };
+
+  /**
+   * Check an item's kind takes submissions. Responds 400 and returns false if not.
+   */
+  const checkTakesSubmissions = (res, item) => {
+    if (!COURSE_ITEM_KINDS[item.kind].submissions) {
+      res.status(400).json({
+        success: false,
+        message: `Submissions are not tracked for ${COURSE_ITEM_KINDS[item.kind].plural}`,
+      });
+      return false;
+    }
+    return true;
+  };
+
+  /**
+   * @route   POST /api/course-items (legacy: POST /api/<kinds>/create)
+   * @desc    Create a new item (Course Rep only)
+   * @access  Private (course_rep)
+   */
+  router.post(
+    legacy ? '/create' : '/',
+    authenticate,
+    authorize('course_rep'),
+    [
+      ...(legacy ? [] : [
+        body('kind')
+          .isIn(KINDS)
+          .withMessage(`kind must be one of: ${KINDS.join(', ')}`),
+      ]),
+      body(nameField)
+        .trim()
+        .notEmpty()
+        .withMessage(`${Noun} name is required`),
+      body('date')
+        .trim()
+        .notEmpty()
+        .withMessage('Date is required')
+        .bail()
+        .custom(isValidItemDate)
+        .withMessage('Date must be a valid DD/MM/YYYY or YYYY-MM-DD date'),
+      body('time')
+        .trim()
+        .notEmpty()
+        .withMessage('Time is required')
+        .bail()
+        .custom(isValidItemTime)
+        .withMessage('Time must be like "10:00 AM" or "14:30"'),
+      body('venue')
+        .trim()
+        .notEmpty()
+        .withMessage('Venue is required'),
+      body('courseId')
+        .notEmpty()
+        .withMessage('Course ID is required'),
+      body('courseCode')
+        .trim()
+        .notEmpty()
+        .withMessage('Course code is required'),
+      body('courseName')
+        .trim()
+        .notEmpty()
+        .withMessage('Course name is required'),
+      body('topic').optional().trim(),
+      body('urgent').optional().isBoolean().withMessage('urgent must be true or false'),
+      ...attachmentIdsValidator,
+    ],
+    validate,
+    async (req, res) => {
+      try {
+        const {
+          date,
+          time,
+          venue,
+          topic,
+          courseId,
+          courseCode,
+          courseName,
+          urgent,
+          attachmentIds,
+        } = req.body;
+        const itemKind = kind || req.body.kind;
+        const kindLabel = COURSE_ITEM_KINDS[itemKind].label;
+
+        // Verify course exists and user is creator
+        const course = await Course.findById(courseId).populate(['termId', 'exceptions']);
+        if (!course) {
+          return res.status(404).json({
+            success: false,
+            message: 'Course not found',
+          });
+        }
+
+        if (!(await Course.isCreator(courseId, req.user.id))) {
+          return res.status(403).json({
+            success: false,
+            message: `You can only create ${COURSE_ITEM_KINDS[itemKind].plural} for your own courses`,
+          });
+        }
+
+        const attachments = await Attachment.claim(attachmentIds || [], { userId: req.user.id, courseId });
+        if (!attachments) {
+          return res.status(400).json({
+            success: false,
+            message: 'One or more attachments are invalid. Upload them again for this course.',
+          });
+        }
+
+        const item = await CourseItem.create({
+          kind: itemKind,
+          name: req.body[nameField].trim(),
+          date,
+          time,
+          ...resolveDueAt(date, time, course),
+          urgent: !!urgent,
+          venue: venue.trim(),
+          topic: topic ? topic.trim() : null,
+          courseId,
+          courseCode: courseCode.trim(),
+          courseName: courseName.trim(),
+          attachments: attachments.map(attachment => attachment._id),
+          createdBy: req.user.id,
+        });
+        await item.populate('attachments');
+
+        const sent = await notifyItemCreated(item, course);
+
+        res.status(201).json({
+          success: true,
+          message: `${kindLabel} created successfully`,
+          data: {
+            [itemKey]: item.toJSON(),
+            ...sent,
+          },
+        });
+      } catch (error) {
+        console.error(`Create ${noun} error:`, error);
+        res.status(500).json({
+          success: false,
+          message: `Failed to create ${noun}`,
+        });
+      }
+    }
+  );
+
+  /**
+   * @route   GET /api/course-items/course/:courseId?kind= (legacy: GET /api/<kinds>/course/:courseId)
+   * @desc    Get all items for a course
+   * @access  Private
+   */
+  router.get(
+    '/course/:courseId',
+    authenticate,
+    kindFilter,
+    validate,
+    async (req, res) => {
+      try {
+        const { courseId } = req.params;
+
+        // Verify course exists
+        const course = await Course.findById(courseId);
+        if (!course) {
+          return res.status(404).json({
+            success: false,
+            message: 'Course not found',
+          });
+        }
+
+        // Check if user is enrolled or is the creator
+        const isEnrolled = await Enrollment.isEnrolled(req.user.id, courseId);
+        const isCreator = course.createdBy.toString() === req.user.id;
+
+        if (!isEnrolled && !isCreator) {
+          return res.status(403).json({
+            success: false,
+            message: `You can only view ${pluralNoun} for courses you are enrolled in or created`,
+          });
+        }
+
+        const items = await CourseItem.findByCourse(courseId, getListKind(req));
+
+        res.json({
+          success: true,
+          data: {
+            [listKey]: items.map(item => item.toJSON()),
+            count: items.length,
+          },
+        });
+      } catch (error) {
+        console.error(`Get ${pluralNoun} error:`, error);
+        res.status(500).json({
+          success: false,
+          message: `Failed to fetch ${pluralNoun}`,
+        });
+      }
+    }
+  );
+
+  /**
+   * @route   GET /api/course-items/upcoming?kind= (legacy: GET /api/<kinds>/upcoming)
+   * @desc    Get items due between "from" and "to" (default: the next 7 days)
+   *          in the current user's courses, soonest first
+   * @access  Private
+   */
+  router.get(
+    '/upcoming',
+    authenticate,
+    [
+      ...kindFilter,
+      query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+      query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+    ],
+    validate,
+    async (req, res) => {
+      try {
+        const range = getUpcomingRange(req.query);
+        if (range.error) {
+          return res.status(400).json({
+            success: false,
+            message: range.error,
+          });
+        }
+
+        const courses = await getUserCourses(req.user);
+        const items = courses.length > 0
+          ? await CourseItem.findDueBetween(
+            [{ courseIds: courses.map(c => c._id), from: range.from, to: range.to }],
+            getListKind(req)
+          )
+          : [];
+
+        res.json({
+          success: true,
+          data: {
+            from: range.from.toISOString(),
+            to: range.to.toISOString(),
+            [listKey]: items.map(item => item.toJSON()),
+            count: items.length,
+          },
+        });
+      } catch (error) {
+        console.error(`Get upcoming ${pluralNoun} error:`, error);
+        res.status(500).json({
+          success: false,
+          message: `Failed to fetch upcoming ${pluralNoun}`,
+        });
+      }
+    }
+  );
+
+  /**
+   * @route   GET /api/course-items/today?kind= (legacy: GET /api/<kinds>/today)
+   * @desc    Get items due today in the current user's courses,
+   *          where "today" is the calendar day in each course's timezone
+   * @access  Private
+   */
+  router.get(
+    '/today',
+    authenticate,
+    kindFilter,
+    validate,
+    async (req, res) => {
+      try {
+        const courses = await getUserCourses(req.user);
+        const items = courses.length > 0
+          ? await CourseItem.findDueBetween(getTodayRanges(courses), getListKind(req))
+          : [];
+
+        res.json({
+          success: true,
+          data: {
+            [listKey]: items.map(item => item.toJSON()),
+            count: items.length,
+          },
+        });
+      } catch (error) {
+        console.error(`Get ${pluralNoun} due today error:`, error);
+        res.status(500).json({
+          success: false,
+          message: `Failed to fetch ${pluralNoun} due today`,
+        });
+      }
+    }
+  );
+
+  /**
+   * @route   GET /api/course-items/mine?kind= (legacy: GET /api/<kinds>/my-<kinds>)
+   * @desc    Get all items created by the current user (Course Rep)
+   * @access  Private (course_rep)
+   */
+  router.get(
+    legacy ? `/my-${pluralNoun}` : '/mine',
+    authenticate,
+    authorize('course_rep'),
+    kindFilter,
+    validate,
+    async (req, res) => {
+      try {
+        const items = await CourseItem.findByCreator(req.user.id, getListKind(req));
+
+        res.json({
+          success: true,
+          data: {
+            [listKey]: items.map(item => item.toJSON()),
+            count: items.length,
+          },
+        });
+      } catch (error) {
+        console.error(`Get my ${pluralNoun} error:`, error);
+        res.status(500).json({
+          success: false,
+          message: `Failed to fetch ${pluralNoun}`,
+        });
+      }
+    }
+  );
+
+  /**
+   * @route   GET /api/course-items/submissions/mine?courseId= (legacy: GET /api/<kinds>/submissions/mine)
+   * @desc    Get the current student's submissions, optionally for one course
+   * @access  Private
+   */
+  router.get(
+    '/submissions/mine',
+    authenticate,
+    [
+      query('courseId').optional().isMongoId().withMessage('Invalid course ID'),
+    ],
+    validate,
+    async (req, res) => {
+      try {
+        const filter = { userId: req.user.id };
+        if (req.query.courseId) filter.courseId = req.query.courseId;
+
+        const submissions = await Submission.find(filter).sort({ submittedAt: -1 });
+
+        res.json({
+          success: true,
+          data: {
+            submissions: submissions.map(submission => submission.toJSON()),
+            count: submissions.length,
+          },
+        });
+      } catch (error) {
+        console.error('Get my submissions error:', error);
+        res.status(500).json({
+          success: false,
+          message: 'Failed to fetch submissions',
+        });
+      }
+    }
+  );
+
+  /**
+   * @route   POST /api/course-items/:id/submission (legacy: POST /api/<kinds>/:id/submission)
+   * @desc    Mark an item as submitted by the current student, with an optional
+   *          note or file reference. Submitting again replaces the details.
+   * @access  Private (enrolled students)
+   */
+  router.post(
+    '/:id/submission',
+    authenticate,
+    [
+      body('note')
+        .optional({ nullable: true })
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Note cannot exceed 500 characters'),
+      body('fileReference')
+        .optional({ nullable: true })
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('File reference cannot exceed 500 characters'),
+    ],
+    validate,
+    async (req, res) => {
+      try {
+        const item = await findItem(req, res);
+        if (!item) return;
+        if (!checkTakesSubmissions(res, item)) return;
+
+        if (!(await Enrollment.isEnrolled(req.user.id, item.courseId))) {
+          return res.status(403).json({
+            success: false,
+            message: `You can only submit ${COURSE_ITEM_KINDS[item.kind].plural} for courses you are enrolled in`,
+          });
+        }
+
+        if (item.isCancelled()) {
+          return res.status(400).json({
+            success: false,
+            message: `${item.getKindLabel()} has been cancelled`,
+          });
+        }
+
+        const submission = await Submission.submit(item, req.user.id, {
+          note: req.body.note || null,
+          fileReference: req.body.fileReference || null,
+        });
+
+        res.json({
+          success: true,
+          message: `${item.getKindLabel()} marked as submitted`,
+          data: {
+            submission: submission.toJSON(),
+          },
+        });
+      } catch (error) {
+        console.error(`Submit ${noun} error:`, error);
+        res.status(500).json({
+          success: false,
+          message: `Failed to submit ${noun}`,
+        });
+      }
+    }
+  );
+
+  /**
+   * @route   DELETE /api/course-items/:id/submission (legacy: DELETE /api/<kinds>/:id/submission)
+   * @desc    Undo the current student's submission
+   * @access  Private (enrolled students)
+   */
+  router.delete(
+    '/:id/submission',
+    authenticate,
+    async (req, res) => {
+      try {
+        const item = await findItem(req, res);
+        if (!item) return;
+        if (!checkTakesSubmissions(res, item)) return;
+
+        const result = await Submission.deleteOne({ itemId: item._id, userId: req.user.id });
+        if (result.deletedCount === 0) {
+          return res.status(404).json({
+            success: false,
+            message: 'Submission not found',
+          });
+        }
+
+        res.json({
+          success: true,
+          message: `${item.getKindLabel()} marked as not submitted`,
+        });
+      } catch (error) {
+        console.error(`Unsubmit ${noun} error:`, error);
+        res.status(500).json({
+          success: false,
+          message: 'Failed to undo submission',
+        });
+      }
+    }
+  );
+
+  /**
+   * @route   GET /api/course-items/:id/submissions (legacy: GET /api/<kinds>/:id/submissions)
+   * @desc    Get the submission roster for an item: every enrolled student and
+   *          whether they have submitted (Course Rep only)
+   * @access  Private (course_rep)
+   */
+  router.get(
+    '/:id/submissions',
+    authenticate,
+    authorize('course_rep'),
+    async (req, res) => {
+      try {
+        const item = await findItem(req, res);
+        if (!item) return;
+        if (!checkCreator(req, res, item, 'view submissions for')) return;
+        if (!checkTakesSubmissions(res, item)) return;
+
+        const [students, submissions] = await Promise.all([
+          Enrollment.getCourseStudents(item.courseId),
+          Submission.find({ itemId: item._id }),
+        ]);
+        const submissionsByUser = new Map(submissions.map(s => [s.userId.toString(), s]));
+
+        // Students who haven't submitted first, then submitters by submission time
+        const roster = students.map(student => {
+          const submission = submissionsByUser.get(student.id.toString());
+          return {
+            ...student,
+            submitted: !!submission,
+            submission: submission ? submission.toJSON() : null,
+          };
+        }).sort((a, b) => {
+          if (a.submitted !== b.submitted) return a.submitted ? 1 : -1;
+          if (!a.submitted) return 0;
+          return new Date(a.submission.submitted_at) - new Date(b.submission.submitted_at);
+        });
+
+        const submittedCount = roster.filter(student => student.submitted).length;
+
+        res.json({
+          success: true,
+          data: {
+            [itemKey]: item.toJSON(),
+            roster,
+            submitted_count: submittedCount,
+            not_submitted_count: roster.length - submittedCount,
+            total: roster.length,
+          },
+        });
+      } catch (error) {
+        console.error(`Get ${noun} submissions error:`, error);
+        res.status(500).json({
+          success: false,
+          message: 'Failed to fetch submissions',
+        });
+      }
+    }
+  );
+
+  /**
+   * @route   PUT /api/course-items/:id (legacy: PUT /api/<kinds>/:id)
+   * @desc    Update an item (Course Rep only)
+   * @access  Private (course_rep)
+   */
+  router.put(
+    '/:id',
+    authenticate,
+    authorize('course_rep'),
+    [
+      body(nameField).optional().trim().notEmpty(),
+      body('date')
+        .optional()
+        .trim()
+        .custom(isValidItemDate)
+        .withMessage('Date must be a valid DD/MM/YYYY or YYYY-MM-DD date'),
+      body('time')
+        .optional()
+        .trim()
+        .custom(isValidItemTime)
+        .withMessage('Time must be like "10:00 AM" or "14:30"'),
+      body('venue').optional().trim().notEmpty(),
+      body('topic').optional().trim(),
+      body('urgent').optional().isBoolean().withMessage('urgent must be true or false'),
+      ...attachmentIdsValidator,
+    ],
+    validate,
+    async (req, res) => {
+      try {
+        const { date, time, venue, topic, urgent, attachmentIds } = req.body;
+        const name = req.body[nameField];
+
+        // Get current item data before updating
+        const currentItem = await findItem(req, res);
+        if (!currentItem) return;
+        if (!checkCreator(req, res, currentItem, 'update')) return;
+        if (currentItem.isCancelled()) {
+          return res.status(400).json({
+            success: false,
+            message: `Cancelled ${pluralNoun} cannot be edited`,
+          });
+        }
+
+        // Build update data
+        const updateData = {};
+        if (name !== undefined) updateData.name = name.trim();
+        if (date !== undefined) updateData.date = date;
+        if (time !== undefined) updateData.time = time;
+        if (venue !== undefined) updateData.venue = venue.trim();
+        if (topic !== undefined) updateData.topic = topic ? topic.trim() : null;
+        if (urgent !== undefined) updateData.urgent = urgent;
+        if (attachmentIds !== undefined) {
+          // The list replaces the item's attachments
+          const attachments = await Attachment.claim(attachmentIds, {
+            userId: req.user.id,
+            courseId: currentItem.courseId,
+          });
+          if (!attachments) {
+            return res.status(400).json({
+              success: false,
+              message: 'One or more attachments are invalid. Upload them again for this course.',
+            });
+          }
+          updateData.attachments = attachments.map(attachment => attachment._id);
+        }
+        if (date !== undefined || time !== undefined) {
+          const course = await Course.findById(currentItem.courseId);
+          Object.assign(updateData, resolveDueAt(
+            date !== undefined ? date : currentItem.date,
+            time !== undefined ? time : currentItem.time,
+            course
+          ));
+        }
+
+        // Detect what changed for notification
+        const changes = describeItemChanges(currentItem, updateData);
+
+        const item = await CourseItem.findByIdAndUpdate(currentItem._id, updateData, { new: true })
+          .populate('attachments');
+        if (updateData.attachments) {
+          const kept = new Set(updateData.attachments.map(String));
+          await releaseAttachments(currentItem.attachments.filter(id => !kept.has(String(id))));
+        }
+        const sent = await notifyItemUpdated(item, changes);
+
+        res.json({
+          success: true,
+          message: `${item.getKindLabel()} updated successfully`,
+          data: {
+            [itemKey]: item.toJSON(),
+            ...sent,
+          },
+        });
+      } catch (error) {
+        console.error(`Update ${noun} error:`, error);
+        res.status(500).json({
+          success: false,
+          message: `Failed to update ${noun}`,
+        });
+      }
+    }
+  );
+
+  /**
+   * @route   POST /api/course-items/:id/cancel (legacy: POST /api/<kinds>/:id/cancel)
+   * @desc    Cancel an item and notify enrolled students (Course Rep only).
+   *          The item stays listed for the course, marked as cancelled.
+   * @access  Private (course_rep)
+   */
+  router.post(
+    '/:id/cancel',
+    authenticate,
+    authorize('course_rep'),
+    [
+      body('reason')
+        .optional({ nullable: true })
+        .trim()
+        .isLength({ max: 200 })
+        .withMessage('Reason cannot exceed 200 characters'),
+    ],
+    validate,
+    async (req, res) => {
+      try {
+        const item = await findItem(req, res);
+        if (!item) return;
+        if (!checkCreator(req, res, item, 'cancel')) return;
+
+        if (item.isCancelled()) {
+          return res.status(400).json({
+            success: false,
+            message: `${item.getKindLabel()} is already cancelled`,
+          });
+        }
+
+        item.cancelledAt = new Date();
+        item.cancelReason = req.body.reason || null;
+        await item.save();
+
+        const sent = await notifyItemCancelled(item);
+
+        res.json({
+          success: true,
+          message: `${item.getKindLabel()} cancelled successfully`,
+          data: {
+            [itemKey]: item.toJSON(),
+            ...sent,
+          },
+        });
+      } catch (error) {
+        console.error(`Cancel ${noun} error:`, error);
+        res.status(500).json({
+          success: false,
+          message: `Failed to cancel ${noun}`,
+        });
+      }
+    }
+  );
+
+  /**
+   * @route   DELETE /api/course-items/:id (legacy: DELETE /api/<kinds>/:id)
+   * @desc    Delete an item and notify enrolled students (Course Rep only)
+   * @access  Private (course_rep)
+   */
+  router.delete(
+    '/:id',
+    authenticate,
+    authorize('course_rep'),
+    async (req, res) => {
+      try {
+        const item = await findItem(req, res);
+        if (!item) return;
+        if (!checkCreator(req, res, item, 'delete')) return;
+
+        await item.deleteOne();
+        await Submission.deleteMany({ itemId: item._id });
+        await releaseAttachments(item.attachments);
+        const sent = await notifyItemDeleted(item);
+
+        res.json({
+          success: true,
+          message: `${item.getKindLabel()} deleted successfully`,
+          data: {
+            id: item._id,
+            ...sent,
+          },
+        });
+      } catch (error) {
+        console.error(`Delete ${noun} error:`, error);
+        res.status(500).json({
+          success: false,
+          message: `Failed to delete ${noun}`,
+        });
+      }
+    }
+  );
+
+  return router;
+};
+
+module.exports = createCourseItemRouter;
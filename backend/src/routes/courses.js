@@ -1,10 +1,22 @@
 const express = require('express');
 const { body, param, query } = require('express-validator');
-const { Course, Enrollment, Notification, User } = require('../models');
+const {
+  Course,
+  ClassException,
+  Enrollment,
+  EnrollmentRequest,
+  Notification,
+  ScheduledAnnouncement,
+  Announcement,
+  Term,
+  User,
+} = require('../models');
 const { authenticate, authorize, optionalAuth } = require('../middleware/auth');
 const validate = require('../middleware/validate');
-const { sendBulkPushNotifications } = require('../utils/pushNotificationService');
-const { sendBulkSMS } = require('../utils/smsService');
+const { dispatch, SMS_WINDOW_MINUTES } = require('../utils/notificationDispatcher');
+const { isClassStartingWithin, isValidTimezone } = require('../utils/schedule');
+const { syncCourseOccurrences, removeCourseOccurrences } = require('../utils/occurrenceSync');
+const { recomputeCourseDueDates } = require('../utils/itemDates');
 
 const router = express.Router();
 
@@ -38,6 +50,14 @@ router.post(
       .optional()
       .trim(),
     body('venue').optional().trim(),
+    body('timezone')
+      .optional({ nullable: true })
+      .custom(isValidTimezone)
+      .withMessage('Timezone must be a valid IANA timezone (e.g., Africa/Accra)'),
+    body('termId')
+      .optional({ nullable: true })
+      .isMongoId()
+      .withMessage('Invalid term ID'),
     body('creditHours').optional().trim(),
     body('indexFrom').optional().trim(),
     body('indexTo').optional().trim(),
@@ -56,6 +76,8 @@ router.post(
         startTime,
         endTime,
         venue,
+        timezone,
+        termId,
         creditHours,
         indexFrom,
         indexTo,
@@ -63,6 +85,13 @@ router.post(
         allowedPhoneNumbers,
       } = req.body;
 
+      if (termId && !(await Term.findForCollege(termId, req.user.college))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Term not found',
+        });
+      }
+
       // Generate unique 5-digit code
       const uniqueCode = await Course.generateUniqueCode();
 
@@ -104,6 +133,8 @@ router.post(
         dayTimes: dayTimes || {},
         dayVenues: dayVenues || {},
         venue: courseVenue,
+        timezone: timezone || null,
+        termId: termId || null,
         creditHours,
         indexFrom,
         indexTo,
@@ -112,6 +143,8 @@ router.post(
         allowedPhoneNumbers: normalizedPhoneNumbers,
       });
 
+      await syncCourseOccurrences(course._id);
+
       res.status(201).json({
         success: true,
         message: 'Course created successfully',
@@ -340,6 +373,14 @@ router.put(
     body('startTime').optional().trim().notEmpty(),
     body('endTime').optional().trim().notEmpty(),
     body('venue').optional().trim(),
+    body('timezone')
+      .optional({ nullable: true })
+      .custom(isValidTimezone)
+      .withMessage('Timezone must be a valid IANA timezone (e.g., Africa/Accra)'),
+    body('termId')
+      .optional({ nullable: true })
+      .isMongoId()
+      .withMessage('Invalid term ID'),
     body('creditHours').optional().trim(),
     body('indexFrom').optional().trim(),
     body('indexTo').optional().trim(),
@@ -367,6 +408,8 @@ router.put(
         startTime,
         endTime,
         venue,
+        timezone,
+        termId,
         creditHours,
         indexFrom,
         indexTo,
@@ -375,6 +418,13 @@ router.put(
         allowedPhoneNumbers,
       } = req.body;
 
+      if (termId && !(await Term.findForCollege(termId, req.user.college))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Term not found',
+        });
+      }
+
       const updateData = {};
       if (courseName !== undefined) updateData.courseName = courseName;
       if (courseCode !== undefined) updateData.courseCode = courseCode;
@@ -405,6 +455,8 @@ router.put(
       } else {
         if (venue !== undefined) updateData.venue = venue;
       }
+      if (timezone !== undefined) updateData.timezone = timezone || null;
+      if (termId !== undefined) updateData.termId = termId || null;
       if (creditHours !== undefined) updateData.creditHours = creditHours;
       if (indexFrom !== undefined) updateData.indexFrom = indexFrom;
       if (indexTo !== undefined) updateData.indexTo = indexTo;
@@ -417,7 +469,7 @@ router.put(
       }
 
       // Get current course data before updating to detect changes
-      const currentCourse = await Course.findById(courseId);
+      const currentCourse = await Course.findById(courseId).populate(['termId', 'exceptions']);
       if (!currentCourse) {
         return res.status(404).json({
           success: false,
@@ -439,6 +491,8 @@ router.put(
             dayTimes: currentCourse.dayTimes,
             dayVenues: currentCourse.dayVenues,
             venue: currentCourse.venue,
+            timezone: currentCourse.timezone,
+            termId: currentCourse.termId ? currentCourse.termId._id : null,
             creditHours: currentCourse.creditHours,
             indexFrom: currentCourse.indexFrom,
             indexTo: currentCourse.indexTo,
@@ -524,90 +578,16 @@ router.put(
       console.log('Current course days:', currentCourse.days);
 
       const course = await Course.findByIdAndUpdate(courseId, updateData, { new: true });
-
-      // Get all enrolled students for the course
-      const enrollments = await Enrollment.find({ courseId })
-        .populate('userId', 'pushToken notificationsEnabled fullName phoneNumber');
-
-      console.log(`Found ${enrollments.length} enrollments for course ${courseId}`);
-
-      // Helper function to calculate next class time (similar to classReminderJob)
-      const calculateNextClassTime = (courseData, fromDate = new Date()) => {
-        try {
-          const days = courseData.days || [];
-          if (days.length === 0) return null;
-          
-          const dayTimes = courseData.dayTimes || {};
-          const hasDayTimes = Object.keys(dayTimes).length > 0;
-          
-          const getDayName = (date) => {
-            const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-            return days[date.getDay()];
-          };
-          
-          const parseTime = (timeStr, date) => {
-            if (!timeStr) return null;
-            try {
-              const time12Hour = timeStr.match(/(\d{1,2}):(\d{2})\s*(AM|PM)/i);
-              if (time12Hour) {
-                let hours = parseInt(time12Hour[1], 10);
-                const minutes = parseInt(time12Hour[2], 10);
-                const ampm = time12Hour[3].toUpperCase();
-                if (ampm === 'PM' && hours !== 12) hours += 12;
-                if (ampm === 'AM' && hours === 12) hours = 0;
-                const result = new Date(date);
-                result.setHours(hours, minutes, 0, 0);
-                return result;
-              }
-              const time24Hour = timeStr.match(/(\d{1,2}):(\d{2})/);
-              if (time24Hour) {
-                const hours = parseInt(time24Hour[1], 10);
-                const minutes = parseInt(time24Hour[2], 10);
-                const result = new Date(date);
-                result.setHours(hours, minutes, 0, 0);
-                return result;
-              }
-              return null;
-            } catch (error) {
-              return null;
-            }
-          };
-          
-          for (let i = 0; i < 7; i++) {
-            const checkDate = new Date(fromDate);
-            checkDate.setDate(checkDate.getDate() + i);
-            const dayName = getDayName(checkDate);
-            
-            if (!days.includes(dayName)) continue;
-            
-            let startTime = null;
-            
-            if (hasDayTimes && dayTimes[dayName]) {
-              startTime = parseTime(dayTimes[dayName].startTime, checkDate);
-            } else {
-              startTime = parseTime(courseData.startTime, checkDate);
-            }
-            
-            if (startTime) {
-              const timeDiff = startTime.getTime() - fromDate.getTime();
-              const thirtyMinutes = 30 * 60 * 1000;
-              if (timeDiff >= -thirtyMinutes) {
-                return startTime;
-              }
-            }
-          }
-          
-          return null;
-        } catch (error) {
-          return null;
-        }
-      };
+      await syncCourseOccurrences(courseId);
+      if (updateData.timezone !== undefined && updateData.timezone !== currentCourse.timezone) {
+        await recomputeCourseDueDates(course);
+      }
 
       // Check if change is within 30 minutes of next class time (use currentCourse before update)
-      const now = new Date();
-      const nextClassTime = calculateNextClassTime(currentCourse, now);
-      const thirtyMinutes = 30 * 60 * 1000; // 30 minutes in milliseconds
-      const isWithinThirtyMinutes = nextClassTime && (nextClassTime.getTime() - now.getTime() <= thirtyMinutes && nextClassTime.getTime() - now.getTime() > 0);
+      const {
+        within: isWithinThirtyMinutes,
+        minutesUntilClass,
+      } = isClassStartingWithin(currentCourse, SMS_WINDOW_MINUTES);
       
       // Check if class is being cancelled
       // Cancellation happens when:
@@ -628,11 +608,9 @@ router.put(
       const shouldSendSMS = isWithinThirtyMinutes && (changes.length > 0 || isCancelled);
       
       if (shouldSendSMS) {
-        const minutesUntilClass = Math.round((nextClassTime.getTime() - now.getTime()) / 1000 / 60);
         console.log(`⚠️ Last-minute change detected! Next class in ${minutesUntilClass} minutes. SMS will be sent.`);
       } else if (changes.length > 0 || isCancelled) {
-        const minutesUntilClass = nextClassTime ? Math.round((nextClassTime.getTime() - now.getTime()) / 1000 / 60) : 'N/A';
-        console.log(`ℹ️ Change detected. Next class in ${minutesUntilClass} minutes. Only push notifications will be sent (outside 30-minute window).`);
+        console.log(`ℹ️ Change detected. Next class in ${minutesUntilClass ?? 'N/A'} minutes. Only push notifications will be sent (outside 30-minute window).`);
       }
 
       // Determine notification title based on the primary change
@@ -697,123 +675,35 @@ router.put(
         pushMessage += `. ${changeSummary.join(', ')}`;
       }
 
-      // Prepare notifications for all enrolled students
-      const notifications = [];
-      const pushNotifications = [];
-      const smsRecipients = [];
-
-      for (const enrollment of enrollments) {
-        const student = enrollment.userId;
-        
-        // Skip if user no longer exists (e.g., deleted account)
-        if (!student || !student._id) {
-          continue;
-        }
-        
-        // Get student's name for personalized notifications
-        const studentName = student.fullName || 'Student';
-        
-        // Create in-app notification for all students (detailed message with student name)
-        const notificationMessage = `Hi ${studentName}, ${detailedMessage}`;
-        notifications.push({
-          userId: student._id,
-          title: notificationTitle,
-          message: notificationMessage,
+      // Short summary for SMS (max 2 changes)
+      const smsMessage = isCancelled
+        ? `${course.courseName} class CANCELLED.`
+        : `${course.courseName} - ${changes.slice(0, 2).join(', ')}.`;
+
+      const result = await dispatch('course_updated', {
+        audience: { courseId },
+        course,
+        title: notificationTitle,
+        message: detailedMessage,
+        pushMessage,
+        smsMessage,
+        urgent: shouldSendSMS,
+        data: {
           type: 'course_update',
-          courseId: courseId,
-        });
-
-        // Prepare push notification for students with push tokens and notifications enabled (concise message)
-        if (student.pushToken && student.notificationsEnabled) {
-          const pushMsg = `Hi ${studentName}, ${pushMessage}`;
-          pushNotifications.push({
-            pushToken: student.pushToken,
-            title: notificationTitle,
-            body: pushMsg,
-            data: {
-              type: 'course_update',
-              courseId: courseId.toString(),
-              courseName: course.courseName,
-            },
-          });
-        }
-
-        // Prepare SMS for students with phone numbers (only if within 1 hour of class)
-        if (shouldSendSMS && student.phoneNumber) {
-          // Create concise SMS message (max 160 chars)
-          let smsMessage = '';
-          if (isCancelled) {
-            smsMessage = `Hi ${studentName}, URGENT: ${course.courseName} class CANCELLED.`;
-          } else {
-            // Create short summary of changes
-            const changeSummary = changes.slice(0, 2).join(', '); // Limit to 2 changes for SMS
-            smsMessage = `Hi ${studentName}, URGENT: ${course.courseName} - ${changeSummary}.`;
-          }
-          
-          // Truncate if too long (SMS limit ~160 chars)
-          if (smsMessage.length > 160) {
-            smsMessage = smsMessage.substring(0, 157) + '...';
-          }
-          
-          smsRecipients.push({
-            phoneNumber: student.phoneNumber,
-            message: smsMessage,
-            userId: student._id,
-            type: 'course_update',
-            courseId: courseId
-          });
-        }
-      }
-
-      // Create in-app notifications in database
-      if (notifications.length > 0) {
-        console.log(`Creating ${notifications.length} in-app notifications`);
-        await Notification.insertMany(notifications);
-        console.log('In-app notifications created successfully');
-      } else {
-        console.log('No notifications to create (no enrolled students or all students deleted)');
-      }
-
-      // Send push notifications
-      if (pushNotifications.length > 0) {
-        try {
-          console.log(`Sending ${pushNotifications.length} push notifications`);
-          const pushResult = await sendBulkPushNotifications(pushNotifications);
-          console.log(`Push notifications sent: ${pushResult.sent || 0} successful, ${pushResult.failed || 0} failed`);
-        } catch (pushError) {
-          console.error('Error sending push notifications:', pushError);
-          // Don't fail the request if push notifications fail
-        }
-      } else {
-        console.log('No push notifications to send');
-      }
-
-      // Send SMS notifications for last-minute changes (within 1 hour of class)
-      let smsResult = { sent: 0, failed: 0, limitExceeded: 0 };
-      if (smsRecipients.length > 0) {
-        try {
-          console.log(`Sending ${smsRecipients.length} SMS notifications for last-minute changes`);
-          smsResult = await sendBulkSMS(smsRecipients);
-          console.log(`SMS notifications sent: ${smsResult.sent || 0} successful, ${smsResult.failed || 0} failed, ${smsResult.limitExceeded || 0} limit exceeded`);
-          if (smsResult.errors && smsResult.errors.length > 0) {
-            console.error('SMS errors:', smsResult.errors);
-          }
-        } catch (smsError) {
-          console.error('Error sending SMS notifications:', smsError);
-          // Don't fail the request if SMS fails
-        }
-      } else if (shouldSendSMS) {
-        console.log('No SMS recipients found (students may not have phone numbers)');
-      }
+          courseId: courseId.toString(),
+          courseName: course.courseName,
+        },
+      });
 
       res.json({
         success: true,
         message: 'Course updated successfully',
         data: {
           course,
-          notificationsSent: notifications.length,
-          pushNotificationsSent: pushNotifications.length,
-          smsSent: smsResult.sent || 0,
+          notificationsSent: result.recipientCount,
+          pushNotificationsQueued: result.pushNotificationsQueued,
+          smsQueued: result.smsQueued,
+          smsSkippedForQuota: result.smsSkippedForQuota,
         },
       });
     } catch (error) {
@@ -857,8 +747,13 @@ router.delete(
 
       // Delete related enrollments and notifications
       await Enrollment.deleteMany({ courseId });
+      await EnrollmentRequest.deleteMany({ courseId });
+      await ClassException.deleteMany({ courseId });
       await Notification.deleteMany({ courseId });
+      await ScheduledAnnouncement.deleteMany({ courseId });
+      await Announcement.deleteMany({ courseId });
       await Course.findByIdAndDelete(courseId);
+      await removeCourseOccurrences(courseId);
 
       res.json({
         success: true,
@@ -967,16 +862,21 @@ router.post(
       // Enroll student
       await Enrollment.enroll(student._id, courseId);
 
+      // Adding the student directly settles any request they had open
+      const openRequest = await EnrollmentRequest.findPending(student._id, courseId);
+      if (openRequest) {
+        await openRequest.review('approved', req.user.id);
+      }
+
       // Get course for notification
       const course = await Course.findById(courseId);
 
       // Send notification to student
-      await Notification.create({
-        userId: student._id,
+      await dispatch('enrollment_changed', {
+        audience: { userIds: [student._id] },
+        course,
         title: 'Course Enrollment',
         message: `You have been enrolled in ${course.courseName}`,
-        type: 'announcement',
-        courseId: courseId,
       });
 
       res.status(201).json({
@@ -1001,6 +901,165 @@ router.post(
   }
 );
 
+/**
+ * @route   GET /api/courses/:id/requests
+ * @desc    Get pending join requests for a course (Creator only)
+ * @access  Private (course_rep)
+ */
+router.get(
+  '/:id/requests',
+  authenticate,
+  authorize('course_rep'),
+  async (req, res) => {
+    try {
+      const courseId = req.params.id;
+
+      // Check if user is creator
+      if (!(await Course.isCreator(courseId, req.user.id))) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only view join requests for courses you created',
+        });
+      }
+
+      const requests = await EnrollmentRequest.getPendingForCourse(courseId);
+
+      res.json({
+        success: true,
+        data: {
+          requests,
+          count: requests.length,
+        },
+      });
+    } catch (error) {
+      console.error('Get join requests error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch join requests',
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/courses/:id/requests/:requestId/:decision
+ * @desc    Approve or reject a pending join request (Creator only)
+ * @access  Private (course_rep)
+ */
+router.post(
+  '/:id/requests/:requestId/:decision',
+  authenticate,
+  authorize('course_rep'),
+  [
+    param('decision')
+      .isIn(['approve', 'reject'])
+      .withMessage('Decision must be approve or reject'),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const { id: courseId, requestId, decision } = req.params;
+
+      // Check if user is creator
+      if (!(await Course.isCreator(courseId, req.user.id))) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only review join requests for courses you created',
+        });
+      }
+
+      const request = await EnrollmentRequest.findOne({ _id: requestId, courseId });
+      if (!request) {
+        return res.status(404).json({
+          success: false,
+          message: 'Join request not found',
+        });
+      }
+
+      if (request.status !== 'pending') {
+        return res.status(409).json({
+          success: false,
+          message: `This request has already been ${request.status}`,
+        });
+      }
+
+      const course = await Course.findById(courseId);
+      const student = await User.findById(request.userId);
+      if (!student) {
+        await request.review('rejected', req.user.id);
+        return res.status(404).json({
+          success: false,
+          message: 'Student no longer exists',
+        });
+      }
+
+      let title;
+      let message;
+
+      if (decision === 'approve') {
+        // Same access rules as joining directly: the first enrollment starts the
+        // free trial, later ones need payment. The request stays pending until then.
+        if (!student.hasActiveAccess()) {
+          const enrollmentCount = await Enrollment.countDocuments({ userId: student._id });
+          if (enrollmentCount > 0) {
+            return res.status(403).json({
+              success: false,
+              message: `${student.fullName}'s free trial has ended. They need to pay before they can be added to this course.`,
+            });
+          }
+          await student.startTrial();
+        }
+
+        try {
+          await Enrollment.enroll(student._id, courseId);
+        } catch (error) {
+          // Already enrolled, e.g. by a concurrent approval
+          if (error.message !== 'Already enrolled in this course') throw error;
+        }
+        await request.review('approved', req.user.id);
+
+        title = 'Join Request Approved';
+        message = `Your request to join ${course.courseName} has been approved`;
+      } else {
+        await request.review('rejected', req.user.id);
+
+        title = 'Join Request Declined';
+        message = `Your request to join ${course.courseName} was declined by the course rep`;
+      }
+
+      // Notify the student of the decision
+      await dispatch('join_reviewed', {
+        audience: { userIds: [student._id] },
+        course,
+        title,
+        message,
+        data: {
+          type: 'enrollment_request',
+          status: request.status,
+          courseId: courseId.toString(),
+          courseName: course.courseName,
+        },
+      });
+
+      res.json({
+        success: true,
+        message: decision === 'approve'
+          ? `${student.fullName} has been added to the course`
+          : `Request from ${student.fullName} rejected`,
+        data: {
+          request,
+        },
+      });
+    } catch (error) {
+      console.error('Review join request error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to review join request',
+      });
+    }
+  }
+);
+
 /**
  * @route   DELETE /api/courses/:id/students/:studentId
  * @desc    Remove a student from a course (Creator only)
@@ -1039,12 +1098,11 @@ router.delete(
 
       // Send notification to student
       if (student) {
-        await Notification.create({
-          userId: studentId,
+        await dispatch('enrollment_changed', {
+          audience: { userIds: [studentId] },
+          course,
           title: 'Course Unenrollment',
           message: `You have been removed from ${course.courseName}`,
-          type: 'announcement',
-          courseId: courseId,
         });
       }
 
@@ -1062,4 +1120,140 @@ router.delete(
   }
 );
 
+
+/**
+ * @route   POST /api/courses/:id/rollover
+ * @desc    Copy a course into the next term with a new join code (Creator only)
+ * @access  Private (course_rep)
+ */
+router.post(
+  '/:id/rollover',
+  authenticate,
+  authorize('course_rep'),
+  [
+    param('id').isMongoId().withMessage('Invalid course ID'),
+    body('termId')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid term ID'),
+    body('keepStudents')
+      .optional()
+      .isBoolean()
+      .withMessage('keepStudents must be true or false'),
+    body('allowedPhoneNumbers')
+      .optional()
+      .isArray()
+      .withMessage('allowedPhoneNumbers must be a list'),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const courseId = req.params.id;
+      const { termId, keepStudents, allowedPhoneNumbers } = req.body;
+
+      if (!(await Course.isCreator(courseId, req.user.id))) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only roll over courses you created',
+        });
+      }
+
+      const course = await Course.findById(courseId).populate('termId');
+
+      // Use the requested term, otherwise the one after the course's current term
+      let targetTerm = null;
+      if (termId) {
+        targetTerm = await Term.findForCollege(termId, req.user.college);
+      } else if (course.termId) {
+        targetTerm = await course.termId.getNextTerm();
+      }
+
+      if (!targetTerm) {
+        return res.status(400).json({
+          success: false,
+          message: termId
+            ? 'Term not found'
+            : 'No next term found. Create the next term or choose one to roll over into.',
+        });
+      }
+
+      if (course.termId && course.termId._id.equals(targetTerm._id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Course is already in this term',
+        });
+      }
+
+      const existing = await Course.findOne({ rolledOverFrom: course._id, termId: targetTerm._id });
+      if (existing) {
+        return res.status(409).json({
+          success: false,
+          message: `Course was already rolled over into ${targetTerm.name}`,
+          data: {
+            course: existing,
+          },
+        });
+      }
+
+      const uniqueCode = await Course.generateUniqueCode();
+
+      // An empty whitelist lets anyone join, so keep the current one unless the rep sets a new one
+      const phoneWhitelist = allowedPhoneNumbers !== undefined
+        ? allowedPhoneNumbers.map(num => String(num).trim()).filter(num => num.length > 0)
+        : course.allowedPhoneNumbers;
+
+      const newCourse = await Course.create({
+        uniqueCode,
+        courseName: course.courseName,
+        courseCode: course.courseCode,
+        days: course.days,
+        startTime: course.startTime,
+        endTime: course.endTime,
+        dayTimes: course.dayTimes,
+        dayVenues: course.dayVenues,
+        venue: course.venue,
+        timezone: course.timezone,
+        termId: targetTerm._id,
+        rolledOverFrom: course._id,
+        creditHours: course.creditHours,
+        indexFrom: course.indexFrom,
+        indexTo: course.indexTo,
+        courseRepName: course.courseRepName,
+        createdBy: req.user.id,
+        allowedPhoneNumbers: phoneWhitelist,
+      });
+
+      await syncCourseOccurrences(newCourse._id);
+
+      // Carry the class list over for courses that continue with the same students
+      let studentsCopied = 0;
+      if (keepStudents) {
+        const enrollments = await Enrollment.find({ courseId: course._id });
+        if (enrollments.length > 0) {
+          await Enrollment.insertMany(
+            enrollments.map(e => ({ userId: e.userId, courseId: newCourse._id }))
+          );
+          studentsCopied = enrollments.length;
+        }
+      }
+
+      res.status(201).json({
+        success: true,
+        message: `Course rolled over into ${targetTerm.name}`,
+        data: {
+          course: newCourse,
+          term: targetTerm,
+          studentsCopied,
+        },
+      });
+    } catch (error) {
+      console.error('Roll over course error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to roll over course',
+      });
+    }
+  }
+);
+
 module.exports = router;
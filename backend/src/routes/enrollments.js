@@ -1,8 +1,13 @@
 const express = require('express');
-const { body, param } = require('express-validator');
-const { Course, Enrollment, Notification, User } = require('../models');
+const { body, param, query } = require('express-validator');
+const { Course, Enrollment, EnrollmentRequest, User } = require('../models');
 const { authenticate, authorize } = require('../middleware/auth');
 const validate = require('../middleware/validate');
+const { dispatch } = require('../utils/notificationDispatcher');
+const { getOccurrences, occurrenceToJSON } = require('../utils/schedule');
+
+// Largest range the schedule endpoint will expand in one request
+const MAX_SCHEDULE_RANGE_DAYS = 62;
 
 const router = express.Router();
 
@@ -43,6 +48,60 @@ router.post(
         });
       }
 
+      // Students not on the course whitelist must be approved by the course rep
+      if (!course.isPhoneNumberAllowed(req.user.phone_number)) {
+        const existingRequest = await EnrollmentRequest.findPending(req.user.id, course._id);
+        if (existingRequest) {
+          return res.status(409).json({
+            success: false,
+            message: 'Your request to join this course is still awaiting approval',
+          });
+        }
+
+        let request;
+        try {
+          request = await EnrollmentRequest.create({
+            userId: req.user.id,
+            courseId: course._id,
+          });
+        } catch (error) {
+          // A concurrent join already opened the request
+          if (error.code === 11000) {
+            return res.status(409).json({
+              success: false,
+              message: 'Your request to join this course is still awaiting approval',
+            });
+          }
+          throw error;
+        }
+
+        // Let the course rep know there is a request to review
+        const repId = course.createdBy._id || course.createdBy;
+        const title = 'New Join Request';
+        const message = `${req.user.full_name} has requested to join ${course.courseName}`;
+        await dispatch('join_requested', {
+          audience: { userIds: [repId] },
+          course,
+          title,
+          message,
+          data: {
+            type: 'enrollment_request',
+            courseId: course._id.toString(),
+            courseName: course.courseName,
+          },
+        });
+
+        return res.status(202).json({
+          success: true,
+          message: `Your request to join ${course.courseName} has been sent to the course rep for approval`,
+          data: {
+            course,
+            request,
+            pending: true,
+          },
+        });
+      }
+
       // Check access and handle trial (only for students)
       if (req.user.role === 'student') {
         const user = await User.findById(req.user.id);
@@ -69,12 +128,11 @@ router.post(
             const enrollment = await Enrollment.enroll(req.user.id, course._id);
 
             // Send notification to course rep
-            await Notification.create({
-              userId: course.createdBy._id || course.createdBy,
+            await dispatch('enrollment_changed', {
+              audience: { userIds: [course.createdBy._id || course.createdBy] },
+              course,
               title: 'New Student Enrolled',
               message: `${req.user.full_name} has enrolled in ${course.courseName}`,
-              type: 'announcement',
-              courseId: course._id,
             });
 
             return res.status(201).json({
@@ -105,12 +163,11 @@ router.post(
       const enrollment = await Enrollment.enroll(req.user.id, course._id);
 
       // Send notification to course rep
-      await Notification.create({
-        userId: course.createdBy._id || course.createdBy,
+      await dispatch('enrollment_changed', {
+        audience: { userIds: [course.createdBy._id || course.createdBy] },
+        course,
         title: 'New Student Enrolled',
         message: `${req.user.full_name} has enrolled in ${course.courseName}`,
-        type: 'announcement',
-        courseId: course._id,
       });
 
       res.status(201).json({
@@ -178,6 +235,175 @@ router.get(
   }
 );
 
+/**
+ * @route   GET /api/enrollments/schedule
+ * @desc    Get concrete class occurrences for enrolled courses in a date range
+ *          (defaults to the next 7 days)
+ * @access  Private (student)
+ */
+router.get(
+  '/schedule',
+  authenticate,
+  authorize('student'),
+  [
+    query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+    query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+    query('includeCancelled').optional().isIn(['true', 'false']),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const from = req.query.from ? new Date(req.query.from) : new Date();
+      const to = req.query.to
+        ? new Date(req.query.to)
+        : new Date(from.getTime() + 7 * 24 * 60 * 60 * 1000);
+      const includeCancelled = req.query.includeCancelled === 'true';
+
+      if (to <= from) {
+        return res.status(400).json({
+          success: false,
+          message: '"to" must be after "from"',
+        });
+      }
+
+      if (to - from > MAX_SCHEDULE_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+        return res.status(400).json({
+          success: false,
+          message: `Date range cannot exceed ${MAX_SCHEDULE_RANGE_DAYS} days`,
+        });
+      }
+
+      const enrollments = await Enrollment.find({ userId: req.user.id })
+        .populate({ path: 'courseId', populate: [{ path: 'termId' }, { path: 'exceptions' }] });
+
+      const occurrences = enrollments
+        .filter(e => e.courseId)
+        .flatMap(e => getOccurrences(e.courseId, from, to, { includeCancelled }).map(occurrence => ({
+          ...occurrenceToJSON(occurrence),
+          course_code: e.courseId.courseCode,
+          index_from: e.courseId.indexFrom,
+          index_to: e.courseId.indexTo,
+          course_updated_at: e.courseId.updatedAt,
+        })))
+        .sort((a, b) => a.start.localeCompare(b.start));
+
+      res.json({
+        success: true,
+        data: {
+          from: from.toISOString(),
+          to: to.toISOString(),
+          occurrences,
+          count: occurrences.length,
+        },
+      });
+    } catch (error) {
+      console.error('Get schedule error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch schedule',
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/enrollments/requests
+ * @desc    Get join requests made by current student
+ * @access  Private (student)
+ */
+router.get(
+  '/requests',
+  authenticate,
+  authorize('student'),
+  async (req, res) => {
+    try {
+      const requests = await EnrollmentRequest.getByUser(req.user.id);
+
+      res.json({
+        success: true,
+        data: {
+          requests,
+          count: requests.length,
+        },
+      });
+    } catch (error) {
+      console.error('Get join requests error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch join requests',
+      });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/enrollments/:courseId/reminders
+ * @desc    Set reminder offsets or mute reminders for one enrolled course
+ *          (reminderOffsets: null goes back to the student's defaults)
+ * @access  Private (student)
+ */
+router.put(
+  '/:courseId/reminders',
+  authenticate,
+  authorize('student'),
+  [
+    param('courseId').isMongoId().withMessage('Invalid course ID'),
+    body('reminderOffsets')
+      .optional({ nullable: true })
+      .isArray({ min: 1, max: 3 })
+      .withMessage('reminderOffsets must be a list of 1 to 3 reminders, or null'),
+    body('reminderOffsets.*')
+      .isInt({ min: 1, max: 1440 })
+      .withMessage('Each reminder must be between 1 minute and 1 day before class')
+      .toInt(),
+    body('muted').optional().isBoolean().withMessage('muted must be true or false'),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const { courseId } = req.params;
+      const { reminderOffsets, muted } = req.body;
+
+      const enrollment = await Enrollment.findOne({ userId: req.user.id, courseId });
+      if (!enrollment) {
+        return res.status(404).json({
+          success: false,
+          message: 'You are not enrolled in this course',
+        });
+      }
+
+      if (reminderOffsets !== undefined) {
+        enrollment.reminderOffsets = reminderOffsets ? [...new Set(reminderOffsets)] : undefined;
+      }
+      if (muted !== undefined) {
+        enrollment.remindersMuted = muted;
+      }
+      await enrollment.save();
+
+      const user = await User.findById(req.user.id);
+
+      res.json({
+        success: true,
+        message: enrollment.remindersMuted ? 'Reminders muted for this course' : 'Reminder settings updated',
+        data: {
+          course_id: enrollment.courseId,
+          reminder_offsets: enrollment.reminderOffsets && enrollment.reminderOffsets.length > 0
+            ? enrollment.reminderOffsets
+            : null,
+          reminders_muted: enrollment.remindersMuted,
+          effective_offsets: Enrollment.resolveReminderOffsets(enrollment, user),
+        },
+      });
+    } catch (error) {
+      console.error('Update course reminders error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update reminder settings',
+      });
+    }
+  }
+);
+
 /**
  * @route   DELETE /api/enrollments/:courseId
  * @desc    Unenroll from a course (Students only)
@@ -1,13 +1,15 @@
 const express = require('express');
 const authRoutes = require('./auth');
 const courseRoutes = require('./courses');
+const classExceptionRoutes = require('./classExceptions');
 const enrollmentRoutes = require('./enrollments');
 const notificationRoutes = require('./notifications');
-const quizRoutes = require('./quizzes');
-const assignmentRoutes = require('./assignments');
-const tutorialRoutes = require('./tutorials');
+const attachmentRoutes = require('./attachments');
+const createCourseItemRouter = require('./courseItems');
 const paymentRoutes = require('./payments');
 const feedbackRoutes = require('./feedback');
+const termRoutes = require('./terms');
+const smsRoutes = require('./sms');
 
 const router = express.Router();
 
@@ -22,14 +24,20 @@ router.get('/health', (req, res) => {
 
 // Mount routes
 router.use('/auth', authRoutes);
+router.use('/courses/:id/exceptions', classExceptionRoutes);
 router.use('/courses', courseRoutes);
 router.use('/enrollments', enrollmentRoutes);
 router.use('/notifications', notificationRoutes);
-router.use('/quizzes', quizRoutes);
-router.use('/assignments', assignmentRoutes);
-router.use('/tutorials', tutorialRoutes);
+router.use('/attachments', attachmentRoutes);
+router.use('/course-items', createCourseItemRouter());
+// Per-kind aliases kept for older app builds
+router.use('/quizzes', createCourseItemRouter({ kind: 'quiz' }));
+router.use('/assignments', createCourseItemRouter({ kind: 'assignment' }));
+router.use('/tutorials', createCourseItemRouter({ kind: 'tutorial' }));
 router.use('/payments', paymentRoutes);
 router.use('/feedback', feedbackRoutes);
+router.use('/terms', termRoutes);
+router.use('/sms', smsRoutes);
 
 module.exports = router;
 
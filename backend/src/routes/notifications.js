@@ -1,10 +1,22 @@
 const express = require('express');
-const { body, param } = require('express-validator');
-const { Notification, Course, User, Enrollment, DeviceToken } = require('../models');
+const { body, param, query } = require('express-validator');
+const {
+  Notification,
+  Course,
+  DeviceToken,
+  Attachment,
+  ScheduledAnnouncement,
+  Announcement,
+} = require('../models');
+const config = require('../config');
 const { authenticate, authorize } = require('../middleware/auth');
 const validate = require('../middleware/validate');
-const { sendBulkPushNotifications } = require('../utils/pushNotificationService');
-const { sendBulkSMS } = require('../utils/smsService');
+const {
+  sendAnnouncement,
+  resendAnnouncementToUnread,
+  RECURRENCE_DAYS,
+} = require('../utils/announcements');
+const { releaseAttachments } = require('../utils/attachments');
 
 const router = express.Router();
 
@@ -65,9 +77,68 @@ router.get('/unread-count', authenticate, async (req, res) => {
   }
 });
 
+// Validators shared by sending, scheduling and editing announcements
+const attachmentIdsValidator = [
+  body('attachmentIds')
+    .optional()
+    .isArray({ max: config.attachments.maxPerItem })
+    .withMessage(`attachmentIds must be a list of at most ${config.attachments.maxPerItem} attachment IDs`),
+  body('attachmentIds.*').isMongoId().withMessage('Invalid attachment ID'),
+];
+
+const scheduleValidator = [
+  body('sendAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('sendAt must be an ISO 8601 date'),
+  body('recurrence')
+    .optional()
+    .isIn(['none', ...Object.keys(RECURRENCE_DAYS)])
+    .withMessage(`recurrence must be one of: none, ${Object.keys(RECURRENCE_DAYS).join(', ')}`),
+  body('repeatUntil')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('repeatUntil must be an ISO 8601 date'),
+];
+
+/**
+ * Check the send time and repeat settings of a scheduled announcement
+ * @returns {string|null} Why the schedule is invalid, or null if it is fine
+ */
+const checkSchedule = ({ sendAt, recurrence, repeatUntil }, now = new Date()) => {
+  if (!sendAt) {
+    return 'sendAt is required for repeating announcements';
+  }
+  if (sendAt <= now) {
+    return 'sendAt must be in the future';
+  }
+  if (repeatUntil && recurrence === 'none') {
+    return 'repeatUntil can only be set for repeating announcements';
+  }
+  if (repeatUntil && repeatUntil < sendAt) {
+    return 'repeatUntil must be after sendAt';
+  }
+  return null;
+};
+
+/**
+ * Find a scheduled announcement the current user created, responding 404 if there is none
+ */
+const findOwnScheduledAnnouncement = async (req, res) => {
+  const announcement = await ScheduledAnnouncement.findOne({ _id: req.params.id, createdBy: req.user.id });
+  if (!announcement) {
+    res.status(404).json({
+      success: false,
+      message: 'Scheduled announcement not found',
+    });
+    return null;
+  }
+  return announcement;
+};
+
 /**
  * @route   POST /api/notifications/send
- * @desc    Send notification to all students in a course (Course Rep only)
+ * @desc    Send notification to all students in a course, now or at sendAt (Course Rep only)
  * @access  Private (course_rep)
  */
 router.post(
@@ -86,11 +157,27 @@ router.post(
       .trim()
       .notEmpty()
       .withMessage('Message is required'),
+    ...attachmentIdsValidator,
+    ...scheduleValidator,
   ],
   validate,
   async (req, res) => {
     try {
-      const { courseId, title, message } = req.body;
+      const { courseId, title, message, attachmentIds } = req.body;
+      const recurrence = req.body.recurrence || 'none';
+      const sendAt = req.body.sendAt ? new Date(req.body.sendAt) : null;
+      const repeatUntil = req.body.repeatUntil ? new Date(req.body.repeatUntil) : null;
+      const scheduled = !!sendAt || recurrence !== 'none';
+
+      if (scheduled) {
+        const scheduleError = checkSchedule({ sendAt, recurrence, repeatUntil });
+        if (scheduleError) {
+          return res.status(400).json({
+            success: false,
+            message: scheduleError,
+          });
+        }
+      }
 
       // Verify course belongs to user
       if (!(await Course.isCreator(courseId, req.user.id))) {
@@ -101,7 +188,7 @@ router.post(
       }
 
       // Get course details
-      const course = await Course.findById(courseId);
+      const course = await Course.findById(courseId).populate(['termId', 'exceptions']);
       if (!course) {
         return res.status(404).json({
           success: false,
@@ -109,227 +196,427 @@ router.post(
         });
       }
 
-      // Helper function to calculate next class time (similar to classReminderJob)
-      const calculateNextClassTime = (courseData, fromDate = new Date()) => {
-        try {
-          const days = courseData.days || [];
-          if (days.length === 0) return null;
-
-          const dayTimes = courseData.dayTimes || {};
-          const hasDayTimes = Object.keys(dayTimes).length > 0;
-
-          const getDayName = (date) => {
-            const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-            return days[date.getDay()];
-          };
-
-          const parseTime = (timeStr, date) => {
-            if (!timeStr) return null;
-            try {
-              const time12Hour = timeStr.match(/(\d{1,2}):(\d{2})\s*(AM|PM)/i);
-              if (time12Hour) {
-                let hours = parseInt(time12Hour[1], 10);
-                const minutes = parseInt(time12Hour[2], 10);
-                const ampm = time12Hour[3].toUpperCase();
-                if (ampm === 'PM' && hours !== 12) hours += 12;
-                if (ampm === 'AM' && hours === 12) hours = 0;
-                const result = new Date(date);
-                result.setHours(hours, minutes, 0, 0);
-                return result;
-              }
-              const time24Hour = timeStr.match(/(\d{1,2}):(\d{2})/);
-              if (time24Hour) {
-                const hours = parseInt(time24Hour[1], 10);
-                const minutes = parseInt(time24Hour[2], 10);
-                const result = new Date(date);
-                result.setHours(hours, minutes, 0, 0);
-                return result;
-              }
-              return null;
-            } catch (error) {
-              return null;
-            }
-          };
-
-          for (let i = 0; i < 7; i++) {
-            const checkDate = new Date(fromDate);
-            checkDate.setDate(checkDate.getDate() + i);
-            const dayName = getDayName(checkDate);
-
-            if (!days.includes(dayName)) continue;
-
-            let startTime = null;
-
-            if (hasDayTimes && dayTimes[dayName]) {
-              startTime = parseTime(dayTimes[dayName].startTime, checkDate);
-            } else {
-              startTime = parseTime(courseData.startTime, checkDate);
-            }
-
-            if (startTime) {
-              const timeDiff = startTime.getTime() - fromDate.getTime();
-              const thirtyMinutes = 30 * 60 * 1000;
-              if (timeDiff >= -thirtyMinutes) {
-                return startTime;
-              }
-            }
-          }
-
-          return null;
-        } catch (error) {
-          return null;
-        }
-      };
+      // Files uploaded through POST /api/attachments for this course
+      const attachments = await Attachment.claim(attachmentIds || [], { userId: req.user.id, courseId });
+      if (!attachments) {
+        return res.status(400).json({
+          success: false,
+          message: 'One or more attachments are invalid. Upload them again for this course.',
+        });
+      }
+      const attachmentRefs = attachments.map(attachment => attachment._id);
 
-      // Check if announcement is being sent within 30 minutes of next class time
-      const now = new Date();
-      const nextClassTime = calculateNextClassTime(course, now);
-      const thirtyMinutes = 30 * 60 * 1000;
-      const isWithinThirtyMinutes = nextClassTime &&
-        (nextClassTime.getTime() - now.getTime() <= thirtyMinutes &&
-          nextClassTime.getTime() - now.getTime() > 0);
+      // Scheduled announcements are sent later by the scheduled announcement job
+      if (scheduled) {
+        const announcement = await ScheduledAnnouncement.create({
+          courseId,
+          createdBy: req.user.id,
+          title,
+          message,
+          attachments: attachmentRefs,
+          sendAt,
+          recurrence,
+          repeatUntil,
+        });
+        await announcement.populate([
+          { path: 'courseId', select: 'courseName courseCode' },
+          { path: 'attachments' },
+        ]);
+
+        return res.status(201).json({
+          success: true,
+          message: 'Announcement scheduled',
+          data: {
+            scheduled: true,
+            announcement,
+          },
+        });
+      }
 
-      const shouldSendSMS = isWithinThirtyMinutes;
+      const result = await sendAnnouncement(course, {
+        title,
+        message,
+        attachments: attachmentRefs,
+        createdBy: req.user.id,
+      });
 
-      // Get all enrolled students for the course
-      const enrollments = await Enrollment.find({ courseId })
-        .populate('userId', 'pushToken notificationsEnabled fullName phoneNumber');
+      res.status(201).json({
+        success: true,
+        message: result.smsSkippedForQuota > 0
+          ? `Notification sent to ${result.recipientCount} students; ${result.smsSkippedForQuota} SMS skipped because the weekly SMS limit was reached`
+          : `Notification sent to ${result.recipientCount} students`,
+        data: {
+          ...result,
+          attachments: attachments.map(attachment => attachment.toJSON()),
+        },
+      });
+    } catch (error) {
+      console.error('Send notification error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to send notification',
+      });
+    }
+  }
+);
 
-      // Prepare notifications for all enrolled students
-      const notifications = [];
-      const pushNotifications = [];
-      const smsRecipients = [];
+/**
+ * @route   GET /api/notifications/scheduled
+ * @desc    Get the current user's scheduled announcements, soonest first (Course Rep only)
+ * @access  Private (course_rep)
+ */
+router.get(
+  '/scheduled',
+  authenticate,
+  authorize('course_rep'),
+  [
+    query('courseId').optional().isMongoId().withMessage('Invalid course ID'),
+    query('includeFinished').optional().isBoolean().toBoolean(),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const announcements = await ScheduledAnnouncement.findByCreator(req.user.id, {
+        courseId: req.query.courseId,
+        includeFinished: req.query.includeFinished === true,
+      });
 
-      // Create personalized notifications for each student
-      for (const enrollment of enrollments) {
-        const student = enrollment.userId;
+      res.json({
+        success: true,
+        data: {
+          announcements,
+          count: announcements.length,
+        },
+      });
+    } catch (error) {
+      console.error('Get scheduled announcements error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch scheduled announcements',
+      });
+    }
+  }
+);
 
-        // Skip if user no longer exists
-        if (!student || !student._id) {
-          continue;
-        }
+/**
+ * @route   PUT /api/notifications/scheduled/:id
+ * @desc    Edit a scheduled announcement before it goes out (Creator only)
+ * @access  Private (course_rep)
+ */
+router.put(
+  '/scheduled/:id',
+  authenticate,
+  authorize('course_rep'),
+  [
+    param('id').isMongoId().withMessage('Invalid announcement ID'),
+    body('title')
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage('Title cannot be empty'),
+    body('message')
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage('Message cannot be empty'),
+    ...attachmentIdsValidator,
+    ...scheduleValidator,
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const announcement = await findOwnScheduledAnnouncement(req, res);
+      if (!announcement) return;
 
-        // Fetch full user to check access status
-        const fullUser = await User.findById(student._id);
-        if (!fullUser) {
-          continue;
-        }
+      if (!announcement.isPending()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Only announcements that are still scheduled can be edited',
+        });
+      }
 
-        // Check if user has active access (payment OR active trial)
-        // Only send push notifications and SMS if user has active access
-        const hasActiveAccess = fullUser.hasActiveAccess();
+      const { title, message, attachmentIds } = req.body;
+      const schedule = {
+        sendAt: req.body.sendAt ? new Date(req.body.sendAt) : announcement.sendAt,
+        recurrence: req.body.recurrence || announcement.recurrence,
+        repeatUntil: req.body.repeatUntil !== undefined
+          ? (req.body.repeatUntil ? new Date(req.body.repeatUntil) : null)
+          : announcement.repeatUntil,
+      };
+      // Turning repetition off also drops its end date
+      if (schedule.recurrence === 'none') schedule.repeatUntil = null;
 
-        // Get student's name for personalized notifications
-        const studentName = student.fullName || 'Student';
+      const scheduleError = checkSchedule(schedule);
+      if (scheduleError) {
+        return res.status(400).json({
+          success: false,
+          message: scheduleError,
+        });
+      }
 
-        // Include course name in the message if it's not already there
-        let messageWithCourse = message;
-        if (!message.includes(course.courseName) && !message.includes(course.courseCode)) {
-          messageWithCourse = `${course.courseName}: ${message}`;
+      let droppedAttachments = [];
+      if (attachmentIds) {
+        const attachments = await Attachment.claim(attachmentIds, {
+          userId: req.user.id,
+          courseId: announcement.courseId,
+        });
+        if (!attachments) {
+          return res.status(400).json({
+            success: false,
+            message: 'One or more attachments are invalid. Upload them again for this course.',
+          });
         }
+        droppedAttachments = announcement.attachments
+          .filter(id => !attachments.some(attachment => attachment._id.equals(id)));
+        announcement.attachments = attachments.map(attachment => attachment._id);
+      }
 
-        const personalizedMessage = `Hi ${studentName}, ${messageWithCourse}`;
+      if (title) announcement.title = title;
+      if (message) announcement.message = message;
+      Object.assign(announcement, schedule);
+      // A new schedule starts over with a clean retry count
+      announcement.attempts = 0;
+      announcement.lastError = null;
+      await announcement.save();
+      await releaseAttachments(droppedAttachments);
 
-        // Create in-app notification for all students (even if trial expired)
-        notifications.push({
-          userId: student._id,
-          title,
-          message: personalizedMessage,
-          type: 'announcement',
-          courseId: courseId,
-        });
+      await announcement.populate([
+        { path: 'courseId', select: 'courseName courseCode' },
+        { path: 'attachments' },
+      ]);
 
-        // ✅ NEW: Get ALL active device tokens for this user (multi-device support)
-        if (hasActiveAccess && student.notificationsEnabled) {
-          const deviceTokens = await DeviceToken.getActiveTokens(student._id);
-
-          // Send push notification to EACH device the student has registered
-          deviceTokens.forEach(device => {
-            pushNotifications.push({
-              pushToken: device.pushToken,
-              title,
-              body: personalizedMessage,
-              data: {
-                type: 'announcement',
-                courseId: courseId.toString(),
-                courseName: course.courseName,
-              },
-            });
-          });
+      res.json({
+        success: true,
+        message: 'Scheduled announcement updated',
+        data: {
+          announcement,
+        },
+      });
+    } catch (error) {
+      console.error('Update scheduled announcement error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update scheduled announcement',
+      });
+    }
+  }
+);
 
-          // Log multi-device send
-          if (deviceTokens.length > 1) {
-            console.log(`📱 Sending to ${deviceTokens.length} devices for student ${studentName}`);
-          }
-        }
+/**
+ * @route   POST /api/notifications/scheduled/:id/cancel
+ * @desc    Cancel a scheduled announcement, or stop a repeating one (Creator only)
+ * @access  Private (course_rep)
+ */
+router.post(
+  '/scheduled/:id/cancel',
+  authenticate,
+  authorize('course_rep'),
+  [param('id').isMongoId().withMessage('Invalid announcement ID')],
+  validate,
+  async (req, res) => {
+    try {
+      const announcement = await findOwnScheduledAnnouncement(req, res);
+      if (!announcement) return;
 
-        // Prepare SMS only if user has active access (only if within 30 minutes of class)
-        if (hasActiveAccess && shouldSendSMS && student.phoneNumber) {
-          // Create concise SMS message (max 160 chars)
-          const smsMessage = `Hi ${studentName}, URGENT: ${messageWithCourse}`;
-          // Truncate if too long
-          const finalSmsMessage = smsMessage.length > 160 ? smsMessage.substring(0, 157) + '...' : smsMessage;
-          smsRecipients.push({
-            phoneNumber: student.phoneNumber,
-            message: finalSmsMessage,
-            userId: student._id,
-            type: 'announcement',
-            courseId: courseId
-          });
-        }
+      if (!announcement.isPending()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Only announcements that are still scheduled can be cancelled',
+        });
       }
 
-      // Create in-app notifications in database
-      if (notifications.length > 0) {
-        await Notification.insertMany(notifications);
-      }
+      // Files of an announcement that never went out are dropped with it; those it
+      // already sent stay with the announcements and notifications they went out on
+      const droppedAttachments = announcement.sendCount === 0 ? announcement.attachments : [];
+      announcement.status = 'cancelled';
+      announcement.cancelledAt = new Date();
+      if (announcement.sendCount === 0) announcement.attachments = [];
+      await announcement.save();
+      await releaseAttachments(droppedAttachments);
 
-      // Send push notifications
-      if (pushNotifications.length > 0) {
-        try {
-          console.log(`Sending ${pushNotifications.length} push notifications for announcement`);
-          const pushResult = await sendBulkPushNotifications(pushNotifications);
-          console.log(`Push notifications sent: ${pushResult.sent || 0} successful, ${pushResult.failed || 0} failed`);
-        } catch (pushError) {
-          console.error('Error sending push notifications:', pushError);
-          // Don't fail the request if push notifications fail
-        }
-      } else {
-        console.log('No push notifications to send (students may not have push tokens or notifications disabled)');
-      }
+      res.json({
+        success: true,
+        message: 'Scheduled announcement cancelled',
+        data: {
+          announcement,
+        },
+      });
+    } catch (error) {
+      console.error('Cancel scheduled announcement error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to cancel scheduled announcement',
+      });
+    }
+  }
+);
 
-      // Send SMS notifications (only if within 30 minutes of class)
-      let smsResult = { sent: 0, failed: 0, limitExceeded: 0 };
-      if (smsRecipients.length > 0) {
-        try {
-          console.log(`Sending ${smsRecipients.length} SMS notifications for announcement (within 30 minutes of class)`);
-          smsResult = await sendBulkSMS(smsRecipients);
-          console.log(`SMS notifications sent: ${smsResult.sent || 0} successful, ${smsResult.failed || 0} failed, ${smsResult.limitExceeded || 0} limit exceeded`);
-          if (smsResult.errors && smsResult.errors.length > 0) {
-            console.error('SMS errors:', smsResult.errors);
-          }
-        } catch (smsError) {
-          console.error('Error sending SMS notifications:', smsError);
-          // Don't fail the request if SMS fails
-        }
-      } else if (shouldSendSMS) {
-        console.log('No SMS recipients found (students may not have phone numbers)');
-      }
+/**
+ * Find an announcement the current user sent, responding 404 if there is none
+ */
+const findOwnAnnouncement = async (req, res) => {
+  const announcement = await Announcement.findOne({ _id: req.params.id, createdBy: req.user.id })
+    .populate('courseId', 'courseName courseCode');
+  if (!announcement) {
+    res.status(404).json({
+      success: false,
+      message: 'Announcement not found',
+    });
+    return null;
+  }
+  return announcement;
+};
+
+// Counts reported for an announcement with no notifications left
+const EMPTY_ANNOUNCEMENT_STATS = {
+  recipients: 0,
+  read: 0,
+  unread: 0,
+  delivered: 0,
+  failed: 0,
+  push_sent: 0,
+  push_delivered: 0,
+  push_failed: 0,
+  push_held: 0,
+  sms_sent: 0,
+  sms_delivered: 0,
+  sms_failed: 0,
+};
 
-      res.status(201).json({
+/**
+ * @route   GET /api/notifications/announcements
+ * @desc    Get the current user's sent announcements with delivery and read counts (Course Rep only)
+ * @access  Private (course_rep)
+ */
+router.get(
+  '/announcements',
+  authenticate,
+  authorize('course_rep'),
+  [
+    query('courseId').optional().isMongoId().withMessage('Invalid course ID'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const announcements = await Announcement.findByCreator(req.user.id, {
+        courseId: req.query.courseId,
+        limit: req.query.limit || 50,
+      });
+      const stats = await Notification.getAnnouncementStats(announcements.map(a => a._id));
+
+      res.json({
         success: true,
-        message: `Notification sent to ${notifications.length} students`,
         data: {
-          recipientCount: notifications.length,
-          pushNotificationsSent: pushNotifications.length,
-          smsSent: smsResult.sent || 0,
+          announcements: announcements.map(announcement => ({
+            ...announcement.toJSON(),
+            stats: stats.get(announcement._id.toString()) || EMPTY_ANNOUNCEMENT_STATS,
+          })),
+          count: announcements.length,
         },
       });
     } catch (error) {
-      console.error('Send notification error:', error);
+      console.error('Get announcements error:', error);
       res.status(500).json({
         success: false,
-        message: 'Failed to send notification',
+        message: 'Failed to fetch announcements',
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/notifications/announcements/:id
+ * @desc    Get an announcement's delivery report: counts and the students who haven't read it (Creator only)
+ * @access  Private (course_rep)
+ */
+router.get(
+  '/announcements/:id',
+  authenticate,
+  authorize('course_rep'),
+  [param('id').isMongoId().withMessage('Invalid announcement ID')],
+  validate,
+  async (req, res) => {
+    try {
+      const announcement = await findOwnAnnouncement(req, res);
+      if (!announcement) return;
+
+      const stats = await Notification.getAnnouncementStats([announcement._id]);
+      const unread = await Notification.find({ announcementId: announcement._id, isRead: false })
+        .populate('userId', 'fullName phoneNumber studentId');
+
+      res.json({
+        success: true,
+        data: {
+          announcement: {
+            ...announcement.toJSON(),
+            stats: stats.get(announcement._id.toString()) || EMPTY_ANNOUNCEMENT_STATS,
+          },
+          unread: unread
+            .filter(notification => notification.userId)
+            .map(notification => ({
+              user_id: notification.userId._id,
+              full_name: notification.userId.fullName,
+              student_id: notification.userId.studentId,
+              has_phone: !!notification.userId.phoneNumber,
+              push_status: notification.pushStatus,
+              push_error: notification.pushError,
+              sms_status: notification.smsStatus,
+              sms_error: notification.smsError,
+            }))
+            .sort((a, b) => (a.full_name || '').localeCompare(b.full_name || '')),
+        },
+      });
+    } catch (error) {
+      console.error('Get announcement report error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch announcement report',
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/notifications/announcements/:id/resend-sms
+ * @desc    Re-send an announcement by SMS to students who haven't read it (Creator only)
+ * @access  Private (course_rep)
+ */
+router.post(
+  '/announcements/:id/resend-sms',
+  authenticate,
+  authorize('course_rep'),
+  [param('id').isMongoId().withMessage('Invalid announcement ID')],
+  validate,
+  async (req, res) => {
+    try {
+      const announcement = await findOwnAnnouncement(req, res);
+      if (!announcement) return;
+
+      const course = await Course.findById(announcement.courseId);
+      if (!course) {
+        return res.status(404).json({
+          success: false,
+          message: 'Course not found',
+        });
+      }
+
+      const result = await resendAnnouncementToUnread(announcement, course);
+
+      res.json({
+        success: true,
+        message: result.smsSkippedForQuota > 0
+          ? `SMS queued for ${result.smsQueued} students who haven't read it; ${result.smsSkippedForQuota} skipped because the weekly SMS limit was reached`
+          : result.smsQueued > 0
+            ? `SMS queued for ${result.smsQueued} students who haven't read it`
+            : 'No unread students to send an SMS to',
+        data: result,
+      });
+    } catch (error) {
+      console.error('Re-send announcement SMS error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to re-send announcement',
       });
     }
   }
@@ -461,13 +748,6 @@ router.post(
         }
       );
 
-      // BACKWARD COMPATIBILITY: Also update User.pushToken with the latest token
-      // This ensures existing code that relies on User.pushToken continues to work
-      const user = await User.findById(req.user.id);
-      if (user) {
-        await user.updatePushToken(pushToken);
-      }
-
       console.log(`✅ Registered push token for user ${req.user.id}, platform ${detectedPlatform}`);
 
       res.json({
@@ -508,12 +788,6 @@ router.delete('/token', authenticate, async (req, res) => {
       console.log(`✅ Deactivated all push tokens for user ${req.user.id}`);
     }
 
-    // Also remove from User model for backward compatibility
-    const user = await User.findById(req.user.id);
-    if (user) {
-      await user.updatePushToken(null);
-    }
-
     res.json({
       success: true,
       message: pushToken
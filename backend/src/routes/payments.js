@@ -2,9 +2,11 @@ const express = require('express');
 const https = require('https');
 const crypto = require('crypto');
 const { body } = require('express-validator');
-const { Payment, User } = require('../models');
-const { authenticate } = require('../middleware/auth');
+const config = require('../config');
+const { Payment, User, SmsCreditTransaction } = require('../models');
+const { authenticate, authorize } = require('../middleware/auth');
 const validate = require('../middleware/validate');
+const { getSmsCreditBundle, creditSmsPurchase } = require('../utils/smsWallet');
 
 const router = express.Router();
 
@@ -13,6 +15,118 @@ const router = express.Router();
 const FIXED_PAYMENT_AMOUNT = 25; // GHS 25
 const PAYMENT_CURRENCY = 'GHS';
 
+/**
+ * Start a Paystack transaction for an amount set by the backend, save it as a pending
+ * Payment and respond with its reference and authorization URL
+ * @param {Object} res - Express response
+ * @param {Object} options - userId, email, amount and currency, the payment's purpose
+ *   ('access' or 'sms_credits') and the credits an SMS credit bundle adds
+ */
+const startPaystackPayment = (res, { userId, email, amount, currency, purpose = 'access', credits = null }) => {
+  // Convert amount to pesewas (Paystack uses smallest currency unit)
+  const amountInPesewas = Math.round(amount * 100);
+
+  // Generate unique reference
+  const reference = `${purpose === 'sms_credits' ? 'sms' : 'pay'}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+  // Prepare Paystack API request
+  const options = {
+    hostname: 'api.paystack.co',
+    port: 443,
+    path: '/transaction/initialize',
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}`,
+      'Content-Type': 'application/json',
+    },
+  };
+
+  const paystackReq = https.request(options, (paystackRes) => {
+    let data = '';
+
+    paystackRes.on('data', (chunk) => {
+      data += chunk;
+    });
+
+    paystackRes.on('end', async () => {
+      try {
+        const response = JSON.parse(data);
+
+        if (!response.status) {
+          throw new Error(response.message || 'Payment initialization failed');
+        }
+
+        // Create payment record in database with fixed backend amount
+        const payment = await Payment.create({
+          userId: userId,
+          email: email,
+          amount: amount, // Fixed amount from backend
+          currency: currency, // Fixed currency from backend
+          reference: reference,
+          accessCode: response.data.access_code,
+          authorizationUrl: response.data.authorization_url,
+          status: 'pending',
+          purpose: purpose,
+          credits: credits,
+          metadata: {
+            userId: userId,
+            amount: amount, // Fixed amount stored in metadata
+            currency: currency,
+            fixedAmount: true, // Flag to indicate this was a fixed amount payment
+            purpose: purpose,
+          },
+        });
+
+        // Return Paystack response with reference
+        // Note: We return the fixed amount so frontend can display it
+        res.json({
+          success: true,
+          reference: reference,
+          access_code: response.data.access_code,
+          authorization_url: response.data.authorization_url,
+          amount: amount, // Fixed amount from backend
+          currency: currency, // Fixed currency from backend
+          purpose: purpose,
+          credits: credits,
+        });
+      } catch (error) {
+        console.error('Error processing Paystack response:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to initialize payment',
+          details: error.message,
+        });
+      }
+    });
+  });
+
+  paystackReq.on('error', (error) => {
+    console.error('Paystack API error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Payment initialization failed',
+      details: error.message,
+    });
+  });
+
+  // Send payment data to Paystack
+  const paymentData = JSON.stringify({
+    email,
+    amount: amountInPesewas,
+    currency: currency,
+    reference: reference,
+    metadata: {
+      userId: userId,
+      amount: amount,
+      currency: currency,
+      purpose: purpose,
+    },
+  });
+
+  paystackReq.write(paymentData);
+  paystackReq.end();
+};
+
 /**
  * @route   POST /api/payments/initialize-payment
  * @desc    Initialize Paystack payment
@@ -53,102 +167,7 @@ router.post(
         });
       }
 
-      // Convert amount to pesewas (Paystack uses smallest currency unit)
-      const amountInPesewas = Math.round(amount * 100);
-
-      // Generate unique reference
-      const reference = `pay_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-
-      // Prepare Paystack API request
-      const options = {
-        hostname: 'api.paystack.co',
-        port: 443,
-        path: '/transaction/initialize',
-        method: 'POST',
-        headers: {
-          Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}`,
-          'Content-Type': 'application/json',
-        },
-      };
-
-      const paystackReq = https.request(options, (paystackRes) => {
-        let data = '';
-
-        paystackRes.on('data', (chunk) => {
-          data += chunk;
-        });
-
-        paystackRes.on('end', async () => {
-          try {
-            const response = JSON.parse(data);
-
-            if (!response.status) {
-              throw new Error(response.message || 'Payment initialization failed');
-            }
-
-            // Create payment record in database with fixed backend amount
-            const payment = await Payment.create({
-              userId: userId,
-              email: email,
-              amount: amount, // Fixed amount from backend
-              currency: currency, // Fixed currency from backend
-              reference: reference,
-              accessCode: response.data.access_code,
-              authorizationUrl: response.data.authorization_url,
-              status: 'pending',
-              metadata: {
-                userId: userId,
-                amount: amount, // Fixed amount stored in metadata
-                currency: currency,
-                fixedAmount: true, // Flag to indicate this was a fixed amount payment
-              },
-            });
-
-            // Return Paystack response with reference
-            // Note: We return the fixed amount so frontend can display it
-            res.json({
-              success: true,
-              reference: reference,
-              access_code: response.data.access_code,
-              authorization_url: response.data.authorization_url,
-              amount: amount, // Fixed amount from backend
-              currency: currency, // Fixed currency from backend
-            });
-          } catch (error) {
-            console.error('Error processing Paystack response:', error);
-            res.status(500).json({
-              success: false,
-              error: 'Failed to initialize payment',
-              details: error.message,
-            });
-          }
-        });
-      });
-
-      paystackReq.on('error', (error) => {
-        console.error('Paystack API error:', error);
-        res.status(500).json({
-          success: false,
-          error: 'Payment initialization failed',
-          details: error.message,
-        });
-      });
-
-      // Send payment data to Paystack
-      const paymentData = JSON.stringify({
-        email,
-        amount: amountInPesewas,
-        currency: currency,
-        reference: reference,
-        metadata: {
-          userId: userId,
-          amount: amount,
-          currency: currency,
-        },
-      });
-
-      paystackReq.write(paymentData);
-      paystackReq.end();
+      startPaystackPayment(res, { userId, email, amount, currency });
     } catch (error) {
       console.error('Payment initialization error:', error);
       res.status(500).json({
@@ -176,7 +195,9 @@ const processSuccessfulPayment = async (reference, userId = null) => {
     // If payment is already verified, skip
     if (payment.status === 'success') {
       console.log(`Payment ${reference} already verified`);
-      return { success: true, alreadyVerified: true, payment: payment };
+      // Crediting is idempotent, so this also finishes crediting a purchase that was interrupted
+      const credits = payment.purpose === 'sms_credits' ? await creditSmsPurchase(payment) : null;
+      return { success: true, alreadyVerified: true, payment: payment, smsCredits: credits?.balance };
     }
 
     // Verify payment with Paystack
@@ -245,6 +266,27 @@ const processSuccessfulPayment = async (reference, userId = null) => {
                 return;
               }
 
+              // SMS credit purchases top up the rep's balance instead of unlocking access
+              if (payment.purpose === 'sms_credits') {
+                try {
+                  const { balance } = await creditSmsPurchase(payment);
+                  resolve({
+                    success: true,
+                    message: 'Payment verified and SMS credits added',
+                    payment: payment,
+                    smsCredits: balance,
+                  });
+                } catch (creditError) {
+                  console.error(`Error adding SMS credits for payment ${reference}:`, creditError);
+                  resolve({
+                    success: false,
+                    error: 'Failed to add SMS credits',
+                    details: creditError.message,
+                  });
+                }
+                return;
+              }
+
               // Update user Access status
               const userIdToUpdate = userId || payment.userId;
               if (userIdToUpdate) {
@@ -385,6 +427,9 @@ router.post(
             currency: result.payment.currency,
             status: 'success',
             paidAt: result.payment.paidAt,
+            purpose: result.payment.purpose,
+            credits: result.payment.credits,
+            sms_credits: result.smsCredits,
           },
         });
       } else {
@@ -405,6 +450,92 @@ router.post(
   }
 );
 
+/**
+ * @route   GET /api/payments/sms-credits
+ * @desc    Get the course rep's SMS credit balance, the bundles on sale and recent credit activity
+ * @access  Private (Course Rep)
+ */
+router.get('/sms-credits', authenticate, authorize('course_rep'), async (req, res) => {
+  try {
+    const [user, transactions] = await Promise.all([
+      User.findById(req.user.id).select('smsCredits'),
+      SmsCreditTransaction.findRecent(req.user.id),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        balance: user?.smsCredits || 0,
+        currency: PAYMENT_CURRENCY,
+        bundles: config.smsCreditBundles,
+        transactions: transactions.map(transaction => transaction.toJSON()),
+      },
+    });
+  } catch (error) {
+    console.error('Get SMS credits error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get SMS credits',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/payments/sms-credits/initialize
+ * @desc    Initialize a Paystack payment for an SMS credit bundle
+ * @access  Private (Course Rep)
+ */
+router.post(
+  '/sms-credits/initialize',
+  authenticate,
+  authorize('course_rep'),
+  [
+    body('email')
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('Valid email is required'),
+    // SECURITY: Amount and credits come from the bundle on the backend, never from the frontend
+    body('bundleId')
+      .isIn(config.smsCreditBundles.map(bundle => bundle.id))
+      .withMessage('Invalid SMS credit bundle'),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const { email, bundleId } = req.body;
+      const userId = req.user.id;
+      const bundle = getSmsCreditBundle(bundleId);
+
+      console.log(`Initializing SMS credit payment: ${bundle.credits} credits for ${bundle.amount} ${PAYMENT_CURRENCY}, user=${userId}`);
+
+      // Validate Paystack secret key is configured
+      if (!process.env.PAYSTACK_SECRET_KEY) {
+        return res.status(500).json({
+          success: false,
+          error: 'Payment service is not configured. Please contact support.',
+        });
+      }
+
+      startPaystackPayment(res, {
+        userId,
+        email,
+        amount: bundle.amount,
+        currency: PAYMENT_CURRENCY,
+        purpose: 'sms_credits',
+        credits: bundle.credits,
+      });
+    } catch (error) {
+      console.error('SMS credit payment initialization error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to initialize payment',
+        details: error.message,
+      });
+    }
+  }
+);
+
 /**
  * @route   POST /api/payments/webhook
  * @desc    Paystack webhook endpoint for automatic payment verification
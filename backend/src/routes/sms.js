@@ -0,0 +1,179 @@
+const express = require('express');
+const crypto = require('crypto');
+const { param, query } = require('express-validator');
+const { SmsLog, Course, User } = require('../models');
+const config = require('../config');
+const { authenticate, authorize } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { SMS_PROVIDERS, getSmsProvider } = require('../utils/sms');
+const { getSmsQuota } = require('../utils/smsQuota');
+
+const router = express.Router();
+
+/**
+ * Check the token a delivery report was posted with against SMS_WEBHOOK_SECRET
+ */
+const hasValidToken = (token) => {
+  if (typeof token !== 'string') return false;
+  const expected = Buffer.from(config.sms.webhookSecret);
+  const given = Buffer.from(token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+/**
+ * @route   GET /api/sms
+ * @desc    Get the SMS sent for a course and whether they were delivered (Creator only)
+ * @access  Private (course_rep)
+ */
+router.get(
+  '/',
+  authenticate,
+  authorize('course_rep'),
+  [
+    query('courseId').isMongoId().withMessage('Invalid course ID'),
+    query('status')
+      .optional()
+      .isIn(['queued', 'sent', 'delivered', 'failed'])
+      .withMessage('Status must be queued, sent, delivered or failed'),
+    query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const { courseId, status, limit } = req.query;
+
+      if (!(await Course.isCreator(courseId, req.user.id))) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only view SMS for your own courses',
+        });
+      }
+
+      const [messages, counts] = await Promise.all([
+        SmsLog.findByCourse(courseId, { status, limit: limit || 100 }),
+        SmsLog.getStatusCounts(courseId),
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          messages: messages.map(log => ({
+            ...log.toJSON(),
+            user_id: log.userId?._id || log.userId,
+            full_name: log.userId?.fullName || null,
+            student_id: log.userId?.studentId || null,
+          })),
+          counts,
+          count: messages.length,
+        },
+      });
+    } catch (error) {
+      console.error('Get SMS log error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch SMS',
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/sms/quota
+ * @desc    Get the current user's SMS quota left this week, overall and for each of their courses,
+ *          and their prepaid SMS credits
+ * @access  Private (course_rep)
+ */
+router.get('/quota', authenticate, authorize('course_rep'), async (req, res) => {
+  try {
+    const now = new Date();
+    const [rep, courses] = await Promise.all([
+      User.findById(req.user.id),
+      Course.findByCreator(req.user.id),
+    ]);
+    const [quota, ...courseQuotas] = await Promise.all([
+      getSmsQuota(rep, null, now),
+      ...courses.map(course => getSmsQuota(rep, course._id, now)),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        plan: quota.plan,
+        limit: quota.rep.limit,
+        used: quota.rep.used,
+        remaining: quota.remaining,
+        resets_at: quota.resetsAt,
+        // Prepaid credits, used once the weekly quota runs out
+        sms_credits: rep.smsCredits || 0,
+        courses: courses.map((course, index) => ({
+          course_id: course._id,
+          course_code: course.courseCode,
+          course_name: course.courseName,
+          limit: courseQuotas[index].course.limit,
+          used: courseQuotas[index].course.used,
+          // The lower of what's left for the course and for the rep
+          remaining: courseQuotas[index].remaining,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error('Get SMS quota error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch SMS credits',
+    });
+  }
+});
+
+/**
+ * @route   POST /api/sms/delivery-reports/:provider?token=SMS_WEBHOOK_SECRET
+ * @desc    Delivery report callback: records whether an SMS reached the phone
+ * @access  Public (the SMS provider calls this endpoint, with the shared secret)
+ */
+router.post(
+  '/delivery-reports/:provider',
+  [param('provider').isIn(SMS_PROVIDERS).withMessage('Unknown SMS provider')],
+  validate,
+  async (req, res) => {
+    try {
+      if (!config.sms.webhookSecret) {
+        return res.status(503).json({
+          success: false,
+          message: 'Delivery reports are not enabled',
+        });
+      }
+      if (!hasValidToken(req.query.token)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid token',
+        });
+      }
+
+      const provider = getSmsProvider(req.params.provider);
+      if (!provider.parseDeliveryReport) {
+        return res.status(404).json({
+          success: false,
+          message: `${req.params.provider} does not send delivery reports`,
+        });
+      }
+
+      // Reports that aren't final, or for SMS we don't know, are still acknowledged
+      // so the provider doesn't keep retrying them
+      const report = provider.parseDeliveryReport(req.body || {});
+      const log = report ? await SmsLog.applyDeliveryReport(provider.name, report) : null;
+
+      res.json({
+        success: true,
+        message: log ? 'Delivery report recorded' : 'Delivery report ignored',
+      });
+    } catch (error) {
+      console.error('SMS delivery report error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to process delivery report',
+      });
+    }
+  }
+);
+
+module.exports = router;
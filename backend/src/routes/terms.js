@@ -0,0 +1,234 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const { Term, College } = require('../models');
+const { authenticate, authorize } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { syncTermOccurrences } = require('../utils/occurrenceSync');
+
+const router = express.Router();
+
+/**
+ * Find the college record for the signed-in user's college name
+ */
+const getUserCollege = (user) => {
+  if (!user.college) return null;
+  return College.findOne({ name: user.college, isActive: true });
+};
+
+/**
+ * Check that breaks are well-formed and fall inside the term dates.
+ * Returns an error message, or null if valid.
+ */
+const validateTermDates = (startDate, endDate, breaks = []) => {
+  if (new Date(endDate) < new Date(startDate)) {
+    return 'Term end date must be on or after the start date';
+  }
+
+  for (const b of breaks) {
+    if (!b.startDate || !b.endDate) {
+      return 'Each break needs a start date and an end date';
+    }
+    const breakStart = new Date(b.startDate);
+    const breakEnd = new Date(b.endDate);
+    if (isNaN(breakStart) || isNaN(breakEnd) || breakEnd < breakStart) {
+      return `Break "${b.name || 'Break'}" has invalid dates`;
+    }
+    if (breakStart < new Date(startDate) || breakEnd > new Date(endDate)) {
+      return `Break "${b.name || 'Break'}" must fall within the term`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * @route   GET /api/terms
+ * @desc    Get terms for the current user's college
+ * @access  Private
+ */
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const college = await getUserCollege(req.user);
+    const terms = college ? await Term.findByCollege(college._id) : [];
+
+    res.json({
+      success: true,
+      data: {
+        college: college ? college.name : null,
+        terms,
+        count: terms.length,
+      },
+    });
+  } catch (error) {
+    console.error('Get terms error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch terms',
+    });
+  }
+});
+
+/**
+ * @route   POST /api/terms
+ * @desc    Create a term for the current user's college (Course Rep only)
+ * @access  Private (course_rep)
+ */
+router.post(
+  '/',
+  authenticate,
+  authorize('course_rep'),
+  [
+    body('name')
+      .trim()
+      .notEmpty()
+      .withMessage('Term name is required'),
+    body('startDate')
+      .isISO8601()
+      .withMessage('Start date must be a valid date (YYYY-MM-DD)'),
+    body('endDate')
+      .isISO8601()
+      .withMessage('End date must be a valid date (YYYY-MM-DD)'),
+    body('breaks')
+      .optional()
+      .isArray()
+      .withMessage('Breaks must be an array'),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const { name, startDate, endDate, breaks = [] } = req.body;
+
+      const college = await getUserCollege(req.user);
+      if (!college) {
+        return res.status(400).json({
+          success: false,
+          message: 'Set your college in your profile before creating terms',
+        });
+      }
+
+      const dateError = validateTermDates(startDate, endDate, breaks);
+      if (dateError) {
+        return res.status(400).json({
+          success: false,
+          message: dateError,
+        });
+      }
+
+      const overlapping = await Term.findOverlapping(college._id, startDate, endDate);
+      if (overlapping) {
+        return res.status(409).json({
+          success: false,
+          message: `Term overlaps "${overlapping.name}"`,
+        });
+      }
+
+      const term = await Term.create({
+        collegeId: college._id,
+        name,
+        startDate,
+        endDate,
+        breaks,
+        createdBy: req.user.id,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Term created successfully',
+        data: {
+          term,
+        },
+      });
+    } catch (error) {
+      console.error('Create term error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create term',
+      });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/terms/:id
+ * @desc    Update a term's dates or breaks (Course Rep who created the term)
+ * @access  Private (course_rep)
+ */
+router.put(
+  '/:id',
+  authenticate,
+  authorize('course_rep'),
+  [
+    param('id').isMongoId().withMessage('Invalid term ID'),
+    body('name').optional().trim().notEmpty(),
+    body('startDate').optional().isISO8601(),
+    body('endDate').optional().isISO8601(),
+    body('breaks').optional().isArray(),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const term = await Term.findById(req.params.id);
+      if (!term) {
+        return res.status(404).json({
+          success: false,
+          message: 'Term not found',
+        });
+      }
+
+      // Terms are shared by every course in the college, so only their creator may change them
+      if (!term.createdBy || term.createdBy.toString() !== req.user.id.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only update terms you created',
+        });
+      }
+
+      const { name, startDate, endDate, breaks } = req.body;
+      const nextStart = startDate !== undefined ? startDate : term.startDate;
+      const nextEnd = endDate !== undefined ? endDate : term.endDate;
+      const nextBreaks = breaks !== undefined ? breaks : term.breaks;
+
+      const dateError = validateTermDates(nextStart, nextEnd, nextBreaks);
+      if (dateError) {
+        return res.status(400).json({
+          success: false,
+          message: dateError,
+        });
+      }
+
+      const overlapping = await Term.findOverlapping(term.collegeId, nextStart, nextEnd, term._id);
+      if (overlapping) {
+        return res.status(409).json({
+          success: false,
+          message: `Term overlaps "${overlapping.name}"`,
+        });
+      }
+
+      if (name !== undefined) term.name = name;
+      term.startDate = nextStart;
+      term.endDate = nextEnd;
+      term.breaks = nextBreaks;
+      await term.save();
+
+      // Term dates and breaks decide which days courses in this term meet. Resync them
+      // in the background so a large term doesn't hold up the response.
+      syncTermOccurrences(term._id);
+
+      res.json({
+        success: true,
+        message: 'Term updated successfully',
+        data: {
+          term,
+        },
+      });
+    } catch (error) {
+      console.error('Update term error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update term',
+      });
+    }
+  }
+);
+
+module.exports = router;
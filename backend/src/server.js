@@ -13,7 +13,14 @@ const { errorHandler, notFound } = require('./middleware/errorHandler');
 const connectDB = require('./config/database');
 const { startTemporaryEditResetJob } = require('./utils/temporaryEditReset');
 const { startClassReminderJob } = require('./utils/classReminderJob');
+const { startDeadlineReminderJob } = require('./utils/deadlineReminderJob');
 const { startDeviceTokenCleanupJob } = require('./utils/deviceTokenCleanup');
+const { startAttachmentCleanupJob } = require('./utils/attachments');
+const { startScheduledAnnouncementJob } = require('./utils/scheduledAnnouncementJob');
+const { startPushReceiptJob } = require('./utils/pushReceiptJob');
+const { startQuietHoursDigestJob } = require('./utils/quietHoursDigestJob');
+const { startOutboundQueueWorker } = require('./utils/outboundQueue');
+const { migrateOldTokens } = require('./utils/migrateTokens');
 
 const app = express();
 
@@ -50,6 +57,7 @@ app.get('/', (req, res) => {
       courses: '/api/courses',
       enrollments: '/api/enrollments',
       notifications: '/api/notifications',
+      attachments: '/api/attachments',
       payments: '/api/payments',
     },
   });
@@ -65,15 +73,36 @@ const startServer = async () => {
     // Connect to MongoDB
     await connectDB();
 
+    // Move any push tokens left on users into DeviceToken (no-op once done)
+    await migrateOldTokens();
+
     // Start temporary edit reset job (runs every hour)
     startTemporaryEditResetJob();
 
     // Start class reminder job (runs every 5 minutes)
     startClassReminderJob();
 
+    // Start deadline reminder job for assignments, quizzes and tutorials (runs every 5 minutes)
+    startDeadlineReminderJob();
+
+    // Start sending scheduled and recurring announcements (runs every minute)
+    startScheduledAnnouncementJob();
+
+    // Start checking Expo push receipts and deactivating dead tokens (runs every 15 minutes)
+    startPushReceiptJob();
+
+    // Start sending queued push and SMS messages, with retries (checks every 5 seconds)
+    startOutboundQueueWorker();
+
+    // Start sending pushes held during students' quiet hours as a digest (runs every 5 minutes)
+    startQuietHoursDigestJob();
+
     // Start device token cleanup job (runs daily)
     startDeviceTokenCleanupJob();
 
+    // Start cleanup of unattached uploads (runs daily)
+    startAttachmentCleanupJob();
+
     // Start server
     const PORT = config.port;
     app.listen(PORT, () => {
@@ -0,0 +1,172 @@
+const { Announcement, Notification } = require('../models');
+const { dispatch, dispatchEach } = require('./notificationDispatcher');
+const { getCourseTimezone, getZonedParts, zonedTimeToDate } = require('./schedule');
+
+// Days between sends for each way an announcement can repeat
+const RECURRENCE_DAYS = {
+  daily: 1,
+  weekly: 7,
+};
+
+/**
+ * Add the course name to an announcement message if it doesn't mention the course
+ */
+const withCourseName = (message, course) => (
+  message.includes(course.courseName) || message.includes(course.courseCode)
+    ? message
+    : `${course.courseName}: ${message}`
+);
+
+/**
+ * Send an announcement to every student enrolled in a course through the
+ * notification dispatcher: in-app for everyone, push to each device of students
+ * with access, and SMS too if the course's next class starts within 30 minutes.
+ * The announcement is saved with one notification per student, each recording
+ * how its push and SMS copies fared. A send from a scheduled announcement can be
+ * retried: it reuses the announcement and skips students already notified.
+ * @param {Object} course - Course document, with `termId` and `exceptions` populated
+ * @param {Object} announcement
+ * @param {string} announcement.title - Title
+ * @param {string} announcement.message - Message (the course name is added if it isn't mentioned)
+ * @param {Array} [announcement.attachments] - Attachment IDs sent with it
+ * @param {string} announcement.createdBy - Course rep sending it
+ * @param {string} [announcement.scheduledAnnouncementId] - Scheduled announcement it was sent from
+ * @param {Date} [announcement.scheduledFor] - Send time of the scheduled announcement this is for
+ * @returns {Promise<Object>} The Announcement, and counts of recipients, pushes queued and held,
+ *   and SMS queued and skipped for the course rep's weekly SMS quota
+ */
+const sendAnnouncement = async (course, {
+  title,
+  message,
+  attachments = [],
+  createdBy,
+  scheduledAnnouncementId = null,
+  scheduledFor = null,
+}) => {
+  const fields = {
+    courseId: course._id,
+    createdBy,
+    title,
+    message,
+    attachments,
+    scheduledAnnouncementId,
+    scheduledFor,
+  };
+  const announcement = scheduledAnnouncementId
+    ? await Announcement.findOneAndUpdate(
+      { scheduledAnnouncementId, scheduledFor },
+      { $setOnInsert: fields },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    )
+    : await Announcement.create(fields);
+
+  // Students a failed earlier attempt at this send already reached
+  const alreadyNotified = scheduledAnnouncementId
+    ? await Notification.distinct('userId', { announcementId: announcement._id })
+    : [];
+
+  const result = await dispatch('announcement', {
+    audience: { courseId: course._id, excludeUserIds: alreadyNotified },
+    course,
+    title,
+    message: withCourseName(message, course),
+    data: {
+      type: 'announcement',
+      courseId: course._id.toString(),
+      courseName: course.courseName,
+      announcementId: announcement._id.toString(),
+      attachmentCount: attachments.length,
+    },
+    notification: {
+      announcementId: announcement._id,
+      attachments,
+    },
+  });
+
+  announcement.recipientCount = alreadyNotified.length + result.recipientCount;
+  await announcement.save();
+
+  return {
+    announcement,
+    recipientCount: announcement.recipientCount,
+    pushNotificationsQueued: result.pushNotificationsQueued,
+    pushNotificationsHeld: result.pushNotificationsHeld,
+    smsQueued: result.smsQueued,
+    smsSkippedForQuota: result.smsSkippedForQuota,
+  };
+};
+
+/**
+ * Re-send an announcement by SMS to the students who haven't read it, through the
+ * notification dispatcher on their existing notifications. Students already reached
+ * or queued by SMS for it are skipped. So are those the dispatcher leaves out:
+ * students without a phone number, without active access, with announcement SMS
+ * turned off, in their quiet hours, or over the course rep's weekly SMS quota.
+ * @param {Object} announcement - The Announcement
+ * @param {Object} course - Its course
+ * @returns {Promise<Object>} Counts of unread students, and SMS queued and skipped for the quota
+ */
+const resendAnnouncementToUnread = async (announcement, course) => {
+  const unread = await Notification.find({ announcementId: announcement._id, isRead: false })
+    .populate('userId');
+
+  const message = withCourseName(announcement.message, course);
+  const sends = unread
+    .filter(notification => notification.userId && !['queued', 'sent', 'delivered'].includes(notification.smsStatus))
+    .map(notification => ({
+      user: notification.userId,
+      course,
+      notificationId: notification._id,
+      title: announcement.title,
+      message,
+      urgent: true,
+    }));
+
+  const result = await dispatchEach('announcement_resent', sends);
+  if (result.smsFailed > 0) {
+    // Marked failed on the notifications, so the next re-send tries them again
+    throw new Error(`${result.smsFailed} SMS could not be queued`);
+  }
+
+  announcement.lastSmsResendAt = new Date();
+  await announcement.save();
+
+  return {
+    unreadCount: unread.length,
+    smsQueued: result.smsQueued,
+    smsSkippedForQuota: result.smsSkippedForQuota,
+  };
+};
+
+/**
+ * Work out when a repeating announcement goes out next: the same wall-clock time
+ * in the course's timezone, one interval after the last send time. Sends missed
+ * while the server was down are skipped rather than sent late in a burst.
+ * @param {Date} sendAt - When it was last due
+ * @param {string} recurrence - 'none', 'daily' or 'weekly'
+ * @param {Object} course - Course document (for its timezone)
+ * @param {Date} now - Current time
+ * @returns {Date|null} Next send time, or null if it doesn't repeat
+ */
+const getNextSendAt = (sendAt, recurrence, course, now = new Date()) => {
+  const days = RECURRENCE_DAYS[recurrence];
+  if (!days) return null;
+
+  const timezone = getCourseTimezone(course);
+  const wallTime = getZonedParts(new Date(sendAt), timezone);
+
+  let next;
+  let step = 0;
+  do {
+    step++;
+    next = zonedTimeToDate({ ...wallTime, day: wallTime.day + days * step }, timezone);
+  } while (next <= now);
+  return next;
+};
+
+module.exports = {
+  RECURRENCE_DAYS,
+  sendAnnouncement,
+  resendAnnouncementToUnread,
+  getNextSendAt,
+};
@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const {
+  Attachment,
+  Course,
+  Enrollment,
+  CourseItem,
+  Notification,
+  ScheduledAnnouncement,
+  Announcement,
+} = require('../models');
+const { getStorage } = require('./storage');
+
+const DOWNLOAD_TOKEN_PURPOSE = 'attachment_download';
+
+/**
+ * Save an uploaded file to storage and record it as an unattached upload
+ * @param {Object} file - multer file (originalname, mimetype, size, buffer)
+ * @param {Object} owner
+ * @param {string} owner.courseId - Course whose students may download it
+ * @param {string} owner.userId - Uploader
+ * @returns {Promise<Object>} The Attachment
+ */
+const storeUpload = async (file, { courseId, userId }) => {
+  const storage = getStorage();
+  const extension = config.attachments.allowedTypes[file.mimetype]
+    || path.extname(file.originalname).toLowerCase();
+  const storageKey = `${courseId}/${crypto.randomUUID()}${extension}`;
+
+  await storage.save(storageKey, file.buffer, file.mimetype);
+
+  return Attachment.create({
+    fileName: path.basename(file.originalname),
+    mimeType: file.mimetype,
+    size: file.size,
+    storage: storage.name,
+    storageKey,
+    courseId,
+    uploadedBy: userId,
+  });
+};
+
+/**
+ * Delete an attachment's file and record, and detach it from items and announcements
+ * @param {Object} attachment - The Attachment
+ */
+const deleteAttachment = async (attachment) => {
+  await getStorage(attachment.storage).remove(attachment.storageKey);
+  await Promise.all([
+    CourseItem.updateMany({ attachments: attachment._id }, { $pull: { attachments: attachment._id } }),
+    Notification.updateMany({ attachments: attachment._id }, { $pull: { attachments: attachment._id } }),
+    ScheduledAnnouncement.updateMany({ attachments: attachment._id }, { $pull: { attachments: attachment._id } }),
+    Announcement.updateMany({ attachments: attachment._id }, { $pull: { attachments: attachment._id } }),
+  ]);
+  await attachment.deleteOne();
+};
+
+/**
+ * Check whether any item, announcement or notification still links to an attachment.
+ * Announcements share their files with the notifications they send, and scheduled
+ * announcements with every announcement they send.
+ * @param {string} attachmentId - Attachment ID
+ * @returns {Promise<boolean>}
+ */
+const isAttachmentInUse = async (attachmentId) => {
+  const owners = await Promise.all(
+    [CourseItem, Notification, ScheduledAnnouncement, Announcement]
+      .map(Model => Model.exists({ attachments: attachmentId }))
+  );
+  return owners.some(Boolean);
+};
+
+/**
+ * Delete attachments that nothing links to any more. Call it with the files an item
+ * or announcement dropped, after saving it; files still linked elsewhere are kept.
+ * @param {Array} ids - Attachment IDs
+ * @returns {Promise<number>} Number of attachments deleted
+ */
+const releaseAttachments = async (ids) => {
+  if (ids.length === 0) return 0;
+
+  const attachments = await Attachment.find({ _id: { $in: ids } });
+  let deletedCount = 0;
+  for (const attachment of attachments) {
+    if (await isAttachmentInUse(attachment._id)) continue;
+    await deleteAttachment(attachment);
+    deletedCount++;
+  }
+  return deletedCount;
+};
+
+/**
+ * Check a user may download an attachment: enrolled in its course, or the course's creator
+ * @param {Object} attachment - The Attachment
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>}
+ */
+const canAccessAttachment = async (attachment, userId) => {
+  if (await Course.isCreator(attachment.courseId, userId)) return true;
+  return Enrollment.isEnrolled(userId, attachment.courseId);
+};
+
+/**
+ * Create a short-lived token that lets a user download one attachment without
+ * an Authorization header (e.g. when opening the file in the browser).
+ * Its purpose and audience keep it from working as a login token.
+ */
+const createDownloadToken = (attachment, userId) => jwt.sign(
+  { purpose: DOWNLOAD_TOKEN_PURPOSE, attachmentId: attachment._id.toString(), userId: userId.toString() },
+  config.jwt.secret,
+  { expiresIn: config.attachments.downloadTokenExpiresIn, audience: DOWNLOAD_TOKEN_PURPOSE }
+);
+
+/**
+ * Verify a download token
+ * @param {string} token - From createDownloadToken
+ * @param {string} attachmentId - Attachment being downloaded
+ * @returns {string|null} The user ID the token was issued to, or null if invalid, expired or for another file
+ */
+const verifyDownloadToken = (token, attachmentId) => {
+  try {
+    const decoded = jwt.verify(token, config.jwt.secret, { audience: DOWNLOAD_TOKEN_PURPOSE });
+    if (decoded.purpose !== DOWNLOAD_TOKEN_PURPOSE || decoded.attachmentId !== String(attachmentId)) {
+      return null;
+    }
+    return decoded.userId;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Delete uploads that were never attached to anything
+ * @param {number} hoursOld - Only delete uploads older than this
+ * @returns {Promise<Object>} Result object with success status and deleted count
+ */
+const cleanupOrphanAttachments = async (hoursOld = config.attachments.orphanHours) => {
+  try {
+    const cutoff = new Date(Date.now() - hoursOld * 60 * 60 * 1000);
+    const orphans = await Attachment.find({ attachedAt: null, createdAt: { $lt: cutoff } });
+
+    let deletedCount = 0;
+    for (const attachment of orphans) {
+      try {
+        await deleteAttachment(attachment);
+        deletedCount++;
+      } catch (error) {
+        console.error(`Error deleting orphan attachment ${attachment._id}:`, error);
+      }
+    }
+
+    console.log(`✅ Attachment cleanup complete: ${deletedCount} unattached uploads deleted`);
+    return { success: true, deletedCount };
+  } catch (error) {
+    console.error('❌ Error cleaning up attachments:', error);
+    return { success: false, error: error.message, deletedCount: 0 };
+  }
+};
+
+/**
+ * Start the attachment cleanup job
+ * Runs daily to delete uploads that were never attached
+ */
+const startAttachmentCleanupJob = () => {
+  setInterval(async () => {
+    console.log('🧹 Running scheduled attachment cleanup...');
+    await cleanupOrphanAttachments();
+  }, 24 * 60 * 60 * 1000); // 24 hours
+
+  console.log('✅ Attachment cleanup job started (runs daily)');
+};
+
+module.exports = {
+  storeUpload,
+  deleteAttachment,
+  releaseAttachments,
+  canAccessAttachment,
+  createDownloadToken,
+  verifyDownloadToken,
+  cleanupOrphanAttachments,
+  startAttachmentCleanupJob,
+};
@@ -1,146 +1,35 @@
-const { User, Enrollment, Course, Notification, DeviceToken } = require('../models');
-const { sendPushNotification } = require('./pushNotificationService');
-
-// In-memory cache to track sent notifications
-// Key format: `${userId}_${courseId}_${dateString}`
-// This prevents duplicate notifications for the same class on the same day
-const sentNotificationsCache = new Map();
-
-/**
- * Clear old entries from the cache (older than 1 day)
- * This should be called periodically
- */
-const clearOldCacheEntries = () => {
-  const today = new Date().toDateString();
-  const keysToDelete = [];
-
-  for (const [key] of sentNotificationsCache) {
-    const keyDate = key.split('_').pop();
-    if (keyDate !== today) {
-      keysToDelete.push(key);
-    }
-  }
-
-  keysToDelete.forEach(key => sentNotificationsCache.delete(key));
-};
-
-/**
- * Parse time string (e.g., "10:00 AM" or "14:30") to Date object
- * @param {string} timeStr - Time string
- * @param {Date} date - Date object to set time on
- * @returns {Date|null} Date object with time set, or null if invalid
- */
-const parseTime = (timeStr, date) => {
-  if (!timeStr) return null;
-
-  try {
-    // Try to parse as 12-hour format (e.g., "10:00 AM")
-    const time12Hour = timeStr.match(/(\d{1,2}):(\d{2})\s*(AM|PM)/i);
-    if (time12Hour) {
-      let hours = parseInt(time12Hour[1], 10);
-      const minutes = parseInt(time12Hour[2], 10);
-      const ampm = time12Hour[3].toUpperCase();
-
-      if (ampm === 'PM' && hours !== 12) hours += 12;
-      if (ampm === 'AM' && hours === 12) hours = 0;
-
-      const result = new Date(date);
-      result.setHours(hours, minutes, 0, 0);
-      return result;
-    }
-
-    // Try to parse as 24-hour format (e.g., "14:30")
-    const time24Hour = timeStr.match(/(\d{1,2}):(\d{2})/);
-    if (time24Hour) {
-      const hours = parseInt(time24Hour[1], 10);
-      const minutes = parseInt(time24Hour[2], 10);
-
-      const result = new Date(date);
-      result.setHours(hours, minutes, 0, 0);
-      return result;
-    }
-
-    return null;
-  } catch (error) {
-    console.error('Error parsing time:', timeStr, error);
-    return null;
-  }
-};
-
-/**
- * Get day name from date (e.g., "Monday", "Tuesday")
- * @param {Date} date - Date object
- * @returns {string} Day name
- */
-const getDayName = (date) => {
-  const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-  return days[date.getDay()];
-};
-
-/**
- * Calculate the next occurrence of a class
- * @param {Object} course - Course object
- * @param {Date} fromDate - Date to calculate from (default: now)
- * @returns {Date|null} Next class date/time or null if not found
- */
-const calculateNextClassTime = (course, fromDate = new Date()) => {
-  try {
-    const days = course.days || [];
-    if (days.length === 0) return null;
-
-    const dayTimes = course.dayTimes || {};
-    const hasDayTimes = Object.keys(dayTimes).length > 0;
-
-    // Try each day of the week starting from today
-    for (let i = 0; i < 7; i++) {
-      const checkDate = new Date(fromDate);
-      checkDate.setDate(checkDate.getDate() + i);
-      const dayName = getDayName(checkDate);
-
-      if (!days.includes(dayName)) continue;
-
-      let startTime = null;
-      let endTime = null;
-
-      // Use dayTimes if available, otherwise fall back to course startTime/endTime
-      if (hasDayTimes && dayTimes[dayName]) {
-        startTime = parseTime(dayTimes[dayName].startTime, checkDate);
-        endTime = parseTime(dayTimes[dayName].endTime, checkDate);
-      } else {
-        startTime = parseTime(course.startTime, checkDate);
-        endTime = parseTime(course.endTime, checkDate);
-      }
-
-      // Return the class time if:
-      // 1. It's in the future, OR
-      // 2. It's within the last 30 minutes (class just started or recently started)
-      // This allows notifications even if job runs a bit late
-      if (startTime) {
-        const timeDiff = startTime.getTime() - fromDate.getTime();
-        const thirtyMinutes = 30 * 60 * 1000;
-
-        // Future class or class within last 30 minutes
-        if (timeDiff >= -thirtyMinutes) {
-          return startTime;
-        }
-      }
-    }
-
-    return null;
-  } catch (error) {
-    console.error('Error calculating next class time:', error);
-    return null;
-  }
-};
+const {
+  User,
+  Enrollment,
+  Course,
+  ReminderDispatch,
+  ClassOccurrence,
+} = require('../models');
+const { dispatchEach } = require('./notificationDispatcher');
+const { calculateNextClassTime, formatTimeInZone } = require('./schedule');
+const { syncAllOccurrences } = require('./occurrenceSync');
+
+// How often the job runs
+const TICK_INTERVAL_MS = 5 * 60 * 1000;
+// How often every course's upcoming occurrences are recomputed from scratch.
+// Course edits resync their own course straight away; this catches anything missed.
+const FULL_SYNC_INTERVAL_MS = 60 * 60 * 1000;
+// Width of each reminder window, and how soon before class a missed reminder is still sent
+const REMINDER_WINDOW_MS = 5 * 60 * 1000;
+const CATCH_UP_WINDOW_MS = 10 * 60 * 1000;
+
+let lastFullSyncAt = null;
 
 /**
  * Check if notification should be sent for a class
  * @param {Date} classTime - Class start time
  * @param {number} reminderMinutes - Minutes before class to remind
  * @param {Date} now - Current time
+ * @param {boolean} allowCatchUp - Also send if the class starts within 10 minutes
+ *   and the reminder time has passed (only for a user's last reminder before class)
  * @returns {boolean} True if notification should be sent
  */
-const shouldSendNotification = (classTime, reminderMinutes, now = new Date()) => {
+const shouldSendNotification = (classTime, reminderMinutes, now = new Date(), allowCatchUp = true) => {
   if (!classTime) return false;
 
   const reminderTime = new Date(classTime);
@@ -149,248 +38,271 @@ const shouldSendNotification = (classTime, reminderMinutes, now = new Date()) =>
   // Calculate time differences
   const timeDiff = reminderTime.getTime() - now.getTime();
   const classTimeDiff = classTime.getTime() - now.getTime();
-  const fiveMinutes = 5 * 60 * 1000;
 
   // Send notification if:
   // 1. We're within 5 minutes of the reminder time (before class), OR
   // 2. Class is starting within the next 10 minutes (even if reminder time passed)
-  const withinReminderWindow = timeDiff >= 0 && timeDiff <= fiveMinutes;
-  const classStartingSoon = classTimeDiff >= 0 && classTimeDiff <= 10 * 60 * 1000;
+  const withinReminderWindow = timeDiff >= 0 && timeDiff <= REMINDER_WINDOW_MS;
+  const classStartingSoon = classTimeDiff >= 0 && classTimeDiff <= CATCH_UP_WINDOW_MS;
 
-  return withinReminderWindow || classStartingSoon;
+  return withinReminderWindow || (allowCatchUp && classStartingSoon);
 };
 
 /**
- * Check if notification was already sent for this class today
- * @param {string} userId - User ID
- * @param {string} courseId - Course ID
- * @returns {boolean} True if already sent
+ * Get every reminder offset (in minutes) that some user or enrollment uses
  */
-const wasNotificationSent = (userId, courseId) => {
-  const today = new Date().toDateString();
-  const key = `${userId}_${courseId}_${today}`;
-  return sentNotificationsCache.has(key);
+const getOffsetsInUse = async () => {
+  const [userOffsets, userMinutes, enrollmentOffsets] = await Promise.all([
+    User.distinct('reminderOffsets', { notificationsEnabled: true }),
+    User.distinct('reminderMinutes', { notificationsEnabled: true }),
+    Enrollment.distinct('reminderOffsets', { remindersMuted: { $ne: true } }),
+  ]);
+
+  // 15 is the fallback for users whose reminderMinutes is 0 or unset
+  return [...new Set([15, ...userOffsets, ...userMinutes, ...enrollmentOffsets])]
+    .filter(offset => typeof offset === 'number' && offset > 0);
 };
 
 /**
- * Mark notification as sent for this class today
- * @param {string} userId - User ID
- * @param {string} courseId - Course ID
+ * Build the start-time ranges of classes with a reminder window opening this tick:
+ * one range per offset, plus classes starting soon (for catch-up reminders)
  */
-const markNotificationSent = (userId, courseId) => {
-  const today = new Date().toDateString();
-  const key = `${userId}_${courseId}_${today}`;
-  sentNotificationsCache.set(key, true);
+const getDueStartRanges = (offsets, now) => {
+  const ranges = offsets.map(offset => {
+    const from = now.getTime() + offset * 60 * 1000;
+    return [from, from + REMINDER_WINDOW_MS];
+  });
+  ranges.push([now.getTime(), now.getTime() + CATCH_UP_WINDOW_MS]);
+
+  // Merge overlapping ranges so the query stays small
+  ranges.sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  ranges.forEach(([from, to]) => {
+    const last = merged[merged.length - 1];
+    if (last && from <= last[1]) {
+      last[1] = Math.max(last[1], to);
+    } else {
+      merged.push([from, to]);
+    }
+  });
+  return merged.map(([from, to]) => ({ from: new Date(from), to: new Date(to) }));
 };
 
 /**
- * Process class reminders for all users
- * This is the main function that runs periodically
+ * Describe how long before class a reminder is, e.g. "15 minutes", "2 hours", "1 day"
  */
-const processClassReminders = async () => {
-  try {
-    console.log('Processing class reminders...');
-
-    // Clear old cache entries
-    clearOldCacheEntries();
+const formatLeadTime = (minutes) => {
+  if (minutes >= 24 * 60 && minutes % (24 * 60) === 0) {
+    const days = minutes / (24 * 60);
+    return `${days} day${days === 1 ? '' : 's'}`;
+  }
+  if (minutes >= 60 && minutes % 60 === 0) {
+    const hours = minutes / 60;
+    return `${hours} hour${hours === 1 ? '' : 's'}`;
+  }
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+};
 
-    // Get all users with notifications enabled and push tokens
-    const users = await User.find({
-      notificationsEnabled: true,
-      pushToken: { $ne: null, $exists: true },
-    });
+/**
+ * Group items into a Map of arrays by a key
+ */
+const groupBy = (items, getKey) => {
+  const groups = new Map();
+  items.forEach(item => {
+    const key = getKey(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  });
+  return groups;
+};
 
-    if (users.length === 0) {
-      console.log('No users with notifications enabled and push tokens');
-      return { processed: 0, sent: 0 };
-    }
+/**
+ * Build the reminder text for one student and class
+ */
+const buildReminderMessage = (user, course, occurrence, leadMinutes) => {
+  // Format time for notification in the course's timezone
+  const timeStr = formatTimeInZone(occurrence.start, occurrence.timezone);
+
+  // Format index range
+  let indexRangeText = '';
+  if (course.indexFrom && course.indexTo) {
+    indexRangeText = ` Index: ${course.indexFrom} - ${course.indexTo}.`;
+  } else if (course.indexFrom) {
+    indexRangeText = ` Index: ${course.indexFrom}.`;
+  }
 
-    let totalProcessed = 0;
-    let totalSent = 0;
-    const now = new Date();
+  const venue = occurrence.venue ? ` at ${occurrence.venue}` : '';
+  const userName = user.fullName || 'Student';
+  return `Hi ${userName}, your ${course.courseName} class starts in ${formatLeadTime(leadMinutes)}${venue}. Time: ${timeStr}${indexRangeText}`;
+};
 
-    for (const user of users) {
-      try {
-        // Verify user has push token
-        if (!user.pushToken) {
-          console.log(`User ${user._id} (${user.fullName}) has no push token, skipping`);
-          continue;
-        }
+/**
+ * Process class reminders
+ * This is the main function that runs periodically. It reads the precomputed
+ * occurrences starting within the reminder horizon, works out which students
+ * are due a reminder this tick and sends them all in one notification dispatcher
+ * batch, so the number of queries per tick does not grow with the number of users.
+ */
+const processClassReminders = async () => {
+  const tickStartedAt = Date.now();
+  const stats = {
+    queries: 0,
+    occurrences: 0,
+    enrollments: 0,
+    due: 0,
+    claimed: 0,
+    pushMessages: 0,
+    held: 0,
+    sent: 0,
+    failed: 0,
+  };
+
+  const logTick = () => {
+    console.log('Class reminder tick:', { ...stats, durationMs: Date.now() - tickStartedAt });
+  };
 
-        // Check if user has active access (payment OR active trial)
-        if (!user.hasActiveAccess()) {
-          console.log(`User ${user._id} (${user.fullName}) does not have active access (trial expired, no payment), skipping notifications`);
-          continue;
-        }
-
-        // Get all courses the user is enrolled in
-        const enrollments = await Enrollment.find({ userId: user._id })
-          .populate('courseId');
-
-        if (enrollments.length === 0) {
-          console.log(`User ${user._id} has no enrolled courses`);
-          continue;
-        }
-
-        console.log(`Processing ${enrollments.length} courses for user ${user._id} (${user.fullName})`);
-
-        for (const enrollment of enrollments) {
-          const course = enrollment.courseId;
-          if (!course) {
-            console.log(`Course not found for enrollment ${enrollment._id}`);
-            continue;
-          }
+  try {
+    console.log('Processing class reminders...');
+    const now = new Date();
 
-          totalProcessed++;
+    if (!lastFullSyncAt || now.getTime() - lastFullSyncAt >= FULL_SYNC_INTERVAL_MS) {
+      const synced = await syncAllOccurrences();
+      lastFullSyncAt = now.getTime();
+      console.log(`Synced ${synced.occurrences} upcoming class occurrences for ${synced.courses} courses`);
+    }
 
-          // Check if notification was already sent today
-          if (wasNotificationSent(user._id.toString(), course._id.toString())) {
-            console.log(`Notification already sent today for user ${user._id}, course ${course.courseName}`);
-            continue;
-          }
+    // Only classes with a reminder window opening this tick, for any offset in use
+    const offsets = await getOffsetsInUse();
+    const occurrences = await ClassOccurrence.findStartingInRanges(getDueStartRanges(offsets, now)).lean();
+    stats.queries += 4;
+    stats.occurrences = occurrences.length;
 
-          // Calculate next class time
-          const nextClassTime = calculateNextClassTime(course, now);
-          if (!nextClassTime) {
-            console.log(`No next class time found for user ${user._id}, course ${course.courseName}`, {
-              courseDays: course.days,
-              courseStartTime: course.startTime,
-              courseEndTime: course.endTime,
-              dayTimes: course.dayTimes,
-              currentTime: now.toISOString(),
-              currentDay: now.toLocaleDateString('en-US', { weekday: 'long' }),
-              note: 'Class time may be more than 30 minutes in the past, or dayTimes may need updating'
-            });
-            continue;
-          }
+    if (occurrences.length === 0) {
+      logTick();
+      return { processed: 0, sent: 0, stats };
+    }
 
-          console.log(`Found next class time for user ${user._id}, course ${course.courseName}:`, {
-            classTime: nextClassTime.toISOString(),
-            classTimeLocal: nextClassTime.toLocaleString(),
-            currentTime: now.toISOString(),
-            timeUntilClass: Math.round((nextClassTime.getTime() - now.getTime()) / 1000 / 60) + ' minutes'
-          });
-
-          // Check if notification should be sent
-          const reminderMinutes = user.reminderMinutes || 15;
-          const shouldSend = shouldSendNotification(nextClassTime, reminderMinutes, now);
-
-          if (!shouldSend) {
-            // Log why notification wasn't sent for debugging
-            const reminderTime = new Date(nextClassTime);
-            reminderTime.setMinutes(reminderTime.getMinutes() - reminderMinutes);
-            const timeUntilClass = nextClassTime.getTime() - now.getTime();
-            const timeUntilReminder = reminderTime.getTime() - now.getTime();
-
-            console.log(`Skipping notification for user ${user._id}, course ${course.courseName}:`, {
-              classTime: nextClassTime.toISOString(),
-              reminderTime: reminderTime.toISOString(),
-              currentTime: now.toISOString(),
-              timeUntilClass: Math.round(timeUntilClass / 1000 / 60) + ' minutes',
-              timeUntilReminder: Math.round(timeUntilReminder / 1000 / 60) + ' minutes',
-              reminderMinutes: reminderMinutes
-            });
-            continue;
-          }
+    const courseIds = [...new Set(occurrences.map(o => o.courseId.toString()))];
+    const [courses, enrollments] = await Promise.all([
+      Course.find({ _id: { $in: courseIds } }).select('courseName indexFrom indexTo').lean(),
+      Enrollment.find({ courseId: { $in: courseIds }, remindersMuted: { $ne: true } })
+        .select('userId courseId reminderOffsets remindersMuted')
+        .lean(),
+    ]);
+    stats.queries += 2;
+    stats.enrollments = enrollments.length;
+
+    const userIds = [...new Set(enrollments.map(e => e.userId.toString()))];
+    const users = await User.find({ _id: { $in: userIds }, notificationsEnabled: true });
+    stats.queries++;
+
+    const coursesById = new Map(courses.map(c => [c._id.toString(), c]));
+    const usersById = new Map(users.map(u => [u._id.toString(), u]));
+    const enrollmentsByCourse = groupBy(enrollments, e => e.courseId.toString());
+
+    // Work out which student/class reminders fall in this tick
+    const due = [];
+    for (const occurrence of occurrences) {
+      const course = coursesById.get(occurrence.courseId.toString());
+      if (!course) continue;
+
+      for (const enrollment of enrollmentsByCourse.get(occurrence.courseId.toString()) || []) {
+        const user = usersById.get(enrollment.userId.toString());
 
-          // Format time for notification
-          const timeStr = nextClassTime.toLocaleTimeString('en-US', {
-            hour: 'numeric',
-            minute: '2-digit',
-            hour12: true,
-          });
-
-          // Format index range
-          let indexRangeText = '';
-          if (course.indexFrom && course.indexTo) {
-            indexRangeText = ` Index: ${course.indexFrom} - ${course.indexTo}.`;
-          } else if (course.indexFrom) {
-            indexRangeText = ` Index: ${course.indexFrom}.`;
+        // Check if user has active access (payment OR active trial)
+        if (!user || !user.hasActiveAccess()) continue;
+
+        // Per-course overrides win over the student's defaults; muted courses get none
+        const offsets = Enrollment.resolveReminderOffsets(enrollment, user);
+        offsets.forEach((offsetMinutes, index) => {
+          // A missed reminder is only caught up for the last one before class
+          const isLast = index === offsets.length - 1;
+          if (shouldSendNotification(occurrence.start, offsetMinutes, now, isLast)) {
+            due.push({ user, course, occurrence, offsetMinutes });
           }
+        });
+      }
+    }
+    stats.due = due.length;
 
-          // Create notification message with user's name
-          const venue = course.venue ? ` at ${course.venue}` : '';
-          const userName = user.fullName || 'Student';
-          const title = 'Class Reminder';
-          const body = `Hi ${userName}, your ${course.courseName} class starts in ${reminderMinutes} minutes${venue}. Time: ${timeStr}${indexRangeText}`;
-
-          // ✅ NEW: Get ALL active device tokens for this user (multi-device support)
-          const deviceTokens = await DeviceToken.getActiveTokens(user._id);
+    if (due.length === 0) {
+      logTick();
+      return { processed: 0, sent: 0, stats };
+    }
 
-          if (deviceTokens.length === 0) {
-            console.log(`User ${user._id} has no active device tokens, skipping`);
-            continue;
-          }
+    // Claim dispatch records so each reminder goes out once across restarts and instances
+    const keyed = due.map(reminder => ({
+      ...reminder,
+      key: {
+        userId: reminder.user._id,
+        courseId: reminder.occurrence.courseId,
+        occurrenceStart: reminder.occurrence.start,
+        offsetMinutes: reminder.offsetMinutes,
+      },
+    }));
+    const dispatches = await ReminderDispatch.claimMany(keyed.map(reminder => reminder.key));
+    stats.queries += 3;
+    const dispatchesByKey = new Map(dispatches.map(d => [ReminderDispatch.keyOf(d), d]));
+    const claimed = keyed
+      .map(reminder => ({ ...reminder, dispatch: dispatchesByKey.get(ReminderDispatch.keyOf(reminder.key)) }))
+      .filter(reminder => reminder.dispatch);
+    stats.claimed = claimed.length;
+
+    if (claimed.length === 0) {
+      logTick();
+      return { processed: due.length, sent: 0, stats };
+    }
 
-          console.log(`Sending notification to user ${user._id} (${deviceTokens.length} device${deviceTokens.length > 1 ? 's' : ''})`);
-
-          // Send notification to ALL devices
-          let sentToAnyDevice = false;
-
-          for (const device of deviceTokens) {
-            console.log(`📱 Sending to ${device.platform} device for ${userName}`);
-
-            const result = await sendPushNotification(
-              device.pushToken,
-              title,
-              body,
-              {
-                courseId: course._id.toString(),
-                courseName: course.courseName,
-                type: 'lecture_reminder',
-                sound: user.notificationSound && user.notificationSound !== 'default'
-                  ? `${user.notificationSound}.wav`
-                  : 'default',
-              }
-            );
-
-            if (result.success) {
-              sentToAnyDevice = true;
-              console.log(`✅ Sent to ${device.platform} device`);
-            } else {
-              console.error(`❌ Failed to send to ${device.platform} device:`, result.error || result.errors);
-
-              // Deactivate invalid tokens automatically
-              if (result.error && (result.error.includes('DeviceNotRegistered') || result.error.includes('InvalidCredentials'))) {
-                await DeviceToken.deactivateToken(device.pushToken);
-                console.log(`⚠️ Deactivated invalid token for ${device.platform} device`);
-              }
-            }
-          }
+    // The dispatcher applies channel preferences and quiet hours, and queues the pushes
+    const sends = claimed.map(reminder => {
+      const { user, course, occurrence } = reminder;
+      // Caught-up reminders state the real time left rather than the offset
+      const minutesLeft = Math.round((new Date(occurrence.start).getTime() - now.getTime()) / (60 * 1000));
+      const leadMinutes = Math.min(reminder.offsetMinutes, Math.max(minutesLeft, 1));
+      return {
+        user,
+        courseId: course._id,
+        title: 'Class Reminder',
+        message: buildReminderMessage(user, course, occurrence, leadMinutes),
+        data: {
+          courseId: course._id.toString(),
+          courseName: course.courseName,
+          type: 'lecture_reminder',
+          sound: user.notificationSound && user.notificationSound !== 'default'
+            ? `${user.notificationSound}.wav`
+            : 'default',
+        },
+      };
+    });
 
-          // Save in-app notification only once (not per device)
-          if (sentToAnyDevice) {
-            try {
-              await Notification.create({
-                userId: user._id,
-                title: title,
-                message: body,
-                type: 'lecture_reminder',
-                courseId: course._id,
-                isRead: false,
-              });
-              console.log(`✅ Saved notification to database for user ${user._id}`);
-            } catch (notifError) {
-              console.error(`Error saving notification to database:`, notifError);
-            }
-
-            markNotificationSent(user._id.toString(), course._id.toString());
-            totalSent++;
-            console.log(`✅ Sent class reminder to user ${user._id} for course ${course.courseName}`);
-          } else {
-            console.error(`❌ Failed to send reminder to any device for user ${user._id}`);
-          }
-        }
-      } catch (error) {
-        console.error(`Error processing reminders for user ${user._id}:`, error);
-      }
+    let result = null;
+    let error = null;
+    try {
+      result = await dispatchEach('class_reminder', sends);
+      stats.queries += 3;
+      stats.pushMessages = result.pushNotificationsQueued;
+      stats.held = result.pushNotificationsHeld;
+    } catch (dispatchError) {
+      console.error('Error dispatching class reminders:', dispatchError);
+      error = dispatchError.message;
     }
 
-    console.log(`Class reminders processed: ${totalProcessed}, sent: ${totalSent}`);
-    return { processed: totalProcessed, sent: totalSent };
+    // Each reminder is settled as the dispatcher reached its student
+    await ReminderDispatch.settleMany(claimed.map((reminder, index) => ({
+      dispatch: reminder.dispatch,
+      delivery: result ? result.deliveries[index] : null,
+      error,
+    })));
+    stats.queries++;
+    stats.sent = result ? claimed.length : 0;
+    stats.failed = claimed.length - stats.sent;
+
+    logTick();
+    return { processed: due.length, sent: stats.sent, stats };
   } catch (error) {
     console.error('Error in processClassReminders:', error);
-    return { processed: 0, sent: 0, error: error.message };
+    logTick();
+    return { processed: 0, sent: 0, error: error.message, stats };
   }
 };
 
@@ -404,10 +316,10 @@ const startClassReminderJob = () => {
     processClassReminders();
   }, 30000); // 30 seconds delay
 
-  // Then run every 5 minutes (300000 milliseconds)
+  // Then run every 5 minutes
   setInterval(() => {
     processClassReminders();
-  }, 5 * 60 * 1000);
+  }, TICK_INTERVAL_MS);
 
   console.log('Class reminder job started (runs every 5 minutes)');
 };
@@ -417,5 +329,7 @@ module.exports = {
   startClassReminderJob,
   calculateNextClassTime,
   shouldSendNotification,
+  formatLeadTime,
+  groupBy,
 };
 
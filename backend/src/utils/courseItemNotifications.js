@@ -0,0 +1,179 @@
+const COURSE_ITEM_KINDS = require('../config/courseItemKinds');
+const { dispatch } = require('./notificationDispatcher');
+
+/**
+ * Describe when an item is, e.g. "on 24/10/2026 at 10:00 AM" or "Submission deadline: 24/10/2026 at 10:00 AM"
+ */
+const describeWhen = (item) => (
+  COURSE_ITEM_KINDS[item.kind].deadline
+    ? `Submission deadline: ${item.date} at ${item.time}`
+    : `on ${item.date} at ${item.time}`
+);
+
+/**
+ * Push payload shared by every notification about an item
+ */
+const itemPushData = (item, type) => ({
+  type,
+  itemId: item._id.toString(),
+  [`${item.kind}Id`]: item._id.toString(),
+  courseId: item.courseId.toString(),
+  courseName: item.courseName,
+});
+
+/**
+ * Notify enrolled students about a new item: in-app for everyone, push for
+ * students with access, and SMS too if the course's next class starts within 30 minutes
+ * @param {Object} item - The new CourseItem
+ * @param {Object} course - Its course, with `termId` and `exceptions` populated
+ * @returns {Promise<Object>} Counts of notifications, pushes and SMS queued, and SMS skipped for the weekly SMS quota
+ */
+const notifyItemCreated = async (item, course) => {
+  const { label, deadline } = COURSE_ITEM_KINDS[item.kind];
+  const kindName = label.toLowerCase();
+
+  const message = deadline
+    ? `A new ${kindName} "${item.name}" has been created for ${item.courseName}. ${describeWhen(item)}`
+    : `A new ${kindName} "${item.name}" has been scheduled for ${item.courseName} ${describeWhen(item)}`;
+  const when = deadline
+    ? `. Deadline: ${item.date} at ${item.time}.`
+    : ` on ${item.date} at ${item.time}.`;
+
+  const result = await dispatch('item_created', {
+    audience: { courseId: item.courseId },
+    course,
+    title: `New ${label} Created`,
+    message,
+    smsMessage: `New ${kindName} "${item.name}" for ${item.courseName}${when}`,
+    data: itemPushData(item, `${item.kind}_created`),
+    smsType: item.kind,
+  });
+
+  return {
+    notificationsSent: result.recipientCount,
+    pushNotificationsQueued: result.pushNotificationsQueued,
+    smsQueued: result.smsQueued,
+    smsSkippedForQuota: result.smsSkippedForQuota,
+  };
+};
+
+/**
+ * List the user-visible changes between an item and an update to it
+ * @param {Object} current - Item before the update
+ * @param {Object} updateData - Fields being set (name, date, time, venue, attachments)
+ * @returns {Array<{text: string, summary: string}>} One entry per changed field
+ */
+const describeItemChanges = (current, updateData) => {
+  const { label, deadline } = COURSE_ITEM_KINDS[current.kind];
+  const changes = [];
+
+  if (updateData.name && updateData.name !== current.name) {
+    changes.push({ text: `${label} name: ${current.name} → ${updateData.name}`, summary: 'Name changed' });
+  }
+  if (updateData.date && updateData.date !== current.date) {
+    changes.push(deadline
+      ? { text: `Submission deadline date: ${current.date} → ${updateData.date}`, summary: 'Deadline date changed' }
+      : { text: `Date: ${current.date} → ${updateData.date}`, summary: 'Date changed' });
+  }
+  if (updateData.time && updateData.time !== current.time) {
+    changes.push(deadline
+      ? { text: `Submission deadline time: ${current.time} → ${updateData.time}`, summary: 'Deadline time changed' }
+      : { text: `Time: ${current.time} → ${updateData.time}`, summary: 'Time changed' });
+  }
+  if (updateData.venue && updateData.venue !== current.venue) {
+    changes.push({ text: `Venue: ${current.venue} → ${updateData.venue}`, summary: 'Venue changed' });
+  }
+  if (updateData.attachments) {
+    const before = (current.attachments || []).map(String).sort().join(',');
+    const after = updateData.attachments.map(String).sort().join(',');
+    if (before !== after) {
+      changes.push({ text: 'Attachments updated', summary: 'Attachments updated' });
+    }
+  }
+
+  return changes;
+};
+
+/**
+ * Notify enrolled students that an item changed or was removed:
+ * in-app for everyone, push for students with access and notifications enabled
+ * @param {Object} item - The CourseItem
+ * @param {Object} content - title, detailed in-app message, short push message and push data type
+ * @returns {Promise<Object>} Counts of notifications and pushes queued
+ */
+const notifyEnrolledStudents = async (item, { title, message, pushMessage, type }) => {
+  const result = await dispatch('item_changed', {
+    audience: { courseId: item.courseId },
+    title,
+    message,
+    pushMessage,
+    data: itemPushData(item, type),
+  });
+
+  return {
+    notificationsSent: result.recipientCount,
+    pushNotificationsQueued: result.pushNotificationsQueued,
+  };
+};
+
+/**
+ * Notify enrolled students that an item was updated
+ * @param {Object} item - The updated CourseItem
+ * @param {Array} changes - From describeItemChanges
+ */
+const notifyItemUpdated = (item, changes) => {
+  const label = item.getKindLabel();
+
+  let message = `${label} "${item.name}" for ${item.courseName} has been updated`;
+  let pushMessage = `${label} "${item.name}" has been updated`;
+  if (changes.length > 0) {
+    message += `:\n${changes.map(change => change.text).join('\n')}`;
+    pushMessage += `. ${changes.map(change => change.summary).join(', ')}`;
+  }
+
+  return notifyEnrolledStudents(item, {
+    title: `${label} Updated`,
+    message,
+    pushMessage,
+    type: `${item.kind}_updated`,
+  });
+};
+
+/**
+ * Notify enrolled students that an item was cancelled
+ * @param {Object} item - The cancelled CourseItem (with cancelReason if one was given)
+ */
+const notifyItemCancelled = (item) => {
+  const label = item.getKindLabel();
+  const reason = item.cancelReason ? ` Reason: ${item.cancelReason}` : '';
+
+  return notifyEnrolledStudents(item, {
+    title: `${label} Cancelled`,
+    message: `${label} "${item.name}" for ${item.courseName} (${item.date} at ${item.time}) has been cancelled.${reason}`,
+    pushMessage: `${label} "${item.name}" has been cancelled`,
+    type: `${item.kind}_cancelled`,
+  });
+};
+
+/**
+ * Notify enrolled students that an item was deleted
+ * @param {Object} item - The deleted CourseItem
+ */
+const notifyItemDeleted = (item) => {
+  const label = item.getKindLabel();
+
+  return notifyEnrolledStudents(item, {
+    title: `${label} Removed`,
+    message: `${label} "${item.name}" for ${item.courseName} (${item.date} at ${item.time}) has been removed`,
+    pushMessage: `${label} "${item.name}" has been removed`,
+    type: `${item.kind}_deleted`,
+  });
+};
+
+module.exports = {
+  notifyItemCreated,
+  notifyItemUpdated,
+  notifyItemCancelled,
+  notifyItemDeleted,
+  describeItemChanges,
+};
@@ -0,0 +1,282 @@
+const {
+  User,
+  Enrollment,
+  ReminderDispatch,
+  CourseItem,
+  Submission,
+} = require('../models');
+const COURSE_ITEM_KINDS = require('../config/courseItemKinds');
+const { dispatchEach } = require('./notificationDispatcher');
+const { formatTimeInZone, getCourseTimezone } = require('./schedule');
+const { formatLeadTime, groupBy } = require('./classReminderJob');
+
+// How often the job runs
+const TICK_INTERVAL_MS = 5 * 60 * 1000;
+// Reminders go out 24 hours and 1 hour before an item is due
+const DEADLINE_REMINDER_OFFSETS = [24 * 60, 60];
+// The final reminder is sent by SMS as well for items marked urgent
+const SMS_OFFSET = 60;
+const REMINDER_WINDOW_MS = 5 * 60 * 1000;
+// A missed final reminder is still sent if the item is due this soon
+const CATCH_UP_WINDOW_MS = 10 * 60 * 1000;
+
+/**
+ * Work out which reminder offset, if any, falls in this tick for an item
+ * @param {Date} dueAt - When the item is due
+ * @param {Date} now - Current time
+ * @returns {number|null} Offset in minutes
+ */
+const getDueOffset = (dueAt, now) => {
+  const untilDue = new Date(dueAt).getTime() - now.getTime();
+  if (untilDue < 0) return null;
+
+  const offset = DEADLINE_REMINDER_OFFSETS.find(minutes => {
+    const untilReminder = untilDue - minutes * 60 * 1000;
+    return untilReminder >= 0 && untilReminder <= REMINDER_WINDOW_MS;
+  });
+  if (offset !== undefined) return offset;
+
+  return untilDue <= CATCH_UP_WINDOW_MS
+    ? DEADLINE_REMINDER_OFFSETS[DEADLINE_REMINDER_OFFSETS.length - 1]
+    : null;
+};
+
+/**
+ * Build the due-time ranges of items with a reminder window opening this tick
+ */
+const getDueRanges = (now) => {
+  const ranges = DEADLINE_REMINDER_OFFSETS.map(offset => {
+    const from = new Date(now.getTime() + offset * 60 * 1000);
+    return { dueAt: { $gte: from, $lte: new Date(from.getTime() + REMINDER_WINDOW_MS) } };
+  });
+  ranges.push({ dueAt: { $gte: now, $lte: new Date(now.getTime() + CATCH_UP_WINDOW_MS) } });
+  return ranges;
+};
+
+/**
+ * Build the reminder text for one student and item.
+ * Items that take submissions are only reminded to students who haven't submitted,
+ * so the message says so.
+ */
+const buildDeadlineMessage = (user, item, leadMinutes) => {
+  const { label, deadline, submissions } = COURSE_ITEM_KINDS[item.kind];
+  const verb = deadline ? 'is due' : 'starts';
+  const timeStr = formatTimeInZone(new Date(item.dueAt), item.timezone);
+  const venue = item.venue ? ` Venue: ${item.venue}.` : '';
+  const userName = user.fullName || 'Student';
+  if (submissions) {
+    return `Hi ${userName}, you haven't submitted ${item.courseCode} ${label.toLowerCase()} "${item.name}" yet. It ${verb} in ${formatLeadTime(leadMinutes)}. Time: ${timeStr}.${venue}`;
+  }
+  return `Hi ${userName}, ${item.courseCode} ${label.toLowerCase()} "${item.name}" ${verb} in ${formatLeadTime(leadMinutes)}. Time: ${timeStr}.${venue}`;
+};
+
+/**
+ * Process deadline reminders
+ * Runs periodically like the class reminders: finds assignments, quizzes and
+ * tutorials whose 24-hour or 1-hour reminder falls in this tick, claims a
+ * dispatch per student and sends them all in one notification dispatcher batch.
+ * The 1-hour reminder for urgent items also goes out by SMS, charged to the
+ * course rep's weekly SMS quota. For items that take submissions, students who
+ * have already submitted are skipped.
+ */
+const processDeadlineReminders = async () => {
+  const tickStartedAt = Date.now();
+  const stats = {
+    queries: 0,
+    items: 0,
+    enrollments: 0,
+    due: 0,
+    claimed: 0,
+    pushMessages: 0,
+    held: 0,
+    sms: 0,
+    smsSkippedForQuota: 0,
+    sent: 0,
+    failed: 0,
+  };
+
+  const logTick = () => {
+    console.log('Deadline reminder tick:', { ...stats, durationMs: Date.now() - tickStartedAt });
+  };
+
+  try {
+    console.log('Processing deadline reminders...');
+    const now = new Date();
+    const ranges = getDueRanges(now);
+
+    const items = (await CourseItem.find({ $or: ranges, cancelledAt: null })
+      .populate('courseId', 'timezone createdBy')
+      .lean())
+      .map(item => ({
+        ...item,
+        course: item.courseId?._id ? item.courseId : null,
+        courseId: item.courseId?._id || item.courseId,
+        timezone: getCourseTimezone(item.courseId),
+      }));
+    stats.queries++;
+    stats.items = items.length;
+
+    if (items.length === 0) {
+      logTick();
+      return { processed: 0, sent: 0, stats };
+    }
+
+    const courseIds = [...new Set(items.map(item => item.courseId.toString()))];
+    const enrollments = await Enrollment.find({ courseId: { $in: courseIds } })
+      .select('userId courseId')
+      .lean();
+    stats.queries++;
+    stats.enrollments = enrollments.length;
+
+    const userIds = [...new Set(enrollments.map(e => e.userId.toString()))];
+    const users = await User.find({ _id: { $in: userIds }, notificationsEnabled: true });
+    stats.queries++;
+
+    const usersById = new Map(users.map(u => [u._id.toString(), u]));
+    const enrollmentsByCourse = groupBy(enrollments, e => e.courseId.toString());
+
+    const submissionItemIds = items
+      .filter(item => COURSE_ITEM_KINDS[item.kind].submissions)
+      .map(item => item._id);
+    const submittersByItem = submissionItemIds.length > 0
+      ? await Submission.getSubmittersByItem(submissionItemIds)
+      : new Map();
+    if (submissionItemIds.length > 0) stats.queries++;
+
+    // Work out which student/item reminders fall in this tick
+    const due = [];
+    for (const item of items) {
+      const offsetMinutes = getDueOffset(item.dueAt, now);
+      if (offsetMinutes === null) continue;
+      const submitters = submittersByItem.get(item._id.toString());
+
+      for (const enrollment of enrollmentsByCourse.get(item.courseId.toString()) || []) {
+        const user = usersById.get(enrollment.userId.toString());
+
+        // Check if user has active access (payment OR active trial)
+        if (!user || !user.hasActiveAccess()) continue;
+        // Students can turn deadline reminders off per item type
+        if (user.deadlineReminders?.[item.kind] === false) continue;
+        // Nothing to remind students who already submitted
+        if (submitters && submitters.has(user._id.toString())) continue;
+
+        due.push({ user, item, offsetMinutes });
+      }
+    }
+    stats.due = due.length;
+
+    if (due.length === 0) {
+      logTick();
+      return { processed: 0, sent: 0, stats };
+    }
+
+    // Claim dispatch records so each reminder goes out once across restarts and instances
+    const candidates = due.map(reminder => {
+      const urgent = !!reminder.item.urgent && reminder.offsetMinutes === SMS_OFFSET;
+      const key = {
+        userId: reminder.user._id,
+        courseId: reminder.item.courseId,
+        itemId: reminder.item._id,
+        occurrenceStart: reminder.item.dueAt,
+        offsetMinutes: reminder.offsetMinutes,
+        type: `${reminder.item.kind}_deadline`,
+      };
+      return { ...reminder, urgent, channel: urgent && reminder.user.phoneNumber ? 'sms' : 'push', key };
+    });
+    const dispatches = await ReminderDispatch.claimMany(
+      candidates.map(reminder => ({ ...reminder.key, channel: reminder.channel }))
+    );
+    stats.queries += 3;
+    const dispatchesByKey = new Map(dispatches.map(d => [ReminderDispatch.keyOf(d), d]));
+    const claimed = candidates
+      .map(reminder => ({ ...reminder, dispatch: dispatchesByKey.get(ReminderDispatch.keyOf(reminder.key)) }))
+      .filter(reminder => reminder.dispatch);
+    stats.claimed = claimed.length;
+
+    if (claimed.length === 0) {
+      logTick();
+      return { processed: due.length, sent: 0, stats };
+    }
+
+    // The dispatcher applies channel preferences, quiet hours and the SMS quota, and
+    // queues the pushes and SMS
+    const sends = claimed.map(reminder => {
+      const { user, item } = reminder;
+      // Caught-up reminders state the real time left rather than the offset
+      const minutesLeft = Math.round((new Date(item.dueAt).getTime() - now.getTime()) / (60 * 1000));
+      const leadMinutes = Math.min(reminder.offsetMinutes, Math.max(minutesLeft, 1));
+      return {
+        user,
+        course: item.course,
+        title: `${COURSE_ITEM_KINDS[item.kind].label} Reminder`,
+        message: buildDeadlineMessage(user, item, leadMinutes),
+        urgent: reminder.urgent,
+        smsType: item.kind,
+        data: {
+          courseId: item.courseId.toString(),
+          courseName: item.courseName,
+          itemId: item._id.toString(),
+          itemType: item.kind,
+          type: 'deadline_reminder',
+          sound: user.notificationSound && user.notificationSound !== 'default'
+            ? `${user.notificationSound}.wav`
+            : 'default',
+        },
+      };
+    });
+
+    let result = null;
+    let error = null;
+    try {
+      result = await dispatchEach('deadline_reminder', sends);
+      stats.queries += 3;
+      stats.pushMessages = result.pushNotificationsQueued;
+      stats.held = result.pushNotificationsHeld;
+      stats.sms = result.smsQueued;
+      stats.smsSkippedForQuota = result.smsSkippedForQuota;
+    } catch (dispatchError) {
+      console.error('Error dispatching deadline reminders:', dispatchError);
+      error = dispatchError.message;
+    }
+
+    // Each reminder is settled as the dispatcher reached its student
+    await ReminderDispatch.settleMany(claimed.map((reminder, index) => ({
+      dispatch: reminder.dispatch,
+      delivery: result ? result.deliveries[index] : null,
+      error,
+    })));
+    stats.queries++;
+    stats.sent = result ? claimed.length : 0;
+    stats.failed = claimed.length - stats.sent;
+
+    logTick();
+    return { processed: due.length, sent: stats.sent, stats };
+  } catch (error) {
+    console.error('Error in processDeadlineReminders:', error);
+    logTick();
+    return { processed: 0, sent: 0, error: error.message, stats };
+  }
+};
+
+/**
+ * Start the deadline reminder job
+ * Runs every 5 minutes
+ */
+const startDeadlineReminderJob = () => {
+  // Run shortly after startup, offset from the class reminder job
+  setTimeout(() => {
+    processDeadlineReminders();
+  }, 60000); // 60 seconds delay
+
+  setInterval(() => {
+    processDeadlineReminders();
+  }, TICK_INTERVAL_MS);
+
+  console.log('Deadline reminder job started (runs every 5 minutes)');
+};
+
+module.exports = {
+  DEADLINE_REMINDER_OFFSETS,
+  processDeadlineReminders,
+  startDeadlineReminderJob,
+};
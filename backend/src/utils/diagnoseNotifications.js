@@ -22,7 +22,15 @@ const diagnoseNotificationIssues = async (courseId) => {
         console.log(`📚 Course: ${course.courseName} (${course.courseCode || 'N/A'})`);
 
         const enrollments = await Enrollment.find({ courseId })
-            .populate('userId', 'fullName pushToken notificationsEnabled paymentStatus trialEndDate');
+            .populate('userId', 'fullName notificationsEnabled paymentStatus trialEndDate');
+
+        // Users still holding a token in the retired User.pushToken field (not in the schema, so read raw)
+        const legacyTokenUsers = new Set((await User.collection
+            .find(
+                { _id: { $in: enrollments.filter(e => e.userId).map(e => e.userId._id) }, pushToken: { $type: 'string' } },
+                { projection: { _id: 1 } }
+            )
+            .toArray()).map(user => user._id.toString()));
 
         console.log(`👥 Total enrolled students: ${enrollments.length}\n`);
         console.log('═'.repeat(70));
@@ -89,7 +97,8 @@ const diagnoseNotificationIssues = async (courseId) => {
                 stats.issues.noTokens.push(student.fullName);
             }
 
-            if (student.pushToken) {
+            const hasLegacyToken = legacyTokenUsers.has(student._id.toString());
+            if (hasLegacyToken) {
                 stats.hasOldPushToken++;
                 if (deviceTokens.length === 0) {
                     stats.issues.needsMigration.push(student.fullName);
@@ -105,7 +114,7 @@ const diagnoseNotificationIssues = async (courseId) => {
             console.log(`   ├─ Active Access: ${hasActiveAccess ? '✅ YES' : '❌ NO'} ${!hasActiveAccess ? `(Trial: ${fullUser.isTrialActive() ? 'Active' : 'Expired'}, Paid: ${fullUser.paymentStatus})` : ''}`);
             console.log(`   ├─ Notifications Enabled: ${student.notificationsEnabled ? '✅ YES' : '❌ NO'}`);
             console.log(`   ├─ Device Tokens: ${deviceTokens.length > 0 ? `✅ ${deviceTokens.length} device(s)` : '❌ None'}`);
-            console.log(`   ├─ Old Push Token: ${student.pushToken ? '✅ Yes (needs migration)' : '❌ No'}`);
+            console.log(`   ├─ Old Push Token: ${hasLegacyToken ? '✅ Yes (needs migration)' : '❌ No'}`);
             console.log(`   └─ **WILL RECEIVE PUSH**: ${wouldReceive ? '✅ YES' : '❌ NO'}`);
 
             if (!wouldReceive) {
@@ -118,7 +127,7 @@ const diagnoseNotificationIssues = async (courseId) => {
                 }
                 if (deviceTokens.length === 0) {
                     console.log(`      ❌ No device tokens registered (user needs to login)`);
-                    if (student.pushToken) {
+                    if (hasLegacyToken) {
                         console.log(`         💡 Has old token - run migration script!`);
                     }
                 }
@@ -152,7 +161,7 @@ const diagnoseNotificationIssues = async (courseId) => {
 
         if (stats.issues.needsMigration.length > 0) {
             console.log(`1. 🔄 RUN MIGRATION SCRIPT (${stats.issues.needsMigration.length} users need it):`);
-            console.log(`   node src/utils/migrateTokens.js\n`);
+            console.log(`   npm run db:migrate-tokens\n`);
         }
 
         if (stats.issues.noAccess.length > 0) {
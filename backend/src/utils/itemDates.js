@@ -0,0 +1,118 @@
+const { Course, Enrollment, CourseItem } = require('../models');
+const {
+  getCourseTimezone,
+  getDayRange,
+  parseItemDateTime,
+  parseTimeOfDay,
+} = require('./schedule');
+
+// Window used by the /upcoming endpoints when no "to" is given, and the longest allowed
+const DEFAULT_UPCOMING_RANGE_DAYS = 7;
+const MAX_UPCOMING_RANGE_DAYS = 62;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check a quiz/tutorial/assignment date (DD/MM/YYYY or YYYY-MM-DD) names a real day
+ */
+const isValidItemDate = (value) => parseItemDateTime(value, '00:00', 'UTC') !== null;
+
+/**
+ * Check a quiz/tutorial/assignment time (e.g. "10:00 AM" or "14:30")
+ */
+const isValidItemTime = (value) => parseTimeOfDay(value) !== null;
+
+/**
+ * Resolve an item's date and time strings to its due instant in the course's timezone
+ * @param {string} date - Item date
+ * @param {string} time - Item time
+ * @param {Object} course - Course document (for its timezone)
+ * @returns {{dueAt: Date|null, dateInvalid: boolean}} Fields to store on the item
+ */
+const resolveDueAt = (date, time, course) => {
+  const dueAt = parseItemDateTime(date, time, getCourseTimezone(course));
+  return { dueAt, dateInvalid: !dueAt };
+};
+
+/**
+ * Get the courses whose items a user can list: the courses they are enrolled in,
+ * plus the courses they created if they are a course rep
+ * @param {Object} user - req.user
+ * @returns {Promise<Array>} Lean course documents with their timezone
+ */
+const getUserCourses = async (user) => {
+  const enrolledIds = await Enrollment.distinct('courseId', { userId: user.id });
+  const filter = user.role === 'course_rep'
+    ? { $or: [{ _id: { $in: enrolledIds } }, { createdBy: user.id }] }
+    : { _id: { $in: enrolledIds } };
+  return Course.find(filter).select('timezone').lean();
+};
+
+/**
+ * Parse the from/to query of an /upcoming endpoint
+ * @param {Object} query - req.query (from and to already validated as ISO 8601)
+ * @returns {{from: Date, to: Date}|{error: string}} The range, or why it is invalid
+ */
+const getUpcomingRange = (query, now = new Date()) => {
+  const from = query.from ? new Date(query.from) : now;
+  const to = query.to ? new Date(query.to) : new Date(from.getTime() + DEFAULT_UPCOMING_RANGE_DAYS * DAY_MS);
+
+  if (to <= from) {
+    return { error: '"to" must be after "from"' };
+  }
+  if (to - from > MAX_UPCOMING_RANGE_DAYS * DAY_MS) {
+    return { error: `Date range cannot exceed ${MAX_UPCOMING_RANGE_DAYS} days` };
+  }
+  return { from, to };
+};
+
+/**
+ * Build the due-time ranges covering today for a set of courses. Each course's
+ * "today" is its own calendar day, so courses are grouped by timezone.
+ * @param {Array} courses - Course documents
+ * @param {Date} now - Current time
+ * @returns {Array<{courseIds: Array, from: Date, to: Date}>} Ranges for findDueBetween
+ */
+const getTodayRanges = (courses, now = new Date()) => {
+  const courseIdsByTimezone = new Map();
+  courses.forEach(course => {
+    const timezone = getCourseTimezone(course);
+    if (!courseIdsByTimezone.has(timezone)) courseIdsByTimezone.set(timezone, []);
+    courseIdsByTimezone.get(timezone).push(course._id);
+  });
+
+  return [...courseIdsByTimezone].map(([timezone, courseIds]) => ({
+    courseIds,
+    ...getDayRange(now, timezone),
+  }));
+};
+
+/**
+ * Recompute dueAt for every item of a course, e.g. after its timezone changes.
+ * Errors are logged, not thrown.
+ * @param {Object} course - Course document
+ */
+const recomputeCourseDueDates = async (course) => {
+  try {
+    const items = await CourseItem.find({ courseId: course._id }).select('date time').lean();
+    if (items.length === 0) return;
+
+    await CourseItem.bulkWrite(items.map(item => ({
+      updateOne: {
+        filter: { _id: item._id },
+        update: { $set: resolveDueAt(item.date, item.time, course) },
+      },
+    })), { ordered: false });
+  } catch (error) {
+    console.error(`Error recomputing item due dates for course ${course._id}:`, error);
+  }
+};
+
+module.exports = {
+  isValidItemDate,
+  isValidItemTime,
+  resolveDueAt,
+  getUserCourses,
+  getUpcomingRange,
+  getTodayRanges,
+  recomputeCourseDueDates,
+};
@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+const { Course, CourseItem } = require('../models');
+const COURSE_ITEM_KINDS = require('../config/courseItemKinds');
+const { resolveDueAt } = require('./itemDates');
+
+// Writes are sent in batches of this size
+const BATCH_SIZE = 500;
+
+/**
+ * Copy items from the old per-kind collections (assignments, quizzes, tutorials)
+ * into the course items collection. Ids are kept, so links and reminder records
+ * still point at the same item. Items already copied are left untouched, so this
+ * is safe to run more than once. The old collections are not modified.
+ * @returns {Promise<Object>} Items copied per kind
+ */
+const copyLegacyItems = async () => {
+  const results = {};
+
+  for (const [kind, { plural }] of Object.entries(COURSE_ITEM_KINDS)) {
+    const legacy = mongoose.connection.db.collection(plural);
+    let copied = 0;
+    let writes = [];
+
+    const flush = async () => {
+      if (writes.length > 0) {
+        const result = await CourseItem.collection.bulkWrite(writes, { ordered: false });
+        copied += result.upsertedCount;
+        writes = [];
+      }
+    };
+
+    const cursor = legacy.find({});
+    for (let doc = await cursor.next(); doc; doc = await cursor.next()) {
+      writes.push({
+        updateOne: {
+          filter: { _id: doc._id },
+          update: {
+            $setOnInsert: {
+              kind,
+              name: doc[`${kind}Name`] || doc.name,
+              date: doc.date,
+              time: doc.time,
+              venue: doc.venue,
+              topic: doc.topic ?? null,
+              courseId: doc.courseId,
+              courseCode: doc.courseCode,
+              courseName: doc.courseName,
+              createdBy: doc.createdBy,
+              dueAt: doc.dueAt ?? null,
+              dateInvalid: doc.dateInvalid ?? false,
+              urgent: doc.urgent ?? false,
+              createdAt: doc.createdAt,
+              updatedAt: doc.updatedAt,
+            },
+          },
+          upsert: true,
+        },
+      });
+      if (writes.length >= BATCH_SIZE) await flush();
+    }
+    await flush();
+
+    console.log(`📦 ${plural}: ${copied} copied into course items`);
+    results[plural] = copied;
+  }
+
+  return results;
+};
+
+/**
+ * Backfill dueAt on course items from their date/time strings.
+ * Items whose date or time cannot be parsed are flagged with dateInvalid so
+ * course reps can fix them; they are listed in the output.
+ * @param {Object} options
+ * @param {boolean} options.all - Recompute every item, not just those without dueAt
+ * @returns {Promise<Object>} Parsed and invalid counts
+ */
+const migrateItemDates = async ({ all = false } = {}) => {
+  // Timezone lookups are cached per course
+  const courses = new Map();
+  const getCourse = async (courseId) => {
+    const key = courseId.toString();
+    if (!courses.has(key)) {
+      courses.set(key, await Course.findById(courseId).select('timezone').lean());
+    }
+    return courses.get(key);
+  };
+
+  const filter = all ? {} : { dueAt: null, dateInvalid: { $ne: true } };
+  let parsed = 0;
+  const invalid = [];
+  let updates = [];
+
+  const flush = async () => {
+    if (updates.length > 0) {
+      await CourseItem.bulkWrite(updates, { ordered: false });
+      updates = [];
+    }
+  };
+
+  const cursor = CourseItem.find(filter).select('kind date time courseId').lean().cursor();
+  for (let item = await cursor.next(); item; item = await cursor.next()) {
+    const course = await getCourse(item.courseId);
+    const { dueAt, dateInvalid } = resolveDueAt(item.date, item.time, course);
+
+    if (dateInvalid) {
+      invalid.push({ id: item._id.toString(), kind: item.kind, date: item.date, time: item.time });
+    } else {
+      parsed++;
+    }
+
+    updates.push({
+      updateOne: {
+        filter: { _id: item._id },
+        update: { $set: { dueAt, dateInvalid } },
+      },
+    });
+    if (updates.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  console.log(`📊 Dates: ${parsed} parsed, ${invalid.length} flagged as invalid`);
+  invalid.forEach(({ id, kind, date, time }) => {
+    console.log(`   ⚠️  ${kind} ${id}: date "${date}", time "${time}"`);
+  });
+
+  return { parsed, invalid: invalid.length, invalidIds: invalid.map(i => i.id) };
+};
+
+/**
+ * Move legacy items into the course items collection, then backfill their due dates
+ * @param {Object} options
+ * @param {boolean} options.all - Recompute dueAt for every item
+ */
+const migrateCourseItems = async ({ all = false } = {}) => {
+  try {
+    console.log('🔄 Starting course item migration...');
+    const copied = await copyLegacyItems();
+    const dates = await migrateItemDates({ all });
+    console.log('✅ Course item migration complete!');
+    return { success: true, copied, dates };
+  } catch (error) {
+    console.error('❌ Course item migration failed:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Run migration immediately if this file is executed directly.
+ * Pass --all to recompute dueAt for every item (e.g. after changing a course timezone).
+ */
+if (require.main === module) {
+  require('dotenv').config();
+  const connectDB = require('../config/database');
+
+  connectDB()
+    .then(async () => {
+      const result = await migrateCourseItems({ all: process.argv.includes('--all') });
+      await mongoose.connection.close();
+      process.exit(result.success ? 0 : 1);
+    });
+}
+
+module.exports = { copyLegacyItems, migrateItemDates, migrateCourseItems };
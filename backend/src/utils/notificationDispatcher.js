@@ -0,0 +1,339 @@
+const mongoose = require('mongoose');
+const { User, Enrollment, Notification, DeviceToken } = require('../models');
+const { NOTIFICATION_EVENTS } = require('../config/notificationEvents');
+const { enqueuePush, enqueueSms } = require('./outboundQueue');
+const { isClassStartingWithin } = require('./schedule');
+const { applySmsQuota, releaseSmsQuota, QUOTA_REACHED_ERROR } = require('./smsQuota');
+
+// Sends this close to the next class are urgent enough to text students
+const SMS_WINDOW_MINUTES = 30;
+// Longest message that fits one SMS
+const SMS_MAX_LENGTH = 160;
+
+/**
+ * Shorten a message to fit one SMS
+ */
+const toSmsLength = (message) => (
+  message.length > SMS_MAX_LENGTH ? message.substring(0, SMS_MAX_LENGTH - 3) + '...' : message
+);
+
+/**
+ * Load the users an event goes to
+ * @param {Object} audience - `{ courseId }` for everyone enrolled in a course, or `{ userIds }`;
+ *   `excludeUserIds` leaves out students of the course who were already notified
+ * @returns {Promise<Array>} User documents
+ */
+const resolveAudience = async ({ courseId, userIds, excludeUserIds = [] }) => {
+  if (courseId) {
+    const filter = excludeUserIds.length > 0 ? { courseId, userId: { $nin: excludeUserIds } } : { courseId };
+    const enrollments = await Enrollment.find(filter).populate('userId');
+    // Skip enrollments whose user no longer exists
+    return enrollments.map(enrollment => enrollment.userId).filter(user => user && user._id);
+  }
+  return User.find({ _id: { $in: userIds || [] } });
+};
+
+/**
+ * Group SMS by the course they're for (messages without one share the '' key)
+ */
+const groupSmsByCourse = (messages) => {
+  const groups = new Map();
+  messages.forEach(sms => {
+    const key = sms.courseId ? sms.courseId.toString() : '';
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(sms);
+  });
+  return groups;
+};
+
+/**
+ * Queue the push or SMS copies of notifications that were just saved. If they can't
+ * be queued, the channel is marked failed on those notifications.
+ * @param {Array<Object>} notifications - The saved rows (updated in place on failure)
+ * @param {Array<Object>} messages - Pushes or SMS, each with its `notificationId`
+ * @param {Function} enqueue - enqueuePush or enqueueSms
+ * @param {string} channel - 'push' or 'sms'
+ * @returns {Promise<boolean>} Whether they were queued
+ */
+const enqueueForNotifications = async (notifications, messages, enqueue, channel) => {
+  if (messages.length === 0) return true;
+
+  try {
+    await enqueue(messages);
+    return true;
+  } catch (error) {
+    console.error(`Error queueing ${channel} messages:`, error);
+    const ids = new Set(messages.map(message => message.notificationId.toString()));
+    const failed = { [`${channel}Status`]: 'failed', [`${channel}Error`]: error.message };
+    notifications.forEach(row => {
+      if (ids.has(row._id.toString())) Object.assign(row, failed);
+    });
+    await Notification.updateMany({ _id: { $in: [...ids] } }, { $set: failed });
+    return false;
+  }
+};
+
+/**
+ * How one recipient was reached: `channel` is 'push' if a push was queued or held for
+ * the quiet hours digest (`held`), else 'sms' if an SMS was queued, else 'in_app'.
+ * `error` says why a push or SMS couldn't be queued.
+ */
+const toDelivery = (row) => {
+  let channel = 'in_app';
+  if (row.pushStatus === 'queued' || row.pushStatus === 'held') {
+    channel = 'push';
+  } else if (row.smsStatus === 'queued') {
+    channel = 'sms';
+  }
+  return {
+    notificationId: row._id,
+    channel,
+    held: row.pushStatus === 'held',
+    error: row.pushError || row.smsError || null,
+  };
+};
+
+/**
+ * Send a notification event to an audience. Everyone gets an in-app notification.
+ * Push goes to each active device of users with notifications on, and SMS to users
+ * with a phone number when the send is urgent; both only where the event uses that
+ * channel and the user hasn't turned it off for the event's category. During a
+ * user's quiet hours their push is held for the quiet hours digest and no SMS is
+ * sent, unless the event breaks quiet hours and the send is urgent. SMS for a
+ * course are charged to its rep's weekly SMS quota, and those over it are skipped.
+ * Push and SMS go through the outbound queue, which records how they fared on the
+ * notifications. If the notifications can't be saved, nothing is sent and the error is
+ * thrown. Once they are saved, a push or SMS that can't be queued is marked failed on
+ * its notification rather than thrown, and SMS that weren't queued give back the quota
+ * and credits they took.
+ * @param {string} eventName - Key in NOTIFICATION_EVENTS
+ * @param {Object} options
+ * @param {Object} options.audience - `{ courseId }` for everyone enrolled (less any
+ *   `excludeUserIds`), or `{ userIds }`
+ * @param {Object} [options.course] - Related course. Its next class decides urgency
+ *   unless `urgent` is given, so it needs `termId` and `exceptions` populated.
+ * @param {string} options.title - Title on every channel
+ * @param {string} options.message - In-app message, also used for push and SMS unless overridden
+ * @param {string} [options.pushMessage] - Shorter message for push
+ * @param {string} [options.smsMessage] - Shorter message for SMS
+ * @param {Object} [options.data] - Push payload
+ * @param {boolean} [options.urgent] - Whether SMS may go out (default: next class within 30 minutes)
+ * @param {Object} [options.notification] - Extra fields for each Notification row
+ * @param {string} [options.smsType] - SmsLog type (default: the event's notification type)
+ * @returns {Promise<Object>} Notification IDs and counts of recipients, pushes queued and held,
+ *   and SMS queued and skipped for the quota
+ */
+const dispatch = async (eventName, {
+  audience,
+  course = null,
+  title,
+  message,
+  pushMessage,
+  smsMessage,
+  data = {},
+  urgent,
+  notification = {},
+  smsType,
+}) => {
+  if (!NOTIFICATION_EVENTS[eventName]) {
+    throw new Error(`Unknown notification event: ${eventName}`);
+  }
+
+  const courseId = course?._id || audience.courseId || null;
+  const isUrgent = urgent !== undefined
+    ? urgent
+    : !!course && isClassStartingWithin(course, SMS_WINDOW_MINUTES).within;
+
+  const users = await resolveAudience(audience);
+  return dispatchEach(eventName, users.map(user => ({
+    user,
+    course,
+    courseId,
+    title,
+    message,
+    pushMessage,
+    smsMessage,
+    data,
+    urgent: isUrgent,
+    notification,
+    smsType,
+  })));
+};
+
+/**
+ * Send a notification event to each of several users with a message of their own,
+ * like class and deadline reminders. Channels, preferences, quiet hours and the SMS
+ * quota work as in dispatch(), and messages are used as given.
+ * @param {string} eventName - Key in NOTIFICATION_EVENTS
+ * @param {Array<Object>} sends - One per user: `user` (User document), `title`, `message`,
+ *   and optionally `pushMessage`, `smsMessage`, `data`, `urgent`, `notification`, `smsType`,
+ *   and `course` (with `createdBy`, for the SMS quota) or just `courseId`. A send with a
+ *   `notificationId` goes out on that existing notification, like a re-send, and only
+ *   its push and SMS statuses are updated.
+ * @returns {Promise<Object>} Notification IDs and `deliveries` (see toDelivery) in the
+ *   order of `sends`, and counts of recipients, pushes queued and held, and SMS queued,
+ *   not queued (`smsFailed`) and skipped for the quota
+ */
+const dispatchEach = async (eventName, sends) => {
+  const event = NOTIFICATION_EVENTS[eventName];
+  if (!event) {
+    throw new Error(`Unknown notification event: ${eventName}`);
+  }
+
+  const usesPush = event.channels.includes('push');
+  const now = new Date();
+
+  const devicesByUser = usesPush && sends.length > 0
+    ? await DeviceToken.getActiveTokensByUser(sends.map(send => send.user._id))
+    : new Map();
+
+  const notifications = [];
+  const pushes = [];
+  const smsMessages = [];
+  const coursesById = new Map();
+  const existingIds = new Set();
+  let pushNotificationsHeld = 0;
+
+  for (const {
+    user,
+    course = null,
+    courseId = course?._id || null,
+    title,
+    message,
+    pushMessage,
+    smsMessage,
+    data = {},
+    urgent = false,
+    notification = {},
+    smsType,
+    notificationId: existingNotificationId = null,
+  } of sends) {
+    const greet = (text) => (event.greet ? `Hi ${user.fullName || 'Student'}, ${text}` : text);
+    const hasAccess = !event.requiresAccess || user.hasActiveAccess();
+    const usesSms = event.channels.includes('sms') && urgent;
+    const quietUntil = event.breaksQuietHours && urgent ? null : user.getQuietHoursEnd(now);
+    if (course) coursesById.set(course._id.toString(), course);
+
+    // In-app notification for everyone (even if their trial expired), unless the send
+    // goes out on one the user already has
+    const notificationId = existingNotificationId || new mongoose.Types.ObjectId();
+    const row = existingNotificationId
+      ? { _id: notificationId }
+      : {
+        _id: notificationId,
+        userId: user._id,
+        title,
+        message: greet(message),
+        type: event.type,
+        courseId,
+        ...notification,
+      };
+    if (existingNotificationId) existingIds.add(notificationId.toString());
+    notifications.push(row);
+
+    if (usesPush && hasAccess && user.notificationsEnabled && user.wantsNotification(event.category, 'push')) {
+      const devices = devicesByUser.get(user._id.toString()) || [];
+      if (quietUntil && devices.length > 0) {
+        row.pushStatus = 'held';
+        row.pushHeldUntil = quietUntil;
+        pushNotificationsHeld++;
+      } else if (devices.length > 0) {
+        row.pushStatus = 'queued';
+        devices.forEach(device => {
+          pushes.push({
+            notificationId,
+            pushToken: device.pushToken,
+            title,
+            body: greet(pushMessage || message),
+            data,
+          });
+        });
+      }
+    }
+
+    // No SMS during quiet hours; the held push goes out in the digest instead
+    if (quietUntil) continue;
+
+    if (usesSms && hasAccess && user.phoneNumber && user.wantsNotification(event.category, 'sms')) {
+      const label = event.markSmsUrgent === false ? '' : 'URGENT: ';
+      row.smsStatus = 'queued';
+      row.smsError = null;
+      smsMessages.push({
+        notificationId,
+        phoneNumber: user.phoneNumber,
+        message: toSmsLength(greet(`${label}${smsMessage || message}`)),
+        userId: user._id,
+        type: smsType || event.type,
+        courseId,
+      });
+    }
+  }
+
+  // Each course's SMS are charged to its own rep's quota
+  const smsAllowed = [];
+  const smsSkipped = [];
+  const reservations = [];
+  for (const [courseId, messages] of groupSmsByCourse(smsMessages)) {
+    const course = coursesById.get(courseId);
+    const { allowed, skipped, reservation } = course
+      ? await applySmsQuota(course, messages, now)
+      : { allowed: messages, skipped: [], reservation: null };
+    smsAllowed.push(...allowed);
+    smsSkipped.push(...skipped);
+    reservations.push(reservation);
+  }
+  const skippedIds = new Set(smsSkipped.map(sms => sms.notificationId.toString()));
+  notifications.forEach(row => {
+    if (skippedIds.has(row._id.toString())) {
+      row.smsStatus = 'none';
+      row.smsError = QUOTA_REACHED_ERROR;
+    }
+  });
+
+  // New notifications are inserted; existing ones get their push and SMS statuses
+  const newRows = notifications.filter(row => !existingIds.has(row._id.toString()));
+  const existingUpdates = notifications
+    .filter(row => existingIds.has(row._id.toString()) && Object.keys(row).length > 1)
+    .map(({ _id, ...fields }) => ({ updateOne: { filter: { _id }, update: { $set: fields } } }));
+  try {
+    if (newRows.length > 0) {
+      await Notification.insertMany(newRows);
+    }
+    if (existingUpdates.length > 0) {
+      await Notification.bulkWrite(existingUpdates, { ordered: false });
+    }
+  } catch (error) {
+    // Nothing was sent, so give back the quota and credits the SMS took
+    await Promise.all(reservations.map(releaseSmsQuota));
+    throw error;
+  }
+
+  // The in-app notifications exist now, so a push or SMS that can't be queued is
+  // recorded on them instead of thrown: sending the event again would repeat them
+  const pushQueued = await enqueueForNotifications(notifications, pushes, enqueuePush, 'push');
+  if (smsAllowed.length > 0) {
+    console.log(`Queueing ${smsAllowed.length} urgent SMS for ${eventName}`);
+  }
+  const smsQueued = await enqueueForNotifications(notifications, smsAllowed, enqueueSms, 'sms');
+  if (!smsQueued) {
+    // The SMS never reached the queue, so give back the quota and credits they took
+    await Promise.all(reservations.map(releaseSmsQuota));
+  }
+
+  return {
+    notificationIds: notifications.map(row => row._id),
+    deliveries: notifications.map(toDelivery),
+    recipientCount: notifications.length,
+    pushNotificationsQueued: pushQueued ? pushes.length : 0,
+    pushNotificationsHeld,
+    smsQueued: smsQueued ? smsAllowed.length : 0,
+    smsFailed: smsQueued ? 0 : smsAllowed.length,
+    smsSkippedForQuota: smsSkipped.length,
+  };
+};
+
+module.exports = {
+  SMS_WINDOW_MINUTES,
+  dispatch,
+  dispatchEach,
+};
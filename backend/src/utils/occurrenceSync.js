@@ -0,0 +1,139 @@
+const { Course, ClassOccurrence } = require('../models');
+const { getOccurrences } = require('./schedule');
+
+// How far ahead occurrences are materialized. Must cover the longest
+// reminder offset plus the time between full syncs.
+const OCCURRENCE_HORIZON_MS = 48 * 60 * 60 * 1000;
+// Courses a term resync works on at once
+const TERM_SYNC_CONCURRENCY = 5;
+
+/**
+ * Write a course's upcoming occurrences and drop any that no longer apply
+ * @param {Object} course - Course document with `termId` and `exceptions` populated
+ * @param {Date} now - Start of the horizon
+ * @returns {Promise<number>} Number of occurrences in the horizon
+ */
+const writeCourseOccurrences = async (course, now = new Date()) => {
+  const syncedAt = new Date();
+  const occurrences = getOccurrences(course, now, new Date(now.getTime() + OCCURRENCE_HORIZON_MS));
+
+  if (occurrences.length > 0) {
+    await ClassOccurrence.bulkWrite(occurrences.map(occurrence => ({
+      updateOne: {
+        filter: { courseId: course._id, start: occurrence.start },
+        update: {
+          $set: {
+            end: occurrence.end,
+            date: occurrence.date,
+            day: occurrence.day,
+            venue: occurrence.venue,
+            timezone: occurrence.timezone,
+            status: occurrence.status,
+            syncedAt,
+          },
+        },
+        upsert: true,
+      },
+    })), { ordered: false });
+  }
+
+  // Anything upcoming that this run didn't write was cancelled, moved or edited away
+  await ClassOccurrence.deleteMany({
+    courseId: course._id,
+    start: { $gte: now },
+    syncedAt: { $lt: syncedAt },
+  });
+
+  return occurrences.length;
+};
+
+/**
+ * Recompute the upcoming occurrences of one course.
+ * Call after anything that changes when a course meets. Errors are logged,
+ * not thrown, so a failed sync never fails the request that triggered it;
+ * the next full sync repairs it.
+ * @param {string} courseId - Course ID
+ */
+const syncCourseOccurrences = async (courseId) => {
+  try {
+    const course = await Course.findById(courseId).populate(['termId', 'exceptions']);
+    if (!course) {
+      await ClassOccurrence.deleteMany({ courseId });
+      return 0;
+    }
+    return await writeCourseOccurrences(course);
+  } catch (error) {
+    console.error(`Error syncing occurrences for course ${courseId}:`, error);
+    return 0;
+  }
+};
+
+/**
+ * Recompute the upcoming occurrences of every course in a term, a few at a time.
+ * Call without awaiting after a term's dates or breaks change; like
+ * syncCourseOccurrences it never throws.
+ * @param {string} termId - Term ID
+ * @returns {Promise<number>} Number of courses synced
+ */
+const syncTermOccurrences = async (termId) => {
+  try {
+    const courses = await Course.find({ termId }).select('_id').lean();
+    let next = 0;
+    const worker = async () => {
+      while (next < courses.length) {
+        await syncCourseOccurrences(courses[next++]._id);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(TERM_SYNC_CONCURRENCY, courses.length) }, worker));
+    return courses.length;
+  } catch (error) {
+    console.error(`Error syncing occurrences for term ${termId}:`, error);
+    return 0;
+  }
+};
+
+/**
+ * Recompute upcoming occurrences for every course
+ * @returns {Promise<Object>} Courses and occurrences written
+ */
+const syncAllOccurrences = async () => {
+  const now = new Date();
+  let courses = 0;
+  let occurrences = 0;
+
+  const cursor = Course.find().populate(['termId', 'exceptions']).cursor();
+  for (let course = await cursor.next(); course; course = await cursor.next()) {
+    try {
+      occurrences += await writeCourseOccurrences(course, now);
+      courses++;
+    } catch (error) {
+      console.error(`Error syncing occurrences for course ${course._id}:`, error);
+    }
+  }
+
+  // Occurrences of courses that no longer exist
+  const courseIds = await Course.distinct('_id');
+  await ClassOccurrence.deleteMany({ courseId: { $nin: courseIds } });
+
+  return { courses, occurrences };
+};
+
+/**
+ * Remove all stored occurrences of a course (e.g. when it is deleted)
+ * @param {string} courseId - Course ID
+ */
+const removeCourseOccurrences = async (courseId) => {
+  try {
+    await ClassOccurrence.deleteMany({ courseId });
+  } catch (error) {
+    console.error(`Error removing occurrences for course ${courseId}:`, error);
+  }
+};
+
+module.exports = {
+  OCCURRENCE_HORIZON_MS,
+  syncCourseOccurrences,
+  syncTermOccurrences,
+  syncAllOccurrences,
+  removeCourseOccurrences,
+};
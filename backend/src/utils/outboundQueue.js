@@ -0,0 +1,330 @@
+const config = require('../config');
+const { OutboundMessage, Notification, SmsLog, ReminderDispatch } = require('../models');
+const { sendBulkPushNotifications, UNRETRYABLE_PUSH_ERRORS } = require('./pushNotificationService');
+const { sendBulkSMS } = require('./smsService');
+const { SMS_PROVIDERS } = require('./sms');
+const { countSmsSegments, refundSmsCredits } = require('./smsWallet');
+const { releaseFailedSmsQuota } = require('./smsQuota');
+
+// Rate limits are per second, so a busy worker waits this long between batches
+const RATE_WINDOW_MS = 1000;
+// How often an idle worker checks for due messages (retries and other instances' sends)
+const POLL_INTERVAL_MS = 5 * 1000;
+// A claimed message not finished within this long is requeued
+const LOCK_MS = 5 * 60 * 1000;
+
+/**
+ * Send a claimed batch of push messages through Expo
+ * @returns {Promise<Array<{success: boolean, ticketId?: string, error?: string, retryable?: boolean}>>} One per message
+ */
+const sendPushBatch = async (messages) => {
+  const pushResult = await sendBulkPushNotifications(messages.map(message => ({
+    pushToken: message.to,
+    title: message.title,
+    body: message.body,
+    data: message.data,
+    notificationIds: message.notificationIds,
+  })));
+
+  return messages.map((message, index) => {
+    const result = pushResult.results?.[index];
+    if (result && result.status === 'ok') {
+      return { success: true, ticketId: result.ticketId };
+    }
+    const error = result?.error || pushResult.error || 'Push failed';
+    return { success: false, error, retryable: !UNRETRYABLE_PUSH_ERRORS.includes(error) };
+  });
+};
+
+/**
+ * Send a claimed batch of SMS through the SMS provider they were queued for.
+ * They're logged by processProvider (their SmsLogs exist from when they were queued).
+ * @returns {Promise<Array<{success: boolean, providerRef?: string, error?: string, retryable?: boolean}>>} One per message
+ */
+const sendSmsBatch = async (messages, provider) => {
+  const smsResult = await sendBulkSMS(messages.map(message => ({
+    phoneNumber: message.to,
+    message: message.body,
+  })), { provider });
+
+  return messages.map((message, index) => {
+    const result = smsResult.results?.[index];
+    return result && result.success
+      ? { success: true, providerRef: result.providerRef }
+      : { success: false, error: result?.error || 'SMS failed', retryable: result ? result.retryable : true };
+  });
+};
+
+// Services messages go out through, by provider name
+const PROVIDERS = {
+  expo: { channel: 'push', send: sendPushBatch },
+  ...Object.fromEntries(SMS_PROVIDERS.map(provider => [
+    provider,
+    { channel: 'sms', send: (messages) => sendSmsBatch(messages, provider) },
+  ])),
+};
+
+/**
+ * Provider new messages on a channel are queued for
+ */
+const getProvider = (channel) => (channel === 'push' ? 'expo' : config.sms.provider);
+
+/**
+ * Delay before the next try of a message that has failed `attempts` times
+ */
+const getRetryDelay = (attempts) => Math.min(
+  config.outboundQueue.retryDelayMs * 2 ** (attempts - 1),
+  config.outboundQueue.maxRetryDelayMs
+);
+
+let workerStarted = false;
+let workerRunning = false;
+let workerTimer = null;
+
+/**
+ * Send one provider's due messages, up to its rate limit, and record the outcomes
+ * @returns {Promise<Object>} Counts of messages claimed, sent, failed, retried and dead-lettered
+ */
+const processProvider = async (provider) => {
+  const stats = { claimed: 0, sent: 0, failed: 0, retried: 0, dead: 0 };
+  const { channel, send } = PROVIDERS[provider];
+  const limit = config.outboundQueue.rateLimits[provider];
+
+  const messages = await OutboundMessage.claimDue(provider, limit, LOCK_MS);
+  stats.claimed = messages.length;
+  if (messages.length === 0) return stats;
+
+  let outcomes;
+  try {
+    outcomes = await send(messages);
+  } catch (error) {
+    console.error(`Error sending ${provider} batch:`, error);
+    outcomes = messages.map(() => ({ success: false, error: error.message, retryable: true }));
+  }
+
+  const now = new Date();
+  const finishedNotificationIds = new Set();
+  const smsLogUpdates = [];
+  const failedSmsLogIds = [];
+  const pushTickets = [];
+  const updates = messages.map((message, index) => {
+    const outcome = outcomes[index] || { success: false, error: 'No result', retryable: true };
+    const attempts = message.attempts + 1;
+    const $set = { attempts, lockId: null, lockedUntil: null };
+
+    if (outcome.success) {
+      Object.assign($set, { status: 'sent', ticketId: outcome.ticketId || null, lastError: null, sentAt: now, finishedAt: now });
+      stats.sent++;
+      if (outcome.ticketId) {
+        pushTickets.push({ notificationIds: message.notificationIds, ticketId: outcome.ticketId });
+      }
+    } else if (!outcome.retryable) {
+      Object.assign($set, { status: 'failed', lastError: outcome.error, finishedAt: now });
+      stats.failed++;
+    } else if (attempts >= config.outboundQueue.maxAttempts) {
+      Object.assign($set, { status: 'dead', lastError: outcome.error, finishedAt: now });
+      stats.dead++;
+    } else {
+      Object.assign($set, {
+        status: 'queued',
+        lastError: outcome.error,
+        nextAttemptAt: new Date(now.getTime() + getRetryDelay(attempts)),
+      });
+      stats.retried++;
+    }
+
+    if ($set.status !== 'queued') {
+      message.notificationIds.forEach(id => finishedNotificationIds.add(id.toString()));
+    }
+    if (message.smsLogId && !outcome.success && $set.status !== 'queued') {
+      failedSmsLogIds.push(message.smsLogId);
+    }
+    if (message.smsLogId && $set.status !== 'queued') {
+      smsLogUpdates.push({
+        updateOne: {
+          filter: { _id: message.smsLogId },
+          update: {
+            $set: outcome.success
+              ? { status: 'sent', provider, providerRef: outcome.providerRef || null, failureReason: null, sentAt: now }
+              : { status: 'failed', provider, failureReason: outcome.error, failedAt: now },
+          },
+        },
+      });
+    }
+    return { updateOne: { filter: { _id: message._id }, update: { $set } } };
+  });
+
+  await OutboundMessage.bulkWrite(updates, { ordered: false });
+  if (smsLogUpdates.length > 0) {
+    await SmsLog.bulkWrite(smsLogUpdates, { ordered: false });
+  }
+  if (failedSmsLogIds.length > 0) {
+    await refundSmsCredits(failedSmsLogIds);
+    await releaseFailedSmsQuota(failedSmsLogIds);
+  }
+
+  if (finishedNotificationIds.size > 0) {
+    await Notification.applyOutboundResults(channel, [...finishedNotificationIds]);
+  }
+  // Reminders keep the ticket ids of their pushes
+  await ReminderDispatch.recordPushTickets(pushTickets);
+
+  if (stats.dead > 0) {
+    console.error(`❌ ${stats.dead} ${provider} message(s) failed ${config.outboundQueue.maxAttempts} times and were dead-lettered`);
+  }
+
+  return stats;
+};
+
+/**
+ * Process the outbound queue
+ * Requeues messages a stopped worker left behind, then sends each provider's
+ * due messages, up to its per-second rate limit.
+ */
+const processOutboundQueue = async () => {
+  const stats = { claimed: 0, sent: 0, failed: 0, retried: 0, dead: 0, released: 0 };
+
+  try {
+    const released = await OutboundMessage.releaseStale();
+    stats.released = released.modifiedCount || 0;
+
+    for (const provider of Object.keys(PROVIDERS)) {
+      try {
+        const providerStats = await processProvider(provider);
+        Object.keys(providerStats).forEach(key => {
+          stats[key] += providerStats[key];
+        });
+      } catch (error) {
+        console.error(`Error processing ${provider} messages:`, error);
+      }
+    }
+
+    if (stats.claimed > 0 || stats.released > 0) {
+      console.log('Outbound queue tick:', stats);
+    }
+    return stats;
+  } catch (error) {
+    console.error('Error in processOutboundQueue:', error);
+    return { ...stats, error: error.message };
+  }
+};
+
+/**
+ * Run the worker now unless it's already running
+ */
+const runWorker = async () => {
+  if (workerRunning) return;
+  workerRunning = true;
+  clearTimeout(workerTimer);
+
+  let busy = false;
+  try {
+    const stats = await processOutboundQueue();
+    busy = stats.claimed > 0;
+  } finally {
+    workerRunning = false;
+    workerTimer = setTimeout(runWorker, busy ? RATE_WINDOW_MS : POLL_INTERVAL_MS);
+  }
+};
+
+/**
+ * Add messages to the outbound queue and wake the worker
+ * @param {Array<Object>} messages - OutboundMessage fields (channel, to, body, ...)
+ * @returns {Promise<number>} Number of messages queued
+ */
+const enqueue = async (messages) => {
+  if (messages.length === 0) return 0;
+
+  await OutboundMessage.insertMany(messages.map(message => ({
+    ...message,
+    provider: getProvider(message.channel),
+  })));
+
+  if (workerStarted && !workerRunning) {
+    clearTimeout(workerTimer);
+    workerTimer = setTimeout(runWorker, 0);
+  }
+  return messages.length;
+};
+
+/**
+ * Queue push copies of notifications, one per device
+ * @param {Array<{notificationId, notificationIds?: Array, pushToken: string, title: string, body: string, data?: Object}>} pushes
+ *   A push summing up several notifications lists them all in `notificationIds`
+ * @returns {Promise<number>} Number of pushes queued
+ */
+const enqueuePush = (pushes) => enqueue(pushes.map(push => ({
+  channel: 'push',
+  to: push.pushToken,
+  title: push.title,
+  body: push.body,
+  data: push.data,
+  notificationIds: push.notificationIds || (push.notificationId ? [push.notificationId] : []),
+})));
+
+/**
+ * Queue SMS copies of notifications, each with an SmsLog (if it has a userId)
+ * that follows it from queued to sent or failed
+ * @param {Array<{notificationId, phoneNumber: string, message: string, userId, type: string, courseId, senderId?, walletCredits?}>} messages
+ *   `senderId` is the course rep the SMS is charged to, and `walletCredits` what it took from
+ *   their prepaid credits (see smsQuota)
+ * @returns {Promise<number>} Number of SMS queued
+ */
+const enqueueSms = async (messages) => {
+  const logged = messages.filter(sms => sms.userId);
+  const smsLogs = await SmsLog.insertMany(logged.map(sms => ({
+    userId: sms.userId,
+    phoneNumber: sms.phoneNumber,
+    message: sms.message,
+    type: sms.type || 'announcement',
+    courseId: sms.courseId || null,
+    senderId: sms.senderId || null,
+    segments: countSmsSegments(sms.message),
+    walletCredits: sms.walletCredits || 0,
+    notificationId: sms.notificationId || null,
+    status: 'queued',
+    provider: getProvider('sms'),
+  })));
+  const smsLogIds = new Map(logged.map((sms, index) => [sms, smsLogs[index]._id]));
+
+  try {
+    return await enqueue(messages.map(sms => ({
+      channel: 'sms',
+      to: sms.phoneNumber,
+      body: sms.message,
+      userId: sms.userId || null,
+      courseId: sms.courseId || null,
+      smsType: sms.type || null,
+      smsLogId: smsLogIds.get(sms) || null,
+      notificationIds: sms.notificationId ? [sms.notificationId] : [],
+    })));
+  } catch (error) {
+    // Nothing will send these, so don't leave their logs queued. The caller gives
+    // back the quota and credits they took.
+    if (smsLogs.length > 0) {
+      await SmsLog.updateMany(
+        { _id: { $in: smsLogs.map(smsLog => smsLog._id) } },
+        { $set: { status: 'failed', failureReason: `Could not be queued: ${error.message}`, failedAt: new Date() } }
+      );
+    }
+    throw error;
+  }
+};
+
+/**
+ * Start the outbound queue worker
+ * Sends new messages straight away and checks for due retries every 5 seconds
+ */
+const startOutboundQueueWorker = () => {
+  workerStarted = true;
+  workerTimer = setTimeout(runWorker, 0);
+
+  console.log('Outbound queue worker started (checks every 5 seconds)');
+};
+
+module.exports = {
+  enqueuePush,
+  enqueueSms,
+  processOutboundQueue,
+  startOutboundQueueWorker,
+};
@@ -1,8 +1,43 @@
 const { Expo } = require('expo-server-sdk');
+const { DeviceToken, PushTicket } = require('../models');
 
 // Create a new Expo SDK client
 const expo = new Expo();
 
+// Expo errors meaning the token will never work again, so its device is deactivated
+const PERMANENT_TOKEN_ERRORS = ['DeviceNotRegistered'];
+// Errors sending the same message again won't fix
+const UNRETRYABLE_PUSH_ERRORS = [...PERMANENT_TOKEN_ERRORS, 'MessageTooBig', 'Invalid push token'];
+
+/**
+ * Store accepted tickets so the push receipt job can check them, and deactivate
+ * tokens Expo already rejected as dead. Failures are logged, not thrown, so
+ * bookkeeping never fails a send.
+ * @param {Array<{ticket: Object, pushToken: string, notificationIds?: Array}>} sent - Each ticket with the message it was for
+ */
+const trackTickets = async (sent) => {
+  try {
+    const accepted = sent.filter(({ ticket }) => ticket.status === 'ok' && ticket.id);
+    if (accepted.length > 0) {
+      await PushTicket.insertMany(accepted.map(({ ticket, pushToken, notificationIds }) => ({
+        ticketId: ticket.id,
+        pushToken,
+        notificationIds: notificationIds || [],
+      })), { ordered: false });
+    }
+
+    const deadTokens = sent
+      .filter(({ ticket }) => ticket.status === 'error' && PERMANENT_TOKEN_ERRORS.includes(ticket.details?.error))
+      .map(({ pushToken }) => pushToken);
+    await Promise.all([...new Set(deadTokens)].map(token => DeviceToken.deactivateToken(token)));
+    if (deadTokens.length > 0) {
+      console.log(`⚠️ Deactivated ${deadTokens.length} unregistered device token(s)`);
+    }
+  } catch (error) {
+    console.error('Error tracking push tickets:', error);
+  }
+};
+
 /**
  * Send push notification to a single device
  * @param {string} pushToken - Expo push token
@@ -66,6 +101,8 @@ const sendPushNotification = async (pushToken, title, body, data = {}) => {
       }
     }
 
+    await trackTickets(tickets.map(ticket => ({ ticket, pushToken })));
+
     // Check for errors in tickets
     const errors = [];
     tickets.forEach((ticket, index) => {
@@ -100,20 +137,29 @@ const sendPushNotification = async (pushToken, title, body, data = {}) => {
 
 /**
  * Send push notifications to multiple devices
- * @param {Array<{pushToken: string, title: string, body: string, data?: Object}>} notifications - Array of notification objects
+ * `results` lines up with the input array, one `{ status, ticketId, error }` per notification,
+ * so callers can tell which recipients were reached. Accepted tickets are stored for the
+ * push receipt job; pass `notificationIds` to have it record delivery on those notifications.
+ * @param {Array<{pushToken: string, title: string, body: string, data?: Object, notificationIds?: Array}>} notifications - Array of notification objects
  * @returns {Promise<Object>} Result object with success status and details
  */
 const sendBulkPushNotifications = async (notifications) => {
   try {
+    const results = notifications.map(() => ({ status: 'error', ticketId: null, error: 'Invalid push token' }));
+
     // Filter out invalid tokens
-    const validNotifications = notifications.filter((notif) =>
-      Expo.isExpoPushToken(notif.pushToken)
-    );
+    const validIndexes = [];
+    const validNotifications = notifications.filter((notif, index) => {
+      if (!Expo.isExpoPushToken(notif.pushToken)) return false;
+      validIndexes.push(index);
+      return true;
+    });
 
     if (validNotifications.length === 0) {
       return {
         success: false,
         error: 'No valid push tokens provided',
+        results,
       };
     }
 
@@ -155,18 +201,26 @@ const sendBulkPushNotifications = async (notifications) => {
         const ticketChunk = await expo.sendPushNotificationsAsync(chunk);
         tickets.push(...ticketChunk);
       } catch (error) {
+        // Keep going so one failed chunk doesn't drop the rest of the batch
         console.error('Error sending push notification chunk:', error);
-        return {
-          success: false,
-          error: error.message,
-        };
+        tickets.push(...chunk.map(() => ({ status: 'error', message: error.message })));
       }
     }
 
+    await trackTickets(tickets.map((ticket, index) => ({
+      ticket,
+      pushToken: validNotifications[index].pushToken,
+      notificationIds: validNotifications[index].notificationIds,
+    })));
+
     // Check for errors
     const errors = [];
     const successes = [];
     tickets.forEach((ticket, index) => {
+      results[validIndexes[index]] = ticket.status === 'error'
+        ? { status: 'error', ticketId: null, error: ticket.details?.error || ticket.message || 'Unknown error' }
+        : { status: 'ok', ticketId: ticket.id || null, error: null };
+
       if (ticket.status === 'error') {
         errors.push({
           index,
@@ -186,6 +240,7 @@ const sendBulkPushNotifications = async (notifications) => {
       sent: successes.length,
       failed: errors.length,
       errors: errors.length > 0 ? errors : undefined,
+      results,
     };
   } catch (error) {
     console.error('Error in sendBulkPushNotifications:', error);
@@ -196,8 +251,32 @@ const sendBulkPushNotifications = async (notifications) => {
   }
 };
 
+/**
+ * Fetch Expo push receipts for tickets
+ * Chunks that fail to fetch are logged and left out, so their tickets are retried later.
+ * @param {Array<string>} ticketIds - Ticket ids from sending
+ * @returns {Promise<Object>} Receipts by ticket id; tickets Expo has no receipt for yet are missing
+ */
+const getPushReceipts = async (ticketIds) => {
+  const receipts = {};
+  const chunks = expo.chunkPushNotificationReceiptIds(ticketIds);
+
+  for (const chunk of chunks) {
+    try {
+      Object.assign(receipts, await expo.getPushNotificationReceiptsAsync(chunk));
+    } catch (error) {
+      console.error('Error fetching push receipt chunk:', error);
+    }
+  }
+
+  return receipts;
+};
+
 module.exports = {
+  PERMANENT_TOKEN_ERRORS,
+  UNRETRYABLE_PUSH_ERRORS,
   sendPushNotification,
   sendBulkPushNotifications,
+  getPushReceipts,
 };
 
@@ -0,0 +1,99 @@
+const { DeviceToken, Notification, PushTicket } = require('../models');
+const { getPushReceipts, PERMANENT_TOKEN_ERRORS } = require('./pushNotificationService');
+
+// How often the job runs
+const TICK_INTERVAL_MS = 15 * 60 * 1000;
+// Expo recommends waiting about this long after sending before asking for receipts
+const RECEIPT_DELAY_MS = 15 * 60 * 1000;
+// Most tickets checked in one tick; the rest wait for the next tick
+const MAX_PER_TICK = 5000;
+
+/**
+ * Process push receipts
+ * Fetches Expo receipts for tickets sent at least 15 minutes ago, deactivates
+ * device tokens Expo reports as unregistered, and records on each linked
+ * notification whether its push copy reached a device.
+ */
+const processPushReceipts = async () => {
+  const stats = { checked: 0, ok: 0, errors: 0, waiting: 0, expired: 0, tokensDeactivated: 0 };
+
+  try {
+    const now = new Date();
+
+    // Expo only keeps receipts for a day; stop waiting on older tickets
+    const expired = await PushTicket.expireUnanswered(now);
+    stats.expired = expired.modifiedCount || 0;
+
+    const tickets = await PushTicket.findAwaitingReceipt(new Date(now.getTime() - RECEIPT_DELAY_MS), MAX_PER_TICK);
+    if (tickets.length === 0) {
+      return stats;
+    }
+
+    const receipts = await getPushReceipts(tickets.map(ticket => ticket.ticketId));
+
+    const updates = [];
+    const deadTokens = new Set();
+    const notificationIds = new Set();
+    tickets.forEach(ticket => {
+      const receipt = receipts[ticket.ticketId];
+      if (!receipt) {
+        // Not ready yet, or its chunk failed to fetch; try again next tick
+        stats.waiting++;
+        return;
+      }
+      stats.checked++;
+
+      const error = receipt.status === 'error' ? receipt.details?.error || receipt.message || 'Unknown error' : null;
+      if (error) {
+        stats.errors++;
+        if (PERMANENT_TOKEN_ERRORS.includes(error)) {
+          deadTokens.add(ticket.pushToken);
+        }
+      } else {
+        stats.ok++;
+      }
+
+      updates.push({
+        updateOne: {
+          filter: { _id: ticket._id },
+          update: { $set: { status: error ? 'error' : 'ok', error, checkedAt: now } },
+        },
+      });
+      (ticket.notificationIds || []).forEach(id => notificationIds.add(id.toString()));
+    });
+
+    if (updates.length > 0) {
+      await PushTicket.bulkWrite(updates, { ordered: false });
+    }
+
+    await Promise.all([...deadTokens].map(token => DeviceToken.deactivateToken(token)));
+    stats.tokensDeactivated = deadTokens.size;
+
+    if (notificationIds.size > 0) {
+      Object.assign(stats, await Notification.applyPushReceipts([...notificationIds]));
+    }
+
+    console.log('Push receipt tick:', stats);
+    return stats;
+  } catch (error) {
+    console.error('Error in processPushReceipts:', error);
+    return { ...stats, error: error.message };
+  }
+};
+
+/**
+ * Start the push receipt job
+ * Runs every 15 minutes
+ */
+const startPushReceiptJob = () => {
+  setInterval(() => {
+    processPushReceipts();
+  }, TICK_INTERVAL_MS);
+
+  console.log('Push receipt job started (runs every 15 minutes)');
+};
+
+module.exports = {
+  processPushReceipts,
+  startPushReceiptJob,
+};
@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+const { User, Notification, DeviceToken } = require('../models');
+const { enqueuePush } = require('./outboundQueue');
+
+// How often the job runs
+const TICK_INTERVAL_MS = 5 * 60 * 1000;
+// Most held notifications handled in one tick; the rest wait for the next tick
+const MAX_PER_TICK = 5000;
+// How long a digest run's claim blocks other runs before it is considered abandoned
+const CLAIM_LEASE_MS = 10 * 60 * 1000;
+
+/**
+ * Sum up one user's held notifications (oldest first) in a single push
+ */
+const buildDigest = (notifications) => {
+  if (notifications.length === 1) {
+    return { title: notifications[0].title, body: notifications[0].message };
+  }
+  return {
+    title: `${notifications.length} notifications during quiet hours`,
+    body: notifications.map(notification => notification.title).join(', '),
+  };
+};
+
+/**
+ * Process quiet hours digests
+ * Queues one push for each user whose quiet hours have ended, summing up the
+ * notifications held for them. Notifications already read in the app, and
+ * users who have since turned notifications off or have no active device,
+ * get no push. Held notifications are claimed before anything is sent, so
+ * overlapping runs or instances never send the same one twice.
+ */
+const processQuietHoursDigests = async () => {
+  const stats = { users: 0, notifications: 0, pushesQueued: 0, skipped: 0 };
+
+  try {
+    const now = new Date();
+    const due = await Notification.find({ pushStatus: 'held', pushHeldUntil: { $lte: now } })
+      .sort({ createdAt: 1 })
+      .limit(MAX_PER_TICK)
+      .select('_id')
+      .lean();
+
+    if (due.length === 0) {
+      return stats;
+    }
+
+    // Claim the held notifications no other run is working on, then read back the ones won
+    const claimToken = new mongoose.Types.ObjectId().toString();
+    await Notification.updateMany(
+      {
+        _id: { $in: due.map(notification => notification._id) },
+        pushStatus: 'held',
+        $or: [
+          { digestClaimedAt: null },
+          { digestClaimedAt: { $lt: new Date(now.getTime() - CLAIM_LEASE_MS) } },
+        ],
+      },
+      { $set: { digestClaimToken: claimToken, digestClaimedAt: now } }
+    );
+    const held = await Notification.find({ digestClaimToken: claimToken, pushStatus: 'held' })
+      .sort({ createdAt: 1 })
+      .select('userId title message isRead')
+      .lean();
+
+    if (held.length === 0) {
+      return stats;
+    }
+
+    const heldByUser = new Map();
+    held.forEach(notification => {
+      const key = notification.userId.toString();
+      if (!heldByUser.has(key)) heldByUser.set(key, []);
+      heldByUser.get(key).push(notification);
+    });
+
+    const users = await User.find({ _id: { $in: [...heldByUser.keys()] }, notificationsEnabled: true }).select('_id');
+    const devicesByUser = await DeviceToken.getActiveTokensByUser(users.map(user => user._id));
+
+    const pushes = [];
+    const queued = [];
+    const skipped = [];
+    heldByUser.forEach((notifications, userId) => {
+      const unread = notifications.filter(notification => !notification.isRead);
+      const devices = devicesByUser.get(userId) || [];
+      skipped.push(...notifications
+        .filter(notification => notification.isRead || devices.length === 0)
+        .map(notification => notification._id));
+      if (unread.length === 0 || devices.length === 0) return;
+
+      const { title, body } = buildDigest(unread);
+      devices.forEach(device => {
+        pushes.push({
+          notificationId: unread[unread.length - 1]._id,
+          notificationIds: unread.map(notification => notification._id),
+          pushToken: device.pushToken,
+          title,
+          body,
+          data: { type: 'quiet_hours_digest', count: unread.length },
+        });
+      });
+      queued.push(...unread.map(notification => notification._id));
+      stats.users++;
+      stats.notifications += unread.length;
+    });
+
+    if (skipped.length > 0) {
+      await Notification.updateMany(
+        { _id: { $in: skipped }, digestClaimToken: claimToken },
+        { $set: { pushStatus: 'none', pushHeldUntil: null } }
+      );
+      stats.skipped = skipped.length;
+    }
+
+    if (pushes.length > 0) {
+      await Notification.updateMany(
+        { _id: { $in: queued }, digestClaimToken: claimToken },
+        { $set: { pushStatus: 'queued', pushHeldUntil: null } }
+      );
+      stats.pushesQueued = await enqueuePush(pushes);
+    }
+
+    console.log('Quiet hours digest tick:', stats);
+    return stats;
+  } catch (error) {
+    console.error('Error in processQuietHoursDigests:', error);
+    return { ...stats, error: error.message };
+  }
+};
+
+/**
+ * Start the quiet hours digest job
+ * Runs every 5 minutes
+ */
+const startQuietHoursDigestJob = () => {
+  setInterval(() => {
+    processQuietHoursDigests();
+  }, TICK_INTERVAL_MS);
+
+  console.log('Quiet hours digest job started (runs every 5 minutes)');
+};
+
+module.exports = {
+  processQuietHoursDigests,
+  startQuietHoursDigestJob,
+};
@@ -0,0 +1,581 @@
+/**
+ * Course schedule engine
+ * Single source of truth for turning a course's weekly pattern
+ * (days, startTime/endTime, dayTimes, dayVenues) into concrete class times.
+ *
+ * Class times are wall-clock times in the course's IANA timezone, so results
+ * do not depend on the timezone the server process runs in.
+ */
+
+const config = require('../config');
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+// How far getNextOccurrence looks for a course without a term, so a class moved
+// a few weeks out is still found
+const NEXT_OCCURRENCE_HORIZON = 5 * 7 * DAY;
+
+const formatterCache = new Map();
+
+/**
+ * Get a cached Intl formatter that splits an instant into wall-clock parts
+ */
+const getFormatter = (timezone) => {
+  if (!formatterCache.has(timezone)) {
+    formatterCache.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    }));
+  }
+  return formatterCache.get(timezone);
+};
+
+/**
+ * Check if a string is a timezone name the runtime understands (e.g., "Africa/Accra")
+ * @param {string} timezone - IANA timezone name
+ * @returns {boolean}
+ */
+const isValidTimezone = (timezone) => {
+  if (!timezone || typeof timezone !== 'string') return false;
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Resolve the timezone a course's times are expressed in
+ * @param {Object} course - Course document
+ * @returns {string} IANA timezone name
+ */
+const getCourseTimezone = (course) => {
+  if (course && isValidTimezone(course.timezone)) return course.timezone;
+  return config.defaultTimezone;
+};
+
+/**
+ * Break an instant into wall-clock parts in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone name
+ * @returns {{year: number, month: number, day: number, hours: number, minutes: number, seconds: number}}
+ */
+const getZonedParts = (date, timezone) => {
+  const parts = {};
+  getFormatter(timezone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = parseInt(value, 10);
+  });
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hours: parts.hour,
+    minutes: parts.minute,
+    seconds: parts.second,
+  };
+};
+
+/**
+ * Offset of a timezone from UTC at a given instant, in milliseconds
+ */
+const getTimezoneOffset = (timestamp, timezone) => {
+  const p = getZonedParts(new Date(timestamp), timezone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hours, p.minutes, p.seconds);
+  return asUtc - Math.floor(timestamp / 1000) * 1000;
+};
+
+/**
+ * Convert a wall-clock time in a timezone to an instant.
+ * Times skipped by a DST jump move forward by the size of the jump;
+ * times repeated when clocks go back resolve to the first occurrence.
+ * @param {{year: number, month: number, day: number, hours: number, minutes: number}} wallTime - month is 1-12
+ * @param {string} timezone - IANA timezone name
+ * @returns {Date}
+ */
+const zonedTimeToDate = ({ year, month, day, hours = 0, minutes = 0 }, timezone) => {
+  const localTs = Date.UTC(year, month - 1, day, hours, minutes);
+
+  // Try the offsets in effect just before and after the wall time; both agree except around a transition
+  const before = getTimezoneOffset(localTs - DAY, timezone);
+  const after = getTimezoneOffset(localTs + DAY, timezone);
+  const candidates = [localTs - before, localTs - after]
+    .filter(ts => getTimezoneOffset(ts, timezone) === localTs - ts)
+    .sort((a, b) => a - b);
+
+  if (candidates.length > 0) return new Date(candidates[0]);
+
+  // Wall time falls in a DST gap: keep the pre-transition offset, which lands after the jump
+  return new Date(localTs - before);
+};
+
+/**
+ * Parse a time string (e.g., "10:00 AM" or "14:30") into hours and minutes
+ * @param {string} timeStr - Time string
+ * @returns {{hours: number, minutes: number}|null} Parsed time, or null if invalid
+ */
+const parseTimeOfDay = (timeStr) => {
+  if (!timeStr || typeof timeStr !== 'string') return null;
+
+  // 12-hour format (e.g., "10:00 AM")
+  const time12Hour = timeStr.match(/(\d{1,2}):(\d{2})\s*(AM|PM)/i);
+  if (time12Hour) {
+    let hours = parseInt(time12Hour[1], 10);
+    const minutes = parseInt(time12Hour[2], 10);
+    const ampm = time12Hour[3].toUpperCase();
+
+    if (hours < 1 || hours > 12 || minutes > 59) return null;
+    if (ampm === 'PM' && hours !== 12) hours += 12;
+    if (ampm === 'AM' && hours === 12) hours = 0;
+
+    return { hours, minutes };
+  }
+
+  // 24-hour format (e.g., "14:30")
+  const time24Hour = timeStr.match(/(\d{1,2}):(\d{2})/);
+  if (time24Hour) {
+    const hours = parseInt(time24Hour[1], 10);
+    const minutes = parseInt(time24Hour[2], 10);
+
+    if (hours > 23 || minutes > 59) return null;
+    return { hours, minutes };
+  }
+
+  return null;
+};
+
+/**
+ * Parse a time string and set it on the calendar day a date falls on in a timezone
+ * @param {string} timeStr - Time string
+ * @param {Date} date - Date whose calendar day is used
+ * @param {string} timezone - IANA timezone name (default: configured default)
+ * @returns {Date|null} Date object with time set, or null if invalid
+ */
+const parseTime = (timeStr, date, timezone = config.defaultTimezone) => {
+  const time = parseTimeOfDay(timeStr);
+  if (!time) return null;
+
+  const { year, month, day } = getZonedParts(date, timezone);
+  return zonedTimeToDate({ year, month, day, ...time }, timezone);
+};
+
+/**
+ * Get day name from date (e.g., "Monday", "Tuesday") as seen in a timezone
+ * @param {Date} date - Date object
+ * @param {string} timezone - IANA timezone name (default: configured default)
+ * @returns {string} Day name
+ */
+const getDayName = (date, timezone = config.defaultTimezone) => {
+  const { year, month, day } = getZonedParts(date, timezone);
+  return DAY_NAMES[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+};
+
+/**
+ * Format the wall-clock time of an instant in a timezone (e.g., "10:00 AM")
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone name (default: configured default)
+ * @returns {string}
+ */
+const formatTimeInZone = (date, timezone = config.defaultTimezone) => date.toLocaleTimeString('en-US', {
+  timeZone: timezone,
+  hour: 'numeric',
+  minute: '2-digit',
+  hour12: true,
+});
+
+/**
+ * Resolve the start time, end time and venue a course uses on a given day.
+ * Per-day dayTimes/dayVenues win over the course-wide startTime/endTime/venue.
+ * @param {Object} course - Course document
+ * @param {string} dayName - Day name (e.g., "Monday")
+ * @returns {{startTime: string, endTime: string, venue: string|null}}
+ */
+const getDaySchedule = (course, dayName) => {
+  const dayTimes = course.dayTimes || {};
+  const dayVenues = course.dayVenues || {};
+  const dayTime = dayTimes[dayName];
+
+  return {
+    startTime: (dayTime && dayTime.startTime) || course.startTime || null,
+    endTime: (dayTime && dayTime.endTime) || course.endTime || null,
+    venue: dayVenues[dayName] || course.venue || null,
+  };
+};
+
+/**
+ * Get the term a course is linked to, if it has been populated.
+ * Callers that need term limits must populate `termId` before expanding occurrences.
+ * @param {Object} course - Course document
+ * @returns {Object|null} Term document
+ */
+const getCourseTerm = (course) => {
+  const term = course && course.termId;
+  return term && typeof term.isTeachingDay === 'function' ? term : null;
+};
+
+/**
+ * Get the dated exceptions attached to a course, if they have been populated.
+ * Callers that need cancellations and reschedules applied must populate `exceptions`.
+ * @param {Object} course - Course document
+ * @returns {Array<Object>} ClassException documents
+ */
+const getCourseExceptions = (course) => (
+  course && Array.isArray(course.exceptions) ? course.exceptions : []
+);
+
+/**
+ * Turn a YYYY-MM-DD calendar day into its parts and day name
+ */
+const parseDateKey = (dateKey) => {
+  const match = typeof dateKey === 'string' && dateKey.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) return null;
+
+  const year = parseInt(match[1], 10);
+  const month = parseInt(match[2], 10);
+  const day = parseInt(match[3], 10);
+  return { year, month, day, dayName: DAY_NAMES[new Date(Date.UTC(year, month - 1, day)).getUTCDay()] };
+};
+
+/**
+ * Resolve a quiz/tutorial/assignment date and time to an instant in the course's timezone
+ * @param {string} dateStr - Date as DD/MM/YYYY (what the app sends) or YYYY-MM-DD
+ * @param {string} timeStr - Time string (e.g., "10:00 AM" or "14:30")
+ * @param {string} timezone - IANA timezone name
+ * @returns {Date|null} The instant, or null if the date or time is invalid
+ */
+const parseItemDateTime = (dateStr, timeStr, timezone) => {
+  let calendarDay = parseDateKey(dateStr);
+  if (!calendarDay && typeof dateStr === 'string') {
+    const match = dateStr.trim().match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    if (match) {
+      calendarDay = {
+        year: parseInt(match[3], 10),
+        month: parseInt(match[2], 10),
+        day: parseInt(match[1], 10),
+      };
+    }
+  }
+  const time = parseTimeOfDay(timeStr);
+  if (!calendarDay || !time) return null;
+
+  const { year, month, day } = calendarDay;
+  const check = new Date(Date.UTC(year, month - 1, day));
+  if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) return null;
+
+  return zonedTimeToDate({ year, month, day, ...time }, timezone);
+};
+
+/**
+ * Get the start and end instants of the calendar day containing a date, in a timezone
+ * @param {Date} date - Any instant in the day
+ * @param {string} timezone - IANA timezone name
+ * @returns {{from: Date, to: Date}} Start of the day and start of the next day
+ */
+const getDayRange = (date, timezone = config.defaultTimezone) => {
+  const { year, month, day } = getZonedParts(date, timezone);
+  const next = new Date(Date.UTC(year, month - 1, day + 1));
+  return {
+    from: zonedTimeToDate({ year, month, day }, timezone),
+    to: zonedTimeToDate({
+      year: next.getUTCFullYear(),
+      month: next.getUTCMonth() + 1,
+      day: next.getUTCDate(),
+    }, timezone),
+  };
+};
+
+/**
+ * Get the start and end instants of the week (Monday to Sunday) containing a date, in a timezone
+ * @param {Date} date - Any instant in the week
+ * @param {string} timezone - IANA timezone name
+ * @returns {{from: Date, to: Date}} Start of Monday and start of the next Monday
+ */
+const getWeekRange = (date, timezone = config.defaultTimezone) => {
+  const { year, month, day } = getZonedParts(date, timezone);
+  const daysSinceMonday = (new Date(Date.UTC(year, month - 1, day)).getUTCDay() + 6) % 7;
+  const monday = day - daysSinceMonday;
+  return {
+    from: zonedTimeToDate({ year, month, day: monday }, timezone),
+    to: zonedTimeToDate({ year, month, day: monday + 7 }, timezone),
+  };
+};
+
+/**
+ * Build a single occurrence for a course on a calendar day
+ * @returns {Object|null} Occurrence, or null if the start time is invalid
+ */
+const buildOccurrence = (course, timezone, dateKey, { startTime, endTime, venue }, extra = {}) => {
+  const calendarDay = parseDateKey(dateKey);
+  const startOfDay = parseTimeOfDay(startTime);
+  if (!calendarDay || !startOfDay) return null;
+
+  const { dayName, ...ymd } = calendarDay;
+  const start = zonedTimeToDate({ ...ymd, ...startOfDay }, timezone);
+  const endOfDay = parseTimeOfDay(endTime);
+  let end = endOfDay && zonedTimeToDate({ ...ymd, ...endOfDay }, timezone);
+  if (!end || end <= start) end = null;
+
+  return {
+    courseId: course._id,
+    courseName: course.courseName,
+    date: dateKey,
+    day: dayName,
+    start,
+    end,
+    startTime,
+    endTime,
+    venue,
+    timezone,
+    status: 'scheduled',
+    ...extra,
+  };
+};
+
+/**
+ * Expand a course's weekly pattern into class occurrences whose start falls in [from, to),
+ * ignoring dated exceptions. Days outside the course's term, or inside one of its breaks,
+ * have no classes.
+ * @param {Object} course - Course document (with `termId` populated to apply term limits)
+ * @param {Date} from - Range start (inclusive)
+ * @param {Date} to - Range end (exclusive)
+ * @returns {Array<Object>} Occurrences in start order
+ */
+const getWeeklyOccurrences = (course, from, to) => {
+  const days = course.days || [];
+  if (days.length === 0 || !(to > from)) return [];
+
+  const timezone = getCourseTimezone(course);
+  const term = getCourseTerm(course);
+  const occurrences = [];
+
+  // Walk calendar days as seen in the course's timezone. A UTC-midnight cursor
+  // only carries the calendar date, so DST shifts never skip or repeat a day.
+  const first = getZonedParts(from, timezone);
+  const cursor = new Date(Date.UTC(first.year, first.month - 1, first.day));
+  const lastDay = getZonedParts(to, timezone);
+  const end = Date.UTC(lastDay.year, lastDay.month - 1, lastDay.day);
+
+  while (cursor.getTime() <= end) {
+    const dayName = DAY_NAMES[cursor.getUTCDay()];
+    const dateKey = cursor.toISOString().slice(0, 10);
+    const teachingDay = !term || term.isTeachingDay(dateKey);
+
+    if (teachingDay && days.includes(dayName)) {
+      const occurrence = buildOccurrence(course, timezone, dateKey, getDaySchedule(course, dayName));
+
+      if (occurrence && occurrence.start >= from && occurrence.start < to) {
+        occurrences.push(occurrence);
+      }
+    }
+
+    cursor.setUTCDate(cursor.getUTCDate() + 1);
+  }
+
+  return occurrences;
+};
+
+/**
+ * Get the regular (weekly) class a course has on a calendar day, ignoring exceptions
+ * @param {Object} course - Course document
+ * @param {string} dateKey - Calendar day as YYYY-MM-DD in the course's timezone
+ * @returns {Object|null} Occurrence, or null if there is no class that day
+ */
+const getRegularOccurrenceOn = (course, dateKey) => {
+  const calendarDay = parseDateKey(dateKey);
+  if (!calendarDay) return null;
+
+  const { dayName, ...ymd } = calendarDay;
+  const dayStart = zonedTimeToDate(ymd, getCourseTimezone(course));
+  const occurrences = getWeeklyOccurrences(course, dayStart, new Date(dayStart.getTime() + 2 * DAY));
+  return occurrences.find(o => o.date === dateKey) || null;
+};
+
+/**
+ * Build the class a reschedule or extra-session exception produces.
+ * A reschedule keeps the regular class's times and venue unless it overrides them.
+ * @param {Object} course - Course document
+ * @param {Object} exception - ClassException document
+ * @returns {Object|null} Occurrence, or null for cancellations or invalid times
+ */
+const getExceptionOccurrence = (course, exception) => {
+  if (exception.type !== 'reschedule' && exception.type !== 'extra') return null;
+
+  const original = parseDateKey(exception.originalDate);
+  const regular = original ? getDaySchedule(course, original.dayName) : {};
+
+  return buildOccurrence(
+    course,
+    getCourseTimezone(course),
+    exception.date || exception.originalDate,
+    {
+      startTime: exception.startTime || regular.startTime,
+      endTime: exception.endTime || regular.endTime,
+      venue: exception.venue || regular.venue || null,
+    },
+    {
+      status: exception.type === 'extra' ? 'extra' : 'rescheduled',
+      exceptionId: exception._id,
+      originalDate: exception.originalDate,
+      reason: exception.reason,
+    }
+  );
+};
+
+/**
+ * Expand a course into concrete class occurrences whose start falls in [from, to).
+ * Applies the weekly pattern, term limits and dated exceptions: cancelled classes are
+ * dropped, rescheduled classes move to their new date/time/venue and extra sessions
+ * are added. Each occurrence carries a `status` of scheduled, rescheduled, extra or cancelled.
+ * @param {Object} course - Course document (populate `termId` and `exceptions` to apply them)
+ * @param {Date} from - Range start (inclusive)
+ * @param {Date} to - Range end (exclusive)
+ * @param {Object} options
+ * @param {boolean} options.includeCancelled - Keep cancelled classes, marked as cancelled
+ * @returns {Array<Object>} Occurrences sorted by start time
+ */
+const getOccurrences = (course, from, to, { includeCancelled = false } = {}) => {
+  if (!(to > from)) return [];
+
+  const exceptions = getCourseExceptions(course);
+  const byOriginalDate = new Map(
+    exceptions.filter(e => e.originalDate).map(e => [e.originalDate, e])
+  );
+  const occurrences = [];
+
+  getWeeklyOccurrences(course, from, to).forEach((occurrence) => {
+    const exception = byOriginalDate.get(occurrence.date);
+    if (!exception) {
+      occurrences.push(occurrence);
+    } else if (exception.type === 'cancel' && includeCancelled) {
+      occurrences.push({
+        ...occurrence,
+        status: 'cancelled',
+        exceptionId: exception._id,
+        reason: exception.reason,
+      });
+    }
+    // Rescheduled classes are added below at their new time
+  });
+
+  exceptions.forEach((exception) => {
+    const occurrence = getExceptionOccurrence(course, exception);
+    if (occurrence && occurrence.start >= from && occurrence.start < to) {
+      occurrences.push(occurrence);
+    }
+  });
+
+  return occurrences.sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Find the next class occurrence that has not started yet
+ * @param {Object} course - Course document (with `termId` populated to skip breaks)
+ * @param {Date} fromDate - Date to calculate from (default: now)
+ * @returns {Object|null} Next occurrence or null if the course has no valid schedule
+ */
+const getNextOccurrence = (course, fromDate = new Date()) => {
+  // Look a week at a time; with a term, keep going until it ends so breaks are skipped
+  const term = getCourseTerm(course);
+  const horizon = term
+    ? new Date(term.endDate).getTime() + 2 * DAY
+    : fromDate.getTime() + NEXT_OCCURRENCE_HORIZON;
+  let from = fromDate;
+
+  do {
+    // Eight days so a class later today that already passed rolls over to next week
+    const to = new Date(from.getTime() + 8 * DAY);
+    const occurrences = getOccurrences(course, from, to);
+    if (occurrences.length > 0) return occurrences[0];
+    from = to;
+  } while (from.getTime() < horizon);
+
+  return null;
+};
+
+/**
+ * Calculate the start time of the next class
+ * @param {Object} course - Course document
+ * @param {Date} fromDate - Date to calculate from (default: now)
+ * @returns {Date|null} Next class date/time or null if not found
+ */
+const calculateNextClassTime = (course, fromDate = new Date()) => {
+  const next = getNextOccurrence(course, fromDate);
+  return next ? next.start : null;
+};
+
+/**
+ * Check whether the next class starts within the given number of minutes.
+ * Used to decide when a change is urgent enough to warrant SMS.
+ * @param {Object} course - Course document
+ * @param {number} minutes - Window size in minutes
+ * @param {Date} now - Current time
+ * @returns {{within: boolean, nextClassTime: Date|null, minutesUntilClass: number|null}}
+ */
+const isClassStartingWithin = (course, minutes, now = new Date()) => {
+  const nextClassTime = calculateNextClassTime(course, now);
+  if (!nextClassTime) {
+    return { within: false, nextClassTime: null, minutesUntilClass: null };
+  }
+
+  const diff = nextClassTime.getTime() - now.getTime();
+  return {
+    within: diff > 0 && diff <= minutes * MINUTE,
+    nextClassTime,
+    minutesUntilClass: Math.round(diff / MINUTE),
+  };
+};
+
+/**
+ * Transform an occurrence to the API format returned to the app
+ */
+const occurrenceToJSON = (occurrence) => ({
+  course_id: occurrence.courseId,
+  course_name: occurrence.courseName,
+  day: occurrence.day,
+  start: occurrence.start.toISOString(),
+  end: occurrence.end ? occurrence.end.toISOString() : null,
+  date: occurrence.date,
+  start_time: occurrence.startTime,
+  end_time: occurrence.endTime,
+  venue: occurrence.venue,
+  timezone: occurrence.timezone,
+  status: occurrence.status,
+  exception_id: occurrence.exceptionId || null,
+  original_date: occurrence.originalDate || null,
+  reason: occurrence.reason || null,
+});
+
+module.exports = {
+  DAY_NAMES,
+  isValidTimezone,
+  getCourseTimezone,
+  getCourseTerm,
+  getCourseExceptions,
+  getZonedParts,
+  zonedTimeToDate,
+  parseTimeOfDay,
+  parseTime,
+  getDayName,
+  formatTimeInZone,
+  getDaySchedule,
+  parseDateKey,
+  parseItemDateTime,
+  getDayRange,
+  getWeekRange,
+  getWeeklyOccurrences,
+  getRegularOccurrenceOn,
+  getExceptionOccurrence,
+  getOccurrences,
+  getNextOccurrence,
+  calculateNextClassTime,
+  isClassStartingWithin,
+  occurrenceToJSON,
+};
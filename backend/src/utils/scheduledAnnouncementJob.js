@@ -0,0 +1,93 @@
+const { Course, ScheduledAnnouncement } = require('../models');
+const { sendAnnouncement, getNextSendAt } = require('./announcements');
+
+// How often the job runs; scheduled announcements go out within this long of their time
+const TICK_INTERVAL_MS = 60 * 1000;
+// Most announcements sent in one tick; the rest wait for the next tick
+const MAX_PER_TICK = 50;
+
+/**
+ * Send one claimed announcement and schedule its next send
+ * @param {Object} announcement - ScheduledAnnouncement claimed by this worker
+ * @param {Date} now - Current time
+ */
+const sendScheduledAnnouncement = async (announcement, now) => {
+  const course = await Course.findById(announcement.courseId).populate(['termId', 'exceptions']);
+  if (!course) {
+    announcement.status = 'cancelled';
+    announcement.cancelledAt = now;
+    announcement.lastError = 'Course not found';
+    await announcement.save();
+    return null;
+  }
+
+  const result = await sendAnnouncement(course, {
+    title: announcement.title,
+    message: announcement.message,
+    attachments: announcement.attachments,
+    createdBy: announcement.createdBy,
+    scheduledAnnouncementId: announcement._id,
+    scheduledFor: announcement.sendAt,
+  });
+
+  const nextSendAt = getNextSendAt(announcement.sendAt, announcement.recurrence, course, now);
+  await announcement.markSent(result.recipientCount, nextSendAt);
+  return result;
+};
+
+/**
+ * Process scheduled announcements
+ * Claims each announcement that is due and sends it to its course. Repeating
+ * announcements are moved to their next send time; failed sends are retried
+ * on later ticks, reaching only the students the failed attempt didn't.
+ */
+const processScheduledAnnouncements = async () => {
+  const stats = { claimed: 0, sent: 0, failed: 0, recipients: 0 };
+
+  try {
+    const now = new Date();
+
+    for (let i = 0; i < MAX_PER_TICK; i++) {
+      const announcement = await ScheduledAnnouncement.claimNextDue(now);
+      if (!announcement) break;
+      stats.claimed++;
+
+      try {
+        const result = await sendScheduledAnnouncement(announcement, now);
+        if (result) {
+          stats.sent++;
+          stats.recipients += result.recipientCount;
+        }
+      } catch (error) {
+        console.error(`Error sending scheduled announcement ${announcement._id}:`, error);
+        stats.failed++;
+        await announcement.markFailed(error.message);
+      }
+    }
+
+    if (stats.claimed > 0) {
+      console.log('Scheduled announcement tick:', stats);
+    }
+    return stats;
+  } catch (error) {
+    console.error('Error in processScheduledAnnouncements:', error);
+    return { ...stats, error: error.message };
+  }
+};
+
+/**
+ * Start the scheduled announcement job
+ * Runs every minute
+ */
+const startScheduledAnnouncementJob = () => {
+  setInterval(() => {
+    processScheduledAnnouncements();
+  }, TICK_INTERVAL_MS);
+
+  console.log('Scheduled announcement job started (runs every minute)');
+};
+
+module.exports = {
+  processScheduledAnnouncements,
+  startScheduledAnnouncementJob,
+};
@@ -0,0 +1,105 @@
+const fetch = require('node-fetch');
+
+const API_URL = 'https://api.africastalking.com/version1/messaging';
+const SANDBOX_API_URL = 'https://api.sandbox.africastalking.com/version1/messaging';
+
+// Recipient status codes meaning the message was accepted (Processed, Sent, Queued)
+const SUCCESS_CODES = [100, 101, 102];
+// Recipient status codes sending again won't fix
+// (InvalidPhoneNumber, UnsupportedNumberType, UserInBlacklist, DoNotDisturbRejection)
+const UNRETRYABLE_CODES = [403, 404, 406, 409];
+// Final delivery report statuses; others (Sent, Submitted, Buffered) mean it's still on its way
+const DELIVERED_STATUSES = ['Success'];
+const FAILED_STATUSES = ['Failed', 'Rejected', 'AbsentSubscriber', 'Expired'];
+
+/**
+ * SMS adapter for Africa's Talking, or any gateway with the same messaging API
+ * @param {Object} options
+ * @param {string} options.username - Account username ("sandbox" uses the sandbox API)
+ * @param {string} options.apiKey - API key
+ * @param {string} [options.senderId] - Sender ID or short code; the account default if unset
+ * @param {string} options.countryCode - Added to local numbers that start with 0
+ * @param {string} [options.apiUrl] - Override the messaging endpoint
+ */
+const createAfricasTalkingProvider = ({ username, apiKey, senderId, countryCode, apiUrl }) => {
+  if (!username || !apiKey) {
+    throw new Error('AT_USERNAME and AT_API_KEY must be set when SMS_PROVIDER is "africastalking"');
+  }
+
+  const url = apiUrl || (username === 'sandbox' ? SANDBOX_API_URL : API_URL);
+
+  // The API wants international format, e.g. +233241234567
+  const toInternational = (phoneNumber) => {
+    const digits = phoneNumber.replace(/\D/g, '');
+    return `+${digits.startsWith('0') ? countryCode + digits.slice(1) : digits}`;
+  };
+
+  return {
+    name: 'africastalking',
+
+    /**
+     * Send one SMS
+     * @param {string} phoneNumber - Recipient, local or international format
+     * @param {string} message - Text to send
+     */
+    async send(phoneNumber, message) {
+      const to = toInternational(phoneNumber);
+
+      try {
+        const params = new URLSearchParams({ username, to, message });
+        if (senderId) params.append('from', senderId);
+
+        const response = await fetch(url, {
+          method: 'POST',
+          headers: {
+            'Accept': 'application/json',
+            'Content-Type': 'application/x-www-form-urlencoded',
+            'apiKey': apiKey,
+          },
+          body: params.toString(),
+        });
+
+        if (!response.ok) {
+          // Bad credentials or a server error; nothing was sent
+          return { success: false, to, error: `Africa's Talking returned ${response.status}: ${await response.text()}` };
+        }
+
+        const responseData = await response.json();
+        const recipient = responseData.SMSMessageData?.Recipients?.[0];
+        if (!recipient) {
+          return { success: false, to, error: responseData.SMSMessageData?.Message || 'No recipient in response' };
+        }
+
+        if (SUCCESS_CODES.includes(recipient.statusCode)) {
+          return { success: true, to, providerRef: recipient.messageId || null };
+        }
+        return {
+          success: false,
+          to,
+          error: recipient.status || `Status ${recipient.statusCode}`,
+          retryable: !UNRETRYABLE_CODES.includes(recipient.statusCode),
+        };
+      } catch (error) {
+        return { success: false, to, error: error.message };
+      }
+    },
+
+    /**
+     * Read a delivery report callback (form fields id, status, failureReason)
+     * @param {Object} report - Request body
+     * @returns {Object|null} `{ providerRef, status, failureReason }`, or null if it isn't final
+     */
+    parseDeliveryReport(report) {
+      if (!report.id) return null;
+      if (DELIVERED_STATUSES.includes(report.status)) {
+        return { providerRef: report.id, status: 'delivered' };
+      }
+      if (FAILED_STATUSES.includes(report.status)) {
+        return { providerRef: report.id, status: 'failed', failureReason: report.failureReason || report.status };
+      }
+      return null;
+    },
+  };
+};
+
+module.exports = createAfricasTalkingProvider;
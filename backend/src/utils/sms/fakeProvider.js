@@ -0,0 +1,68 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * SMS adapter that sends nothing. Each message is printed, appended to a JSON
+ * Lines file and kept in `messages`, so SMS logic can be checked without a
+ * gateway or network access.
+ * @param {Object} options
+ * @param {string} [options.file] - File messages are appended to; none if unset
+ */
+const createFakeProvider = ({ file }) => {
+  const messages = [];
+
+  return {
+    name: 'fake',
+
+    // Messages "sent" since start (or the last clear), oldest first
+    messages,
+
+    /**
+     * Record one SMS
+     * @param {string} phoneNumber - Recipient
+     * @param {string} message - Text
+     */
+    async send(phoneNumber, message) {
+      const record = {
+        id: crypto.randomUUID(),
+        to: phoneNumber,
+        message,
+        sentAt: new Date().toISOString(),
+      };
+      messages.push(record);
+      console.log(`📪 [fake SMS] to ${phoneNumber}: ${message}`);
+
+      if (file) {
+        try {
+          await fs.promises.mkdir(path.dirname(file), { recursive: true });
+          await fs.promises.appendFile(file, `${JSON.stringify(record)}\n`);
+        } catch (error) {
+          return { success: false, to: phoneNumber, error: `Could not record fake SMS: ${error.message}` };
+        }
+      }
+
+      return { success: true, to: phoneNumber, providerRef: record.id };
+    },
+
+    /**
+     * Read a delivery report, posted by hand to try out delivery tracking:
+     * `{ id, status: 'delivered' | 'failed', failureReason? }`, where id is a recorded message's
+     * @param {Object} report - Request body
+     * @returns {Object|null} `{ providerRef, status, failureReason }`, or null if it isn't final
+     */
+    parseDeliveryReport(report) {
+      if (!report.id || !['delivered', 'failed'].includes(report.status)) return null;
+      return { providerRef: report.id, status: report.status, failureReason: report.failureReason || null };
+    },
+
+    /**
+     * Forget recorded messages (the file is left as is)
+     */
+    clear() {
+      messages.length = 0;
+    },
+  };
+};
+
+module.exports = createFakeProvider;
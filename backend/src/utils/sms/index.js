@@ -0,0 +1,41 @@
+const config = require('../../config');
+const createMoolreProvider = require('./moolreProvider');
+const createAfricasTalkingProvider = require('./africasTalkingProvider');
+const createFakeProvider = require('./fakeProvider');
+
+/**
+ * SMS gateways. Each adapter implements:
+ * - send(phoneNumber, message) -> { success, to, providerRef?, error?, retryable? }
+ *   `to` is the number as sent; `retryable: false` means sending again won't help.
+ *   Adapters report failures in the result rather than throwing.
+ * and, if the gateway posts delivery reports:
+ * - parseDeliveryReport(body) -> { providerRef, status: 'delivered'|'failed', failureReason? } or null
+ *   null for reports that aren't final (or aren't understood) and are ignored.
+ *   Moolre's adapter has none: it gets no message ID back to match reports with.
+ */
+const ADAPTERS = {
+  moolre: () => createMoolreProvider(config.sms.moolre),
+  africastalking: () => createAfricasTalkingProvider({ ...config.sms.africasTalking, countryCode: config.sms.countryCode }),
+  fake: () => createFakeProvider(config.sms.fake),
+};
+
+const SMS_PROVIDERS = Object.keys(ADAPTERS);
+
+const instances = {};
+
+/**
+ * Get an SMS provider, created on first use
+ * @param {string} [name] - Adapter name; defaults to SMS_PROVIDER.
+ *   Pass a queued message's own provider to finish sends queued before the setting changed.
+ */
+const getSmsProvider = (name = config.sms.provider) => {
+  if (!ADAPTERS[name]) {
+    throw new Error(`Unknown SMS provider "${name}". Use one of: ${SMS_PROVIDERS.join(', ')}`);
+  }
+  if (!instances[name]) {
+    instances[name] = ADAPTERS[name]();
+  }
+  return instances[name];
+};
+
+module.exports = { SMS_PROVIDERS, getSmsProvider };
@@ -0,0 +1,62 @@
+const fetch = require('node-fetch');
+
+const MOOLRE_API_URL = 'https://api.moolre.com/open/sms/send';
+
+/**
+ * SMS adapter for Moolre
+ * @param {Object} options
+ * @param {string} options.apiKey - Moolre VAS key
+ * @param {string} options.senderId - Registered sender ID
+ */
+const createMoolreProvider = ({ apiKey: rawKey, senderId: rawSender }) => {
+  // Remove any hidden spaces or newlines pasted in with the key and sender ID
+  const apiKey = (rawKey || '').replace(/[\s\n\r]/g, '').trim();
+  const senderId = (rawSender || 'LectureLet').trim();
+
+  if (!apiKey || apiKey.length < 50) {
+    throw new Error('MOOLRE_API_KEY is missing or too short; SMS service not correctly configured');
+  }
+
+  return {
+    name: 'moolre',
+
+    /**
+     * Send one SMS
+     * @param {string} phoneNumber - Recipient, local or international format
+     * @param {string} message - Text to send
+     */
+    async send(phoneNumber, message) {
+      const to = phoneNumber.replace(/[\s\-\(\)\+]/g, '');
+
+      try {
+        console.log(`📡 Sending SMS to ${to} via Moolre...`);
+
+        const response = await fetch(MOOLRE_API_URL, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'X-API-VASKEY': apiKey,
+          },
+          body: JSON.stringify({
+            type: 1,
+            senderid: senderId,
+            messages: [{ recipient: to, message }],
+          }),
+        });
+
+        const responseData = await response.json();
+        console.log('📬 Moolre Response:', JSON.stringify(responseData));
+
+        // Moolre uses status: 1 for success
+        if (responseData.status === 1 || responseData.code === 'SMS01' || responseData.message === 'Success') {
+          return { success: true, to };
+        }
+        return { success: false, to, error: responseData.message || responseData.code || 'Authentication Error' };
+      } catch (error) {
+        return { success: false, to, error: error.message };
+      }
+    },
+  };
+};
+
+module.exports = createMoolreProvider;
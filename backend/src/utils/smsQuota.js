@@ -0,0 +1,168 @@
+const config = require('../config');
+const { SmsLog, SmsQuotaUsage, User } = require('../models');
+const { getWeekRange } = require('./schedule');
+const { chargeSmsCredits, refundSmsCharge } = require('./smsWallet');
+
+// Error recorded on a notification whose SMS was skipped for the quota
+const QUOTA_REACHED_ERROR = 'Weekly SMS limit reached and no SMS credits left';
+
+// Tries to reserve quota before giving up when other sends change the counters meanwhile
+const MAX_RESERVE_ATTEMPTS = 3;
+
+/**
+ * Keys of the weekly counters a rep's SMS for a course are charged to
+ */
+const getUsageKeys = (repId, courseId, weekStart) => ({
+  rep: { scope: 'rep', ownerId: repId, weekStart },
+  course: courseId ? { scope: 'course', ownerId: courseId, weekStart } : null,
+});
+
+/**
+ * Work out how much of a course rep's weekly SMS quota is left, overall and for one course
+ * @param {Object} rep - The course rep (User document)
+ * @param {ObjectId} [courseId] - Course to include the per-course quota of
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object>} `{ plan, rep, course, remaining, resetsAt }`; rep and course are
+ *   `{ limit, used, remaining }` (course is null without a courseId) and remaining is the lower of the two
+ */
+const getSmsQuota = async (rep, courseId = null, now = new Date()) => {
+  const plan = rep.getPlan();
+  const limits = config.smsQuota.plans[plan];
+  const { from, to } = getWeekRange(now);
+  const keys = getUsageKeys(rep._id, courseId, from);
+
+  // A week's counters start from the SMS already logged, so nothing sent before they existed is lost
+  const [repUsage, courseUsage] = await Promise.all([
+    SmsQuotaUsage.getForWeek(keys.rep, () => SmsLog.countQuotaUse({ senderId: rep._id }, from)),
+    keys.course ? SmsQuotaUsage.getForWeek(keys.course, () => SmsLog.countQuotaUse({ courseId }, from)) : null,
+  ]);
+
+  const usage = (limit, used) => ({ limit, used, remaining: Math.max(0, limit - used) });
+  const repQuota = usage(limits.perRep, repUsage.used);
+  const courseQuota = courseUsage ? usage(limits.perCourse, courseUsage.used) : null;
+
+  return {
+    plan,
+    rep: repQuota,
+    course: courseQuota,
+    remaining: courseQuota ? Math.min(repQuota.remaining, courseQuota.remaining) : repQuota.remaining,
+    resetsAt: to,
+  };
+};
+
+/**
+ * Reserve up to `count` SMS of a rep's weekly quota for a course, on both the rep's and
+ * the course's counters. Each counter only goes up if the SMS still fit, so concurrent
+ * sends can't go over the limits together.
+ * @returns {Promise<{count: number, weekStart: Date}>} SMS reserved, and the week they count in
+ */
+const reserveSmsQuota = async (rep, courseId, count, now) => {
+  const weekStart = getWeekRange(now).from;
+  const keys = getUsageKeys(rep._id, courseId, weekStart);
+
+  for (let attempt = 0; attempt < MAX_RESERVE_ATTEMPTS; attempt++) {
+    const quota = await getSmsQuota(rep, courseId, now);
+    const reserved = Math.min(count, quota.remaining);
+    if (reserved === 0) break;
+
+    if (!(await SmsQuotaUsage.reserve(keys.rep, quota.rep.limit, reserved))) continue;
+    if (!keys.course || await SmsQuotaUsage.reserve(keys.course, quota.course.limit, reserved)) {
+      return { count: reserved, weekStart };
+    }
+    await SmsQuotaUsage.release(keys.rep, reserved);
+  }
+
+  return { count: 0, weekStart };
+};
+
+/**
+ * Keep as many of a send's SMS as the course rep's weekly quota allows, charging them
+ * to the rep who created the course. SMS over the quota are paid for from the rep's
+ * prepaid SMS credits while they last; the rest are skipped, so those students only
+ * get push and in-app copies. The quota and credits are taken straight away; if the
+ * SMS then can't be queued, give them back with releaseSmsQuota.
+ * @param {Object} course - Course the SMS are for (its `createdBy` is charged)
+ * @param {Array<Object>} messages - SMS for enqueueSms
+ * @param {Date} [now] - Current time
+ * @returns {Promise<{allowed: Array<Object>, skipped: Array<Object>, reservation: Object|null}>} Allowed
+ *   messages, with `senderId` (and `walletCredits` for paid ones) set, skipped ones, and what was taken
+ */
+const applySmsQuota = async (course, messages, now = new Date()) => {
+  if (messages.length === 0) return { allowed: [], skipped: [], reservation: null };
+
+  const rep = await User.findById(course.createdBy);
+  if (!rep) return { allowed: messages, skipped: [], reservation: null };
+
+  const quota = await reserveSmsQuota(rep, course._id, messages.length, now);
+  const { charged, unpaid } = await chargeSmsCredits(rep, messages.slice(quota.count), course._id);
+  const allowed = [...messages.slice(0, quota.count), ...charged].map(sms => ({ ...sms, senderId: rep._id }));
+
+  if (unpaid.length > 0) {
+    console.log(`Skipped ${unpaid.length} SMS for course ${course._id}: weekly SMS limit reached (${rep.getPlan()} plan) and no SMS credits left`);
+  }
+  return {
+    allowed,
+    skipped: unpaid,
+    reservation: {
+      repId: rep._id,
+      courseId: course._id,
+      weekStart: quota.weekStart,
+      quotaCount: quota.count,
+      walletCredits: charged.reduce((total, sms) => total + sms.walletCredits, 0),
+      walletSmsCount: charged.length,
+    },
+  };
+};
+
+/**
+ * Give back the quota and prepaid credits applySmsQuota took, for SMS that were never queued
+ * @param {Object|null} reservation - From applySmsQuota
+ */
+const releaseSmsQuota = async (reservation) => {
+  if (!reservation) return;
+
+  const { repId, courseId, weekStart, quotaCount, walletCredits, walletSmsCount } = reservation;
+  if (quotaCount > 0) {
+    const keys = getUsageKeys(repId, courseId, weekStart);
+    await Promise.all([keys.rep, keys.course].filter(Boolean).map(key => SmsQuotaUsage.release(key, quotaCount)));
+  }
+  await refundSmsCharge({ userId: repId, courseId, credits: walletCredits, smsCount: walletSmsCount });
+};
+
+/**
+ * Give back the quota used by queued SMS that failed without being sent, to the week
+ * they were queued in. SMS paid with prepaid credits are refunded by refundSmsCredits instead.
+ * @param {Array} smsLogIds - SmsLogs of the failed SMS
+ */
+const releaseFailedSmsQuota = async (smsLogIds) => {
+  const smsLogs = await SmsLog.find({
+    _id: { $in: smsLogIds },
+    senderId: { $ne: null },
+    walletCredits: { $not: { $gt: 0 } },
+  })
+    .select('senderId courseId createdAt')
+    .lean();
+
+  // One release per counter
+  const releases = new Map();
+  smsLogs.forEach(smsLog => {
+    const keys = getUsageKeys(smsLog.senderId, smsLog.courseId, getWeekRange(smsLog.createdAt).from);
+    [keys.rep, keys.course].filter(Boolean).forEach(key => {
+      const id = `${key.scope}:${key.ownerId}:${key.weekStart.getTime()}`;
+      if (!releases.has(id)) releases.set(id, { key, count: 0 });
+      releases.get(id).count++;
+    });
+  });
+
+  for (const { key, count } of releases.values()) {
+    await SmsQuotaUsage.release(key, count);
+  }
+};
+
+module.exports = {
+  QUOTA_REACHED_ERROR,
+  getSmsQuota,
+  applySmsQuota,
+  releaseSmsQuota,
+  releaseFailedSmsQuota,
+};
@@ -1,82 +1,65 @@
-const fetch = require('node-fetch');
 const { SmsLog } = require('../models');
-
-const MOOLRE_API_URL = 'https://api.moolre.com/open/sms/send';
-const WEEKLY_SMS_LIMIT = 5;
+const { getSmsProvider } = require('./sms');
 
 /**
- * Send SMS via Moolre API
+ * Send SMS through the configured provider (see utils/sms)
+ * @param {string} phoneNumber - Recipient
+ * @param {string} message - Text to send
+ * @param {Object} [options] - userId, type and courseId to log the SMS under, sent or
+ *   rejected; provider to send through one other than SMS_PROVIDER
+ * @returns {Promise<Object>} `{ success, message, provider, providerRef, retryable }`
  */
 const sendSMS = async (phoneNumber, message, options = {}) => {
   try {
-    // 💡 AUTO-CLEAN: Remove any hidden spaces or newlines from the key and sender ID
-    const rawKey = process.env.MOOLRE_API_KEY || '';
-    const apiKey = rawKey.replace(/[\s\n\r]/g, '').trim();
-
-    const rawSender = process.env.MOOLRE_SENDER_ID || 'LectureLet';
-    const senderId = rawSender.trim();
+    const provider = getSmsProvider(options.provider);
+    const result = await provider.send(phoneNumber, message);
 
-    if (!apiKey || apiKey.length < 50) {
-      console.error('❌ MOOLRE_API_KEY is missing or too short in .env');
-      return { success: false, message: 'SMS service not correctly configured' };
+    if (options.userId) {
+      await SmsLog.logSms({
+        userId: options.userId,
+        phoneNumber: result.to || phoneNumber,
+        message,
+        type: options.type || 'announcement',
+        courseId: options.courseId || null,
+        provider: provider.name,
+        providerRef: result.providerRef || null,
+        failureReason: result.success ? null : result.error || 'SMS failed'
+      });
     }
 
-    const formattedPhone = phoneNumber.replace(/[\s\-\(\)\+]/g, '');
-
-    const payload = {
-      type: 1,
-      senderid: senderId,
-      messages: [
-        {
-          recipient: formattedPhone,
-          message: message
-        }
-      ]
-    };
-
-    console.log(`📡 Sending SMS to ${formattedPhone}...`);
-
-    const response = await fetch(MOOLRE_API_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-API-VASKEY': apiKey  // Header used in your successful Postman test
-      },
-      body: JSON.stringify(payload)
-    });
-
-    const responseData = await response.json();
-    console.log('📬 Moolre Response:', JSON.stringify(responseData));
-
-    // Moolre uses status: 1 for success
-    if (responseData.status === 1 || responseData.code === 'SMS01' || responseData.message === 'Success') {
-      if (options.userId) {
-        await SmsLog.logSms({
-          userId: options.userId,
-          phoneNumber: formattedPhone,
-          message,
-          type: options.type || 'announcement',
-          courseId: options.courseId || null
-        });
-      }
-      return { success: true, message: 'SMS sent successfully', data: responseData };
-    } else {
-      // API returned status 0 or error code
-      throw new Error(responseData.message || responseData.code || 'Authentication Error');
+    if (!result.success) {
+      console.error(`❌ SMS sending failed (${provider.name}):`, result.error);
+      return { success: false, message: result.error, provider: provider.name, retryable: result.retryable !== false };
     }
-
+    return { success: true, message: 'SMS sent successfully', provider: provider.name, providerRef: result.providerRef || null };
   } catch (error) {
     console.error('❌ SMS sending failed:', error.message);
-    return { success: false, message: error.message };
+    return { success: false, message: error.message, retryable: true };
   }
 };
 
-const sendBulkSMS = async (recipients) => {
-  const results = await Promise.allSettled(
-    recipients.map(r => sendSMS(r.phoneNumber, r.message, { userId: r.userId, type: r.type, courseId: r.courseId }))
+/**
+ * Send SMS to multiple recipients
+ * All requests go out at once, so keep batches small; the outbound queue sends at
+ * most the provider's per-second rate limit in one batch.
+ * `results` lines up with the input array, one `{ success, error, providerRef, retryable }` per recipient.
+ * @param {Array<{phoneNumber: string, message: string, userId?, type?: string, courseId?}>} recipients
+ * @param {Object} [options] - provider to send through one other than SMS_PROVIDER
+ */
+const sendBulkSMS = async (recipients, { provider } = {}) => {
+  const settled = await Promise.allSettled(
+    recipients.map(r => sendSMS(r.phoneNumber, r.message, { userId: r.userId, type: r.type, courseId: r.courseId, provider }))
   );
-  const sent = results.filter(r => r.status === 'fulfilled' && r.value.success).length;
-  return { sent, total: recipients.length };
+  const results = settled.map(r => (r.status === 'fulfilled'
+    ? {
+      success: r.value.success,
+      error: r.value.success ? null : r.value.message,
+      providerRef: r.value.providerRef || null,
+      retryable: r.value.retryable !== false,
+    }
+    : { success: false, error: r.reason?.message || 'SMS failed', providerRef: null, retryable: true }));
+  const sent = results.filter(r => r.success).length;
+  return { sent, total: recipients.length, results };
 };
 
 module.exports = { sendSMS, sendBulkSMS };
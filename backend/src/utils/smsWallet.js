@@ -0,0 +1,179 @@
+const config = require('../config');
+const { User, Payment, SmsLog, SmsCreditTransaction } = require('../models');
+
+// GSM 03.38 characters; anything else sends the whole message as UCS-2
+const GSM_7_BASIC = '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?'
+  + '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà';
+// Extension table characters, which take two GSM-7 characters each
+const GSM_7_EXTENDED = '^{}\\[~]|€\f';
+// Tries to take credits before giving up when other sends change the balance meanwhile
+const MAX_DEBIT_ATTEMPTS = 3;
+
+/**
+ * Count the SMS segments a message is billed as: 160 GSM-7 characters fit one,
+ * longer messages are split into parts of 153. Messages with other characters
+ * (e.g. emoji) are sent as UCS-2: 70 per segment, 67 per part.
+ * @param {string} message - Text to send
+ * @returns {number} Segments
+ */
+const countSmsSegments = (message) => {
+  let gsmLength = 0;
+  for (const char of message) {
+    if (GSM_7_BASIC.includes(char)) {
+      gsmLength += 1;
+    } else if (GSM_7_EXTENDED.includes(char)) {
+      gsmLength += 2;
+    } else {
+      return message.length <= 70 ? 1 : Math.ceil(message.length / 67);
+    }
+  }
+  return gsmLength <= 160 ? 1 : Math.ceil(gsmLength / 153);
+};
+
+/**
+ * Find an SMS credit bundle by ID
+ * @returns {Object|undefined} `{ id, credits, amount }`
+ */
+const getSmsCreditBundle = (bundleId) => config.smsCreditBundles.find(bundle => bundle.id === bundleId);
+
+/**
+ * Pay for SMS from a course rep's prepaid credits, one credit per segment. As many
+ * are paid for as the balance covers, in order; the rest are left unpaid.
+ * @param {Object} rep - The course rep (User document)
+ * @param {Array<Object>} messages - SMS for enqueueSms
+ * @param {ObjectId} courseId - Course the SMS are for
+ * @returns {Promise<{charged: Array<Object>, unpaid: Array<Object>}>} Paid messages, with
+ *   `walletCredits` set, and unpaid ones
+ */
+const chargeSmsCredits = async (rep, messages, courseId) => {
+  if (messages.length === 0) return { charged: [], unpaid: [] };
+
+  let balance = rep.smsCredits || 0;
+  for (let attempt = 0; attempt < MAX_DEBIT_ATTEMPTS; attempt++) {
+    const charged = [];
+    const unpaid = [];
+    let total = 0;
+    messages.forEach(sms => {
+      const segments = countSmsSegments(sms.message);
+      if (total + segments <= balance) {
+        total += segments;
+        charged.push({ ...sms, walletCredits: segments });
+      } else {
+        unpaid.push(sms);
+      }
+    });
+    if (total === 0) return { charged: [], unpaid: messages };
+
+    // Only take the credits if the balance still covers them
+    const result = await User.updateOne(
+      { _id: rep._id, smsCredits: { $gte: total } },
+      { $inc: { smsCredits: -total } }
+    );
+    if (result.modifiedCount === 1) {
+      await SmsCreditTransaction.create({
+        userId: rep._id,
+        type: 'debit',
+        credits: -total,
+        courseId,
+        smsCount: charged.length,
+      });
+      return { charged, unpaid };
+    }
+
+    const current = await User.findById(rep._id).select('smsCredits');
+    balance = current?.smsCredits || 0;
+  }
+
+  return { charged: [], unpaid: messages };
+};
+
+/**
+ * Give back the prepaid credits taken for SMS that failed without being sent
+ * @param {Array} smsLogIds - SmsLogs of the failed SMS
+ * @returns {Promise<number>} Credits refunded
+ */
+const refundSmsCredits = async (smsLogIds) => {
+  const smsLogs = await SmsLog.find({ _id: { $in: smsLogIds }, walletCredits: { $gt: 0 }, senderId: { $ne: null } })
+    .select('senderId courseId walletCredits')
+    .lean();
+
+  // One refund per rep and course
+  const refunds = new Map();
+  smsLogs.forEach(smsLog => {
+    const key = `${smsLog.senderId}:${smsLog.courseId}`;
+    if (!refunds.has(key)) {
+      refunds.set(key, { userId: smsLog.senderId, courseId: smsLog.courseId, credits: 0, smsCount: 0 });
+    }
+    const refund = refunds.get(key);
+    refund.credits += smsLog.walletCredits;
+    refund.smsCount++;
+  });
+
+  let refunded = 0;
+  for (const refund of refunds.values()) {
+    await refundSmsCharge(refund);
+    refunded += refund.credits;
+  }
+  return refunded;
+};
+
+/**
+ * Give a course rep back prepaid credits taken for SMS of a course
+ * @param {Object} refund
+ * @param {ObjectId} refund.userId - The course rep
+ * @param {ObjectId} refund.courseId - Course the SMS were for
+ * @param {number} refund.credits - Credits to give back
+ * @param {number} refund.smsCount - SMS they paid for
+ */
+const refundSmsCharge = async ({ userId, courseId, credits, smsCount }) => {
+  if (credits <= 0) return;
+  await User.updateOne({ _id: userId }, { $inc: { smsCredits: credits } });
+  await SmsCreditTransaction.create({ userId, courseId, credits, smsCount, type: 'refund' });
+};
+
+/**
+ * Add the credits a successful SMS credit payment bought to the payer's balance.
+ * The credits and the payment's ID go onto the user in one update, so a payment is
+ * credited once however often this runs, even concurrently. The ledger entry and the
+ * payment's `creditedAt` follow; if a run stops before them, the next one adds them.
+ * @param {Object} payment - Payment document with purpose 'sms_credits'
+ * @returns {Promise<Object>} `{ credited, balance }`; credited is false if it was already credited
+ */
+const creditSmsPurchase = async (payment) => {
+  if (payment.creditedAt) {
+    const user = await User.findById(payment.userId).select('smsCredits');
+    return { credited: false, balance: user?.smsCredits || 0 };
+  }
+
+  const result = await User.updateOne(
+    { _id: payment.userId, smsCreditPaymentIds: { $ne: payment._id } },
+    { $inc: { smsCredits: payment.credits }, $push: { smsCreditPaymentIds: payment._id } }
+  );
+
+  try {
+    await SmsCreditTransaction.create({
+      userId: payment.userId,
+      type: 'purchase',
+      credits: payment.credits,
+      paymentId: payment._id,
+    });
+  } catch (error) {
+    // Already recorded by an earlier or concurrent run
+    if (error.code !== 11000) throw error;
+  }
+
+  payment.creditedAt = new Date();
+  await Payment.updateOne({ _id: payment._id, creditedAt: null }, { $set: { creditedAt: payment.creditedAt } });
+
+  const user = await User.findById(payment.userId).select('smsCredits');
+  return { credited: result.modifiedCount === 1, balance: user?.smsCredits || 0 };
+};
+
+module.exports = {
+  countSmsSegments,
+  getSmsCreditBundle,
+  chargeSmsCredits,
+  refundSmsCredits,
+  refundSmsCharge,
+  creditSmsPurchase,
+};
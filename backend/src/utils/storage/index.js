@@ -0,0 +1,33 @@
+const config = require('../../config');
+const createLocalStorage = require('./localStorage');
+const createS3Storage = require('./s3Storage');
+
+/**
+ * Storage backends for attachments. Each adapter implements:
+ * - save(key, buffer, mimeType)
+ * - getStream(key) -> readable stream, or null if missing
+ * - remove(key)
+ */
+const ADAPTERS = {
+  local: () => createLocalStorage({ dir: config.attachments.localDir }),
+  s3: () => createS3Storage(config.attachments.s3),
+};
+
+const instances = {};
+
+/**
+ * Get a storage adapter, created on first use
+ * @param {string} [name] - Adapter name; defaults to ATTACHMENT_STORAGE.
+ *   Pass an attachment's own `storage` to read files saved before the setting changed.
+ */
+const getStorage = (name = config.attachments.storage) => {
+  if (!ADAPTERS[name]) {
+    throw new Error(`Unknown attachment storage "${name}". Use one of: ${Object.keys(ADAPTERS).join(', ')}`);
+  }
+  if (!instances[name]) {
+    instances[name] = ADAPTERS[name]();
+  }
+  return instances[name];
+};
+
+module.exports = { getStorage };
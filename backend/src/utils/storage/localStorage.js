@@ -0,0 +1,62 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Storage adapter that keeps files on this server's disk
+ * @param {Object} options
+ * @param {string} options.dir - Directory files are stored under
+ */
+const createLocalStorage = ({ dir }) => {
+  const root = path.resolve(dir);
+
+  // Keys are generated by the server, but never let one point outside the storage directory
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    /**
+     * Store a file
+     * @param {string} key - Storage key, e.g. "<courseId>/<uuid>.pdf"
+     * @param {Buffer} buffer - File contents
+     */
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+
+    /**
+     * Open a stored file for reading
+     * @returns {Promise<stream.Readable|null>} null if the file is missing
+     */
+    async getStream(key) {
+      const filePath = resolveKey(key);
+      try {
+        await fs.promises.access(filePath);
+      } catch (error) {
+        return null;
+      }
+      return fs.createReadStream(filePath);
+    },
+
+    /**
+     * Delete a stored file; missing files are ignored
+     */
+    async remove(key) {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    },
+  };
+};
+
+module.exports = createLocalStorage;
@@ -0,0 +1,66 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+} = require('@aws-sdk/client-s3');
+
+/**
+ * Storage adapter for AWS S3 or any S3-compatible store (MinIO, Cloudflare R2, ...)
+ * @param {Object} options - bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle
+ */
+const createS3Storage = ({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle }) => {
+  if (!bucket) {
+    throw new Error('S3_BUCKET must be set when ATTACHMENT_STORAGE is "s3"');
+  }
+
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    // Fall back to the SDK's default credential chain (env, instance role) when no keys are set
+    credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined,
+  });
+
+  return {
+    name: 's3',
+
+    /**
+     * Store a file
+     * @param {string} key - Object key, e.g. "<courseId>/<uuid>.pdf"
+     * @param {Buffer} buffer - File contents
+     * @param {string} mimeType - Stored as the object's Content-Type
+     */
+    async save(key, buffer, mimeType) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: mimeType,
+      }));
+    },
+
+    /**
+     * Open a stored object for reading
+     * @returns {Promise<stream.Readable|null>} null if the object is missing
+     */
+    async getStream(key) {
+      try {
+        const result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        return result.Body;
+      } catch (error) {
+        if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) return null;
+        throw error;
+      }
+    },
+
+    /**
+     * Delete a stored object; S3 treats missing keys as already deleted
+     */
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+  };
+};
+
+module.exports = createS3Storage;
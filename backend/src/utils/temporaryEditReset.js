@@ -1,4 +1,5 @@
 const { Course } = require('../models');
+const { syncAllOccurrences } = require('./occurrenceSync');
 
 /**
  * Reset temporary edits that have expired (older than 24 hours)
@@ -9,6 +10,8 @@ const resetExpiredTemporaryEdits = async () => {
     const resetCount = await Course.resetExpiredTemporaryEdits();
     if (resetCount > 0) {
       console.log(`Reset ${resetCount} expired temporary course edits`);
+      // Restored schedules change upcoming class times used by reminders
+      await syncAllOccurrences();
     }
     return resetCount;
   } catch (error) {
@@ -0,0 +1,123 @@
+const { describe, it, beforeEach, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, applyBulkWrite } = require('./helpers');
+
+const {
+  User,
+  Course,
+  Announcement,
+  Notification,
+  SmsLog,
+  SmsQuotaUsage,
+  OutboundMessage,
+} = require('../src/models');
+const { resendAnnouncementToUnread } = require('../src/utils/announcements');
+
+/**
+ * "HH:00" in UTC, `hours` from now
+ */
+const utcHour = (hours) => `${String((new Date().getUTCHours() + 24 + hours) % 24).padStart(2, '0')}:00`;
+
+describe('resendAnnouncementToUnread', () => {
+  let rep;
+  let course;
+  let announcement;
+  let students;
+  let notifications;
+  let outbound;
+
+  beforeEach(() => {
+    mock.restoreAll();
+    outbound = [];
+
+    rep = new User({ phoneNumber: '0200000001', password: 'secret123', fullName: 'Kojo Rep', role: 'course_rep', paymentStatus: true });
+    course = new Course({
+      courseName: 'Data Structures',
+      courseCode: 'CSC201',
+      uniqueCode: 'ABC12',
+      days: ['Monday'],
+      startTime: '10:00',
+      endTime: '12:00',
+      createdBy: rep._id,
+    });
+    announcement = new Announcement({
+      courseId: course._id,
+      createdBy: rep._id,
+      title: 'Venue change',
+      message: 'Friday\'s lecture moves to Hall B',
+    });
+    students = {
+      ama: new User({ phoneNumber: '0244123456', password: 'secret123', fullName: 'Ama', paymentStatus: true }),
+      yaw: new User({
+        phoneNumber: '0244654321',
+        password: 'secret123',
+        fullName: 'Yaw',
+        paymentStatus: true,
+        quietHours: { enabled: true, start: utcHour(-1), end: utcHour(2), timezone: 'UTC' },
+      }),
+    };
+    notifications = Object.values(students).map(student => new Notification({
+      userId: student,
+      title: announcement.title,
+      message: `Hi ${student.fullName}, ${announcement.message}`,
+      type: 'announcement',
+      courseId: course._id,
+      announcementId: announcement._id,
+    }));
+
+    mock.method(Notification, 'find', () => query(notifications));
+    mock.method(Notification, 'bulkWrite', applyBulkWrite(notifications));
+    mock.method(Notification, 'updateMany', async ({ _id }, { $set }) => {
+      notifications.filter(n => _id.$in.includes(n._id.toString())).forEach(n => n.set($set));
+      return {};
+    });
+    mock.method(Notification, 'insertMany', async () => {
+      throw new Error('A re-send must not create notifications');
+    });
+    mock.method(Announcement.prototype, 'save', async function () { return this; });
+    mock.method(User, 'findById', () => query(rep));
+    mock.method(SmsQuotaUsage, 'getForWeek', async (key) => ({ ...key, used: 0 }));
+    mock.method(SmsQuotaUsage, 'reserve', async () => true);
+    mock.method(SmsQuotaUsage, 'release', async () => ({}));
+    mock.method(SmsLog, 'insertMany', async (rows) => rows.map(row => new SmsLog(row)));
+    mock.method(SmsLog, 'bulkWrite', async () => ({}));
+    mock.method(OutboundMessage, 'insertMany', async (rows) => {
+      outbound.push(...rows);
+      return rows;
+    });
+  });
+
+  after(() => {
+    mock.restoreAll();
+  });
+
+  it('texts unread students on their existing notifications, except during quiet hours', async () => {
+    const result = await resendAnnouncementToUnread(announcement, course);
+
+    assert.deepEqual(result, { unreadCount: 2, smsQueued: 1, smsSkippedForQuota: 0 });
+    assert.equal(outbound.length, 1);
+    assert.equal(outbound[0].to, students.ama.phoneNumber);
+    assert.equal(outbound[0].body, 'Hi Ama, Data Structures: Friday\'s lecture moves to Hall B');
+    assert.equal(notifications[0].smsStatus, 'queued');
+    assert.equal(notifications[1].smsStatus, 'none');
+    assert.ok(announcement.lastSmsResendAt instanceof Date);
+  });
+
+  it('marks the SMS failed when they can\'t be queued, so the next re-send tries again', async () => {
+    mock.method(OutboundMessage, 'insertMany', async () => {
+      throw new Error('Queue unavailable');
+    });
+
+    await assert.rejects(resendAnnouncementToUnread(announcement, course), /could not be queued/);
+    assert.equal(notifications[0].smsStatus, 'failed');
+    assert.equal(SmsQuotaUsage.release.mock.callCount(), 2);
+
+    mock.method(OutboundMessage, 'insertMany', async (rows) => {
+      outbound.push(...rows);
+      return rows;
+    });
+    const result = await resendAnnouncementToUnread(announcement, course);
+    assert.equal(result.smsQueued, 1);
+    assert.equal(notifications[0].smsStatus, 'queued');
+  });
+});
@@ -0,0 +1,78 @@
+const { describe, it, beforeEach, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { query } = require('./helpers');
+
+const {
+  Attachment,
+  CourseItem,
+  Notification,
+  ScheduledAnnouncement,
+  Announcement,
+} = require('../src/models');
+const { getStorage } = require('../src/utils/storage');
+const { releaseAttachments } = require('../src/utils/attachments');
+
+describe('releaseAttachments', () => {
+  let attachments;
+  let links;
+
+  const makeAttachment = () => new Attachment({
+    fileName: 'notes.pdf',
+    mimeType: 'application/pdf',
+    size: 1024,
+    storage: 'local',
+    storageKey: `course/${new mongoose.Types.ObjectId()}.pdf`,
+    courseId: new mongoose.Types.ObjectId(),
+    uploadedBy: new mongoose.Types.ObjectId(),
+    attachedAt: new Date(),
+  });
+
+  beforeEach(() => {
+    mock.restoreAll();
+    attachments = [makeAttachment(), makeAttachment()];
+    // Attachment IDs each model still links to
+    links = new Map([CourseItem, Notification, ScheduledAnnouncement, Announcement].map(Model => [Model, []]));
+
+    mock.method(Attachment, 'find', () => query(attachments));
+    mock.method(Attachment.prototype, 'deleteOne', async function () {
+      attachments = attachments.filter(attachment => attachment !== this);
+      return { deletedCount: 1 };
+    });
+    links.forEach((ids, Model) => {
+      mock.method(Model, 'exists', async ({ attachments: id }) => (
+        ids.some(linked => linked.equals(id)) ? { _id: new mongoose.Types.ObjectId() } : null
+      ));
+      mock.method(Model, 'updateMany', async () => ({ modifiedCount: 0 }));
+    });
+    mock.method(getStorage('local'), 'remove', async () => {});
+  });
+
+  after(() => {
+    mock.restoreAll();
+  });
+
+  it('keeps files another announcement or notification still links to', async () => {
+    const [shared, unused] = attachments;
+    links.get(Notification).push(shared._id);
+
+    const deleted = await releaseAttachments([shared._id, unused._id]);
+
+    assert.equal(deleted, 1);
+    assert.deepEqual(attachments, [shared]);
+    assert.deepEqual(getStorage('local').remove.mock.calls.map(call => call.arguments[0]), [unused.storageKey]);
+  });
+
+  it('deletes files nothing links to any more', async () => {
+    const deleted = await releaseAttachments(attachments.map(attachment => attachment._id));
+
+    assert.equal(deleted, 2);
+    assert.deepEqual(attachments, []);
+    assert.equal(getStorage('local').remove.mock.callCount(), 2);
+  });
+
+  it('does nothing for an empty list', async () => {
+    assert.equal(await releaseAttachments([]), 0);
+    assert.equal(Attachment.find.mock.callCount(), 0);
+  });
+});
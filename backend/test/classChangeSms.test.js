@@ -0,0 +1,216 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, beforeEach, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The fake adapter records SMS in this outbox instead of sending them
+const outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lecturelet-sms-'));
+const outboxFile = path.join(outboxDir, 'sms-outbox.jsonl');
+process.env.SMS_PROVIDER = 'fake';
+process.env.SMS_FAKE_FILE = outboxFile;
+
+const express = require('express');
+const { query, applyBulkWrite } = require('./helpers');
+
+const {
+  User,
+  Course,
+  ClassException,
+  ClassOccurrence,
+  Enrollment,
+  DeviceToken,
+  Notification,
+  SmsLog,
+  SmsQuotaUsage,
+  OutboundMessage,
+} = require('../src/models');
+const { generateToken } = require('../src/middleware/auth');
+const { getSmsProvider } = require('../src/utils/sms');
+const { processOutboundQueue } = require('../src/utils/outboundQueue');
+const classExceptionRoutes = require('../src/routes/classExceptions');
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Wall-clock "HH:MM" of a time in Africa/Accra (UTC all year)
+ */
+const toTimeOfDay = (date) => date.toISOString().slice(11, 16);
+
+describe('class change SMS', () => {
+  let server;
+  let baseUrl;
+  let store;
+  let rep;
+  let course;
+  let students;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/courses/:id/exceptions', classExceptionRoutes);
+    await new Promise((resolve) => {
+      server = app.listen(0, resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/courses`;
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(outboxDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    mock.restoreAll();
+    fs.rmSync(outboxFile, { force: true });
+    getSmsProvider('fake').clear();
+    store = { notifications: [], smsLogs: [], outbound: [] };
+
+    rep = new User({
+      phoneNumber: '0200000001',
+      password: 'secret123',
+      fullName: 'Kojo Rep',
+      role: 'course_rep',
+      paymentStatus: true,
+    });
+    students = [
+      new User({ phoneNumber: '0244123456', password: 'secret123', fullName: 'Ama', paymentStatus: true }),
+      new User({
+        phoneNumber: '0244654321',
+        password: 'secret123',
+        fullName: 'Yaw',
+        paymentStatus: true,
+        notificationChannels: { class_changes: { sms: false } },
+      }),
+      new User({ phoneNumber: '0244000111', password: 'secret123', fullName: 'Esi', paymentStatus: false }),
+    ];
+    const users = [rep, ...students];
+
+    mock.method(User, 'findById', (id) => query(users.find(user => user._id.equals(id)) || null));
+    mock.method(Course, 'isCreator', async (courseId, userId) => rep._id.equals(userId));
+    mock.method(Course, 'findById', () => query(course));
+    mock.method(ClassException, 'findOne', () => query(null));
+    mock.method(ClassException.prototype, 'save', async function () { return this; });
+    mock.method(ClassOccurrence, 'bulkWrite', async () => ({}));
+    mock.method(ClassOccurrence, 'deleteMany', async () => ({}));
+    mock.method(Enrollment, 'find', () => query(students.map(student => ({ userId: student, courseId: course._id }))));
+    mock.method(DeviceToken, 'getActiveTokensForUsers', () => query([]));
+
+    mock.method(Notification, 'insertMany', async (rows) => {
+      const docs = rows.map(row => new Notification(row));
+      store.notifications.push(...docs);
+      return docs;
+    });
+    mock.method(Notification, 'bulkWrite', applyBulkWrite(store.notifications));
+    mock.method(SmsQuotaUsage, 'getForWeek', async (key) => ({ ...key, used: 0 }));
+    mock.method(SmsQuotaUsage, 'reserve', async () => true);
+    mock.method(SmsLog, 'insertMany', async (rows) => {
+      const docs = rows.map(row => new SmsLog(row));
+      store.smsLogs.push(...docs);
+      return docs;
+    });
+    mock.method(SmsLog, 'bulkWrite', applyBulkWrite(store.smsLogs));
+    mock.method(OutboundMessage, 'insertMany', async (rows) => {
+      const docs = rows.map(row => new OutboundMessage(row));
+      store.outbound.push(...docs);
+      return docs;
+    });
+    mock.method(OutboundMessage, 'releaseStale', async () => ({ modifiedCount: 0 }));
+    mock.method(OutboundMessage, 'claimDue', async (provider, limit) => {
+      const due = store.outbound
+        .filter(message => message.provider === provider && message.status === 'queued')
+        .slice(0, limit);
+      due.forEach(message => message.set({ status: 'processing' }));
+      return due;
+    });
+    mock.method(OutboundMessage, 'bulkWrite', applyBulkWrite(store.outbound));
+    mock.method(OutboundMessage, 'find', ({ channel, notificationIds }) => query(store.outbound.filter(message => (
+      message.channel === channel && message.notificationIds.some(id => notificationIds.$in.map(String).includes(String(id)))
+    ))));
+  });
+
+  /**
+   * Create a course whose only weekly class starts `minutesAway` from now
+   */
+  const makeCourse = (minutesAway) => {
+    const start = new Date(Math.ceil((Date.now() + minutesAway * 60 * 1000) / 60000) * 60000);
+    const end = new Date(start.getTime() + 60 * 60 * 1000);
+    course = new Course({
+      courseName: 'Data Structures',
+      courseCode: 'CSC201',
+      uniqueCode: 'ABC123',
+      days: [DAY_NAMES[start.getUTCDay()]],
+      startTime: toTimeOfDay(start),
+      endTime: end.getUTCDate() === start.getUTCDate() ? toTimeOfDay(end) : '23:59',
+      venue: 'Hall A',
+      timezone: 'Africa/Accra',
+      createdBy: rep._id,
+    });
+    return start.toISOString().slice(0, 10);
+  };
+
+  const cancelClass = (originalDate) => fetch(`${baseUrl}/${course._id}/exceptions`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${generateToken(rep._id.toString())}`,
+    },
+    body: JSON.stringify({ type: 'cancel', originalDate, reason: 'Lecturer unwell' }),
+  });
+
+  const readOutbox = () => (fs.existsSync(outboxFile)
+    ? fs.readFileSync(outboxFile, 'utf8').trim().split('\n').map(line => JSON.parse(line))
+    : []);
+
+  it('texts students who want SMS when a class starting soon is cancelled', async () => {
+    const originalDate = makeCourse(20);
+
+    const res = await cancelClass(originalDate);
+    const body = await res.json();
+    assert.equal(res.status, 201, body.message);
+    assert.equal(body.data.notificationsSent, 3);
+    assert.equal(body.data.smsQueued, 1);
+
+    // Nothing is sent until the outbound queue runs
+    assert.deepEqual(readOutbox(), []);
+    const stats = await processOutboundQueue();
+    assert.equal(stats.sent, 1);
+
+    const outbox = readOutbox();
+    assert.equal(outbox.length, 1);
+    assert.equal(outbox[0].to, '0244123456');
+    assert.ok(
+      outbox[0].message.startsWith('Hi Ama, URGENT: Data Structures: the class on '),
+      outbox[0].message
+    );
+    assert.ok(outbox[0].message.includes('is cancelled. Reason: Lecturer unwell'), outbox[0].message);
+    assert.ok(outbox[0].message.length <= 160);
+
+    const [smsLog] = store.smsLogs;
+    assert.equal(store.smsLogs.length, 1);
+    assert.equal(smsLog.status, 'sent');
+    assert.equal(smsLog.provider, 'fake');
+    assert.equal(smsLog.providerRef, outbox[0].id);
+    assert.ok(smsLog.senderId.equals(rep._id));
+
+    const byUser = new Map(store.notifications.map(n => [n.userId.toString(), n]));
+    assert.equal(byUser.get(students[0]._id.toString()).smsStatus, 'sent');
+    assert.equal(byUser.get(students[1]._id.toString()).smsStatus, 'none');
+    assert.equal(byUser.get(students[2]._id.toString()).smsStatus, 'none');
+  });
+
+  it('sends no SMS for a change to a class days away', async () => {
+    const originalDate = makeCourse(3 * 24 * 60);
+
+    const res = await cancelClass(originalDate);
+    const body = await res.json();
+    assert.equal(res.status, 201, body.message);
+    assert.equal(body.data.notificationsSent, 3);
+    assert.equal(body.data.smsQueued, 0);
+
+    await processOutboundQueue();
+    assert.deepEqual(readOutbox(), []);
+    assert.ok(store.notifications.every(n => n.smsStatus === 'none'));
+  });
+});
@@ -0,0 +1,216 @@
+const { describe, it, beforeEach, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { Expo } = require('expo-server-sdk');
+const { query, applyBulkWrite } = require('./helpers');
+
+const {
+  User,
+  Course,
+  Enrollment,
+  ClassOccurrence,
+  ReminderDispatch,
+  DeviceToken,
+  Notification,
+  OutboundMessage,
+  PushTicket,
+} = require('../src/models');
+const { processClassReminders } = require('../src/utils/classReminderJob');
+const { processOutboundQueue } = require('../src/utils/outboundQueue');
+
+/**
+ * "HH:00" in UTC, `hours` from now
+ */
+const utcHour = (hours) => `${String((new Date().getUTCHours() + 24 + hours) % 24).padStart(2, '0')}:00`;
+
+/**
+ * Apply ReminderDispatch bulk writes to records held in memory: settleMany's
+ * `updateOne` by `_id`, and recordPushTickets' `updateMany` by notification
+ */
+const applyDispatchWrites = (store) => async (operations) => {
+  operations.forEach((operation) => {
+    if (operation.updateOne) {
+      const record = store.find(item => item._id.equals(operation.updateOne.filter._id));
+      if (record) record.set(operation.updateOne.update.$set);
+      return;
+    }
+    const { filter, update } = operation.updateMany;
+    const ids = filter.notificationId.$in.map(String);
+    store
+      .filter(record => ids.includes(String(record.notificationId)))
+      .filter(record => !filter.status || record.status === filter.status)
+      .forEach((record) => {
+        if (update.$set) record.set(update.$set);
+        if (update.$addToSet) record.ticketIds.addToSet(update.$addToSet.ticketIds);
+      });
+  });
+};
+
+describe('class reminders', () => {
+  let store;
+  let course;
+  let students;
+  let devices;
+
+  beforeEach(() => {
+    mock.restoreAll();
+    store = { dispatches: [], notifications: [], outbound: [] };
+
+    course = new Course({
+      courseName: 'Data Structures',
+      courseCode: 'CSC201',
+      uniqueCode: 'ABC12',
+      days: ['Monday'],
+      startTime: '10:00',
+      endTime: '12:00',
+      timezone: 'UTC',
+    });
+    const start = new Date(Date.now() + 17 * 60 * 1000);
+    const occurrence = {
+      courseId: course._id,
+      start,
+      end: new Date(start.getTime() + 60 * 60 * 1000),
+      date: start.toISOString().slice(0, 10),
+      venue: 'Hall A',
+      timezone: 'UTC',
+    };
+
+    students = {
+      // Has a phone with the app
+      ama: new User({ phoneNumber: '0244123456', password: 'secret123', fullName: 'Ama', paymentStatus: true }),
+      // In their quiet hours
+      yaw: new User({
+        phoneNumber: '0244654321',
+        password: 'secret123',
+        fullName: 'Yaw',
+        paymentStatus: true,
+        quietHours: { enabled: true, start: utcHour(-1), end: utcHour(2), timezone: 'UTC' },
+      }),
+      // No device registered
+      esi: new User({ phoneNumber: '0244000111', password: 'secret123', fullName: 'Esi', paymentStatus: true }),
+    };
+    const users = Object.values(students);
+    devices = new Map([
+      [students.ama._id.toString(), [{ userId: students.ama._id, pushToken: 'ExponentPushToken[ama]' }]],
+      [students.yaw._id.toString(), [{ userId: students.yaw._id, pushToken: 'ExponentPushToken[yaw]' }]],
+    ]);
+
+    // The hourly full sync finds no courses to write
+    mock.method(Course, 'find', () => Object.assign(query([course]), { cursor: () => ({ next: async () => null }) }));
+    mock.method(Course, 'distinct', async () => [course._id]);
+    mock.method(ClassOccurrence, 'deleteMany', async () => ({}));
+    mock.method(ClassOccurrence, 'findStartingInRanges', () => query([occurrence]));
+    mock.method(User, 'distinct', async () => []);
+    mock.method(Enrollment, 'distinct', async () => []);
+    mock.method(Enrollment, 'find', () => query(users.map(user => ({ userId: user._id, courseId: course._id }))));
+    mock.method(User, 'find', () => query(users));
+    mock.method(DeviceToken, 'getActiveTokensByUser', async () => devices);
+
+    mock.method(ReminderDispatch, 'insertMany', async (rows) => {
+      const docs = rows.map(row => new ReminderDispatch(row));
+      store.dispatches.push(...docs);
+      return docs;
+    });
+    mock.method(ReminderDispatch, 'find', ({ claimToken }) => query(
+      store.dispatches.filter(record => record.claimToken === claimToken)
+    ));
+    mock.method(ReminderDispatch, 'bulkWrite', applyDispatchWrites(store.dispatches));
+
+    mock.method(Notification, 'insertMany', async (rows) => {
+      const docs = rows.map(row => new Notification(row));
+      store.notifications.push(...docs);
+      return docs;
+    });
+    mock.method(Notification, 'updateMany', async () => ({}));
+    mock.method(Notification, 'applyOutboundResults', async () => ({}));
+    mock.method(OutboundMessage, 'insertMany', async (rows) => {
+      const docs = rows.map(row => new OutboundMessage(row));
+      store.outbound.push(...docs);
+      return docs;
+    });
+    mock.method(OutboundMessage, 'releaseStale', async () => ({ modifiedCount: 0 }));
+    mock.method(OutboundMessage, 'claimDue', async (provider, limit) => store.outbound
+      .filter(message => message.provider === provider && message.status === 'queued')
+      .slice(0, limit));
+    mock.method(OutboundMessage, 'bulkWrite', applyBulkWrite(store.outbound));
+    mock.method(PushTicket, 'insertMany', async (rows) => rows);
+    mock.method(Expo.prototype, 'sendPushNotificationsAsync', async (chunk) => (
+      chunk.map((message, index) => ({ status: 'ok', id: `ticket-${index}` }))
+    ));
+  });
+
+  after(() => {
+    mock.restoreAll();
+  });
+
+  const dispatchFor = (user) => store.dispatches.find(record => record.userId.equals(user._id));
+
+  it('records how each student was reached and claims each reminder once', async () => {
+    const first = await processClassReminders();
+    assert.equal(first.stats.claimed, 3);
+    assert.equal(first.sent, 3);
+
+    const ama = dispatchFor(students.ama);
+    assert.equal(ama.status, 'sent');
+    assert.equal(ama.channel, 'push');
+    assert.ok(ama.notificationId);
+    assert.deepEqual([...ama.ticketIds], []);
+
+    const yaw = dispatchFor(students.yaw);
+    assert.equal(yaw.status, 'held');
+    assert.equal(yaw.channel, 'push');
+    assert.equal(yaw.sentAt, null);
+
+    const esi = dispatchFor(students.esi);
+    assert.equal(esi.status, 'sent');
+    assert.equal(esi.channel, 'in_app');
+
+    // A second tick finds every reminder already claimed
+    mock.method(ReminderDispatch, 'insertMany', async () => {
+      throw Object.assign(new Error('E11000'), {
+        writeErrors: store.dispatches.map((record, index) => ({ index, code: 11000 })),
+      });
+    });
+    mock.method(ReminderDispatch, 'bulkWrite', async () => ({}));
+    const second = await processClassReminders();
+    assert.equal(second.stats.claimed, 0);
+    assert.equal(store.notifications.length, 3);
+  });
+
+  it('copies the Expo ticket id onto the reminder once its push is sent', async () => {
+    await processClassReminders();
+    await processOutboundQueue();
+
+    assert.deepEqual([...dispatchFor(students.ama).ticketIds], ['ticket-0']);
+    assert.equal(dispatchFor(students.yaw).status, 'held');
+  });
+
+  it('settles reminders as sent in-app when their pushes can\'t be queued', async () => {
+    mock.method(OutboundMessage, 'insertMany', async () => {
+      throw new Error('Queue unavailable');
+    });
+
+    const result = await processClassReminders();
+    assert.equal(result.sent, 3);
+    assert.equal(store.notifications.length, 3);
+
+    const ama = dispatchFor(students.ama);
+    assert.equal(ama.status, 'sent');
+    assert.equal(ama.channel, 'in_app');
+    assert.equal(ama.lastError, 'Queue unavailable');
+    const [[filter, update]] = Notification.updateMany.mock.calls.map(call => call.arguments);
+    assert.deepEqual(filter._id.$in, [ama.notificationId.toString()]);
+    assert.equal(update.$set.pushStatus, 'failed');
+  });
+
+  it('leaves reminders to retry when their notifications can\'t be saved', async () => {
+    mock.method(Notification, 'insertMany', async () => {
+      throw new Error('Database unavailable');
+    });
+
+    const result = await processClassReminders();
+    assert.equal(result.sent, 0);
+    assert.ok(store.dispatches.every(record => record.status === 'failed'));
+    assert.ok(store.dispatches.every(record => record.lastError === 'Database unavailable'));
+    assert.equal(store.outbound.length, 0);
+  });
+});
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// There's no database: a query that isn't mocked fails at once instead of waiting for one
+mongoose.set('bufferCommands', false);
+
+/**
+ * Stand-in for a Mongoose query: chainable, and resolves to `value` when awaited
+ */
+const query = (value) => {
+  const chain = {
+    populate: () => chain,
+    select: () => chain,
+    sort: () => chain,
+    skip: () => chain,
+    limit: () => chain,
+    lean: () => chain,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+  };
+  return chain;
+};
+
+/**
+ * Let other pending calls run, as a round trip to the database would
+ */
+const yieldToOthers = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * Apply `updateOne` bulk writes to documents held in memory. Filter fields other
+ * than `_id` must equal the document's, except operators, which are ignored.
+ */
+const applyBulkWrite = (store) => async (operations) => {
+  operations.forEach(({ updateOne: { filter, update } }) => {
+    const doc = store.find(item => item._id.equals(filter._id));
+    const matches = doc && Object.entries(filter).every(([field, value]) => (
+      field === '_id' || (value && typeof value === 'object') || String(doc.get(field)) === String(value)
+    ));
+    if (matches) doc.set(update.$set);
+  });
+};
+
+module.exports = {
+  query,
+  yieldToOthers,
+  applyBulkWrite,
+};
@@ -0,0 +1,149 @@
+const { describe, it, before, beforeEach, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { query, yieldToOthers } = require('./helpers');
+
+const {
+  User,
+  Course,
+  Enrollment,
+  EnrollmentRequest,
+  DeviceToken,
+  Notification,
+} = require('../src/models');
+const { generateToken } = require('../src/middleware/auth');
+const courseRoutes = require('../src/routes/courses');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('approving a join request', () => {
+  let server;
+  let baseUrl;
+  let rep;
+  let student;
+  let course;
+  let request;
+  let enrollments;
+  let otherEnrollments;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/courses', courseRoutes);
+    await new Promise((resolve) => {
+      server = app.listen(0, resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/courses`;
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    mock.restoreAll();
+    enrollments = [];
+    otherEnrollments = 0;
+
+    rep = new User({ phoneNumber: '0200000001', password: 'secret123', fullName: 'Kojo Rep', role: 'course_rep' });
+    student = new User({ phoneNumber: '0244123456', password: 'secret123', fullName: 'Ama', paymentStatus: true });
+    course = new Course({
+      courseName: 'Data Structures',
+      courseCode: 'CSC201',
+      uniqueCode: 'ABC12',
+      days: ['Monday'],
+      startTime: '10:00',
+      endTime: '12:00',
+      createdBy: rep._id,
+    });
+    request = new EnrollmentRequest({ userId: student._id, courseId: course._id });
+    const users = [rep, student];
+
+    mock.method(User, 'findById', (id) => query(users.find(user => user._id.equals(id)) || null));
+    mock.method(User, 'find', () => query([student]));
+    mock.method(User.prototype, 'save', async function () { return this; });
+    mock.method(Course, 'isCreator', async (courseId, userId) => rep._id.equals(userId));
+    mock.method(Course, 'findById', () => query(course));
+    // Each approval reads its own copy of the request, as separate requests would
+    mock.method(EnrollmentRequest, 'findOne', () => query(new EnrollmentRequest(request.toObject())));
+    mock.method(EnrollmentRequest.prototype, 'save', async function () {
+      request.set({ status: this.status, reviewedBy: this.reviewedBy });
+      return this;
+    });
+    mock.method(Enrollment, 'countDocuments', async () => otherEnrollments);
+    mock.method(Enrollment, 'create', async (fields) => {
+      await yieldToOthers();
+      if (enrollments.some(enrollment => enrollment.userId.equals(fields.userId))) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      }
+      const enrollment = new Enrollment(fields);
+      enrollments.push(enrollment);
+      mock.method(enrollment, 'populate', async () => enrollment);
+      return enrollment;
+    });
+    mock.method(DeviceToken, 'getActiveTokensByUser', async () => new Map());
+    mock.method(Notification, 'insertMany', async (rows) => rows);
+  });
+
+  const approve = () => fetch(`${baseUrl}/${course._id}/requests/${request._id}/approve`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${generateToken(rep._id.toString())}` },
+  });
+
+  it('enrolls a student who has access', async () => {
+    const res = await approve();
+    const body = await res.json();
+    assert.equal(res.status, 200, body.message);
+    assert.equal(enrollments.length, 1);
+    assert.ok(enrollments[0].courseId.equals(course._id));
+    assert.equal(request.status, 'approved');
+
+    const [[notification]] = Notification.insertMany.mock.calls[0].arguments;
+    assert.equal(notification.title, 'Join Request Approved');
+  });
+
+  it('starts the free trial of a student\'s first enrollment', async () => {
+    student.paymentStatus = false;
+
+    const res = await approve();
+    assert.equal(res.status, 200);
+    assert.ok(student.isTrialActive());
+    assert.equal(enrollments.length, 1);
+  });
+
+  it('keeps the request pending when the student\'s trial has ended', async () => {
+    student.set({
+      paymentStatus: false,
+      trialStartDate: new Date(Date.now() - 10 * DAY),
+      trialEndDate: new Date(Date.now() - 3 * DAY),
+    });
+    otherEnrollments = 1;
+
+    const res = await approve();
+    const body = await res.json();
+    assert.equal(res.status, 403);
+    assert.match(body.message, /free trial has ended/);
+    assert.equal(enrollments.length, 0);
+    assert.equal(request.status, 'pending');
+    assert.equal(Notification.insertMany.mock.callCount(), 0);
+  });
+
+  it('enrolls the student once when two approvals race', async () => {
+    // Both approvals read the request while it's still pending
+    let readsLeft = 2;
+    let releaseReads;
+    const bothRead = new Promise((resolve) => { releaseReads = resolve; });
+    EnrollmentRequest.findOne.mock.mockImplementation(() => {
+      const copy = new EnrollmentRequest(request.toObject());
+      if (--readsLeft === 0) releaseReads();
+      return query(bothRead.then(() => copy));
+    });
+
+    const responses = await Promise.all([approve(), approve()]);
+
+    assert.deepEqual(responses.map(res => res.status), [200, 200]);
+    assert.equal(enrollments.length, 1);
+    assert.equal(request.status, 'approved');
+  });
+});
@@ -0,0 +1,104 @@
+const { describe, it, beforeEach, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { Expo } = require('expo-server-sdk');
+const { applyBulkWrite } = require('./helpers');
+
+const config = require('../src/config');
+const {
+  Notification,
+  OutboundMessage,
+  PushTicket,
+  ReminderDispatch,
+  SmsLog,
+} = require('../src/models');
+const { enqueuePush, enqueueSms, processOutboundQueue } = require('../src/utils/outboundQueue');
+
+describe('outbound queue', () => {
+  let outbound;
+  let tickets;
+
+  beforeEach(() => {
+    mock.restoreAll();
+    outbound = [];
+    tickets = [];
+
+    mock.method(OutboundMessage, 'insertMany', async (rows) => {
+      const docs = rows.map(row => new OutboundMessage(row));
+      outbound.push(...docs);
+      return docs;
+    });
+    mock.method(OutboundMessage, 'releaseStale', async () => ({ modifiedCount: 0 }));
+    mock.method(OutboundMessage, 'claimDue', async (provider, limit) => outbound
+      .filter(message => message.provider === provider && message.status === 'queued')
+      .slice(0, limit));
+    mock.method(OutboundMessage, 'bulkWrite', applyBulkWrite(outbound));
+    mock.method(Notification, 'applyOutboundResults', async () => ({}));
+    mock.method(ReminderDispatch, 'recordPushTickets', async () => ({}));
+    mock.method(PushTicket, 'insertMany', async (rows) => {
+      tickets.push(...rows);
+      return rows;
+    });
+  });
+
+  after(() => {
+    mock.restoreAll();
+  });
+
+  it('links a digest push\'s ticket to every notification it sums up', async () => {
+    const notificationIds = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+    mock.method(Expo.prototype, 'sendPushNotificationsAsync', async (chunk) => (
+      chunk.map((message, index) => ({ status: 'ok', id: `ticket-${index}` }))
+    ));
+
+    await enqueuePush([{ pushToken: 'ExponentPushToken[ama]', title: 'While you were away', body: '2 new notifications', notificationIds }]);
+    await processOutboundQueue();
+
+    assert.equal(tickets.length, 1);
+    assert.deepEqual(tickets[0].notificationIds.map(String), notificationIds.map(String));
+  });
+
+  it('dead-letters a message on its last attempt and lets it expire', async () => {
+    mock.method(Expo.prototype, 'sendPushNotificationsAsync', async () => {
+      throw new Error('Expo unavailable');
+    });
+
+    await enqueuePush([{ pushToken: 'ExponentPushToken[ama]', title: 'Class soon', body: 'CSC201 starts in 15 minutes' }]);
+    outbound[0].attempts = config.outboundQueue.maxAttempts - 1;
+    const stats = await processOutboundQueue();
+
+    assert.equal(stats.dead, 1);
+    assert.equal(outbound[0].status, 'dead');
+    assert.ok(outbound[0].finishedAt instanceof Date);
+  });
+
+  it('marks SMS logs failed when the queue can\'t take their SMS', async () => {
+    const smsLogs = [];
+    mock.method(SmsLog, 'insertMany', async (rows) => {
+      const docs = rows.map(row => new SmsLog(row));
+      smsLogs.push(...docs);
+      return docs;
+    });
+    mock.method(SmsLog, 'updateMany', async ({ _id }, { $set }) => {
+      smsLogs.filter(log => _id.$in.some(id => id.equals(log._id))).forEach(log => log.set($set));
+      return {};
+    });
+    mock.method(OutboundMessage, 'insertMany', async () => {
+      throw new Error('Queue unavailable');
+    });
+
+    await assert.rejects(enqueueSms([{
+      notificationId: new mongoose.Types.ObjectId(),
+      phoneNumber: '0244123456',
+      message: 'Data Structures: class moved to Hall B',
+      userId: new mongoose.Types.ObjectId(),
+      type: 'course_update',
+      courseId: new mongoose.Types.ObjectId(),
+    }]), /Queue unavailable/);
+
+    assert.equal(smsLogs.length, 1);
+    assert.equal(smsLogs[0].status, 'failed');
+    assert.match(smsLogs[0].failureReason, /Queue unavailable/);
+    assert.ok(smsLogs[0].failedAt instanceof Date);
+  });
+});
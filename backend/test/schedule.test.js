@@ -0,0 +1,176 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { Term } = require('../src/models');
+const {
+  zonedTimeToDate,
+  parseTimeOfDay,
+  parseTime,
+  getOccurrences,
+  getNextOccurrence,
+} = require('../src/utils/schedule');
+
+const iso = (date) => date.toISOString();
+
+const makeCourse = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  courseName: 'Data Structures',
+  days: ['Monday', 'Wednesday'],
+  startTime: '10:00 AM',
+  endTime: '12:00 PM',
+  venue: 'Hall A',
+  timezone: 'Africa/Accra',
+  ...overrides,
+});
+
+const makeTerm = (breaks = []) => new Term({
+  collegeId: new mongoose.Types.ObjectId(),
+  name: 'First Semester',
+  startDate: new Date('2026-09-01'),
+  endDate: new Date('2026-12-15'),
+  breaks,
+});
+
+describe('zonedTimeToDate', () => {
+  it('converts a wall-clock time in the given timezone', () => {
+    assert.equal(iso(zonedTimeToDate({ year: 2026, month: 7, day: 6, hours: 10 }, 'Africa/Accra')), '2026-07-06T10:00:00.000Z');
+    assert.equal(iso(zonedTimeToDate({ year: 2026, month: 7, day: 6, hours: 10 }, 'Europe/London')), '2026-07-06T09:00:00.000Z');
+    assert.equal(iso(zonedTimeToDate({ year: 2026, month: 1, day: 5, hours: 10 }, 'Europe/London')), '2026-01-05T10:00:00.000Z');
+  });
+
+  it('moves a time skipped by clocks going forward past the jump', () => {
+    // 01:30 doesn't exist in London on 29 March 2026; it reads as 02:30 BST
+    assert.equal(iso(zonedTimeToDate({ year: 2026, month: 3, day: 29, hours: 1, minutes: 30 }, 'Europe/London')), '2026-03-29T01:30:00.000Z');
+  });
+
+  it('resolves a time repeated by clocks going back to its first occurrence', () => {
+    // 01:30 happens twice in London on 25 October 2026; the first is still BST
+    assert.equal(iso(zonedTimeToDate({ year: 2026, month: 10, day: 25, hours: 1, minutes: 30 }, 'Europe/London')), '2026-10-25T00:30:00.000Z');
+  });
+});
+
+describe('parseTimeOfDay', () => {
+  it('parses 12- and 24-hour times', () => {
+    assert.deepEqual(parseTimeOfDay('10:05 AM'), { hours: 10, minutes: 5 });
+    assert.deepEqual(parseTimeOfDay('12:00 AM'), { hours: 0, minutes: 0 });
+    assert.deepEqual(parseTimeOfDay('12:30 pm'), { hours: 12, minutes: 30 });
+    assert.deepEqual(parseTimeOfDay('14:30'), { hours: 14, minutes: 30 });
+  });
+
+  it('rejects invalid times', () => {
+    ['', null, undefined, 'noon', '13:00 PM', '0:30 AM', '24:00', '10:60', 42].forEach((value) => {
+      assert.equal(parseTimeOfDay(value), null, `expected ${value} to be invalid`);
+    });
+  });
+
+  it('gives no date for an invalid time', () => {
+    assert.equal(parseTime('25:00', new Date('2026-07-06T12:00:00Z'), 'Africa/Accra'), null);
+  });
+});
+
+describe('getOccurrences', () => {
+  it('expands the weekly pattern in the course timezone', () => {
+    const occurrences = getOccurrences(makeCourse(), new Date('2026-07-06T00:00:00Z'), new Date('2026-07-13T00:00:00Z'));
+
+    assert.deepEqual(occurrences.map(o => o.date), ['2026-07-06', '2026-07-08']);
+    assert.equal(iso(occurrences[0].start), '2026-07-06T10:00:00.000Z');
+    assert.equal(iso(occurrences[0].end), '2026-07-06T12:00:00.000Z');
+    assert.equal(occurrences[0].venue, 'Hall A');
+    assert.equal(occurrences[0].status, 'scheduled');
+  });
+
+  it('keeps classes at the same wall-clock time across a DST change', () => {
+    const course = makeCourse({ days: ['Monday'], timezone: 'Europe/London' });
+    const occurrences = getOccurrences(course, new Date('2026-03-23T00:00:00Z'), new Date('2026-04-01T00:00:00Z'));
+
+    assert.deepEqual(occurrences.map(o => iso(o.start)), ['2026-03-23T10:00:00.000Z', '2026-03-30T09:00:00.000Z']);
+  });
+
+  it('uses per-day times and venues', () => {
+    const course = makeCourse({
+      dayTimes: { Wednesday: { startTime: '2:00 PM', endTime: '3:00 PM' } },
+      dayVenues: { Wednesday: 'Lab 2' },
+    });
+    const [, wednesday] = getOccurrences(course, new Date('2026-07-06T00:00:00Z'), new Date('2026-07-13T00:00:00Z'));
+
+    assert.equal(iso(wednesday.start), '2026-07-08T14:00:00.000Z');
+    assert.equal(wednesday.venue, 'Lab 2');
+  });
+
+  it('skips days whose start time is invalid', () => {
+    const course = makeCourse({ dayTimes: { Monday: { startTime: '99:00', endTime: '10:00' } }, startTime: 'soon' });
+    assert.deepEqual(getOccurrences(course, new Date('2026-07-06T00:00:00Z'), new Date('2026-07-13T00:00:00Z')), []);
+  });
+
+  it('applies cancellations, reschedules and extra sessions', () => {
+    const course = makeCourse({
+      exceptions: [
+        { _id: 'cancel', type: 'cancel', originalDate: '2026-07-06', reason: 'Public holiday' },
+        { _id: 'move', type: 'reschedule', originalDate: '2026-07-08', date: '2026-07-09', venue: 'Hall B' },
+        { _id: 'extra', type: 'extra', date: '2026-07-10', startTime: '4:00 PM', endTime: '5:00 PM' },
+      ],
+    });
+    const from = new Date('2026-07-06T00:00:00Z');
+    const to = new Date('2026-07-13T00:00:00Z');
+
+    const occurrences = getOccurrences(course, from, to);
+    assert.deepEqual(occurrences.map(o => [o.date, o.status]), [['2026-07-09', 'rescheduled'], ['2026-07-10', 'extra']]);
+    assert.equal(iso(occurrences[0].start), '2026-07-09T10:00:00.000Z');
+    assert.equal(occurrences[0].venue, 'Hall B');
+    assert.equal(iso(occurrences[1].start), '2026-07-10T16:00:00.000Z');
+
+    const withCancelled = getOccurrences(course, from, to, { includeCancelled: true });
+    assert.deepEqual(withCancelled[0], { ...withCancelled[0], date: '2026-07-06', status: 'cancelled', reason: 'Public holiday' });
+  });
+
+  it('has no classes outside the term or during its breaks', () => {
+    const course = makeCourse({
+      days: ['Monday'],
+      termId: makeTerm([{ name: 'Mid-semester break', startDate: new Date('2026-10-12'), endDate: new Date('2026-10-25') }]),
+    });
+    const occurrences = getOccurrences(course, new Date('2026-08-24T00:00:00Z'), new Date('2026-11-03T00:00:00Z'));
+    const dates = occurrences.map(o => o.date);
+
+    assert.equal(dates[0], '2026-09-07');
+    assert.ok(dates.includes('2026-10-05'));
+    assert.ok(!dates.includes('2026-10-12'));
+    assert.ok(!dates.includes('2026-10-19'));
+    assert.ok(dates.includes('2026-10-26'));
+    assert.deepEqual(getOccurrences(course, new Date('2026-12-16T00:00:00Z'), new Date('2027-01-01T00:00:00Z')), []);
+  });
+});
+
+describe('getNextOccurrence', () => {
+  it('rolls over to next week once this week\'s class has started', () => {
+    const course = makeCourse({ days: ['Monday'] });
+    const next = getNextOccurrence(course, new Date('2026-07-06T10:30:00Z'));
+    assert.equal(next.date, '2026-07-13');
+  });
+
+  it('rolls over a break to the first class after it', () => {
+    const course = makeCourse({
+      days: ['Monday'],
+      termId: makeTerm([{ name: 'Mid-semester break', startDate: new Date('2026-10-12'), endDate: new Date('2026-10-25') }]),
+    });
+    const next = getNextOccurrence(course, new Date('2026-10-05T11:00:00Z'));
+    assert.equal(next.date, '2026-10-26');
+  });
+
+  it('finds a class rescheduled more than a week out', () => {
+    const course = makeCourse({
+      days: ['Monday'],
+      exceptions: [
+        { _id: 'move', type: 'reschedule', originalDate: '2026-07-13', date: '2026-07-22' },
+        { _id: 'cancel', type: 'cancel', originalDate: '2026-07-20' },
+      ],
+    });
+    const next = getNextOccurrence(course, new Date('2026-07-06T11:00:00Z'));
+    assert.equal(next.date, '2026-07-22');
+    assert.equal(next.status, 'rescheduled');
+  });
+
+  it('finds nothing after the term ends', () => {
+    const course = makeCourse({ days: ['Monday'], termId: makeTerm() });
+    assert.equal(getNextOccurrence(course, new Date('2026-12-15T00:00:00Z')), null);
+  });
+});
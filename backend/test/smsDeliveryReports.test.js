@@ -0,0 +1,69 @@
+const { describe, it, before, beforeEach, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const config = require('../src/config');
+const { SmsLog } = require('../src/models');
+const smsRoutes = require('../src/routes/sms');
+
+describe('SMS delivery report webhook', () => {
+  const secret = 'webhook-secret';
+  const webhookSecret = config.sms.webhookSecret;
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/sms', smsRoutes);
+    await new Promise((resolve) => {
+      server = app.listen(0, resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/sms/delivery-reports/fake`;
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    config.sms.webhookSecret = webhookSecret;
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    mock.restoreAll();
+    config.sms.webhookSecret = secret;
+    mock.method(SmsLog, 'applyDeliveryReport', async () => new SmsLog({ status: 'delivered' }));
+  });
+
+  const postReport = (token) => fetch(`${baseUrl}${token === undefined ? '' : `?token=${encodeURIComponent(token)}`}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ id: 'fake-1', status: 'delivered' }),
+  });
+
+  it('records a report posted with the shared secret', async () => {
+    const response = await postReport(secret);
+
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).message, 'Delivery report recorded');
+    assert.deepEqual(SmsLog.applyDeliveryReport.mock.calls[0].arguments, [
+      'fake',
+      { providerRef: 'fake-1', status: 'delivered', failureReason: null },
+    ]);
+  });
+
+  it('refuses reports with a missing or wrong token', async () => {
+    for (const token of [undefined, '', 'webhook-secreT', `${secret}-and-more`]) {
+      const response = await postReport(token);
+      assert.equal(response.status, 401, `token ${JSON.stringify(token)}`);
+    }
+    assert.equal(SmsLog.applyDeliveryReport.mock.callCount(), 0);
+  });
+
+  it('refuses every report while SMS_WEBHOOK_SECRET is unset', async () => {
+    config.sms.webhookSecret = null;
+
+    const response = await postReport(secret);
+    assert.equal(response.status, 503);
+    assert.equal(SmsLog.applyDeliveryReport.mock.callCount(), 0);
+  });
+});
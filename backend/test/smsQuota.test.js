@@ -0,0 +1,134 @@
+const { describe, it, beforeEach, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { query, yieldToOthers } = require('./helpers');
+
+const { User, SmsLog, SmsQuotaUsage, SmsCreditTransaction } = require('../src/models');
+const { applySmsQuota, releaseSmsQuota } = require('../src/utils/smsQuota');
+
+/**
+ * Whether a counter matches a filter of plain values and `$lte`
+ */
+const matches = (doc, filter) => Object.entries(filter).every(([field, value]) => {
+  if (value && value.$lte !== undefined) return doc[field] <= value.$lte;
+  if (value instanceof Date) return doc[field].getTime() === value.getTime();
+  return String(doc[field]) === String(value);
+});
+
+describe('applySmsQuota', () => {
+  let counters;
+  let rep;
+  let course;
+  let usedBeforeCounters;
+  let creditTransactions;
+
+  const makeMessages = (count) => Array.from({ length: count }, () => ({
+    notificationId: new mongoose.Types.ObjectId(),
+    phoneNumber: '0244123456',
+    message: 'Data Structures: the class on Monday is cancelled.',
+    userId: new mongoose.Types.ObjectId(),
+    type: 'course_update',
+    courseId: course._id,
+  }));
+
+  const usedOn = (scope) => counters.find(counter => counter.scope === scope).used;
+
+  beforeEach(() => {
+    mock.restoreAll();
+    counters = [];
+    usedBeforeCounters = 0;
+    creditTransactions = [];
+
+    // Free plan: 20 SMS a week for the rep and for each course
+    rep = new User({ phoneNumber: '0200000001', password: 'secret123', role: 'course_rep', smsCredits: 0 });
+    course = { _id: new mongoose.Types.ObjectId(), createdBy: rep._id };
+
+    mock.method(User, 'findById', () => query(rep));
+    mock.method(User, 'updateOne', async (filter, update) => {
+      if (filter.smsCredits && rep.smsCredits < filter.smsCredits.$gte) return { modifiedCount: 0 };
+      rep.smsCredits += update.$inc.smsCredits;
+      return { modifiedCount: 1 };
+    });
+    mock.method(SmsCreditTransaction, 'create', async (fields) => {
+      creditTransactions.push(fields);
+      return fields;
+    });
+    mock.method(SmsLog, 'countQuotaUse', async () => usedBeforeCounters);
+
+    mock.method(SmsQuotaUsage, 'findOne', (filter) => query(
+      yieldToOthers().then(() => counters.find(counter => matches(counter, filter)) || null)
+    ));
+    mock.method(SmsQuotaUsage, 'findOneAndUpdate', (filter, update) => query(yieldToOthers().then(() => {
+      let counter = counters.find(existing => matches(existing, filter));
+      if (!counter) {
+        counter = { ...filter, ...update.$setOnInsert };
+        counters.push(counter);
+      }
+      return counter;
+    })));
+    mock.method(SmsQuotaUsage, 'updateOne', async (filter, update) => {
+      await yieldToOthers();
+      const counter = counters.find(existing => matches(existing, filter));
+      if (!counter) return { modifiedCount: 0 };
+      counter.used += update.$inc.used;
+      return { modifiedCount: 1 };
+    });
+  });
+
+  after(() => {
+    mock.restoreAll();
+  });
+
+  it('never lets concurrent sends go over the weekly limit together', async () => {
+    const results = await Promise.all([
+      applySmsQuota(course, makeMessages(15)),
+      applySmsQuota(course, makeMessages(15)),
+    ]);
+
+    const allowed = results.reduce((total, result) => total + result.allowed.length, 0);
+    const skipped = results.reduce((total, result) => total + result.skipped.length, 0);
+    assert.equal(allowed, 20);
+    assert.equal(skipped, 10);
+    assert.equal(usedOn('rep'), 20);
+    assert.equal(usedOn('course'), 20);
+    results.forEach(result => result.allowed.forEach(sms => assert.ok(sms.senderId.equals(rep._id))));
+  });
+
+  it('starts a week\'s counters from the SMS already logged', async () => {
+    usedBeforeCounters = 18;
+
+    const { allowed, skipped } = await applySmsQuota(course, makeMessages(5));
+    assert.equal(allowed.length, 2);
+    assert.equal(skipped.length, 3);
+    assert.equal(usedOn('rep'), 20);
+  });
+
+  it('gives back the quota of SMS that were never queued', async () => {
+    const { allowed, reservation } = await applySmsQuota(course, makeMessages(5));
+    assert.equal(allowed.length, 5);
+    assert.equal(usedOn('rep'), 5);
+
+    await releaseSmsQuota(reservation);
+    assert.equal(usedOn('rep'), 0);
+    assert.equal(usedOn('course'), 0);
+  });
+
+  it('refunds the prepaid credits of SMS over the quota that were never queued', async () => {
+    usedBeforeCounters = 20;
+    rep.smsCredits = 10;
+
+    const { allowed, skipped, reservation } = await applySmsQuota(course, makeMessages(4));
+    assert.equal(allowed.length, 4);
+    assert.equal(skipped.length, 0);
+    assert.ok(allowed.every(sms => sms.walletCredits === 1));
+    assert.equal(rep.smsCredits, 6);
+
+    await releaseSmsQuota(reservation);
+    assert.equal(rep.smsCredits, 10);
+    assert.equal(usedOn('rep'), 20);
+    assert.deepEqual(
+      creditTransactions.map(({ type, credits, smsCount }) => ({ type, credits, smsCount })),
+      [{ type: 'debit', credits: -4, smsCount: 4 }, { type: 'refund', credits: 4, smsCount: 4 }]
+    );
+  });
+});
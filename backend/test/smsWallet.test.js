@@ -0,0 +1,89 @@
+const { describe, it, beforeEach, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { query, yieldToOthers } = require('./helpers');
+
+const { User, Payment, SmsCreditTransaction } = require('../src/models');
+const { creditSmsPurchase } = require('../src/utils/smsWallet');
+
+describe('creditSmsPurchase', () => {
+  let rep;
+  let ledger;
+  let failLedgerWrite;
+
+  const makePayment = () => new Payment({
+    userId: rep._id,
+    email: 'rep@example.com',
+    amount: 10,
+    reference: `sms_${Date.now()}`,
+    status: 'success',
+    purpose: 'sms_credits',
+    credits: 100,
+  });
+
+  beforeEach(() => {
+    mock.restoreAll();
+    rep = { _id: new mongoose.Types.ObjectId(), smsCredits: 5, smsCreditPaymentIds: [] };
+    ledger = [];
+    failLedgerWrite = false;
+
+    mock.method(User, 'findById', () => query({ smsCredits: rep.smsCredits }));
+    mock.method(User, 'updateOne', async (filter, update) => {
+      await yieldToOthers();
+      if (rep.smsCreditPaymentIds.some(id => id.equals(filter.smsCreditPaymentIds.$ne))) {
+        return { modifiedCount: 0 };
+      }
+      rep.smsCredits += update.$inc.smsCredits;
+      rep.smsCreditPaymentIds.push(update.$push.smsCreditPaymentIds);
+      return { modifiedCount: 1 };
+    });
+    mock.method(SmsCreditTransaction, 'create', async (fields) => {
+      await yieldToOthers();
+      if (failLedgerWrite) throw new Error('Server stopped');
+      if (ledger.some(entry => entry.paymentId.equals(fields.paymentId))) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      }
+      ledger.push(fields);
+      return fields;
+    });
+    mock.method(Payment, 'updateOne', async () => ({ modifiedCount: 1 }));
+  });
+
+  after(() => {
+    mock.restoreAll();
+  });
+
+  it('credits a payment once when it is verified twice at the same time', async () => {
+    const payment = makePayment();
+    const results = await Promise.all([creditSmsPurchase(payment), creditSmsPurchase(payment)]);
+
+    assert.deepEqual(results.map(result => result.credited).sort(), [false, true]);
+    assert.equal(rep.smsCredits, 105);
+    assert.equal(ledger.length, 1);
+    assert.ok(payment.creditedAt instanceof Date);
+  });
+
+  it('finishes crediting a purchase whose ledger entry was never written', async () => {
+    const payment = makePayment();
+    failLedgerWrite = true;
+    await assert.rejects(creditSmsPurchase(payment), /Server stopped/);
+    assert.equal(rep.smsCredits, 105);
+    assert.equal(payment.creditedAt, null);
+
+    failLedgerWrite = false;
+    const result = await creditSmsPurchase(payment);
+    assert.deepEqual(result, { credited: false, balance: 105 });
+    assert.equal(ledger.length, 1);
+    assert.equal(ledger[0].credits, 100);
+    assert.ok(payment.creditedAt instanceof Date);
+  });
+
+  it('reads the balance without writing once a payment is credited', async () => {
+    const payment = makePayment();
+    await creditSmsPurchase(payment);
+    User.updateOne.mock.resetCalls();
+
+    assert.deepEqual(await creditSmsPurchase(payment), { credited: false, balance: 105 });
+    assert.equal(User.updateOne.mock.callCount(), 0);
+  });
+});
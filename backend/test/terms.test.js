@@ -0,0 +1,131 @@
+const { describe, it, before, beforeEach, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const mongoose = require('mongoose');
+const { query, yieldToOthers } = require('./helpers');
+
+const { User, College, Term, Course, ClassOccurrence } = require('../src/models');
+const { generateToken } = require('../src/middleware/auth');
+const termRoutes = require('../src/routes/terms');
+
+describe('terms', () => {
+  let server;
+  let baseUrl;
+  let rep;
+  let college;
+  let term;
+  let otherTerm;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/terms', termRoutes);
+    await new Promise((resolve) => {
+      server = app.listen(0, resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/terms`;
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    mock.restoreAll();
+
+    rep = new User({ phoneNumber: '0200000001', password: 'secret123', fullName: 'Kojo Rep', role: 'course_rep', college: 'KNUST' });
+    college = new College({ name: 'KNUST' });
+    term = new Term({
+      collegeId: college._id,
+      name: 'First Semester',
+      startDate: new Date('2026-09-07'),
+      endDate: new Date('2026-12-18'),
+      createdBy: rep._id,
+    });
+    otherTerm = new Term({
+      collegeId: college._id,
+      name: 'Second Semester',
+      startDate: new Date('2027-01-18'),
+      endDate: new Date('2027-05-07'),
+      createdBy: rep._id,
+    });
+    const terms = [term, otherTerm];
+
+    mock.method(User, 'findById', () => query(rep));
+    mock.method(College, 'findOne', () => query(college));
+    mock.method(Term, 'findById', (id) => query(terms.find(t => t._id.equals(id)) || null));
+    // Stands in for findOverlapping's query
+    mock.method(Term, 'findOne', ({ startDate, endDate, _id }) => query(terms.find(t => (
+      t.startDate <= startDate.$lte && t.endDate >= endDate.$gte && !(_id && t._id.equals(_id.$ne))
+    )) || null));
+    mock.method(Term, 'create', async (fields) => new Term(fields));
+    mock.method(Term.prototype, 'save', async function () { return this; });
+  });
+
+  const send = (method, path, body) => fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      Authorization: `Bearer ${generateToken(rep._id.toString())}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(body),
+  });
+
+  it('refuses a term that overlaps another of the college', async () => {
+    const res = await send('POST', '/', { name: 'Long vacation', startDate: '2026-12-01', endDate: '2027-01-31' });
+    const body = await res.json();
+
+    assert.equal(res.status, 409);
+    assert.equal(body.message, 'Term overlaps "First Semester"');
+    assert.equal(Term.create.mock.callCount(), 0);
+  });
+
+  it('creates a term between the college\'s others', async () => {
+    const res = await send('POST', '/', { name: 'Christmas break', startDate: '2026-12-19', endDate: '2027-01-17' });
+
+    assert.equal(res.status, 201);
+    assert.equal(Term.create.mock.callCount(), 1);
+  });
+
+  it('refuses to move a term onto another, but not onto its own dates', async () => {
+    const overlapping = await send('PUT', `/${term._id}`, { endDate: '2027-02-01' });
+    assert.equal(overlapping.status, 409);
+
+    mock.method(Course, 'find', () => query([]));
+    const shortened = await send('PUT', `/${term._id}`, { endDate: '2026-12-11' });
+    assert.equal(shortened.status, 200);
+  });
+
+  it('resyncs the term\'s courses after responding, a few at a time', async () => {
+    const courseIds = Array.from({ length: 12 }, () => ({ _id: new mongoose.Types.ObjectId() }));
+    let release;
+    const responded = new Promise((resolve) => { release = resolve; });
+    let running = 0;
+    let mostAtOnce = 0;
+    const synced = [];
+
+    mock.method(Course, 'find', () => query(courseIds));
+    // A course that's gone has its occurrences removed, which is all these syncs do
+    mock.method(Course, 'findById', () => query(null));
+    mock.method(ClassOccurrence, 'deleteMany', async ({ courseId }) => {
+      running++;
+      mostAtOnce = Math.max(mostAtOnce, running);
+      await responded;
+      running--;
+      synced.push(courseId);
+      return {};
+    });
+
+    const res = await send('PUT', `/${term._id}`, { name: 'First Semester (revised)' });
+    assert.equal(res.status, 200);
+    assert.equal(synced.length, 0);
+
+    release();
+    for (let tries = 0; tries < 100 && synced.length < courseIds.length; tries++) {
+      await yieldToOthers();
+    }
+    assert.equal(synced.length, courseIds.length);
+    assert.equal(mostAtOnce, 5);
+  });
+});
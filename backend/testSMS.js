@@ -1,19 +1,17 @@
 require('dotenv').config();
 const { sendSMS } = require('./src/utils/smsService');
+const config = require('./src/config');
 
+// Usage: node testSMS.js [phoneNumber]
+// Sends through SMS_PROVIDER; run with SMS_PROVIDER=fake to try it without a gateway
 async function test() {
     const number = process.argv[2] || '0542343069';
-    console.log(`🚀 Starting manual SMS test...`);
-    console.log('--- DEBUG INFO ---');
-    console.log('MOOLRE_API_KEY Type:', typeof process.env.MOOLRE_API_KEY);
-    console.log('MOOLRE_API_KEY Value:', '|' + process.env.MOOLRE_API_KEY + '|');
-    console.log('MOOLRE_API_KEY Length:', process.env.MOOLRE_API_KEY ? process.env.MOOLRE_API_KEY.length : 0);
-    console.log('--- END DEBUG ---');
+    console.log(`🚀 Starting manual SMS test via ${config.sms.provider}...`);
 
     const result = await sendSMS(number, 'Manual Test: LectureLet SMS system is now LIVE!');
 
     if (result.success) {
-        console.log('✅ SUCCESS');
+        console.log('✅ SUCCESS', result.providerRef ? `(ref ${result.providerRef})` : '');
     } else {
         console.log('❌ FAILED:', result.message);
     }
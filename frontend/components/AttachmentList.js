@@ -0,0 +1,117 @@
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, ActivityIndicator, Alert } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { openAttachment, formatFileSize, MAX_ATTACHMENTS } from '../services/attachmentService';
+
+const getFileIcon = (mimeType = '') => {
+  if (mimeType.startsWith('image/')) return 'image-outline';
+  if (mimeType === 'application/pdf') return 'document-text-outline';
+  if (mimeType.includes('presentation') || mimeType.includes('powerpoint')) return 'easel-outline';
+  if (mimeType.includes('spreadsheet') || mimeType.includes('excel')) return 'grid-outline';
+  return 'document-outline';
+};
+
+/**
+ * List of attachments; tapping one opens it.
+ * Pass onAdd/onRemove to let a course rep manage the list.
+ */
+const AttachmentList = ({ attachments = [], onAdd, onRemove, uploading = false }) => {
+  const handleOpen = async (attachment) => {
+    try {
+      await openAttachment(attachment);
+    } catch (error) {
+      console.error('Error opening attachment:', error);
+      Alert.alert('Error', error.message || 'Failed to open file');
+    }
+  };
+
+  if (attachments.length === 0 && !onAdd) {
+    return null;
+  }
+
+  return (
+    <View style={styles.container}>
+      {attachments.map((attachment) => (
+        <TouchableOpacity
+          key={attachment.id}
+          style={styles.row}
+          onPress={() => handleOpen(attachment)}
+          activeOpacity={0.7}
+        >
+          <Ionicons name={getFileIcon(attachment.mime_type)} size={18} color="#2563eb" />
+          <View style={styles.info}>
+            <Text style={styles.fileName} numberOfLines={1}>{attachment.file_name}</Text>
+            <Text style={styles.fileSize}>{formatFileSize(attachment.size)}</Text>
+          </View>
+          {onRemove ? (
+            <TouchableOpacity onPress={() => onRemove(attachment)} style={styles.removeButton}>
+              <Ionicons name="close" size={18} color="#6b7280" />
+            </TouchableOpacity>
+          ) : (
+            <Ionicons name="open-outline" size={16} color="#9ca3af" />
+          )}
+        </TouchableOpacity>
+      ))}
+      {onAdd && attachments.length < MAX_ATTACHMENTS && (
+        <TouchableOpacity style={styles.addButton} onPress={onAdd} disabled={uploading}>
+          {uploading ? (
+            <ActivityIndicator size="small" color="#2563eb" />
+          ) : (
+            <Ionicons name="attach" size={18} color="#2563eb" />
+          )}
+          <Text style={styles.addText}>{uploading ? 'Uploading...' : 'Attach a file'}</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    gap: 8,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#f9fafb',
+    borderWidth: 1,
+    borderColor: '#e5e7eb',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    gap: 10,
+  },
+  info: {
+    flex: 1,
+  },
+  fileName: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#111827',
+  },
+  fileSize: {
+    fontSize: 12,
+    color: '#6b7280',
+  },
+  removeButton: {
+    padding: 2,
+  },
+  addButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    borderWidth: 1,
+    borderStyle: 'dashed',
+    borderColor: '#93c5fd',
+    borderRadius: 8,
+    paddingVertical: 12,
+    gap: 8,
+  },
+  addText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#2563eb',
+  },
+});
+
+export default AttachmentList;
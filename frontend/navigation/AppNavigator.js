@@ -18,10 +18,14 @@ import StudentAddCourseScreen from '../screens/StudentAddCourseScreen';
 import StudentCoursesScreen from '../screens/StudentCoursesScreen';
 import StudentHomeScreen from '../screens/StudentHomeScreen';
 import CourseStudentsScreen from '../screens/CourseStudentsScreen';
+import ClassChangesScreen from '../screens/ClassChangesScreen';
 import StudentTimetableScreen from '../screens/StudentTimetableScreen';
 import CreateQuizScreen from '../screens/CreateQuizScreen';
 import CreateTutorialScreen from '../screens/CreateTutorialScreen';
 import CreateAssignmentScreen from '../screens/CreateAssignmentScreen';
+import AnnouncementScreen from '../screens/AnnouncementScreen';
+import AnnouncementReportScreen from '../screens/AnnouncementReportScreen';
+import SmsDeliveryScreen from '../screens/SmsDeliveryScreen';
 
 const Stack = createStackNavigator();
 
@@ -166,6 +170,11 @@ const AppNavigator = () => {
           component={CourseStudentsScreen}
           options={{ headerShown: false }}
         />
+        <Stack.Screen
+          name="ClassChanges"
+          component={ClassChangesScreen}
+          options={{ headerShown: false }}
+        />
         <Stack.Screen
           name="CreateQuiz"
           component={CreateQuizScreen}
@@ -181,6 +190,21 @@ const AppNavigator = () => {
           component={CreateAssignmentScreen}
           options={{ headerShown: false }}
         />
+        <Stack.Screen
+          name="Announcement"
+          component={AnnouncementScreen}
+          options={{ headerShown: false }}
+        />
+        <Stack.Screen
+          name="AnnouncementReport"
+          component={AnnouncementReportScreen}
+          options={{ headerShown: false }}
+        />
+        <Stack.Screen
+          name="SmsDelivery"
+          component={SmsDeliveryScreen}
+          options={{ headerShown: false }}
+        />
       </Stack.Navigator>
     </NavigationContainer>
   );
@@ -117,6 +117,8 @@ const AddCourseScreen = ({ navigation, route }) => {
   const [courseRepresentativeName, setCourseRepresentativeName] = useState(
     getField('courseRepresentativeName', 'course_rep_name')
   );
+  const [termId, setTermId] = useState(getField('termId', 'term_id') || null);
+  const [terms, setTerms] = useState([]);
   
   // Time picker states - track which day and which time (start/end) is being edited
   const [timePickerState, setTimePickerState] = useState({
@@ -183,6 +185,31 @@ const AddCourseScreen = ({ navigation, route }) => {
     loadAuthStatus();
   }, []);
 
+  useEffect(() => {
+    // Load the college's terms so the course can be linked to one
+    const loadTerms = async () => {
+      try {
+        const token = await AsyncStorage.getItem('@auth_token');
+        if (!token) return;
+
+        const response = await fetch(getApiUrl('terms'), {
+          headers: {
+            'Authorization': `Bearer ${token}`,
+          },
+        });
+        const data = await response.json();
+
+        if (response.ok && data.success) {
+          setTerms(data.data.terms || []);
+        }
+      } catch (error) {
+        console.error('Error loading terms:', error);
+      }
+    };
+
+    loadTerms();
+  }, []);
+
   useEffect(() => {
     if (editingCourse) {
       navigation.setOptions({ title: 'Edit Course' });
@@ -241,6 +268,7 @@ const AddCourseScreen = ({ navigation, route }) => {
         editingCourse.courseRepName ||
         ''
       );
+      setTermId(editingCourse.termId || editingCourse.term_id || null);
     }
   }, [editingCourse, navigation]);
 
@@ -434,6 +462,7 @@ const AddCourseScreen = ({ navigation, route }) => {
         indexFrom: indexFrom.trim(),
         indexTo: indexTo.trim(),
         courseRepName: courseRepresentativeName.trim(),
+        termId: termId,
         ...(editingCourse && { editType }), // Include edit type when editing
       };
 
@@ -719,6 +748,34 @@ const AddCourseScreen = ({ navigation, route }) => {
             />
           </View>
 
+          {/* Term selection - classes only run between the term's dates */}
+          {terms.length > 0 && (
+            <View style={styles.inputGroup}>
+              <Text style={styles.label}>Term</Text>
+              <View style={styles.termList}>
+                {[{ id: null, name: 'No term' }, ...terms].map((term) => {
+                  const isSelected = (termId || null) === term.id;
+                  return (
+                    <TouchableOpacity
+                      key={term.id || 'none'}
+                      style={[styles.termOption, isSelected && styles.termOptionSelected]}
+                      onPress={() => setTermId(term.id)}
+                    >
+                      <Text style={[styles.termOptionText, isSelected && styles.termOptionTextSelected]}>
+                        {term.name}
+                      </Text>
+                      {term.start_date && (
+                        <Text style={[styles.termDates, isSelected && styles.termOptionTextSelected]}>
+                          {term.start_date} – {term.end_date}
+                        </Text>
+                      )}
+                    </TouchableOpacity>
+                  );
+                })}
+              </View>
+            </View>
+          )}
+
           {/* Edit Type Selector - Only show when editing */}
           {editingCourse && (
             <View style={styles.inputGroup}>
@@ -1047,6 +1104,34 @@ const styles = StyleSheet.create({
   dayButtonTextSelected: {
     color: '#ffffff',
   },
+  termList: {
+    gap: 8,
+  },
+  termOption: {
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+    borderRadius: 8,
+    backgroundColor: '#ffffff',
+    borderWidth: 1,
+    borderColor: '#e5e7eb',
+  },
+  termOptionSelected: {
+    backgroundColor: '#2563eb',
+    borderColor: '#2563eb',
+  },
+  termOptionText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#1f2937',
+  },
+  termOptionTextSelected: {
+    color: '#ffffff',
+  },
+  termDates: {
+    fontSize: 12,
+    color: '#6b7280',
+    marginTop: 2,
+  },
   editTypeDescription: {
     fontSize: 12,
     color: '#6b7280',
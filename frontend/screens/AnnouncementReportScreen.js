@@ -0,0 +1,522 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  SafeAreaView,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  RefreshControl,
+  Alert,
+  Platform,
+} from 'react-native';
+import { StatusBar } from 'expo-status-bar';
+import { Ionicons } from '@expo/vector-icons';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getApiUrl } from '../config/api';
+
+const AnnouncementReportScreen = ({ navigation, route }) => {
+  const course = route.params?.course;
+  const courseId = course?.id || course?._id;
+  const [announcements, setAnnouncements] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [expandedId, setExpandedId] = useState(null);
+  const [report, setReport] = useState(null); // Delivery report of the expanded announcement
+  const [loadingReport, setLoadingReport] = useState(false);
+  const [resending, setResending] = useState(false);
+
+  useEffect(() => {
+    loadAnnouncements();
+  }, []);
+
+  const loadAnnouncements = async () => {
+    try {
+      const token = await AsyncStorage.getItem('@auth_token');
+      if (!token) return;
+
+      const query = courseId ? `?courseId=${courseId}` : '';
+      const response = await fetch(getApiUrl(`notifications/announcements${query}`), {
+        method: 'GET',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+        },
+      });
+
+      const data = await response.json();
+      if (response.ok && data.success) {
+        setAnnouncements(data.data.announcements || []);
+      } else {
+        console.error('Error loading announcements:', data.message);
+      }
+    } catch (error) {
+      console.error('Error loading announcements:', error);
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  };
+
+  const loadReport = async (announcementId) => {
+    setLoadingReport(true);
+    try {
+      const token = await AsyncStorage.getItem('@auth_token');
+      if (!token) return;
+
+      const response = await fetch(getApiUrl(`notifications/announcements/${announcementId}`), {
+        method: 'GET',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+        },
+      });
+
+      const data = await response.json();
+      if (response.ok && data.success) {
+        setReport(data.data);
+        // Keep the list's counts in step with the report
+        setAnnouncements((prev) => prev.map((a) => (
+          a.id === announcementId ? { ...a, stats: data.data.announcement.stats } : a
+        )));
+      } else {
+        Alert.alert('Error', data.message || 'Failed to load delivery report');
+      }
+    } catch (error) {
+      console.error('Error loading announcement report:', error);
+      Alert.alert('Error', 'Failed to load delivery report. Please try again.');
+    } finally {
+      setLoadingReport(false);
+    }
+  };
+
+  const toggleAnnouncement = (announcementId) => {
+    if (expandedId === announcementId) {
+      setExpandedId(null);
+      setReport(null);
+      return;
+    }
+    setExpandedId(announcementId);
+    setReport(null);
+    loadReport(announcementId);
+  };
+
+  const onRefresh = () => {
+    setRefreshing(true);
+    loadAnnouncements();
+    if (expandedId) {
+      loadReport(expandedId);
+    }
+  };
+
+  const handleResendSms = (announcement, smsCount) => {
+    Alert.alert(
+      'Re-send by SMS',
+      `Send "${announcement.title}" by SMS to ${smsCount} student${smsCount === 1 ? '' : 's'} who haven't read it?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Send SMS',
+          onPress: async () => {
+            setResending(true);
+            try {
+              const token = await AsyncStorage.getItem('@auth_token');
+              if (!token) {
+                Alert.alert('Error', 'Authentication required');
+                return;
+              }
+
+              const response = await fetch(getApiUrl(`notifications/announcements/${announcement.id}/resend-sms`), {
+                method: 'POST',
+                headers: {
+                  'Authorization': `Bearer ${token}`,
+                },
+              });
+
+              const data = await response.json();
+              if (response.ok && data.success) {
+                Alert.alert('Done', data.message);
+                loadReport(announcement.id);
+              } else {
+                Alert.alert('Error', data.message || 'Failed to re-send announcement');
+              }
+            } catch (error) {
+              console.error('Error re-sending announcement:', error);
+              Alert.alert('Error', 'Failed to re-send announcement. Please try again.');
+            } finally {
+              setResending(false);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const formatSentAt = (value) => {
+    const date = new Date(value);
+    const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    let hours = date.getHours();
+    const minutes = date.getMinutes().toString().padStart(2, '0');
+    const ampm = hours >= 12 ? 'PM' : 'AM';
+    hours = hours % 12 || 12;
+    return `${months[date.getMonth()]} ${date.getDate()}, ${hours}:${minutes} ${ampm}`;
+  };
+
+  const describeDelivery = (student) => {
+    if (student.sms_status === 'delivered') return { text: 'SMS delivered', style: styles.deliveredBadge, textStyle: styles.deliveredBadgeText };
+    if (student.sms_status === 'sent') return { text: 'SMS sent', style: styles.deliveredBadge, textStyle: styles.deliveredBadgeText };
+    if (student.push_status === 'delivered') return { text: 'Push delivered', style: styles.deliveredBadge, textStyle: styles.deliveredBadgeText };
+    if (student.push_status === 'sent') return { text: 'Push sent', style: styles.deliveredBadge, textStyle: styles.deliveredBadgeText };
+    if (student.push_status === 'queued' || student.sms_status === 'queued') {
+      return { text: 'Sending', style: styles.inAppBadge, textStyle: styles.inAppBadgeText };
+    }
+    if (student.push_status === 'held') return { text: 'Quiet hours', style: styles.inAppBadge, textStyle: styles.inAppBadgeText };
+    if (student.push_status === 'failed' || student.sms_status === 'failed') {
+      return { text: 'Failed', style: styles.failedBadge, textStyle: styles.failedBadgeText };
+    }
+    return { text: 'In-app only', style: styles.inAppBadge, textStyle: styles.inAppBadgeText };
+  };
+
+  const courseName = course?.course_name || course?.courseName || 'All courses';
+  const courseCode = course?.course_code || course?.courseCode || '';
+
+  const renderReport = (announcement) => {
+    if (loadingReport && !report) {
+      return (
+        <View style={styles.reportLoading}>
+          <ActivityIndicator size="small" color="#2563eb" />
+        </View>
+      );
+    }
+    if (!report) return null;
+
+    const unread = report.unread || [];
+    // Students the server will text: unread, with a phone, not already reached by SMS
+    const smsCount = unread.filter((s) => s.has_phone && !['queued', 'sent', 'delivered'].includes(s.sms_status)).length;
+
+    return (
+      <View style={styles.report}>
+        {unread.length === 0 ? (
+          <Text style={styles.allReadText}>Everyone has read this announcement 🎉</Text>
+        ) : (
+          <>
+            <Text style={styles.reportTitle}>Not read yet ({unread.length})</Text>
+            {unread.map((student) => {
+              const delivery = describeDelivery(student);
+              return (
+                <View key={student.user_id} style={styles.studentRow}>
+                  <View style={styles.studentInfo}>
+                    <Text style={styles.studentName} numberOfLines={1}>
+                      {student.full_name || 'Unknown Student'}
+                    </Text>
+                    {student.student_id && (
+                      <Text style={styles.studentMeta}>{student.student_id}</Text>
+                    )}
+                  </View>
+                  <View style={[styles.deliveryBadge, delivery.style]}>
+                    <Text style={[styles.deliveryBadgeText, delivery.textStyle]}>{delivery.text}</Text>
+                  </View>
+                </View>
+              );
+            })}
+            <TouchableOpacity
+              style={[styles.resendButton, (resending || smsCount === 0) && styles.resendButtonDisabled]}
+              onPress={() => handleResendSms(announcement, smsCount)}
+              disabled={resending || smsCount === 0}
+            >
+              {resending ? (
+                <ActivityIndicator size="small" color="#ffffff" />
+              ) : (
+                <>
+                  <Ionicons name="chatbox-ellipses-outline" size={18} color="#ffffff" />
+                  <Text style={styles.resendButtonText}>
+                    {smsCount > 0 ? `Re-send to unread via SMS (${smsCount})` : 'No unread students to text'}
+                  </Text>
+                </>
+              )}
+            </TouchableOpacity>
+          </>
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.screen}>
+      <StatusBar style="light" />
+
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={() => navigation.goBack()}
+        >
+          <Ionicons name="arrow-back" size={24} color="#ffffff" />
+        </TouchableOpacity>
+        <View style={styles.headerContent}>
+          <Text style={styles.headerTitle}>Sent Announcements</Text>
+          <Text style={styles.headerSubtitle}>
+            {courseCode ? `${courseCode} - ${courseName}` : courseName}
+          </Text>
+        </View>
+      </View>
+
+      <ScrollView
+        style={styles.content}
+        contentContainerStyle={styles.scrollContent}
+        refreshControl={
+          <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+        }
+      >
+        {loading ? (
+          <View style={styles.loadingContainer}>
+            <ActivityIndicator size="large" color="#2563eb" />
+          </View>
+        ) : announcements.length === 0 ? (
+          <View style={styles.emptyState}>
+            <Ionicons name="megaphone-outline" size={48} color="#9ca3af" />
+            <Text style={styles.emptyText}>No announcements sent yet</Text>
+          </View>
+        ) : (
+          announcements.map((announcement) => {
+            const stats = announcement.stats || {};
+            const isExpanded = expandedId === announcement.id;
+            return (
+              <View key={announcement.id} style={styles.card}>
+                <TouchableOpacity
+                  activeOpacity={0.7}
+                  onPress={() => toggleAnnouncement(announcement.id)}
+                >
+                  <View style={styles.cardHeader}>
+                    <View style={styles.cardTitleContainer}>
+                      <Text style={styles.cardTitle} numberOfLines={1}>{announcement.title}</Text>
+                      <Text style={styles.cardMeta}>
+                        {!courseId && announcement.course_code ? `${announcement.course_code} • ` : ''}
+                        {formatSentAt(announcement.created_at)}
+                      </Text>
+                    </View>
+                    <Ionicons name={isExpanded ? 'chevron-up' : 'chevron-down'} size={20} color="#9ca3af" />
+                  </View>
+                  <Text style={styles.cardMessage} numberOfLines={isExpanded ? undefined : 2}>
+                    {announcement.message}
+                  </Text>
+                  <View style={styles.statsRow}>
+                    <View style={styles.statItem}>
+                      <Ionicons name="eye-outline" size={14} color="#2563eb" />
+                      <Text style={styles.statText}>
+                        {stats.read || 0}/{stats.recipients || 0} read
+                      </Text>
+                    </View>
+                    <View style={styles.statItem}>
+                      <Ionicons name="checkmark-done-outline" size={14} color="#047857" />
+                      <Text style={styles.statText}>{stats.delivered || 0} delivered</Text>
+                    </View>
+                    {stats.failed > 0 && (
+                      <View style={styles.statItem}>
+                        <Ionicons name="alert-circle-outline" size={14} color="#dc2626" />
+                        <Text style={styles.statText}>{stats.failed} failed</Text>
+                      </View>
+                    )}
+                  </View>
+                </TouchableOpacity>
+                {isExpanded && renderReport(announcement)}
+              </View>
+            );
+          })
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  screen: {
+    flex: 1,
+    backgroundColor: '#2563eb',
+  },
+  header: {
+    backgroundColor: '#2563eb',
+    paddingTop: Platform.OS === 'android' ? 28 : 0,
+    paddingBottom: 20,
+    paddingHorizontal: 16,
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  backButton: {
+    width: 40,
+    height: 40,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 12,
+  },
+  headerContent: {
+    flex: 1,
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: '700',
+    color: '#ffffff',
+    marginBottom: 4,
+  },
+  headerSubtitle: {
+    fontSize: 14,
+    color: '#dbeafe',
+  },
+  content: {
+    flex: 1,
+    backgroundColor: '#f9fafb',
+  },
+  scrollContent: {
+    padding: 20,
+  },
+  loadingContainer: {
+    paddingVertical: 40,
+    alignItems: 'center',
+  },
+  emptyState: {
+    alignItems: 'center',
+    paddingVertical: 60,
+    gap: 12,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#6b7280',
+  },
+  card: {
+    backgroundColor: '#ffffff',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 12,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.05,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    gap: 8,
+  },
+  cardTitleContainer: {
+    flex: 1,
+  },
+  cardTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#111827',
+  },
+  cardMeta: {
+    fontSize: 12,
+    color: '#6b7280',
+    marginTop: 2,
+  },
+  cardMessage: {
+    fontSize: 13,
+    color: '#4b5563',
+    marginTop: 8,
+    lineHeight: 18,
+  },
+  statsRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 12,
+    marginTop: 12,
+  },
+  statItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+  },
+  statText: {
+    fontSize: 13,
+    color: '#4b5563',
+  },
+  reportLoading: {
+    paddingTop: 16,
+    alignItems: 'center',
+  },
+  report: {
+    marginTop: 16,
+    paddingTop: 12,
+    borderTopWidth: 1,
+    borderTopColor: '#e5e7eb',
+  },
+  reportTitle: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#6b7280',
+    marginBottom: 8,
+    textTransform: 'uppercase',
+    letterSpacing: 0.5,
+  },
+  allReadText: {
+    fontSize: 13,
+    color: '#047857',
+  },
+  studentRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f3f4f6',
+    gap: 8,
+  },
+  studentInfo: {
+    flex: 1,
+  },
+  studentName: {
+    fontSize: 14,
+    color: '#111827',
+  },
+  studentMeta: {
+    fontSize: 12,
+    color: '#6b7280',
+  },
+  deliveryBadge: {
+    borderRadius: 6,
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+  },
+  deliveryBadgeText: {
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  deliveredBadge: {
+    backgroundColor: '#d1fae5',
+  },
+  deliveredBadgeText: {
+    color: '#047857',
+  },
+  failedBadge: {
+    backgroundColor: '#fee2e2',
+  },
+  failedBadgeText: {
+    color: '#b91c1c',
+  },
+  inAppBadge: {
+    backgroundColor: '#f3f4f6',
+  },
+  inAppBadgeText: {
+    color: '#6b7280',
+  },
+  resendButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#2563eb',
+    borderRadius: 8,
+    paddingVertical: 12,
+    marginTop: 16,
+    gap: 8,
+  },
+  resendButtonDisabled: {
+    backgroundColor: '#93c5fd',
+  },
+  resendButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#ffffff',
+  },
+});
+
+export default AnnouncementReportScreen;
@@ -10,19 +10,137 @@ import {
   ActivityIndicator,
   Alert,
   Platform,
+  Switch,
 } from 'react-native';
 import { StatusBar } from 'expo-status-bar';
 import { Ionicons } from '@expo/vector-icons';
+import DateTimePicker from '@react-native-community/datetimepicker';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { getApiUrl } from '../config/api';
 import Button from '../components/Button';
+import AttachmentList from '../components/AttachmentList';
+import { pickAndUploadAttachment, deleteAttachment } from '../services/attachmentService';
+
+const RECURRENCE_OPTIONS = [
+  { value: 'none', label: 'Once' },
+  { value: 'daily', label: 'Daily' },
+  { value: 'weekly', label: 'Weekly' },
+];
+
+// Default send time for a new scheduled announcement: 7 AM tomorrow
+const getDefaultSendAt = () => {
+  const date = new Date();
+  date.setDate(date.getDate() + 1);
+  date.setHours(7, 0, 0, 0);
+  return date;
+};
 
 const AnnouncementScreen = ({ navigation, route }) => {
-  const { course } = route.params || {};
-  const [title, setTitle] = useState('');
-  const [message, setMessage] = useState('');
+  const { course, scheduled } = route.params || {}; // scheduled: announcement being edited
+  const editMode = !!scheduled;
+  const [title, setTitle] = useState(scheduled?.title || '');
+  const [message, setMessage] = useState(scheduled?.message || '');
   const [sending, setSending] = useState(false);
   const [isClassCancelled, setIsClassCancelled] = useState(false);
+  const [attachments, setAttachments] = useState(scheduled?.attachments || []);
+  const [uploadingAttachment, setUploadingAttachment] = useState(false);
+
+  // Scheduling
+  const [sendLater, setSendLater] = useState(editMode);
+  const [sendAt, setSendAt] = useState(scheduled ? new Date(scheduled.send_at) : getDefaultSendAt());
+  const [recurrence, setRecurrence] = useState(scheduled?.recurrence || 'none');
+  const [repeatUntil, setRepeatUntil] = useState(scheduled?.repeat_until ? new Date(scheduled.repeat_until) : null);
+  const [showDatePicker, setShowDatePicker] = useState(false);
+  const [showTimePicker, setShowTimePicker] = useState(false);
+  const [showRepeatUntilPicker, setShowRepeatUntilPicker] = useState(false);
+
+  const formatDate = (date) => {
+    const day = date.getDate().toString().padStart(2, '0');
+    const month = (date.getMonth() + 1).toString().padStart(2, '0');
+    const year = date.getFullYear();
+    return `${day}/${month}/${year}`;
+  };
+
+  const formatTime = (date) => {
+    let hours = date.getHours();
+    const minutes = date.getMinutes();
+    const ampm = hours >= 12 ? 'PM' : 'AM';
+    hours = hours % 12;
+    hours = hours ? hours : 12;
+    const minutesStr = minutes.toString().padStart(2, '0');
+    return `${hours}:${minutesStr} ${ampm}`;
+  };
+
+  const handleDateChange = (event, date) => {
+    if (Platform.OS === 'android') {
+      setShowDatePicker(false);
+    }
+    if (date) {
+      const next = new Date(sendAt);
+      next.setFullYear(date.getFullYear(), date.getMonth(), date.getDate());
+      setSendAt(next);
+      if (Platform.OS === 'ios') {
+        setShowDatePicker(false);
+      }
+    }
+  };
+
+  const handleTimeChange = (event, date) => {
+    if (Platform.OS === 'android') {
+      setShowTimePicker(false);
+    }
+    if (date) {
+      const next = new Date(sendAt);
+      next.setHours(date.getHours(), date.getMinutes(), 0, 0);
+      setSendAt(next);
+      if (Platform.OS === 'ios') {
+        setShowTimePicker(false);
+      }
+    }
+  };
+
+  const handleRepeatUntilChange = (event, date) => {
+    if (Platform.OS === 'android') {
+      setShowRepeatUntilPicker(false);
+    }
+    if (date) {
+      // Repeat through the end of the chosen day
+      const until = new Date(date);
+      until.setHours(23, 59, 59, 999);
+      setRepeatUntil(until);
+      if (Platform.OS === 'ios') {
+        setShowRepeatUntilPicker(false);
+      }
+    }
+  };
+
+  const handleAddAttachment = async () => {
+    const courseId = course?.id || course?._id;
+    if (!courseId) return;
+
+    setUploadingAttachment(true);
+    try {
+      const attachment = await pickAndUploadAttachment(courseId);
+      if (attachment) {
+        setAttachments((prev) => [...prev, attachment]);
+      }
+    } catch (error) {
+      console.error('Error uploading attachment:', error);
+      Alert.alert('Upload Failed', error.message || 'Failed to upload file. Please try again.');
+    } finally {
+      setUploadingAttachment(false);
+    }
+  };
+
+  const handleRemoveAttachment = async (attachment) => {
+    try {
+      await deleteAttachment(attachment.id);
+      setAttachments((prev) => prev.filter((a) => a.id !== attachment.id));
+    } catch (error) {
+      console.error('Error removing attachment:', error);
+      Alert.alert('Error', error.message || 'Failed to remove file. Please try again.');
+    }
+  };
 
   const handleSendAnnouncement = async () => {
     // Validation
@@ -41,6 +159,11 @@ const AnnouncementScreen = ({ navigation, route }) => {
       return;
     }
 
+    if (sendLater && sendAt <= new Date()) {
+      Alert.alert('Error', 'Please choose a send time in the future');
+      return;
+    }
+
     try {
       setSending(true);
       const token = await AsyncStorage.getItem('@auth_token');
@@ -50,25 +173,40 @@ const AnnouncementScreen = ({ navigation, route }) => {
       }
 
       const courseId = course.id || course._id;
-      const response = await fetch(getApiUrl('notifications/send'), {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          courseId,
-          title: title.trim(),
-          message: message.trim(),
-        }),
-      });
+      const payload = {
+        title: title.trim(),
+        message: message.trim(),
+        attachmentIds: attachments.map((attachment) => attachment.id),
+      };
+      if (sendLater) {
+        payload.sendAt = sendAt.toISOString();
+        payload.recurrence = recurrence;
+        payload.repeatUntil = recurrence !== 'none' && repeatUntil ? repeatUntil.toISOString() : null;
+      }
+
+      const response = await fetch(
+        getApiUrl(editMode ? `notifications/scheduled/${scheduled.id}` : 'notifications/send'),
+        {
+          method: editMode ? 'PUT' : 'POST',
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify(editMode ? payload : { courseId, ...payload }),
+        }
+      );
 
       const data = await response.json();
 
       if (response.ok && data.success) {
+        const successMessage = sendLater
+          ? `Announcement ${editMode ? 'updated' : 'scheduled'} for ${formatDate(sendAt)} at ${formatTime(sendAt)}`
+          : data.data.smsSkippedForQuota > 0
+            ? `Announcement sent to ${data.data.recipientCount} students. ${data.data.smsSkippedForQuota} SMS weren't sent because your weekly SMS credits ran out.`
+            : `Announcement sent to ${data.data.recipientCount} students`;
         Alert.alert(
           'Success',
-          `Announcement sent to ${data.data.recipientCount} students`,
+          successMessage,
           [
             {
               text: 'OK',
@@ -76,6 +214,7 @@ const AnnouncementScreen = ({ navigation, route }) => {
                 // Clear form and go back
                 setTitle('');
                 setMessage('');
+                setAttachments([]);
                 navigation.goBack();
               },
             },
@@ -108,11 +247,21 @@ const AnnouncementScreen = ({ navigation, route }) => {
           <Ionicons name="arrow-back" size={24} color="#ffffff" />
         </TouchableOpacity>
         <View style={styles.headerContent}>
-          <Text style={styles.headerTitle}>Send Announcement</Text>
+          <Text style={styles.headerTitle}>
+            {editMode ? 'Edit Scheduled Announcement' : 'Send Announcement'}
+          </Text>
           <Text style={styles.headerSubtitle}>
             {courseCode} - {courseName}
           </Text>
         </View>
+        {!editMode && (
+          <TouchableOpacity
+            style={styles.reportButton}
+            onPress={() => navigation.navigate('AnnouncementReport', { course })}
+          >
+            <Ionicons name="stats-chart" size={22} color="#ffffff" />
+          </TouchableOpacity>
+        )}
       </View>
 
       <ScrollView
@@ -168,18 +317,144 @@ const AnnouncementScreen = ({ navigation, route }) => {
             <Text style={styles.charCount}>{message.length}/1000</Text>
           </View>
 
+          <View style={styles.inputGroup}>
+            <Text style={styles.label}>Attachments</Text>
+            <AttachmentList
+              attachments={attachments}
+              onAdd={handleAddAttachment}
+              onRemove={handleRemoveAttachment}
+              uploading={uploadingAttachment}
+            />
+          </View>
+
+          {/* Scheduling */}
+          {!editMode && (
+            <View style={styles.switchRow}>
+              <View style={styles.switchTextContainer}>
+                <Text style={styles.label}>Send later</Text>
+                <Text style={styles.switchHint}>
+                  Choose when it goes out, and repeat it daily or weekly
+                </Text>
+              </View>
+              <Switch
+                value={sendLater}
+                onValueChange={setSendLater}
+                trackColor={{ false: '#d1d5db', true: '#93c5fd' }}
+                thumbColor={sendLater ? '#2563eb' : '#f9fafb'}
+              />
+            </View>
+          )}
+
+          {sendLater && (
+            <View style={styles.inputGroup}>
+              <Text style={styles.label}>Send on</Text>
+              <View style={styles.pickerRow}>
+                <TouchableOpacity
+                  style={[styles.pickerButton, styles.pickerButtonFlex]}
+                  onPress={() => setShowDatePicker(true)}
+                >
+                  <Text style={styles.pickerText}>{formatDate(sendAt)}</Text>
+                  <Ionicons name="calendar-outline" size={20} color="#2563eb" />
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={[styles.pickerButton, styles.pickerButtonFlex]}
+                  onPress={() => setShowTimePicker(true)}
+                >
+                  <Text style={styles.pickerText}>{formatTime(sendAt)}</Text>
+                  <Ionicons name="time-outline" size={20} color="#2563eb" />
+                </TouchableOpacity>
+              </View>
+              {showDatePicker && (
+                <DateTimePicker
+                  value={sendAt}
+                  mode="date"
+                  display={Platform.OS === 'ios' ? 'spinner' : 'default'}
+                  onChange={handleDateChange}
+                  minimumDate={new Date()}
+                />
+              )}
+              {showTimePicker && (
+                <DateTimePicker
+                  value={sendAt}
+                  mode="time"
+                  display={Platform.OS === 'ios' ? 'spinner' : 'default'}
+                  onChange={handleTimeChange}
+                />
+              )}
+
+              <Text style={[styles.label, styles.repeatLabel]}>Repeat</Text>
+              <View style={styles.recurrenceRow}>
+                {RECURRENCE_OPTIONS.map((option) => (
+                  <TouchableOpacity
+                    key={option.value}
+                    style={[styles.recurrenceChip, recurrence === option.value && styles.recurrenceChipActive]}
+                    onPress={() => setRecurrence(option.value)}
+                  >
+                    <Text
+                      style={[styles.recurrenceChipText, recurrence === option.value && styles.recurrenceChipTextActive]}
+                    >
+                      {option.label}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+
+              {recurrence !== 'none' && (
+                <>
+                  <Text style={[styles.label, styles.repeatLabel]}>Repeat until</Text>
+                  <View style={styles.pickerRow}>
+                    <TouchableOpacity
+                      style={[styles.pickerButton, styles.pickerButtonFlex]}
+                      onPress={() => setShowRepeatUntilPicker(true)}
+                    >
+                      <Text style={[styles.pickerText, !repeatUntil && styles.placeholderText]}>
+                        {repeatUntil ? formatDate(repeatUntil) : 'Until I cancel it'}
+                      </Text>
+                      <Ionicons name="calendar-outline" size={20} color="#2563eb" />
+                    </TouchableOpacity>
+                    {repeatUntil && (
+                      <TouchableOpacity
+                        style={styles.clearButton}
+                        onPress={() => setRepeatUntil(null)}
+                      >
+                        <Ionicons name="close-circle" size={22} color="#9ca3af" />
+                      </TouchableOpacity>
+                    )}
+                  </View>
+                  {showRepeatUntilPicker && (
+                    <DateTimePicker
+                      value={repeatUntil || sendAt}
+                      mode="date"
+                      display={Platform.OS === 'ios' ? 'spinner' : 'default'}
+                      onChange={handleRepeatUntilChange}
+                      minimumDate={sendAt}
+                    />
+                  )}
+                </>
+              )}
+            </View>
+          )}
+
           <View style={styles.infoBox}>
             <Ionicons name="information-circle-outline" size={20} color="#2563eb" />
             <Text style={styles.infoText}>
-              This announcement will be sent to all students enrolled in this course.
+              {sendLater
+                ? 'This announcement will be sent to all students enrolled in this course at the chosen time. You can edit or cancel it from your home screen until then.'
+                : 'This announcement will be sent to all students enrolled in this course.'}
             </Text>
           </View>
 
           <Button
-            title={sending ? 'Sending...' : 'Send Announcement'}
+            title={
+              sending
+                ? (sendLater ? 'Saving...' : 'Sending...')
+                : editMode
+                  ? 'Save Changes'
+                  : sendLater ? 'Schedule Announcement' : 'Send Announcement'
+            }
             onPress={handleSendAnnouncement}
             variant="primary"
-            disabled={sending || !title.trim() || !message.trim()}
+            disabled={sending || uploadingAttachment || !title.trim() || !message.trim()}
             style={styles.sendButton}
           />
         </View>
@@ -221,6 +496,13 @@ const styles = StyleSheet.create({
     fontSize: 14,
     color: '#dbeafe',
   },
+  reportButton: {
+    width: 40,
+    height: 40,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginLeft: 12,
+  },
   content: {
     flex: 1,
     backgroundColor: '#f9fafb',
@@ -289,6 +571,78 @@ const styles = StyleSheet.create({
   sendButton: {
     marginTop: 8,
   },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 20,
+    gap: 12,
+  },
+  switchTextContainer: {
+    flex: 1,
+  },
+  switchHint: {
+    fontSize: 12,
+    color: '#6b7280',
+    marginTop: -4,
+  },
+  pickerRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  pickerButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    backgroundColor: '#f9fafb',
+    borderWidth: 1,
+    borderColor: '#e5e7eb',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 12,
+  },
+  pickerButtonFlex: {
+    flex: 1,
+  },
+  pickerText: {
+    fontSize: 14,
+    color: '#111827',
+  },
+  placeholderText: {
+    color: '#9ca3af',
+  },
+  clearButton: {
+    padding: 4,
+  },
+  repeatLabel: {
+    marginTop: 16,
+  },
+  recurrenceRow: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  recurrenceChip: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#e5e7eb',
+    backgroundColor: '#f9fafb',
+  },
+  recurrenceChipActive: {
+    borderColor: '#2563eb',
+    backgroundColor: '#eff6ff',
+  },
+  recurrenceChipText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#6b7280',
+  },
+  recurrenceChipTextActive: {
+    color: '#2563eb',
+  },
   tagsContainer: {
     marginBottom: 20,
     paddingBottom: 16,
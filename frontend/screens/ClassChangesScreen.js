@@ -0,0 +1,681 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  SafeAreaView,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  RefreshControl,
+  TextInput,
+  Modal,
+  Alert,
+  Platform,
+} from 'react-native';
+import { StatusBar } from 'expo-status-bar';
+import { Ionicons } from '@expo/vector-icons';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getApiUrl } from '../config/api';
+import Button from '../components/Button';
+
+const STATUS_LABELS = {
+  cancelled: 'Cancelled',
+  rescheduled: 'Rescheduled',
+  extra: 'Extra class',
+};
+
+const EMPTY_FORM = {
+  date: '',
+  startTime: '',
+  endTime: '',
+  venue: '',
+  reason: '',
+};
+
+const ClassChangesScreen = ({ navigation, route }) => {
+  const course = route.params?.course;
+  const courseId = course?.id || course?._id;
+  const [occurrences, setOccurrences] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+  // { type: 'reschedule' | 'extra', occurrence } while the change form is open
+  const [formTarget, setFormTarget] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+
+  useEffect(() => {
+    loadSchedule();
+  }, []);
+
+  const loadSchedule = async () => {
+    try {
+      setError('');
+      const token = await AsyncStorage.getItem('@auth_token');
+      if (!token) {
+        setError('Authentication required');
+        return;
+      }
+
+      const response = await fetch(getApiUrl(`courses/${courseId}/exceptions`), {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+        },
+      });
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        setOccurrences(data.data.occurrences || []);
+      } else {
+        setError(data.message || 'Failed to load classes');
+      }
+    } catch (err) {
+      console.error('Error loading class changes:', err);
+      setError('Failed to load classes. Please try again.');
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  };
+
+  const onRefresh = () => {
+    setRefreshing(true);
+    loadSchedule();
+  };
+
+  const formatDate = (dateKey) => {
+    if (!dateKey) return '';
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString('en-US', {
+      weekday: 'short',
+      month: 'short',
+      day: 'numeric',
+    });
+  };
+
+  const saveChange = async (payload) => {
+    try {
+      setSaving(true);
+      const token = await AsyncStorage.getItem('@auth_token');
+      if (!token) {
+        Alert.alert('Error', 'Authentication required');
+        return false;
+      }
+
+      const response = await fetch(getApiUrl(`courses/${courseId}/exceptions`), {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`,
+        },
+        body: JSON.stringify(payload),
+      });
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        Alert.alert('Saved', `Students have been notified (${data.data.notificationsSent || 0}).`);
+        loadSchedule();
+        return true;
+      }
+
+      const message = data.errors?.[0]?.msg || data.message || 'Failed to save class change';
+      Alert.alert('Error', message);
+      return false;
+    } catch (err) {
+      console.error('Error saving class change:', err);
+      Alert.alert('Error', 'Failed to save class change. Please try again.');
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const removeChange = async (occurrence) => {
+    try {
+      setSaving(true);
+      const token = await AsyncStorage.getItem('@auth_token');
+      if (!token) {
+        Alert.alert('Error', 'Authentication required');
+        return;
+      }
+
+      const response = await fetch(
+        getApiUrl(`courses/${courseId}/exceptions/${occurrence.exception_id}`),
+        {
+          method: 'DELETE',
+          headers: {
+            'Authorization': `Bearer ${token}`,
+          },
+        }
+      );
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        loadSchedule();
+      } else {
+        Alert.alert('Error', data.message || 'Failed to remove class change');
+      }
+    } catch (err) {
+      console.error('Error removing class change:', err);
+      Alert.alert('Error', 'Failed to remove class change. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const openForm = (type, occurrence = null) => {
+    setForm({
+      ...EMPTY_FORM,
+      date: occurrence?.date || '',
+      startTime: occurrence?.start_time || '',
+      endTime: occurrence?.end_time || '',
+      venue: occurrence?.venue || '',
+    });
+    setFormTarget({ type, occurrence });
+  };
+
+  const closeForm = () => {
+    setFormTarget(null);
+    setForm(EMPTY_FORM);
+  };
+
+  const submitForm = async () => {
+    const { type, occurrence } = formTarget;
+    const payload = {
+      type,
+      date: form.date.trim() || null,
+      startTime: form.startTime.trim() || null,
+      endTime: form.endTime.trim() || null,
+      venue: form.venue.trim() || null,
+      reason: form.reason.trim() || null,
+    };
+    if (type === 'reschedule') {
+      payload.originalDate = occurrence.date;
+    }
+
+    const saved = await saveChange(payload);
+    if (saved) closeForm();
+  };
+
+  const handleOccurrencePress = (occurrence) => {
+    const label = `${formatDate(occurrence.date)}, ${occurrence.start_time}`;
+
+    if (occurrence.status !== 'scheduled') {
+      const undoText = occurrence.status === 'extra' ? 'Remove Extra Class' : 'Undo Change';
+      Alert.alert(
+        STATUS_LABELS[occurrence.status],
+        `${label}${occurrence.reason ? `\nReason: ${occurrence.reason}` : ''}`,
+        [
+          { text: 'Close', style: 'cancel' },
+          { text: undoText, style: 'destructive', onPress: () => removeChange(occurrence) },
+        ]
+      );
+      return;
+    }
+
+    Alert.alert('Change Class', label, [
+      { text: 'Close', style: 'cancel' },
+      {
+        text: 'Reschedule',
+        onPress: () => openForm('reschedule', occurrence),
+      },
+      {
+        text: 'Cancel Class',
+        style: 'destructive',
+        onPress: () => {
+          Alert.alert(
+            'Cancel Class',
+            `Cancel the class on ${label}? Enrolled students will be notified.`,
+            [
+              { text: 'Keep Class', style: 'cancel' },
+              {
+                text: 'Cancel Class',
+                style: 'destructive',
+                onPress: () => saveChange({ type: 'cancel', originalDate: occurrence.date }),
+              },
+            ]
+          );
+        },
+      },
+    ]);
+  };
+
+  const renderOccurrence = (occurrence) => {
+    const isCancelled = occurrence.status === 'cancelled';
+    const statusLabel = STATUS_LABELS[occurrence.status];
+
+    return (
+      <TouchableOpacity
+        key={`${occurrence.start}-${occurrence.status}`}
+        style={[styles.classCard, isCancelled && styles.classCardCancelled]}
+        onPress={() => handleOccurrencePress(occurrence)}
+        disabled={saving}
+      >
+        <View style={styles.classDate}>
+          <Text style={styles.classDateText}>{formatDate(occurrence.date)}</Text>
+        </View>
+        <View style={styles.classInfo}>
+          <Text style={[styles.classTime, isCancelled && styles.classTextCancelled]}>
+            {occurrence.start_time}{occurrence.end_time ? ` - ${occurrence.end_time}` : ''}
+          </Text>
+          {occurrence.venue ? (
+            <Text style={styles.classVenue} numberOfLines={1}>{occurrence.venue}</Text>
+          ) : null}
+          {occurrence.original_date && occurrence.status === 'rescheduled' ? (
+            <Text style={styles.classNote}>Moved from {formatDate(occurrence.original_date)}</Text>
+          ) : null}
+        </View>
+        {statusLabel ? (
+          <View style={[styles.statusBadge, isCancelled && styles.statusBadgeCancelled]}>
+            <Text style={[styles.statusBadgeText, isCancelled && styles.statusBadgeTextCancelled]}>
+              {statusLabel}
+            </Text>
+          </View>
+        ) : (
+          <Ionicons name="chevron-forward" size={18} color="#9ca3af" />
+        )}
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.screen}>
+      <StatusBar style="light" />
+
+      {/* Blue Header */}
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+          <Ionicons name="arrow-back" size={24} color="#ffffff" />
+        </TouchableOpacity>
+        <View style={styles.headerContent}>
+          <Text style={styles.headerTitle}>Class Changes</Text>
+          <Text style={styles.headerSubtitle} numberOfLines={1}>
+            {course?.course_name || course?.courseName || 'Course'}
+          </Text>
+        </View>
+        <TouchableOpacity
+          style={[styles.addButton, styles.smsButton]}
+          onPress={() => navigation.navigate('SmsDelivery', { course })}
+        >
+          <Ionicons name="chatbox-ellipses-outline" size={20} color="#ffffff" />
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.addButton}
+          onPress={() => openForm('extra')}
+        >
+          <Ionicons name="add" size={24} color="#ffffff" />
+        </TouchableOpacity>
+      </View>
+
+      <ScrollView
+        style={styles.content}
+        contentContainerStyle={styles.scrollContent}
+        refreshControl={
+          <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+        }
+      >
+        <Text style={styles.description}>
+          Tap a class to cancel or reschedule it, or use + to add an extra session.
+          Students are notified straight away.
+        </Text>
+
+        {loading ? (
+          <View style={styles.loadingContainer}>
+            <ActivityIndicator size="large" color="#2563eb" />
+            <Text style={styles.loadingText}>Loading classes...</Text>
+          </View>
+        ) : error ? (
+          <View style={styles.errorContainer}>
+            <Ionicons name="alert-circle-outline" size={48} color="#dc2626" />
+            <Text style={styles.errorText}>{error}</Text>
+            <TouchableOpacity style={styles.retryButton} onPress={loadSchedule}>
+              <Text style={styles.retryButtonText}>Retry</Text>
+            </TouchableOpacity>
+          </View>
+        ) : occurrences.length === 0 ? (
+          <View style={styles.emptyState}>
+            <Ionicons name="calendar-outline" size={60} color="#d1d5db" />
+            <Text style={styles.emptyTitle}>No upcoming classes</Text>
+            <Text style={styles.emptyDescription}>
+              There are no classes in the next four weeks.
+            </Text>
+          </View>
+        ) : (
+          <View style={styles.classList}>
+            {occurrences.map(renderOccurrence)}
+          </View>
+        )}
+      </ScrollView>
+
+      {/* Reschedule / Extra Class Modal */}
+      <Modal
+        visible={!!formTarget}
+        transparent={true}
+        animationType="fade"
+        onRequestClose={closeForm}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <View style={styles.modalHeader}>
+              <Text style={styles.modalTitle}>
+                {formTarget?.type === 'extra' ? 'Add Extra Class' : 'Reschedule Class'}
+              </Text>
+              <TouchableOpacity style={styles.modalCloseButton} onPress={closeForm}>
+                <Ionicons name="close" size={24} color="#6b7280" />
+              </TouchableOpacity>
+            </View>
+            {formTarget?.type === 'reschedule' && (
+              <Text style={styles.modalDescription}>
+                Moving the class on {formatDate(formTarget.occurrence.date)}. Leave a field as it is to keep it.
+              </Text>
+            )}
+            <Text style={styles.modalLabel}>Date (YYYY-MM-DD)</Text>
+            <TextInput
+              style={styles.modalInput}
+              placeholder="e.g., 2026-10-24"
+              value={form.date}
+              onChangeText={(date) => setForm({ ...form, date })}
+              placeholderTextColor="#9ca3af"
+            />
+            <View style={styles.timeRow}>
+              <View style={styles.timeField}>
+                <Text style={styles.modalLabel}>Start Time</Text>
+                <TextInput
+                  style={styles.modalInput}
+                  placeholder="e.g., 2:00 PM"
+                  value={form.startTime}
+                  onChangeText={(startTime) => setForm({ ...form, startTime })}
+                  placeholderTextColor="#9ca3af"
+                />
+              </View>
+              <View style={styles.timeField}>
+                <Text style={styles.modalLabel}>End Time</Text>
+                <TextInput
+                  style={styles.modalInput}
+                  placeholder="e.g., 4:00 PM"
+                  value={form.endTime}
+                  onChangeText={(endTime) => setForm({ ...form, endTime })}
+                  placeholderTextColor="#9ca3af"
+                />
+              </View>
+            </View>
+            <Text style={styles.modalLabel}>Venue</Text>
+            <TextInput
+              style={styles.modalInput}
+              placeholder="e.g., Room A1"
+              value={form.venue}
+              onChangeText={(venue) => setForm({ ...form, venue })}
+              placeholderTextColor="#9ca3af"
+            />
+            <Text style={styles.modalLabel}>Reason (optional)</Text>
+            <TextInput
+              style={styles.modalInput}
+              placeholder="e.g., Lecturer travelling"
+              value={form.reason}
+              onChangeText={(reason) => setForm({ ...form, reason })}
+              placeholderTextColor="#9ca3af"
+            />
+            <View style={styles.modalButtons}>
+              <Button
+                title="Cancel"
+                onPress={closeForm}
+                variant="secondary"
+                style={styles.modalButton}
+                disabled={saving}
+              />
+              <Button
+                title={saving ? 'Saving...' : 'Save'}
+                onPress={submitForm}
+                variant="primary"
+                style={styles.modalButton}
+                disabled={saving}
+              />
+            </View>
+          </View>
+        </View>
+      </Modal>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  screen: {
+    flex: 1,
+    backgroundColor: '#2563eb',
+  },
+  header: {
+    backgroundColor: '#2563eb',
+    paddingTop: Platform.OS === 'android' ? 28 : 0,
+    paddingBottom: 20,
+    paddingHorizontal: 16,
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  backButton: {
+    marginRight: 12,
+  },
+  headerContent: {
+    flex: 1,
+  },
+  headerTitle: {
+    color: '#ffffff',
+    fontSize: 18,
+    fontWeight: '600',
+  },
+  headerSubtitle: {
+    color: '#bfdbfe',
+    fontSize: 13,
+  },
+  addButton: {
+    width: 36,
+    height: 36,
+    borderRadius: 8,
+    backgroundColor: 'rgba(255, 255, 255, 0.2)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  smsButton: {
+    marginRight: 8,
+  },
+  content: {
+    flex: 1,
+    backgroundColor: '#ffffff',
+  },
+  scrollContent: {
+    paddingHorizontal: 20,
+    paddingTop: 20,
+    paddingBottom: 100,
+  },
+  description: {
+    fontSize: 13,
+    color: '#6b7280',
+    lineHeight: 18,
+    marginBottom: 16,
+  },
+  loadingContainer: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 60,
+  },
+  loadingText: {
+    marginTop: 12,
+    fontSize: 14,
+    color: '#6b7280',
+  },
+  errorContainer: {
+    alignItems: 'center',
+    paddingVertical: 40,
+  },
+  errorText: {
+    fontSize: 14,
+    color: '#dc2626',
+    textAlign: 'center',
+    marginTop: 12,
+    marginBottom: 16,
+  },
+  retryButton: {
+    backgroundColor: '#2563eb',
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    borderRadius: 8,
+  },
+  retryButtonText: {
+    color: '#ffffff',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  emptyState: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 60,
+  },
+  emptyTitle: {
+    fontSize: 18,
+    fontWeight: '700',
+    color: '#111827',
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  emptyDescription: {
+    fontSize: 14,
+    color: '#6b7280',
+    textAlign: 'center',
+    paddingHorizontal: 20,
+    lineHeight: 20,
+  },
+  classList: {
+    gap: 10,
+  },
+  classCard: {
+    borderRadius: 12,
+    padding: 14,
+    borderWidth: 2,
+    borderColor: '#e5e7eb',
+    borderLeftWidth: 4,
+    borderLeftColor: '#2563eb',
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  classCardCancelled: {
+    borderLeftColor: '#f87171',
+    backgroundColor: '#f9fafb',
+  },
+  classDate: {
+    width: 86,
+  },
+  classDateText: {
+    fontSize: 13,
+    fontWeight: '700',
+    color: '#111827',
+  },
+  classInfo: {
+    flex: 1,
+    marginRight: 8,
+  },
+  classTime: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#2563eb',
+  },
+  classTextCancelled: {
+    color: '#9ca3af',
+    textDecorationLine: 'line-through',
+  },
+  classVenue: {
+    fontSize: 12,
+    color: '#6b7280',
+    marginTop: 2,
+  },
+  classNote: {
+    fontSize: 11,
+    color: '#f97316',
+    marginTop: 2,
+  },
+  statusBadge: {
+    backgroundColor: '#dbeafe',
+    borderRadius: 6,
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+  },
+  statusBadgeCancelled: {
+    backgroundColor: '#fee2e2',
+  },
+  statusBadgeText: {
+    fontSize: 11,
+    fontWeight: '700',
+    color: '#1d4ed8',
+  },
+  statusBadgeTextCancelled: {
+    color: '#dc2626',
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  modalContent: {
+    backgroundColor: '#ffffff',
+    borderRadius: 16,
+    padding: 24,
+    width: '100%',
+    maxWidth: 400,
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontWeight: '700',
+    color: '#111827',
+  },
+  modalCloseButton: {
+    padding: 4,
+  },
+  modalDescription: {
+    fontSize: 14,
+    color: '#6b7280',
+    marginBottom: 12,
+    lineHeight: 20,
+  },
+  modalLabel: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#4b5563',
+    marginBottom: 8,
+    marginTop: 8,
+  },
+  modalInput: {
+    height: 44,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    backgroundColor: '#f9fafb',
+    borderWidth: 1,
+    borderColor: '#e5e7eb',
+    fontSize: 14,
+    color: '#111827',
+  },
+  timeRow: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  timeField: {
+    flex: 1,
+  },
+  modalButtons: {
+    flexDirection: 'row',
+    gap: 12,
+    marginTop: 20,
+  },
+  modalButton: {
+    flex: 1,
+    minWidth: 0,
+  },
+});
+
+export default ClassChangesScreen;
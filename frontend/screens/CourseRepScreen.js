@@ -37,6 +37,8 @@ const CourseRepScreen = ({ navigation }) => {
   const [assignmentTitle, setAssignmentTitle] = useState('');
   const [assignmentDescription, setAssignmentDescription] = useState('');
   const [sendingNotification, setSendingNotification] = useState(false);
+  const [scheduledAnnouncements, setScheduledAnnouncements] = useState([]);
+  const [smsQuota, setSmsQuota] = useState(null);
 
   // Load user data and courses on mount
   useEffect(() => {
@@ -130,6 +132,8 @@ const CourseRepScreen = ({ navigation }) => {
 
       if (response.ok && data.success) {
         setCourses(data.data.courses || []);
+        loadScheduledAnnouncements(token);
+        loadSmsQuota(token);
       } else {
         // Handle permission errors gracefully
         if (response.status === 403) {
@@ -147,6 +151,104 @@ const CourseRepScreen = ({ navigation }) => {
     }
   };
 
+  const loadScheduledAnnouncements = async (token) => {
+    try {
+      const response = await fetch(getApiUrl('notifications/scheduled'), {
+        method: 'GET',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+        },
+      });
+
+      const data = await response.json();
+      if (response.ok && data.success) {
+        setScheduledAnnouncements(data.data.announcements || []);
+      }
+    } catch (error) {
+      console.error('Error loading scheduled announcements:', error);
+    }
+  };
+
+  const loadSmsQuota = async (token) => {
+    try {
+      const response = await fetch(getApiUrl('sms/quota'), {
+        method: 'GET',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+        },
+      });
+
+      const data = await response.json();
+      if (response.ok && data.success) {
+        setSmsQuota(data.data);
+      }
+    } catch (error) {
+      console.error('Error loading SMS credits:', error);
+    }
+  };
+
+  const formatSendAt = (value) => {
+    const date = new Date(value);
+    const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    let hours = date.getHours();
+    const minutes = date.getMinutes().toString().padStart(2, '0');
+    const ampm = hours >= 12 ? 'PM' : 'AM';
+    hours = hours % 12 || 12;
+    return `${days[date.getDay()]}, ${months[date.getMonth()]} ${date.getDate()} at ${hours}:${minutes} ${ampm}`;
+  };
+
+  const handleEditScheduled = (announcement) => {
+    const course = courses.find((c) => (c.id || c._id) === announcement.course_id) || {
+      id: announcement.course_id,
+      course_name: announcement.course_name,
+      course_code: announcement.course_code,
+    };
+    navigation.navigate('Announcement', { course, scheduled: announcement });
+  };
+
+  const handleCancelScheduled = (announcement) => {
+    Alert.alert(
+      announcement.recurrence !== 'none' ? 'Stop Repeating Announcement' : 'Cancel Announcement',
+      announcement.recurrence !== 'none'
+        ? `"${announcement.title}" will not be sent again.`
+        : `"${announcement.title}" will not be sent.`,
+      [
+        { text: 'Keep', style: 'cancel' },
+        {
+          text: 'Cancel It',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              const token = await AsyncStorage.getItem('@auth_token');
+              if (!token) {
+                Alert.alert('Error', 'Authentication required');
+                return;
+              }
+
+              const response = await fetch(getApiUrl(`notifications/scheduled/${announcement.id}/cancel`), {
+                method: 'POST',
+                headers: {
+                  'Authorization': `Bearer ${token}`,
+                },
+              });
+
+              const data = await response.json();
+              if (response.ok && data.success) {
+                setScheduledAnnouncements((prev) => prev.filter((a) => a.id !== announcement.id));
+              } else {
+                Alert.alert('Error', data.message || 'Failed to cancel announcement');
+              }
+            } catch (error) {
+              console.error('Error cancelling scheduled announcement:', error);
+              Alert.alert('Error', 'Failed to cancel announcement. Please try again.');
+            }
+          },
+        },
+      ]
+    );
+  };
+
   const onRefresh = () => {
     setRefreshing(true);
     loadCourses();
@@ -313,6 +415,11 @@ const CourseRepScreen = ({ navigation }) => {
     return `${year}-${month}-${day} • ${dayName}`;
   };
 
+  // Courses with fewer SMS credits of their own left than the rep has overall
+  const smsLimitedCourses = smsQuota ? smsQuota.courses.filter((c) => c.remaining < smsQuota.remaining) : [];
+  // Prepaid credits cover SMS once the weekly ones run out, so only warn when those are gone too
+  const smsCreditsLow = !!smsQuota && smsQuota.remaining <= Math.ceil(smsQuota.limit * 0.1) && !smsQuota.sms_credits;
+
   return (
     <SafeAreaView style={styles.screen}>
       <StatusBar style="light" />
@@ -354,6 +461,27 @@ const CourseRepScreen = ({ navigation }) => {
           </View>
         )}
 
+        {/* SMS credits left this week */}
+        {isAuthenticated && smsQuota && (
+          <View style={[styles.smsCreditsCard, smsCreditsLow && styles.smsCreditsCardLow]}>
+            <Ionicons name="chatbox-ellipses-outline" size={18} color={smsCreditsLow ? '#b45309' : '#2563eb'} />
+            <View style={styles.smsCreditsInfo}>
+              <Text style={[styles.smsCreditsText, smsCreditsLow && styles.smsCreditsTextLow]}>
+                SMS credits left this week: {smsQuota.remaining} of {smsQuota.limit}
+              </Text>
+              {smsLimitedCourses.length > 0 && (
+                <Text style={styles.smsCreditsMeta}>
+                  {smsLimitedCourses.map((c) => `${c.course_code}: ${c.remaining} left`).join(' • ')}
+                </Text>
+              )}
+              <Text style={styles.smsCreditsMeta}>Resets {formatSendAt(smsQuota.resets_at)}</Text>
+              <Text style={styles.smsCreditsMeta}>
+                Prepaid SMS credits: {smsQuota.sms_credits || 0} (top up in Settings)
+              </Text>
+            </View>
+          </View>
+        )}
+
         {/* Section Header */}
         <View style={styles.sectionHeader}>
           <Text style={styles.sectionTitle}>Your Published Courses</Text>
@@ -469,6 +597,52 @@ const CourseRepScreen = ({ navigation }) => {
             />
           </View>
         )}
+
+        {/* Scheduled Announcements */}
+        {scheduledAnnouncements.length > 0 && (
+          <>
+            <View style={styles.sectionHeader}>
+              <Text style={styles.sectionTitle}>Scheduled Announcements</Text>
+            </View>
+            <View style={styles.coursesList}>
+              {scheduledAnnouncements.map((announcement) => (
+                <View key={announcement.id} style={styles.scheduledCard}>
+                  <View style={styles.scheduledInfo}>
+                    <Text style={styles.scheduledTitle} numberOfLines={1}>
+                      {announcement.title}
+                    </Text>
+                    <Text style={styles.scheduledMeta} numberOfLines={1}>
+                      {announcement.course_code} • {formatSendAt(announcement.send_at)}
+                    </Text>
+                    {announcement.recurrence !== 'none' && (
+                      <View style={styles.recurrenceBadge}>
+                        <Ionicons name="repeat" size={12} color="#2563eb" />
+                        <Text style={styles.recurrenceBadgeText}>
+                          {announcement.recurrence === 'daily' ? 'Daily' : 'Weekly'}
+                          {announcement.send_count > 0 ? ` • sent ${announcement.send_count}×` : ''}
+                        </Text>
+                      </View>
+                    )}
+                  </View>
+                  <View style={styles.scheduledActions}>
+                    <TouchableOpacity
+                      style={styles.editButton}
+                      onPress={() => handleEditScheduled(announcement)}
+                    >
+                      <Ionicons name="create-outline" size={18} color="#2563eb" />
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                      style={styles.cancelScheduledButton}
+                      onPress={() => handleCancelScheduled(announcement)}
+                    >
+                      <Ionicons name="close-circle-outline" size={18} color="#ef4444" />
+                    </TouchableOpacity>
+                  </View>
+                </View>
+              ))}
+            </View>
+          </>
+        )}
       </ScrollView>
 
       {/* Bottom Navigation */}
@@ -843,6 +1017,37 @@ const styles = StyleSheet.create({
     color: '#1e40af',
     fontWeight: '500',
   },
+  smsCreditsCard: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    gap: 8,
+    backgroundColor: '#eff6ff',
+    borderWidth: 1,
+    borderColor: '#bfdbfe',
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 16,
+  },
+  smsCreditsCardLow: {
+    backgroundColor: '#fffbeb',
+    borderColor: '#fde68a',
+  },
+  smsCreditsInfo: {
+    flex: 1,
+    gap: 2,
+  },
+  smsCreditsText: {
+    fontSize: 13,
+    color: '#1e40af',
+    fontWeight: '600',
+  },
+  smsCreditsTextLow: {
+    color: '#b45309',
+  },
+  smsCreditsMeta: {
+    fontSize: 12,
+    color: '#6b7280',
+  },
   createButton: {
     minWidth: 160,
   },
@@ -965,6 +1170,60 @@ const styles = StyleSheet.create({
     borderWidth: 1,
     borderColor: '#dbeafe',
   },
+  scheduledCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#ffffff',
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: '#e5e7eb',
+    padding: 12,
+    marginBottom: 12,
+    gap: 8,
+  },
+  scheduledInfo: {
+    flex: 1,
+  },
+  scheduledTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#111827',
+    marginBottom: 2,
+  },
+  scheduledMeta: {
+    fontSize: 12,
+    color: '#6b7280',
+  },
+  recurrenceBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    backgroundColor: '#eff6ff',
+    borderRadius: 6,
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    marginTop: 6,
+    gap: 4,
+  },
+  recurrenceBadgeText: {
+    fontSize: 11,
+    fontWeight: '600',
+    color: '#2563eb',
+  },
+  scheduledActions: {
+    flexDirection: 'row',
+    gap: 6,
+  },
+  cancelScheduledButton: {
+    width: 36,
+    height: 36,
+    borderRadius: 8,
+    backgroundColor: '#fef2f2',
+    justifyContent: 'center',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: '#fecaca',
+  },
   notificationButton: {
     width: 36,
     height: 36,
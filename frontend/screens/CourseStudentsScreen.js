@@ -30,11 +30,141 @@ const CourseStudentsScreen = ({ navigation, route }) => {
   const [phoneNumber, setPhoneNumber] = useState('');
   const [addingStudent, setAddingStudent] = useState(false);
   const [removingStudentId, setRemovingStudentId] = useState(null);
+  const [joinRequests, setJoinRequests] = useState([]);
+  const [reviewingRequestId, setReviewingRequestId] = useState(null);
+  const [assignments, setAssignments] = useState([]);
+  const [selectedAssignmentId, setSelectedAssignmentId] = useState(null); // null = plain student list
+  const [roster, setRoster] = useState(null); // Submission roster for the selected assignment
+  const [loadingRoster, setLoadingRoster] = useState(false);
 
   useEffect(() => {
     loadStudents();
+    loadJoinRequests();
+    loadAssignments();
   }, []);
 
+  const loadAssignments = async () => {
+    try {
+      const token = await AsyncStorage.getItem('@auth_token');
+      if (!token) return;
+
+      const response = await fetch(getApiUrl(`assignments/course/${course.id || course._id}`), {
+        method: 'GET',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+        },
+      });
+
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        setAssignments((data.data.assignments || []).filter((assignment) => !assignment.cancelled));
+      }
+    } catch (err) {
+      console.error('Error loading assignments:', err);
+    }
+  };
+
+  const loadRoster = async (assignmentId) => {
+    setLoadingRoster(true);
+    try {
+      const token = await AsyncStorage.getItem('@auth_token');
+      if (!token) return;
+
+      const response = await fetch(getApiUrl(`assignments/${assignmentId}/submissions`), {
+        method: 'GET',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+        },
+      });
+
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        setRoster(data.data);
+      } else {
+        Alert.alert('Error', data.message || 'Failed to load submissions');
+        setSelectedAssignmentId(null);
+        setRoster(null);
+      }
+    } catch (err) {
+      console.error('Error loading submissions:', err);
+      Alert.alert('Error', 'Failed to load submissions. Please try again.');
+      setSelectedAssignmentId(null);
+      setRoster(null);
+    } finally {
+      setLoadingRoster(false);
+    }
+  };
+
+  const selectAssignment = (assignmentId) => {
+    setSelectedAssignmentId(assignmentId);
+    setRoster(null);
+    if (assignmentId) {
+      loadRoster(assignmentId);
+    }
+  };
+
+  const loadJoinRequests = async () => {
+    try {
+      const token = await AsyncStorage.getItem('@auth_token');
+      if (!token) return;
+
+      const response = await fetch(getApiUrl(`courses/${course.id || course._id}/requests`), {
+        method: 'GET',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+        },
+      });
+
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        setJoinRequests(data.data.requests || []);
+      }
+    } catch (err) {
+      console.error('Error loading join requests:', err);
+    }
+  };
+
+  const handleReviewRequest = async (requestId, decision) => {
+    setReviewingRequestId(requestId);
+    try {
+      const token = await AsyncStorage.getItem('@auth_token');
+      if (!token) {
+        Alert.alert('Error', 'Not authenticated. Please log in again.');
+        return;
+      }
+
+      const response = await fetch(
+        getApiUrl(`courses/${course.id || course._id}/requests/${requestId}/${decision}`),
+        {
+          method: 'POST',
+          headers: {
+            'Authorization': `Bearer ${token}`,
+          },
+        }
+      );
+
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        setJoinRequests((prev) => prev.filter((request) => request.id !== requestId));
+        if (decision === 'approve') {
+          loadStudents(); // Refresh the list
+        }
+      } else {
+        Alert.alert('Error', data.message || 'Failed to review request');
+        loadJoinRequests();
+      }
+    } catch (err) {
+      console.error('Error reviewing join request:', err);
+      Alert.alert('Error', 'An error occurred. Please try again.');
+    } finally {
+      setReviewingRequestId(null);
+    }
+  };
+
   const loadStudents = async () => {
     try {
       const token = await AsyncStorage.getItem('@auth_token');
@@ -73,6 +203,11 @@ const CourseStudentsScreen = ({ navigation, route }) => {
   const onRefresh = () => {
     setRefreshing(true);
     loadStudents();
+    loadJoinRequests();
+    loadAssignments();
+    if (selectedAssignmentId) {
+      loadRoster(selectedAssignmentId);
+    }
   };
 
   const formatDate = (dateString) => {
@@ -188,6 +323,15 @@ const CourseStudentsScreen = ({ navigation, route }) => {
     );
   });
 
+  // With an assignment selected, show each student's submission and list those who haven't submitted first
+  const submissionsByStudent = {};
+  (roster?.roster || []).forEach((entry) => {
+    submissionsByStudent[entry.id] = entry.submission;
+  });
+  const displayedStudents = roster
+    ? [...filteredStudents].sort((a, b) => !!submissionsByStudent[a.id] - !!submissionsByStudent[b.id])
+    : filteredStudents;
+
   return (
     <SafeAreaView style={styles.screen}>
       <StatusBar style="light" />
@@ -233,6 +377,102 @@ const CourseStudentsScreen = ({ navigation, route }) => {
           </TouchableOpacity>
         </View>
 
+        {/* Pending Join Requests */}
+        {joinRequests.length > 0 && (
+          <View style={styles.requestsSection}>
+            <Text style={styles.requestsTitle}>
+              Pending Requests ({joinRequests.length})
+            </Text>
+            <Text style={styles.requestsDescription}>
+              These students are not on your allowed phone numbers list.
+            </Text>
+            {joinRequests.map((request) => (
+              <View key={request.id} style={styles.requestCard}>
+                <View style={styles.studentInfo}>
+                  <Text style={styles.studentName} numberOfLines={1}>
+                    {request.full_name || 'Unknown Student'}
+                  </Text>
+                  <View style={styles.studentMetaRow}>
+                    <View style={styles.metaItem}>
+                      <Ionicons name="call-outline" size={12} color="#6b7280" />
+                      <Text style={styles.metaText} numberOfLines={1}>
+                        {request.phone_number || 'N/A'}
+                      </Text>
+                    </View>
+                    <View style={styles.metaItem}>
+                      <Ionicons name="time-outline" size={12} color="#6b7280" />
+                      <Text style={styles.metaText}>{formatDate(request.requested_at)}</Text>
+                    </View>
+                  </View>
+                </View>
+                {reviewingRequestId === request.id ? (
+                  <ActivityIndicator size="small" color="#2563eb" />
+                ) : (
+                  <View style={styles.requestActions}>
+                    <TouchableOpacity
+                      style={styles.rejectButton}
+                      onPress={() => handleReviewRequest(request.id, 'reject')}
+                    >
+                      <Ionicons name="close" size={20} color="#dc2626" />
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                      style={styles.approveButton}
+                      onPress={() => handleReviewRequest(request.id, 'approve')}
+                    >
+                      <Ionicons name="checkmark" size={20} color="#ffffff" />
+                    </TouchableOpacity>
+                  </View>
+                )}
+              </View>
+            ))}
+          </View>
+        )}
+
+        {/* Submission Roster Picker */}
+        {assignments.length > 0 && (
+          <View style={styles.rosterSection}>
+            <Text style={styles.rosterTitle}>Assignment Submissions</Text>
+            <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.rosterChips}>
+              <TouchableOpacity
+                style={[styles.rosterChip, !selectedAssignmentId && styles.rosterChipActive]}
+                onPress={() => selectAssignment(null)}
+              >
+                <Text style={[styles.rosterChipText, !selectedAssignmentId && styles.rosterChipTextActive]}>
+                  All Students
+                </Text>
+              </TouchableOpacity>
+              {assignments.map((assignment) => {
+                const assignmentId = assignment.id || assignment._id;
+                const active = selectedAssignmentId === assignmentId;
+                return (
+                  <TouchableOpacity
+                    key={assignmentId}
+                    style={[styles.rosterChip, active && styles.rosterChipActive]}
+                    onPress={() => selectAssignment(assignmentId)}
+                  >
+                    <Text style={[styles.rosterChipText, active && styles.rosterChipTextActive]} numberOfLines={1}>
+                      {assignment.assignment_name || assignment.name}
+                    </Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </ScrollView>
+            {loadingRoster && <ActivityIndicator size="small" color="#2563eb" style={styles.rosterLoading} />}
+            {roster && !loadingRoster && (
+              <View style={styles.rosterSummary}>
+                <View style={styles.rosterSummaryItem}>
+                  <Ionicons name="checkmark-circle" size={16} color="#10b981" />
+                  <Text style={styles.rosterSummaryText}>{roster.submitted_count} submitted</Text>
+                </View>
+                <View style={styles.rosterSummaryItem}>
+                  <Ionicons name="time-outline" size={16} color="#f97316" />
+                  <Text style={styles.rosterSummaryText}>{roster.not_submitted_count} not submitted</Text>
+                </View>
+              </View>
+            )}
+          </View>
+        )}
+
         {/* Student Count */}
         <View style={styles.countContainer}>
           <View style={styles.countCard}>
@@ -285,7 +525,7 @@ const CourseStudentsScreen = ({ navigation, route }) => {
           </View>
         ) : (
           <View style={styles.studentsList}>
-            {filteredStudents.map((student, index) => {
+            {displayedStudents.map((student, index) => {
               // Generate a color based on index for variety
               const colors = [
                 { border: '#3b82f6', bg: '#eff6ff', avatar: '#dbeafe', avatarBorder: '#3b82f6' }, // Blue
@@ -322,13 +562,39 @@ const CourseStudentsScreen = ({ navigation, route }) => {
                       </Text>
                     </View>
                   </View>
+                  {roster && submissionsByStudent[student.id] && (
+                    submissionsByStudent[student.id].note || submissionsByStudent[student.id].file_reference
+                  ) && (
+                    <Text style={styles.submissionNote} numberOfLines={2}>
+                      {[submissionsByStudent[student.id].note, submissionsByStudent[student.id].file_reference]
+                        .filter(Boolean)
+                        .join(' · ')}
+                    </Text>
+                  )}
                 </View>
-                <View style={styles.enrollmentDate}>
-                  <Ionicons name="calendar-outline" size={14} color="#6b7280" />
-                  <Text style={styles.enrollmentDateText}>
-                    {formatDate(student.enrolled_at)}
-                  </Text>
-                </View>
+                {roster ? (
+                  submissionsByStudent[student.id] ? (
+                    <View style={[styles.submissionBadge, styles.submittedBadge]}>
+                      <Text style={[styles.submissionBadgeText, styles.submittedBadgeText]}>
+                        {submissionsByStudent[student.id].late ? 'Late' : 'Submitted'}
+                      </Text>
+                      <Text style={styles.submissionDateText}>
+                        {formatDate(submissionsByStudent[student.id].submitted_at)}
+                      </Text>
+                    </View>
+                  ) : (
+                    <View style={[styles.submissionBadge, styles.notSubmittedBadge]}>
+                      <Text style={[styles.submissionBadgeText, styles.notSubmittedBadgeText]}>Not submitted</Text>
+                    </View>
+                  )
+                ) : (
+                  <View style={styles.enrollmentDate}>
+                    <Ionicons name="calendar-outline" size={14} color="#6b7280" />
+                    <Text style={styles.enrollmentDateText}>
+                      {formatDate(student.enrolled_at)}
+                    </Text>
+                  </View>
+                )}
               
               </View>
             );
@@ -602,6 +868,55 @@ const styles = StyleSheet.create({
     borderWidth: 1,
     borderColor: '#fecaca',
   },
+  requestsSection: {
+    marginBottom: 20,
+    padding: 14,
+    borderRadius: 12,
+    backgroundColor: '#fffbeb',
+    borderWidth: 1,
+    borderColor: '#fde68a',
+    gap: 10,
+  },
+  requestsTitle: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#92400e',
+  },
+  requestsDescription: {
+    fontSize: 12,
+    color: '#b45309',
+  },
+  requestCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#ffffff',
+    borderRadius: 10,
+    padding: 12,
+    borderWidth: 1,
+    borderColor: '#fde68a',
+  },
+  requestActions: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  approveButton: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    backgroundColor: '#16a34a',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  rejectButton: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    backgroundColor: '#fef2f2',
+    borderWidth: 1,
+    borderColor: '#fecaca',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
   searchSection: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -636,6 +951,84 @@ const styles = StyleSheet.create({
     justifyContent: 'center',
     alignItems: 'center',
   },
+  rosterSection: {
+    marginBottom: 20,
+  },
+  rosterTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#111827',
+    marginBottom: 10,
+  },
+  rosterChips: {
+    gap: 8,
+  },
+  rosterChip: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 16,
+    backgroundColor: '#f3f4f6',
+    maxWidth: 200,
+  },
+  rosterChipActive: {
+    backgroundColor: '#2563eb',
+  },
+  rosterChipText: {
+    fontSize: 13,
+    fontWeight: '500',
+    color: '#4b5563',
+  },
+  rosterChipTextActive: {
+    color: '#ffffff',
+  },
+  rosterLoading: {
+    marginTop: 12,
+  },
+  rosterSummary: {
+    flexDirection: 'row',
+    gap: 16,
+    marginTop: 12,
+  },
+  rosterSummaryItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+  },
+  rosterSummaryText: {
+    fontSize: 13,
+    color: '#4b5563',
+  },
+  submissionNote: {
+    fontSize: 12,
+    color: '#6b7280',
+    marginTop: 4,
+  },
+  submissionBadge: {
+    alignItems: 'flex-end',
+    borderRadius: 6,
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+  },
+  submittedBadge: {
+    backgroundColor: '#d1fae5',
+  },
+  notSubmittedBadge: {
+    backgroundColor: '#ffedd5',
+  },
+  submissionBadgeText: {
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  submittedBadgeText: {
+    color: '#047857',
+  },
+  notSubmittedBadgeText: {
+    color: '#c2410c',
+  },
+  submissionDateText: {
+    fontSize: 11,
+    color: '#6b7280',
+  },
   modalOverlay: {
     flex: 1,
     backgroundColor: 'rgba(0, 0, 0, 0.5)',
@@ -23,6 +23,7 @@ const CoursesScreen = ({ navigation }) => {
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [deletingCourseId, setDeletingCourseId] = useState(null);
+  const [rollingOverCourseId, setRollingOverCourseId] = useState(null);
   const [expandedCourseId, setExpandedCourseId] = useState(null);
   const [selectedFilter, setSelectedFilter] = useState('courses'); // 'courses', 'quizzes', 'tutorials', 'assignments'
   const [quizzes, setQuizzes] = useState([]);
@@ -190,6 +191,65 @@ const CoursesScreen = ({ navigation }) => {
     }
   };
 
+  const handleRolloverCourse = (course) => {
+    const courseName = course.course_name || course.courseName;
+    const courseId = course.id || course._id;
+
+    Alert.alert(
+      'Roll Over Course',
+      `Copy "${courseName}" into the next term? It will get a new join code and the same allowed phone numbers. You can keep the current students or start with an empty class.`,
+      [
+        {
+          text: 'Cancel',
+          style: 'cancel',
+        },
+        {
+          text: 'Start Empty',
+          onPress: () => confirmRolloverCourse(courseId, false),
+        },
+        {
+          text: 'Keep Students',
+          onPress: () => confirmRolloverCourse(courseId, true),
+        },
+      ]
+    );
+  };
+
+  const confirmRolloverCourse = async (courseId, keepStudents) => {
+    try {
+      setRollingOverCourseId(courseId);
+      const token = await AsyncStorage.getItem('@auth_token');
+      if (!token) {
+        Alert.alert('Error', 'Authentication required');
+        return;
+      }
+
+      const response = await fetch(getApiUrl(`courses/${courseId}/rollover`), {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`,
+        },
+        body: JSON.stringify({ keepStudents }),
+      });
+
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        const newCode = data.data?.course?.unique_code;
+        Alert.alert('Success', `${data.message}. New course code: ${newCode}`);
+        loadCourses();
+      } else {
+        Alert.alert('Error', data.message || 'Failed to roll over course');
+      }
+    } catch (error) {
+      console.error('Error rolling over course:', error);
+      Alert.alert('Error', 'Failed to roll over course. Please try again.');
+    } finally {
+      setRollingOverCourseId(null);
+    }
+  };
+
   const formatDays = (days) => {
     if (!days || !Array.isArray(days)) return 'N/A';
     return days.join(', ');
@@ -349,6 +409,10 @@ const CoursesScreen = ({ navigation }) => {
     const announcementTranslateY = useRef(new Animated.Value(-10)).current;
     const announcementScale = useRef(new Animated.Value(0.9)).current;
 
+    const classChangeFade = useRef(new Animated.Value(0)).current;
+    const classChangeTranslateY = useRef(new Animated.Value(-10)).current;
+    const classChangeScale = useRef(new Animated.Value(0.9)).current;
+
     useEffect(() => {
       if (isExpanded) {
         // Reset all animations
@@ -364,6 +428,9 @@ const CoursesScreen = ({ navigation }) => {
         announcementFade.setValue(0);
         announcementTranslateY.setValue(-10);
         announcementScale.setValue(0.9);
+        classChangeFade.setValue(0);
+        classChangeTranslateY.setValue(-10);
+        classChangeScale.setValue(0.9);
 
         // Animate Quiz first (no delay)
         Animated.parallel([
@@ -450,9 +517,46 @@ const CoursesScreen = ({ navigation }) => {
             }),
           ]).start();
         }, 300);
+
+        // Animate Class Changes fifth (400ms delay)
+        setTimeout(() => {
+          Animated.parallel([
+            Animated.timing(classChangeFade, {
+              toValue: 1,
+              duration: 300,
+              useNativeDriver: true,
+            }),
+            Animated.timing(classChangeTranslateY, {
+              toValue: 0,
+              duration: 300,
+              useNativeDriver: true,
+            }),
+            Animated.spring(classChangeScale, {
+              toValue: 1,
+              tension: 50,
+              friction: 7,
+              useNativeDriver: true,
+            }),
+          ]).start();
+        }, 400);
       } else {
         // Collapse all at once (reverse order for smooth exit)
         Animated.parallel([
+          Animated.timing(classChangeFade, {
+            toValue: 0,
+            duration: 150,
+            useNativeDriver: true,
+          }),
+          Animated.timing(classChangeTranslateY, {
+            toValue: -10,
+            duration: 150,
+            useNativeDriver: true,
+          }),
+          Animated.timing(classChangeScale, {
+            toValue: 0.9,
+            duration: 150,
+            useNativeDriver: true,
+          }),
           Animated.timing(announcementFade, {
             toValue: 0,
             duration: 150,
@@ -660,6 +764,35 @@ const CoursesScreen = ({ navigation }) => {
             </Text>
           </Animated.View>
         </TouchableOpacity>
+        <TouchableOpacity
+          activeOpacity={0.7}
+          onPress={() => {
+            if (isExpanded) {
+              navigation.navigate('ClassChanges', { course });
+            }
+          }}
+          disabled={!isExpanded}
+        >
+          <Animated.View
+            style={[
+              styles.activityBadge,
+              styles.classChangeBadge,
+              {
+                opacity: classChangeFade,
+                transform: [
+                  { translateY: classChangeTranslateY },
+                  { scale: classChangeScale },
+                ],
+              },
+            ]}
+            pointerEvents={isExpanded ? 'auto' : 'none'}
+          >
+            <Ionicons name="calendar-outline" size={14} color="#dc2626" />
+            <Text style={[styles.activityBadgeText, { color: '#dc2626' }]}>
+              Class Changes
+            </Text>
+          </Animated.View>
+        </TouchableOpacity>
       </View>
     );
   };
@@ -810,6 +943,11 @@ const CoursesScreen = ({ navigation }) => {
                       <Text style={styles.activityCourseText}>
                         {quiz.course_code || quiz.courseCode} - {quiz.course_name || quiz.courseName}
                       </Text>
+                      {quiz.cancelled && (
+                        <View style={styles.cancelledBadge}>
+                          <Text style={styles.cancelledBadgeText}>Cancelled</Text>
+                        </View>
+                      )}
                     </View>
                     <TouchableOpacity
                       style={styles.activityEditButton}
@@ -865,6 +1003,17 @@ const CoursesScreen = ({ navigation }) => {
                     >
                       <Ionicons name="create-outline" size={18} color="#2563eb" />
                     </TouchableOpacity>
+                    <TouchableOpacity
+                      style={[styles.actionButtonEdit, isRollingOver && styles.deleteButtonDisabled]}
+                      onPress={() => handleRolloverCourse(course)}
+                      disabled={isRollingOver}
+                    >
+                      {isRollingOver ? (
+                        <ActivityIndicator size="small" color="#2563eb" />
+                      ) : (
+                        <Ionicons name="repeat-outline" size={18} color="#2563eb" />
+                      )}
+                    </TouchableOpacity>
                   </View>
                   <View style={styles.activityDetails}>
                     <View style={styles.detailRow}>
@@ -901,6 +1050,11 @@ const CoursesScreen = ({ navigation }) => {
                       <Text style={styles.activityCourseText}>
                         {tutorial.course_code || tutorial.courseCode} - {tutorial.course_name || tutorial.courseName}
                       </Text>
+                      {tutorial.cancelled && (
+                        <View style={styles.cancelledBadge}>
+                          <Text style={styles.cancelledBadgeText}>Cancelled</Text>
+                        </View>
+                      )}
                     </View>
                     <TouchableOpacity
                       style={styles.activityEditButton}
@@ -977,6 +1131,11 @@ const CoursesScreen = ({ navigation }) => {
                       <Text style={styles.activityCourseText}>
                         {assignment.course_code || assignment.courseCode} - {assignment.course_name || assignment.courseName}
                       </Text>
+                      {assignment.cancelled && (
+                        <View style={styles.cancelledBadge}>
+                          <Text style={styles.cancelledBadgeText}>Cancelled</Text>
+                        </View>
+                      )}
                     </View>
                     <TouchableOpacity
                       style={styles.activityEditButton}
@@ -1066,10 +1225,12 @@ const CoursesScreen = ({ navigation }) => {
                 courseRepName: course.course_rep_name || course.courseRepName,
                 uniqueCode: course.unique_code || course.uniqueCode,
                 dayTimes: course.day_times || course.dayTimes,
+                termId: course.term_id || course.termId,
               };
               
               const courseId = course.id || course._id;
               const isDeleting = deletingCourseId === courseId;
+              const isRollingOver = rollingOverCourseId === courseId;
 
               const creditHours = course.credit_hours || course.creditHours || '0';
               const studentRange = course.index_from && course.index_to 
@@ -1327,6 +1488,19 @@ const styles = StyleSheet.create({
   activityTitleSection: {
     flex: 1,
   },
+  cancelledBadge: {
+    alignSelf: 'flex-start',
+    backgroundColor: '#fee2e2',
+    borderRadius: 6,
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    marginTop: 6,
+  },
+  cancelledBadgeText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#dc2626',
+  },
   activityNameText: {
     fontSize: 16,
     fontWeight: '700',
@@ -1460,6 +1634,11 @@ const styles = StyleSheet.create({
     borderColor: '#8b5cf6',
     minWidth: 120,
   },
+  classChangeBadge: {
+    backgroundColor: '#fee2e2',
+    borderColor: '#dc2626',
+    minWidth: 120,
+  },
   courseDetails: {
     marginBottom: 12,
     gap: 6,
@@ -10,12 +10,15 @@ import {
   Alert,
   Platform,
   ActivityIndicator,
+  Switch,
 } from 'react-native';
 import { StatusBar } from 'expo-status-bar';
 import { Ionicons } from '@expo/vector-icons';
 import DateTimePicker from '@react-native-community/datetimepicker';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import Button from '../components/Button';
+import AttachmentList from '../components/AttachmentList';
+import { pickAndUploadAttachment, deleteAttachment } from '../services/attachmentService';
 import { getApiUrl } from '../config/api';
 
 const CreateQuizScreen = ({ navigation, route }) => {
@@ -23,9 +26,14 @@ const CreateQuizScreen = ({ navigation, route }) => {
   const quiz = route.params?.quiz; // For edit mode
   const editMode = route.params?.editMode || false;
   const [loading, setLoading] = useState(false);
+  const [actionLoading, setActionLoading] = useState(false);
+  const isCancelled = editMode && !!quiz?.cancelled;
   const [quizName, setQuizName] = useState('');
   const [topic, setTopic] = useState('');
   const [venue, setVenue] = useState('');
+  const [urgent, setUrgent] = useState(false);
+  const [attachments, setAttachments] = useState([]);
+  const [uploadingAttachment, setUploadingAttachment] = useState(false);
 
   // Validate course exists
   useEffect(() => {
@@ -45,6 +53,8 @@ const CreateQuizScreen = ({ navigation, route }) => {
       setQuizName(quiz.quiz_name || quiz.quizName || '');
       setTopic(quiz.topic || '');
       setVenue(quiz.venue || '');
+      setUrgent(!!quiz.urgent);
+      setAttachments(quiz.attachments || []);
       
       // Parse date (format: DD/MM/YYYY)
       if (quiz.date) {
@@ -179,6 +189,8 @@ const CreateQuizScreen = ({ navigation, route }) => {
         time: formatTime(selectedTime),
         venue: venue.trim(),
         topic: topic.trim() || null,
+        urgent,
+        attachmentIds: attachments.map((attachment) => attachment.id),
         courseId: courseId,
         courseCode: course?.course_code || course?.courseCode,
         courseName: course?.course_name || course?.courseName,
@@ -219,6 +231,126 @@ const CreateQuizScreen = ({ navigation, route }) => {
     }
   };
 
+  const handleAddAttachment = async () => {
+    const courseId = course?.id || course?._id;
+    if (!courseId) return;
+
+    setUploadingAttachment(true);
+    try {
+      const attachment = await pickAndUploadAttachment(courseId);
+      if (attachment) {
+        setAttachments((prev) => [...prev, attachment]);
+      }
+    } catch (error) {
+      console.error('Error uploading attachment:', error);
+      Alert.alert('Upload Failed', error.message || 'Failed to upload file. Please try again.');
+    } finally {
+      setUploadingAttachment(false);
+    }
+  };
+
+  const handleRemoveAttachment = (attachment) => {
+    Alert.alert(
+      'Remove Attachment',
+      `Remove "${attachment.file_name}"? Students will no longer be able to open it.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await deleteAttachment(attachment.id);
+              setAttachments((prev) => prev.filter((a) => a.id !== attachment.id));
+            } catch (error) {
+              console.error('Error removing attachment:', error);
+              Alert.alert('Error', error.message || 'Failed to remove file. Please try again.');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  // Cancel or delete the quiz being edited, then go back to the list
+  const performQuizAction = async (path, method, successMessage, body) => {
+    setActionLoading(true);
+
+    try {
+      const token = await AsyncStorage.getItem('@auth_token');
+      if (!token) {
+        Alert.alert('Error', 'Not authenticated. Please log in again.');
+        navigation.navigate('Login');
+        return;
+      }
+
+      const response = await fetch(getApiUrl(path), {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`,
+        },
+        body: body ? JSON.stringify(body) : undefined,
+      });
+
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        Alert.alert('Success', successMessage, [
+          {
+            text: 'OK',
+            onPress: () => navigation.goBack(),
+          },
+        ]);
+      } else {
+        Alert.alert('Error', data.message || 'Something went wrong. Please try again.');
+      }
+    } catch (error) {
+      console.error(`Error (${method} ${path}):`, error);
+      Alert.alert('Error', 'Something went wrong. Please try again.');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleCancelQuiz = () => {
+    const quizId = quiz?.id || quiz?._id;
+    Alert.alert(
+      'Cancel Quiz',
+      'Students will be notified that this quiz is cancelled. It stays on their list marked as cancelled.',
+      [
+        {
+          text: 'Keep',
+          style: 'cancel',
+        },
+        {
+          text: 'Cancel Quiz',
+          style: 'destructive',
+          onPress: () => performQuizAction(`quizzes/${quizId}/cancel`, 'POST', 'Quiz cancelled successfully', {}),
+        },
+      ]
+    );
+  };
+
+  const handleDeleteQuiz = () => {
+    const quizId = quiz?.id || quiz?._id;
+    Alert.alert(
+      'Delete Quiz',
+      'Are you sure you want to delete this quiz? It will be removed for all students and this action cannot be undone.',
+      [
+        {
+          text: 'Cancel',
+          style: 'cancel',
+        },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: () => performQuizAction(`quizzes/${quizId}`, 'DELETE', 'Quiz deleted successfully'),
+        },
+      ]
+    );
+  };
+
   return (
     <SafeAreaView style={styles.container}>
       <StatusBar style="light" />
@@ -262,6 +394,19 @@ const CreateQuizScreen = ({ navigation, route }) => {
           </View>
         )}
 
+        {/* Cancelled Notice */}
+        {isCancelled && (
+          <View style={styles.cancelledNotice}>
+            <Ionicons name="close-circle" size={20} color="#dc2626" />
+            <View style={styles.cancelledNoticeInfo}>
+              <Text style={styles.cancelledNoticeTitle}>This quiz has been cancelled</Text>
+              {!!quiz.cancel_reason && (
+                <Text style={styles.cancelledNoticeText}>{quiz.cancel_reason}</Text>
+              )}
+            </View>
+          </View>
+        )}
+
         {/* Quiz Name */}
         <View style={styles.inputGroup}>
           <Text style={styles.label}>
@@ -357,14 +502,70 @@ const CreateQuizScreen = ({ navigation, route }) => {
           />
         </View>
 
+        {/* Urgent */}
+        <View style={[styles.inputGroup, styles.urgentRow]}>
+          <View style={styles.urgentInfo}>
+            <Text style={styles.label}>Mark as urgent</Text>
+            <Text style={styles.urgentDescription}>
+              Students also get the 1-hour reminder by SMS
+            </Text>
+          </View>
+          <Switch
+            value={urgent}
+            onValueChange={setUrgent}
+            trackColor={{ false: '#d1d5db', true: '#ef4444' }}
+            thumbColor="#ffffff"
+          />
+        </View>
+
+        {/* Attachments */}
+        {!isCancelled && (
+          <View style={styles.inputGroup}>
+            <Text style={styles.label}>Attachments (Optional)</Text>
+            <AttachmentList
+              attachments={attachments}
+              onAdd={handleAddAttachment}
+              onRemove={handleRemoveAttachment}
+              uploading={uploadingAttachment}
+            />
+          </View>
+        )}
+
         {/* Submit Button */}
-        <Button
-          title={loading ? (editMode ? 'Updating...' : 'Creating...') : (editMode ? 'Update Quiz' : 'Create Quiz')}
-          onPress={handleCreateQuiz}
-          variant="primary"
-          style={styles.submitButton}
-          disabled={loading}
-        />
+        {!isCancelled && (
+          <Button
+            title={loading ? (editMode ? 'Updating...' : 'Creating...') : (editMode ? 'Update Quiz' : 'Create Quiz')}
+            onPress={handleCreateQuiz}
+            variant="primary"
+            style={styles.submitButton}
+            disabled={loading || uploadingAttachment}
+          />
+        )}
+
+        {/* Cancel / Delete (edit mode only) */}
+        {editMode && quiz && (
+          <View style={styles.itemActions}>
+            {!isCancelled && (
+              <TouchableOpacity
+                style={[styles.itemActionButton, styles.cancelItemButton]}
+                onPress={handleCancelQuiz}
+                disabled={loading || actionLoading}
+              >
+                <Ionicons name="close-circle-outline" size={20} color="#d97706" />
+                <Text style={[styles.itemActionText, styles.cancelItemText]}>Cancel Quiz</Text>
+              </TouchableOpacity>
+            )}
+            <TouchableOpacity
+              style={[styles.itemActionButton, styles.deleteItemButton]}
+              onPress={handleDeleteQuiz}
+              disabled={loading || actionLoading}
+            >
+              <Ionicons name="trash-outline" size={20} color="#dc2626" />
+              <Text style={[styles.itemActionText, styles.deleteItemText]}>Delete Quiz</Text>
+            </TouchableOpacity>
+            {actionLoading && <ActivityIndicator size="small" color="#2563eb" />}
+          </View>
+        )}
       </ScrollView>
     </SafeAreaView>
   );
@@ -483,9 +684,77 @@ const styles = StyleSheet.create({
   placeholderText: {
     color: '#9ca3af',
   },
+  urgentRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  urgentInfo: {
+    flex: 1,
+    marginRight: 12,
+  },
+  urgentDescription: {
+    fontSize: 12,
+    color: '#6b7280',
+  },
   submitButton: {
     marginTop: 10,
   },
+  cancelledNotice: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fef2f2',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 24,
+    borderWidth: 1,
+    borderColor: '#fecaca',
+    gap: 12,
+  },
+  cancelledNoticeInfo: {
+    flex: 1,
+  },
+  cancelledNoticeTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#dc2626',
+  },
+  cancelledNoticeText: {
+    fontSize: 13,
+    color: '#7f1d1d',
+    marginTop: 4,
+  },
+  itemActions: {
+    marginTop: 16,
+    gap: 12,
+  },
+  itemActionButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    borderRadius: 8,
+    borderWidth: 1,
+    paddingVertical: 12,
+    gap: 8,
+  },
+  cancelItemButton: {
+    backgroundColor: '#fffbeb',
+    borderColor: '#fcd34d',
+  },
+  deleteItemButton: {
+    backgroundColor: '#fef2f2',
+    borderColor: '#fecaca',
+  },
+  itemActionText: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  cancelItemText: {
+    color: '#d97706',
+  },
+  deleteItemText: {
+    color: '#dc2626',
+  },
 });
 
 export default CreateQuizScreen;
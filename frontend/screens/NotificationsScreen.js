@@ -15,6 +15,7 @@ import { StatusBar } from 'expo-status-bar';
 import { Ionicons } from '@expo/vector-icons';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { getApiUrl } from '../config/api';
+import AttachmentList from '../components/AttachmentList';
 
 const NotificationsScreen = ({ navigation }) => {
   const [notifications, setNotifications] = useState([]);
@@ -276,6 +277,11 @@ const NotificationsScreen = ({ navigation }) => {
                         <Text style={styles.courseBadgeText}>{notification.course_name}</Text>
                       </View>
                     )}
+                    {notification.attachments?.length > 0 && (
+                      <View style={styles.notificationAttachments}>
+                        <AttachmentList attachments={notification.attachments} />
+                      </View>
+                    )}
                   </View>
                 </TouchableOpacity>
                 <TouchableOpacity
@@ -618,6 +624,9 @@ const styles = StyleSheet.create({
     borderRadius: 6,
     gap: 4,
   },
+  notificationAttachments: {
+    marginTop: 8,
+  },
   courseBadgeText: {
     fontSize: 11,
     fontWeight: '600',
@@ -17,6 +17,7 @@ import { StatusBar } from 'expo-status-bar';
 import { WebView } from 'react-native-webview';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { Ionicons } from '@expo/vector-icons';
+import DateTimePicker from '@react-native-community/datetimepicker';
 import Button from '../components/Button';
 import { getApiUrl, PAYSTACK_PUBLIC_KEY } from '../config/api';
 import { initializeNotifications, removePushToken } from '../services/notificationService';
@@ -30,10 +31,103 @@ require('../assets/sounds/r1.wav');
 require('../assets/sounds/r2.wav');
 require('../assets/sounds/r3.wav');
 
+// Optional second reminder well ahead of class, on top of the minutes-before reminder
+const EARLY_REMINDER_OPTIONS = [
+  { label: 'None', value: null },
+  { label: '1 hour', value: 60 },
+  { label: '3 hours', value: 180 },
+  { label: '1 day', value: 1440 },
+];
+
+/**
+ * Pick the early reminder out of a user's reminder offsets (largest first)
+ */
+const getEarlyReminder = (offsets) => {
+  if (!Array.isArray(offsets) || offsets.length < 2) return null;
+  return Math.max(...offsets);
+};
+
+// Deadline reminders (24 hours and 1 hour before) can be turned off per item type
+const DEADLINE_REMINDER_TYPES = [
+  { key: 'assignment', label: 'Assignment deadlines', icon: 'document-text-outline' },
+  { key: 'quiz', label: 'Quiz reminders', icon: 'help-circle-outline' },
+  { key: 'tutorial', label: 'Tutorial reminders', icon: 'school-outline' },
+];
+
+const DEFAULT_DEADLINE_REMINDERS = { assignment: true, quiz: true, tutorial: true };
+
+// Channels each kind of course notification can come through (in-app always stays on).
+// Mirrors NOTIFICATION_CATEGORIES on the backend.
+const NOTIFICATION_CHANNEL_CATEGORIES = [
+  { key: 'announcements', label: 'Announcements', icon: 'megaphone-outline', channels: ['push', 'sms'] },
+  { key: 'class_changes', label: 'Class changes', icon: 'calendar-outline', channels: ['push', 'sms'] },
+  { key: 'course_items', label: 'Assignments, quizzes and tutorials', icon: 'document-text-outline', channels: ['push', 'sms'] },
+  { key: 'enrollment', label: 'Enrollment', icon: 'people-outline', channels: ['push'] },
+  { key: 'reminders', label: 'Class and deadline reminders', icon: 'alarm-outline', channels: ['push', 'sms'] },
+];
+
+const CHANNEL_LABELS = { push: 'Push', sms: 'SMS' };
+
+const DEFAULT_NOTIFICATION_CHANNELS = Object.fromEntries(
+  NOTIFICATION_CHANNEL_CATEGORIES.map(category => [
+    category.key,
+    Object.fromEntries(category.channels.map(channel => [channel, true])),
+  ])
+);
+
+/**
+ * Merge saved channel preferences over the defaults
+ */
+const mergeNotificationChannels = (saved) => Object.fromEntries(
+  Object.entries(DEFAULT_NOTIFICATION_CHANNELS).map(([key, channels]) => [
+    key,
+    { ...channels, ...saved?.[key] },
+  ])
+);
+
+// Non-urgent pushes wait until quiet hours end and arrive as one summary
+const DEFAULT_QUIET_HOURS = { enabled: false, start: '22:00', end: '07:00', timezone: null };
+
+/**
+ * Device timezone, so quiet hours follow the student's clock
+ */
+const getDeviceTimezone = () => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Format a 24-hour "HH:mm" time for display, e.g. "22:00" -> "10:00 PM"
+ */
+const formatQuietHoursTime = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const ampm = hours >= 12 ? 'PM' : 'AM';
+  return `${hours % 12 || 12}:${String(minutes).padStart(2, '0')} ${ampm}`;
+};
+
+/**
+ * Convert a "HH:mm" time to a Date today, for the time picker
+ */
+const quietHoursTimeToDate = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const date = new Date();
+  date.setHours(hours, minutes, 0, 0);
+  return date;
+};
+
 const SettingsContent = ({ navigation }) => {
   const webViewRef = useRef(null);
   const [notificationsEnabled, setNotificationsEnabled] = useState(true);
   const [reminderMinutes, setReminderMinutes] = useState('15');
+  const [earlyReminderMinutes, setEarlyReminderMinutes] = useState(null);
+  const [deadlineReminders, setDeadlineReminders] = useState(DEFAULT_DEADLINE_REMINDERS);
+  const [notificationChannels, setNotificationChannels] = useState(DEFAULT_NOTIFICATION_CHANNELS);
+  const [quietHours, setQuietHours] = useState(DEFAULT_QUIET_HOURS);
+  // Which quiet hours time is being picked: 'start', 'end' or null
+  const [quietHoursPicker, setQuietHoursPicker] = useState(null);
   const [notificationSound, setNotificationSound] = useState('default');
   const [userName, setUserName] = useState('');
   const [userEmail, setUserEmail] = useState('');
@@ -52,6 +146,10 @@ const SettingsContent = ({ navigation }) => {
   const [paymentEmail, setPaymentEmail] = useState('');
   const FIXED_PAYMENT_AMOUNT = 25; // Fixed payment amount in GHS
 
+  // SMS credit states (course reps)
+  const [smsCredits, setSmsCredits] = useState(null);
+  const [smsCreditBundles, setSmsCreditBundles] = useState([]);
+
   // Feedback states
   const [showFeedbackModal, setShowFeedbackModal] = useState(false);
   const [feedbackMessage, setFeedbackMessage] = useState('');
@@ -72,6 +170,13 @@ const SettingsContent = ({ navigation }) => {
     return unsubscribe;
   }, [navigation]);
 
+  // Load the SMS credit balance once we know the user is a course rep
+  useEffect(() => {
+    if (isAuthenticated && userRole === 'course_rep') {
+      loadSmsCredits();
+    }
+  }, [isAuthenticated, userRole]);
+
   const loadAuthStatus = async () => {
     try {
       const token = await AsyncStorage.getItem('@auth_token');
@@ -123,6 +228,8 @@ const SettingsContent = ({ navigation }) => {
         if (userData.reminder_minutes !== undefined) {
           setReminderMinutes(String(userData.reminder_minutes));
         }
+        setEarlyReminderMinutes(getEarlyReminder(userData.reminder_offsets));
+        setDeadlineReminders({ ...DEFAULT_DEADLINE_REMINDERS, ...userData.deadline_reminders });
         if (userData.notification_sound !== undefined) {
           setNotificationSound(userData.notification_sound);
         } else {
@@ -153,6 +260,10 @@ const SettingsContent = ({ navigation }) => {
         const user = data.data.user;
         setNotificationsEnabled(user.notifications_enabled ?? true);
         setReminderMinutes(String(user.reminder_minutes ?? 15));
+        setEarlyReminderMinutes(getEarlyReminder(user.reminder_offsets));
+        setDeadlineReminders({ ...DEFAULT_DEADLINE_REMINDERS, ...user.deadline_reminders });
+        setNotificationChannels(mergeNotificationChannels(user.notification_channels));
+        setQuietHours({ ...DEFAULT_QUIET_HOURS, ...user.quiet_hours });
         setPaymentStatus(user.payment_status ?? false);
         // Load notification sound from user data or fallback to AsyncStorage
         if (user.notification_sound !== undefined) {
@@ -175,7 +286,7 @@ const SettingsContent = ({ navigation }) => {
   };
 
   // Helper function to save notification preferences (used for auto-save)
-  const saveNotificationPreference = async (enabled, minutes, sound) => {
+  const saveNotificationPreference = async (enabled, minutes, sound, earlyMinutes = earlyReminderMinutes) => {
     if (!isAuthenticated) return;
 
     try {
@@ -187,6 +298,11 @@ const SettingsContent = ({ navigation }) => {
         return; // Invalid value, don't save
       }
 
+      // All reminders before each class, largest first
+      const reminderOffsets = [...new Set([earlyMinutes, reminderMinutesNum])]
+        .filter((offset) => offset > 0)
+        .sort((a, b) => b - a);
+
       const response = await fetch(getApiUrl('auth/profile'), {
         method: 'PUT',
         headers: {
@@ -196,6 +312,7 @@ const SettingsContent = ({ navigation }) => {
         body: JSON.stringify({
           notificationsEnabled: enabled,
           reminderMinutes: reminderMinutesNum,
+          reminderOffsets,
           notificationSound: notificationSound,
         }),
       });
@@ -209,6 +326,7 @@ const SettingsContent = ({ navigation }) => {
           const userData = JSON.parse(userDataString);
           userData.notifications_enabled = enabled;
           userData.reminder_minutes = reminderMinutesNum;
+          userData.reminder_offsets = reminderOffsets;
           userData.notification_sound = notificationSound;
           await AsyncStorage.setItem('@user_data', JSON.stringify(userData));
         }
@@ -224,7 +342,7 @@ const SettingsContent = ({ navigation }) => {
 
           await initializeNotifications();
           // Rebuild local reminder notifications with new preference (will use new sound)
-          await syncAndScheduleReminders(reminderMinutesNum);
+          await syncAndScheduleReminders(reminderOffsets);
         } else {
           await removePushToken();
           // Cancel all local reminders if notifications are disabled
@@ -237,6 +355,141 @@ const SettingsContent = ({ navigation }) => {
     }
   };
 
+  // Turn deadline reminders for one item type on or off (auto-saved)
+  const saveDeadlineReminder = async (type, enabled) => {
+    if (!isAuthenticated) return;
+
+    const previous = deadlineReminders;
+    setDeadlineReminders({ ...previous, [type]: enabled });
+
+    try {
+      const token = await AsyncStorage.getItem('@auth_token');
+      if (!token) return;
+
+      const response = await fetch(getApiUrl('auth/profile'), {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`,
+        },
+        body: JSON.stringify({
+          deadlineReminders: { [type]: enabled },
+        }),
+      });
+
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        const userDataString = await AsyncStorage.getItem('@user_data');
+        if (userDataString) {
+          const userData = JSON.parse(userDataString);
+          userData.deadline_reminders = data.data.user.deadline_reminders;
+          await AsyncStorage.setItem('@user_data', JSON.stringify(userData));
+        }
+      } else {
+        setDeadlineReminders(previous);
+      }
+    } catch (error) {
+      console.error('Error saving deadline reminder preference:', error);
+      setDeadlineReminders(previous);
+    }
+  };
+
+  // Turn one channel on or off for a kind of notification (auto-saved)
+  const saveNotificationChannel = async (category, channel, enabled) => {
+    if (!isAuthenticated) return;
+
+    const previous = notificationChannels;
+    setNotificationChannels({
+      ...previous,
+      [category]: { ...previous[category], [channel]: enabled },
+    });
+
+    try {
+      const token = await AsyncStorage.getItem('@auth_token');
+      if (!token) return;
+
+      const response = await fetch(getApiUrl('auth/profile'), {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`,
+        },
+        body: JSON.stringify({
+          notificationChannels: { [category]: { [channel]: enabled } },
+        }),
+      });
+
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        const userDataString = await AsyncStorage.getItem('@user_data');
+        if (userDataString) {
+          const userData = JSON.parse(userDataString);
+          userData.notification_channels = data.data.user.notification_channels;
+          await AsyncStorage.setItem('@user_data', JSON.stringify(userData));
+        }
+      } else {
+        setNotificationChannels(previous);
+      }
+    } catch (error) {
+      console.error('Error saving notification channel preference:', error);
+      setNotificationChannels(previous);
+    }
+  };
+
+  // Change quiet hours (auto-saved, with the device's timezone)
+  const saveQuietHours = async (changes) => {
+    if (!isAuthenticated) return;
+
+    const previous = quietHours;
+    const next = { ...previous, ...changes, timezone: getDeviceTimezone() };
+    setQuietHours(next);
+
+    try {
+      const token = await AsyncStorage.getItem('@auth_token');
+      if (!token) return;
+
+      const response = await fetch(getApiUrl('auth/profile'), {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`,
+        },
+        body: JSON.stringify({ quietHours: next }),
+      });
+
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        const userDataString = await AsyncStorage.getItem('@user_data');
+        if (userDataString) {
+          const userData = JSON.parse(userDataString);
+          userData.quiet_hours = data.data.user.quiet_hours;
+          await AsyncStorage.setItem('@user_data', JSON.stringify(userData));
+        }
+      } else {
+        setQuietHours(previous);
+      }
+    } catch (error) {
+      console.error('Error saving quiet hours:', error);
+      setQuietHours(previous);
+    }
+  };
+
+  const handleQuietHoursTimeChange = (event, date) => {
+    const field = quietHoursPicker;
+    if (Platform.OS === 'android') {
+      setQuietHoursPicker(null);
+    }
+    if (!date || !field || event?.type === 'dismissed') return;
+
+    const time = `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+    if (time !== quietHours[field]) {
+      saveQuietHours({ [field]: time });
+    }
+  };
+
   const handleSaveSettings = async () => {
     if (!isAuthenticated) {
       Alert.alert('Sign Up Required', 'Please sign up to save settings.', [
@@ -407,6 +660,27 @@ const SettingsContent = ({ navigation }) => {
     );
   };
 
+  // Use payment email if provided, otherwise fall back to userEmail from profile.
+  // Returns null (after telling the user why) if there's no valid email.
+  const getPaymentEmail = () => {
+    const emailToUse = paymentEmail.trim() || userEmail;
+
+    // Validate email
+    if (!emailToUse) {
+      Alert.alert('Email Required', 'Please enter your email address to proceed with payment.');
+      return null;
+    }
+
+    // Validate email format
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(emailToUse)) {
+      Alert.alert('Invalid Email', 'Please enter a valid email address.');
+      return null;
+    }
+
+    return emailToUse;
+  };
+
   // Payment initialization handler
   const handleInitializePayment = async () => {
     if (!isAuthenticated) {
@@ -427,19 +701,8 @@ const SettingsContent = ({ navigation }) => {
       return;
     }
 
-    // Use payment email if provided, otherwise fall back to userEmail from profile
-    const emailToUse = paymentEmail.trim() || userEmail;
-
-    // Validate email
+    const emailToUse = getPaymentEmail();
     if (!emailToUse) {
-      Alert.alert('Email Required', 'Please enter your email address to proceed with payment.');
-      return;
-    }
-
-    // Validate email format
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(emailToUse)) {
-      Alert.alert('Invalid Email', 'Please enter a valid email address.');
       return;
     }
 
@@ -490,6 +753,80 @@ const SettingsContent = ({ navigation }) => {
     }
   };
 
+  // Load the course rep's SMS credit balance and the bundles on sale
+  const loadSmsCredits = async () => {
+    try {
+      const token = await AsyncStorage.getItem('@auth_token');
+      if (!token) return;
+
+      const response = await fetch(getApiUrl('payments/sms-credits'), {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+        },
+      });
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        setSmsCredits(data.data.balance);
+        setSmsCreditBundles(data.data.bundles || []);
+      }
+    } catch (error) {
+      console.error('Error loading SMS credits:', error);
+    }
+  };
+
+  // Start a Paystack payment for an SMS credit bundle
+  const handleBuySmsCredits = async (bundle) => {
+    const emailToUse = getPaymentEmail();
+    if (!emailToUse) {
+      return;
+    }
+
+    const token = await AsyncStorage.getItem('@auth_token');
+    if (!token) {
+      Alert.alert('Authentication Required', 'Please log in to proceed.');
+      return;
+    }
+
+    try {
+      setIsProcessingPayment(true);
+
+      const response = await fetch(getApiUrl('payments/sms-credits/initialize'), {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          email: emailToUse,
+          bundleId: bundle.id,
+        }),
+      });
+
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        // SECURITY: Use amount and credits from backend response
+        setPaymentData({
+          reference: data.reference,
+          authorizationUrl: data.authorization_url,
+          amount: data.amount,
+          email: emailToUse,
+          purpose: 'sms_credits',
+          credits: data.credits,
+        });
+        setShowPayment(true);
+      } else {
+        Alert.alert('Payment Initialization Failed', data.error || data.message || 'Failed to initialize payment.');
+        setIsProcessingPayment(false);
+      }
+    } catch (error) {
+      console.error('SMS credit payment initialization error:', error);
+      Alert.alert('Error', 'Network error. Please check your connection.');
+      setIsProcessingPayment(false);
+    }
+  };
+
   // Handle WebView navigation to detect payment completion
   const handleWebViewNavigationStateChange = async (navState) => {
     const { url, loading } = navState;
@@ -598,7 +935,23 @@ const SettingsContent = ({ navigation }) => {
         }
       }
 
-      if (verifyResponse.ok && verifyData.success) {
+      if (verifyResponse.ok && verifyData.success && paymentData.purpose === 'sms_credits') {
+        console.log('SMS credit payment verified successfully!');
+
+        if (verifyData.data?.sms_credits !== undefined) {
+          setSmsCredits(verifyData.data.sms_credits);
+        }
+        await loadSmsCredits();
+
+        // Clear payment data
+        setPaymentData(null);
+        setIsProcessingPayment(false);
+
+        Alert.alert(
+          'SMS Credits Added 🎉',
+          `Your payment of GH₵${paymentData.amount} went through and ${paymentData.credits} SMS credits were added to your balance.`
+        );
+      } else if (verifyResponse.ok && verifyData.success) {
         console.log('Payment verified successfully!');
 
         // Update Access status immediately for instant UI feedback
@@ -937,6 +1290,52 @@ const SettingsContent = ({ navigation }) => {
                 />
               </View>
 
+              <View style={[styles.settingItem, styles.earlyReminderItem]}>
+                <View style={styles.settingLeft}>
+                  <Ionicons name="alarm-outline" size={20} color="#6b7280" />
+                  <View style={styles.settingInfo}>
+                    <Text style={styles.settingLabel}>Early reminder</Text>
+                    <Text style={styles.settingDescription}>
+                      An extra reminder well before class, e.g. the day before
+                    </Text>
+                  </View>
+                </View>
+                <View style={styles.earlyReminderOptions}>
+                  {EARLY_REMINDER_OPTIONS.map((option) => {
+                    const isSelected = earlyReminderMinutes === option.value;
+                    return (
+                      <TouchableOpacity
+                        key={option.label}
+                        style={[
+                          styles.earlyReminderOption,
+                          isSelected && styles.earlyReminderOptionSelected,
+                        ]}
+                        onPress={async () => {
+                          if (!isAuthenticated) {
+                            Alert.alert('Sign Up Required', 'Please sign up to change reminder settings.', [
+                              { text: 'Cancel', style: 'cancel' },
+                              { text: 'Sign Up', onPress: () => navigation.navigate('Signup') },
+                            ]);
+                            return;
+                          }
+                          setEarlyReminderMinutes(option.value);
+                          await saveNotificationPreference(notificationsEnabled, reminderMinutes, notificationSound, option.value);
+                        }}
+                      >
+                        <Text
+                          style={[
+                            styles.earlyReminderOptionText,
+                            isSelected && styles.earlyReminderOptionTextSelected,
+                          ]}
+                        >
+                          {option.label}
+                        </Text>
+                      </TouchableOpacity>
+                    );
+                  })}
+                </View>
+              </View>
+
               <TouchableOpacity
                 style={[styles.settingItem, !isAuthenticated && styles.disabledSettingItem]}
                 onPress={() => {
@@ -971,6 +1370,108 @@ const SettingsContent = ({ navigation }) => {
                   <Ionicons name="chevron-forward" size={20} color="#9ca3af" />
                 </View>
               </TouchableOpacity>
+
+              {DEADLINE_REMINDER_TYPES.map((type) => (
+                <View key={type.key} style={styles.settingItem}>
+                  <View style={styles.settingLeft}>
+                    <Ionicons name={type.icon} size={20} color="#6b7280" />
+                    <View style={styles.settingInfo}>
+                      <Text style={styles.settingLabel}>{type.label}</Text>
+                      <Text style={styles.settingDescription}>
+                        Remind me 24 hours and 1 hour before
+                      </Text>
+                    </View>
+                  </View>
+                  <Switch
+                    value={deadlineReminders[type.key] !== false}
+                    onValueChange={(value) => saveDeadlineReminder(type.key, value)}
+                    trackColor={{ false: '#d1d5db', true: '#22c55e' }}
+                    thumbColor="#ffffff"
+                    disabled={!isAuthenticated}
+                  />
+                </View>
+              ))}
+
+              {NOTIFICATION_CHANNEL_CATEGORIES.map((category) => (
+                <View key={category.key} style={styles.settingItem}>
+                  <View style={styles.settingLeft}>
+                    <Ionicons name={category.icon} size={20} color="#6b7280" />
+                    <View style={styles.settingInfo}>
+                      <Text style={styles.settingLabel}>{category.label}</Text>
+                      <Text style={styles.settingDescription}>
+                        Always shown in the app
+                      </Text>
+                    </View>
+                  </View>
+                  <View style={styles.channelSwitches}>
+                    {category.channels.map((channel) => (
+                      <View key={channel} style={styles.channelSwitch}>
+                        <Text style={styles.channelSwitchLabel}>{CHANNEL_LABELS[channel]}</Text>
+                        <Switch
+                          value={notificationChannels[category.key]?.[channel] !== false}
+                          onValueChange={(value) => saveNotificationChannel(category.key, channel, value)}
+                          trackColor={{ false: '#d1d5db', true: '#22c55e' }}
+                          thumbColor="#ffffff"
+                          disabled={!isAuthenticated}
+                        />
+                      </View>
+                    ))}
+                  </View>
+                </View>
+              ))}
+
+              <View style={[styles.settingItem, styles.earlyReminderItem]}>
+                <View style={styles.quietHoursHeader}>
+                  <View style={styles.settingLeft}>
+                    <Ionicons name="moon-outline" size={20} color="#6b7280" />
+                    <View style={styles.settingInfo}>
+                      <Text style={styles.settingLabel}>Quiet hours</Text>
+                      <Text style={styles.settingDescription}>
+                        Hold notifications and send a summary afterwards. Urgent class cancellations still come through.
+                      </Text>
+                    </View>
+                  </View>
+                  <Switch
+                    value={quietHours.enabled}
+                    onValueChange={(value) => saveQuietHours({ enabled: value })}
+                    trackColor={{ false: '#d1d5db', true: '#22c55e' }}
+                    thumbColor="#ffffff"
+                    disabled={!isAuthenticated}
+                  />
+                </View>
+                {quietHours.enabled && (
+                  <View style={styles.earlyReminderOptions}>
+                    {[
+                      { field: 'start', label: 'From' },
+                      { field: 'end', label: 'Until' },
+                    ].map(({ field, label }) => (
+                      <TouchableOpacity
+                        key={field}
+                        style={[styles.earlyReminderOption, quietHoursPicker === field && styles.earlyReminderOptionSelected]}
+                        onPress={() => setQuietHoursPicker(quietHoursPicker === field ? null : field)}
+                        disabled={!isAuthenticated}
+                      >
+                        <Text
+                          style={[
+                            styles.earlyReminderOptionText,
+                            quietHoursPicker === field && styles.earlyReminderOptionTextSelected,
+                          ]}
+                        >
+                          {label} {formatQuietHoursTime(quietHours[field])}
+                        </Text>
+                      </TouchableOpacity>
+                    ))}
+                  </View>
+                )}
+                {quietHours.enabled && quietHoursPicker && (
+                  <DateTimePicker
+                    value={quietHoursTimeToDate(quietHours[quietHoursPicker])}
+                    mode="time"
+                    display={Platform.OS === 'ios' ? 'spinner' : 'default'}
+                    onChange={handleQuietHoursTimeChange}
+                  />
+                )}
+              </View>
             </>
           )}
         </View>
@@ -1026,6 +1527,58 @@ const SettingsContent = ({ navigation }) => {
           </View>
         )}
 
+        {/* SMS Credits Section - Only show for course reps */}
+        {isAuthenticated && userRole === 'course_rep' && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>SMS Credits</Text>
+
+            <View style={styles.settingItem}>
+              <View style={styles.settingLeft}>
+                <Ionicons name="chatbox-ellipses-outline" size={20} color="#6b7280" />
+                <View style={styles.settingInfo}>
+                  <Text style={styles.settingLabel}>
+                    {smsCredits === null ? 'Loading balance...' : `${smsCredits} SMS credits`}
+                  </Text>
+                  <Text style={styles.settingDescription}>
+                    Used once your weekly SMS allowance runs out, one credit per SMS segment. When you have none left, students get push notifications only.
+                  </Text>
+                </View>
+              </View>
+            </View>
+
+            <View style={styles.paymentEmailContainer}>
+              <Text style={styles.paymentEmailLabel}>Email Address</Text>
+              <TextInput
+                style={styles.paymentEmailInput}
+                value={paymentEmail}
+                onChangeText={setPaymentEmail}
+                keyboardType="email-address"
+                autoCapitalize="none"
+                autoCorrect={false}
+                placeholder={userEmail || "Enter your email address"}
+                placeholderTextColor="#9ca3af"
+              />
+              {userEmail && (
+                <Text style={styles.paymentEmailHint}>
+                  Using profile email: {userEmail}
+                </Text>
+              )}
+            </View>
+
+            {smsCreditBundles.map((bundle) => (
+              <TouchableOpacity
+                key={bundle.id}
+                style={[styles.smsBundleButton, isProcessingPayment && styles.payButtonDisabled]}
+                onPress={() => handleBuySmsCredits(bundle)}
+                disabled={isProcessingPayment}
+              >
+                <Text style={styles.smsBundleCredits}>{bundle.credits} SMS credits</Text>
+                <Text style={styles.smsBundlePrice}>GH₵{bundle.amount}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        )}
+
         {/* Support Section */}
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>Support</Text>
@@ -1301,7 +1854,9 @@ const SettingsContent = ({ navigation }) => {
               <TouchableOpacity onPress={handlePaymentCancel} style={styles.paymentCloseButton}>
                 <Ionicons name="close" size={24} color="#111827" />
               </TouchableOpacity>
-              <Text style={styles.paymentTitle}>Get Access</Text>
+              <Text style={styles.paymentTitle}>
+                {paymentData.purpose === 'sms_credits' ? 'Buy SMS Credits' : 'Get Access'}
+              </Text>
               <View style={styles.paymentCloseButton} />
             </View>
 
@@ -1591,6 +2146,37 @@ const styles = StyleSheet.create({
     backgroundColor: '#ffffff',
     fontWeight: '600',
   },
+  earlyReminderItem: {
+    flexDirection: 'column',
+    alignItems: 'stretch',
+  },
+  earlyReminderOptions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginTop: 10,
+  },
+  earlyReminderOption: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#e5e7eb',
+    backgroundColor: '#ffffff',
+  },
+  earlyReminderOptionSelected: {
+    borderColor: '#2563eb',
+    backgroundColor: '#eff6ff',
+  },
+  earlyReminderOptionText: {
+    fontSize: 12,
+    color: '#4b5563',
+    fontWeight: '500',
+  },
+  earlyReminderOptionTextSelected: {
+    color: '#2563eb',
+    fontWeight: '600',
+  },
   saveButton: {
     marginTop: 24,
     marginHorizontal: 20,
@@ -1756,6 +2342,28 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     color: '#ffffff',
   },
+  smsBundleButton: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginHorizontal: 20,
+    marginBottom: 10,
+    borderWidth: 1,
+    borderColor: '#2563eb',
+    borderRadius: 10,
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+  },
+  smsBundleCredits: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#2563eb',
+  },
+  smsBundlePrice: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#111827',
+  },
   paymentEmailContainer: {
     paddingHorizontal: 20,
     paddingVertical: 12,
@@ -1997,6 +2605,25 @@ const styles = StyleSheet.create({
     color: '#1e40af',
     fontWeight: '500',
   },
+  quietHoursHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  channelSwitches: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  channelSwitch: {
+    alignItems: 'center',
+  },
+  channelSwitchLabel: {
+    fontSize: 11,
+    color: '#6b7280',
+    fontWeight: '500',
+    marginBottom: 2,
+  },
   soundValueContainer: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -0,0 +1,372 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  SafeAreaView,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  RefreshControl,
+  Platform,
+} from 'react-native';
+import { StatusBar } from 'expo-status-bar';
+import { Ionicons } from '@expo/vector-icons';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getApiUrl } from '../config/api';
+
+const FILTERS = [
+  { key: null, label: 'All' },
+  { key: 'failed', label: 'Failed' },
+  { key: 'sent', label: 'Awaiting report' },
+  { key: 'delivered', label: 'Delivered' },
+];
+
+const SmsDeliveryScreen = ({ navigation, route }) => {
+  const course = route.params?.course;
+  const courseId = course?.id || course?._id;
+  const [messages, setMessages] = useState([]);
+  const [counts, setCounts] = useState(null);
+  const [filter, setFilter] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadMessages();
+  }, [filter]);
+
+  const loadMessages = async () => {
+    try {
+      setError('');
+      const token = await AsyncStorage.getItem('@auth_token');
+      if (!token) {
+        setError('Authentication required');
+        return;
+      }
+
+      const statusQuery = filter ? `&status=${filter}` : '';
+      const response = await fetch(getApiUrl(`sms?courseId=${courseId}${statusQuery}`), {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+        },
+      });
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        setMessages(data.data.messages || []);
+        setCounts(data.data.counts);
+      } else {
+        setError(data.message || 'Failed to load SMS');
+      }
+    } catch (err) {
+      console.error('Error loading SMS:', err);
+      setError('Failed to load SMS. Please try again.');
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  };
+
+  const onRefresh = () => {
+    setRefreshing(true);
+    loadMessages();
+  };
+
+  const selectFilter = (key) => {
+    if (key === filter) return;
+    setLoading(true);
+    setFilter(key);
+  };
+
+  const formatTime = (value) => {
+    const date = new Date(value);
+    const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    let hours = date.getHours();
+    const minutes = date.getMinutes().toString().padStart(2, '0');
+    const ampm = hours >= 12 ? 'PM' : 'AM';
+    hours = hours % 12 || 12;
+    return `${months[date.getMonth()]} ${date.getDate()}, ${hours}:${minutes} ${ampm}`;
+  };
+
+  const describeStatus = (sms) => {
+    if (sms.status === 'delivered') return { text: 'Delivered', style: styles.deliveredBadge, textStyle: styles.deliveredBadgeText };
+    if (sms.status === 'failed') return { text: 'Failed', style: styles.failedBadge, textStyle: styles.failedBadgeText };
+    if (sms.status === 'queued') return { text: 'Sending', style: styles.pendingBadge, textStyle: styles.pendingBadgeText };
+    return { text: 'Sent', style: styles.pendingBadge, textStyle: styles.pendingBadgeText };
+  };
+
+  const courseName = course?.course_name || course?.courseName || 'Course';
+  const courseCode = course?.course_code || course?.courseCode || '';
+
+  return (
+    <SafeAreaView style={styles.screen}>
+      <StatusBar style="light" />
+
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={() => navigation.goBack()}
+        >
+          <Ionicons name="arrow-back" size={24} color="#ffffff" />
+        </TouchableOpacity>
+        <View style={styles.headerContent}>
+          <Text style={styles.headerTitle}>SMS Delivery</Text>
+          <Text style={styles.headerSubtitle} numberOfLines={1}>
+            {courseCode ? `${courseCode} - ${courseName}` : courseName}
+          </Text>
+        </View>
+      </View>
+
+      <ScrollView
+        style={styles.content}
+        contentContainerStyle={styles.scrollContent}
+        refreshControl={
+          <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+        }
+      >
+        {counts && (
+          <View style={styles.statsRow}>
+            <View style={styles.statItem}>
+              <Ionicons name="checkmark-done-outline" size={14} color="#047857" />
+              <Text style={styles.statText}>{counts.delivered} delivered</Text>
+            </View>
+            <View style={styles.statItem}>
+              <Ionicons name="time-outline" size={14} color="#2563eb" />
+              <Text style={styles.statText}>{counts.sent + counts.queued} awaiting report</Text>
+            </View>
+            <View style={styles.statItem}>
+              <Ionicons name="alert-circle-outline" size={14} color="#dc2626" />
+              <Text style={styles.statText}>{counts.failed} failed</Text>
+            </View>
+          </View>
+        )}
+
+        <View style={styles.filterRow}>
+          {FILTERS.map((option) => (
+            <TouchableOpacity
+              key={option.label}
+              style={[styles.filterChip, filter === option.key && styles.filterChipActive]}
+              onPress={() => selectFilter(option.key)}
+            >
+              <Text style={[styles.filterChipText, filter === option.key && styles.filterChipTextActive]}>
+                {option.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        {loading ? (
+          <View style={styles.loadingContainer}>
+            <ActivityIndicator size="large" color="#2563eb" />
+          </View>
+        ) : error ? (
+          <Text style={styles.errorText}>{error}</Text>
+        ) : messages.length === 0 ? (
+          <View style={styles.emptyState}>
+            <Ionicons name="chatbox-ellipses-outline" size={48} color="#9ca3af" />
+            <Text style={styles.emptyText}>No SMS to show</Text>
+          </View>
+        ) : (
+          messages.map((sms) => {
+            const status = describeStatus(sms);
+            return (
+              <View key={sms.id} style={styles.card}>
+                <View style={styles.cardHeader}>
+                  <View style={styles.cardTitleContainer}>
+                    <Text style={styles.cardTitle} numberOfLines={1}>
+                      {sms.full_name || 'Unknown Student'}
+                    </Text>
+                    <Text style={styles.cardMeta}>
+                      {sms.student_id ? `${sms.student_id} • ` : ''}
+                      {formatTime(sms.sent_at || sms.created_at)}
+                    </Text>
+                  </View>
+                  <View style={[styles.statusBadge, status.style]}>
+                    <Text style={[styles.statusBadgeText, status.textStyle]}>{status.text}</Text>
+                  </View>
+                </View>
+                <Text style={styles.cardMessage} numberOfLines={2}>{sms.message}</Text>
+                {sms.status === 'failed' && sms.failure_reason && (
+                  <Text style={styles.failureReason}>{sms.failure_reason}</Text>
+                )}
+              </View>
+            );
+          })
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  screen: {
+    flex: 1,
+    backgroundColor: '#2563eb',
+  },
+  header: {
+    backgroundColor: '#2563eb',
+    paddingTop: Platform.OS === 'android' ? 28 : 0,
+    paddingBottom: 20,
+    paddingHorizontal: 16,
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  backButton: {
+    width: 40,
+    height: 40,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 12,
+  },
+  headerContent: {
+    flex: 1,
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: '700',
+    color: '#ffffff',
+    marginBottom: 4,
+  },
+  headerSubtitle: {
+    fontSize: 14,
+    color: '#dbeafe',
+  },
+  content: {
+    flex: 1,
+    backgroundColor: '#f9fafb',
+  },
+  scrollContent: {
+    padding: 20,
+  },
+  statsRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 12,
+    marginBottom: 12,
+  },
+  statItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+  },
+  statText: {
+    fontSize: 13,
+    color: '#4b5563',
+  },
+  filterRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 16,
+  },
+  filterChip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: '#ffffff',
+    borderWidth: 1,
+    borderColor: '#e5e7eb',
+  },
+  filterChipActive: {
+    backgroundColor: '#2563eb',
+    borderColor: '#2563eb',
+  },
+  filterChipText: {
+    fontSize: 13,
+    color: '#4b5563',
+  },
+  filterChipTextActive: {
+    color: '#ffffff',
+    fontWeight: '600',
+  },
+  loadingContainer: {
+    paddingVertical: 40,
+    alignItems: 'center',
+  },
+  errorText: {
+    fontSize: 14,
+    color: '#dc2626',
+    textAlign: 'center',
+    paddingVertical: 20,
+  },
+  emptyState: {
+    alignItems: 'center',
+    paddingVertical: 60,
+    gap: 12,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#6b7280',
+  },
+  card: {
+    backgroundColor: '#ffffff',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 12,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.05,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    gap: 8,
+  },
+  cardTitleContainer: {
+    flex: 1,
+  },
+  cardTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#111827',
+  },
+  cardMeta: {
+    fontSize: 12,
+    color: '#6b7280',
+    marginTop: 2,
+  },
+  cardMessage: {
+    fontSize: 13,
+    color: '#4b5563',
+    marginTop: 8,
+    lineHeight: 18,
+  },
+  failureReason: {
+    fontSize: 12,
+    color: '#b91c1c',
+    marginTop: 6,
+  },
+  statusBadge: {
+    borderRadius: 6,
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+  },
+  statusBadgeText: {
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  deliveredBadge: {
+    backgroundColor: '#d1fae5',
+  },
+  deliveredBadgeText: {
+    color: '#047857',
+  },
+  failedBadge: {
+    backgroundColor: '#fee2e2',
+  },
+  failedBadgeText: {
+    color: '#b91c1c',
+  },
+  pendingBadge: {
+    backgroundColor: '#f3f4f6',
+  },
+  pendingBadgeText: {
+    color: '#6b7280',
+  },
+});
+
+export default SmsDeliveryScreen;
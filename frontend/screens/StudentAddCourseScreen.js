@@ -255,7 +255,19 @@ const StudentAddCourseScreen = ({ navigation }) => {
         throw new Error(data.message || 'Failed to enroll in course. Please try again.');
       }
 
-      if (data.success) {
+      if (data.success && data.data?.pending) {
+        // Not on the course whitelist - the course rep has to approve the request
+        Alert.alert(
+          'Request Sent',
+          data.message || 'Your request has been sent to the course rep for approval.',
+          [
+            {
+              text: 'OK',
+              onPress: () => navigation.navigate('StudentCourses'),
+            },
+          ]
+        );
+      } else if (data.success) {
         // Register push token after successful enrollment
         await initializeNotifications();
         
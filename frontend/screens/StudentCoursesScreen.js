@@ -11,12 +11,15 @@ import {
   RefreshControl,
   Alert,
   Platform,
+  Modal,
 } from 'react-native';
 import { StatusBar } from 'expo-status-bar';
 import { Ionicons } from '@expo/vector-icons';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { getApiUrl } from '../config/api';
 import Button from '../components/Button';
+import AttachmentList from '../components/AttachmentList';
+import { syncAndScheduleReminders, formatReminderOffset } from '../services/localReminderService';
 
 const StudentCoursesScreen = ({ navigation }) => {
   const [searchQuery, setSearchQuery] = useState('');
@@ -28,6 +31,11 @@ const StudentCoursesScreen = ({ navigation }) => {
   const [quizzes, setQuizzes] = useState([]);
   const [tutorials, setTutorials] = useState([]);
   const [assignments, setAssignments] = useState([]);
+  const [submissions, setSubmissions] = useState({}); // Assignment id -> my submission
+  const [submitTarget, setSubmitTarget] = useState(null); // Assignment being marked as submitted
+  const [submissionNote, setSubmissionNote] = useState('');
+  const [submissionFileReference, setSubmissionFileReference] = useState('');
+  const [savingSubmission, setSavingSubmission] = useState(false);
   const [isAuthenticated, setIsAuthenticated] = useState(false);
 
   // Load courses on mount
@@ -156,11 +164,133 @@ const StudentCoursesScreen = ({ navigation }) => {
       setQuizzes(allQuizzes);
       setTutorials(allTutorials);
       setAssignments(allAssignments);
+      await loadSubmissions(token);
     } catch (error) {
       console.error('Error loading activities:', error);
     }
   };
 
+  const loadSubmissions = async (token) => {
+    try {
+      const response = await fetch(getApiUrl('course-items/submissions/mine'), {
+        method: 'GET',
+        headers: { 'Authorization': `Bearer ${token}` },
+      });
+      const data = await response.json();
+      if (response.ok && data.success) {
+        const byItem = {};
+        (data.data.submissions || []).forEach((submission) => {
+          byItem[submission.item_id] = submission;
+        });
+        setSubmissions(byItem);
+      }
+    } catch (error) {
+      console.error('Error loading submissions:', error);
+    }
+  };
+
+  const openSubmitModal = (assignment) => {
+    setSubmissionNote('');
+    setSubmissionFileReference('');
+    setSubmitTarget(assignment);
+  };
+
+  const closeSubmitModal = () => {
+    setSubmitTarget(null);
+    setSubmissionNote('');
+    setSubmissionFileReference('');
+  };
+
+  const handleMarkSubmitted = async () => {
+    const assignmentId = submitTarget?.id || submitTarget?._id;
+    if (!assignmentId) return;
+
+    setSavingSubmission(true);
+    try {
+      const token = await AsyncStorage.getItem('@auth_token');
+      if (!token) {
+        Alert.alert('Error', 'Not authenticated. Please log in again.');
+        return;
+      }
+
+      const response = await fetch(getApiUrl(`assignments/${assignmentId}/submission`), {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`,
+        },
+        body: JSON.stringify({
+          note: submissionNote.trim() || null,
+          fileReference: submissionFileReference.trim() || null,
+        }),
+      });
+
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        setSubmissions((prev) => ({ ...prev, [assignmentId]: data.data.submission }));
+        closeSubmitModal();
+      } else {
+        Alert.alert('Error', data.message || 'Failed to mark assignment as submitted');
+      }
+    } catch (error) {
+      console.error('Error marking assignment as submitted:', error);
+      Alert.alert('Error', 'Failed to mark assignment as submitted. Please try again.');
+    } finally {
+      setSavingSubmission(false);
+    }
+  };
+
+  const handleUndoSubmission = (assignment) => {
+    const assignmentId = assignment.id || assignment._id;
+    Alert.alert(
+      'Undo Submission',
+      'Mark this assignment as not submitted? You will get deadline reminders for it again.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Undo',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              const token = await AsyncStorage.getItem('@auth_token');
+              if (!token) return;
+
+              const response = await fetch(getApiUrl(`assignments/${assignmentId}/submission`), {
+                method: 'DELETE',
+                headers: { 'Authorization': `Bearer ${token}` },
+              });
+              const data = await response.json();
+
+              if (response.ok && data.success) {
+                setSubmissions((prev) => {
+                  const next = { ...prev };
+                  delete next[assignmentId];
+                  return next;
+                });
+              } else {
+                Alert.alert('Error', data.message || 'Failed to undo submission');
+              }
+            } catch (error) {
+              console.error('Error undoing submission:', error);
+              Alert.alert('Error', 'Failed to undo submission. Please try again.');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const formatSubmittedAt = (dateString) => {
+    if (!dateString) return '';
+    return new Date(dateString).toLocaleDateString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit',
+    });
+  };
+
   const onRefresh = () => {
     setRefreshing(true);
     loadCourses();
@@ -341,6 +471,102 @@ const StudentCoursesScreen = ({ navigation }) => {
     }
   };
 
+  const describeCourseReminders = (course) => {
+    if (course.reminders_muted) return 'Reminders are muted for this course.';
+    if (course.reminder_offsets && course.reminder_offsets.length > 0) {
+      return `Reminders ${course.reminder_offsets.map(formatReminderOffset).join(' and ')} before class.`;
+    }
+    return 'Using your default reminders from Settings.';
+  };
+
+  const handleCourseReminders = (course) => {
+    if (!isAuthenticated) {
+      Alert.alert('Sign Up Required', 'Please sign up to manage your courses.', [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Sign Up', onPress: () => navigation.navigate('Signup') },
+      ]);
+      return;
+    }
+
+    const courseName = course.course_name || course.courseName || 'this course';
+    const courseId = course.id || course._id;
+
+    Alert.alert(
+      `Reminders for ${courseName}`,
+      describeCourseReminders(course),
+      [
+        { text: 'Cancel', style: 'cancel' },
+        course.reminders_muted
+          ? { text: 'Unmute', onPress: () => updateCourseReminders(courseId, { muted: false }) }
+          : { text: 'Mute', style: 'destructive', onPress: () => updateCourseReminders(courseId, { muted: true }) },
+        {
+          text: 'Change Times',
+          onPress: () => {
+            Alert.alert(
+              'Reminder Times',
+              `When should we remind you about ${courseName}?`,
+              [
+                {
+                  text: 'My Defaults',
+                  onPress: () => updateCourseReminders(courseId, { reminderOffsets: null, muted: false }),
+                },
+                {
+                  text: '15 Min Before',
+                  onPress: () => updateCourseReminders(courseId, { reminderOffsets: [15], muted: false }),
+                },
+                {
+                  text: '1 Day + 15 Min Before',
+                  onPress: () => updateCourseReminders(courseId, { reminderOffsets: [1440, 15], muted: false }),
+                },
+              ],
+              { cancelable: true }
+            );
+          },
+        },
+      ]
+    );
+  };
+
+  const updateCourseReminders = async (courseId, settings) => {
+    try {
+      const token = await AsyncStorage.getItem('@auth_token');
+      if (!token) {
+        Alert.alert('Error', 'Not authenticated. Please log in again.');
+        return;
+      }
+
+      const response = await fetch(getApiUrl(`enrollments/${courseId}/reminders`), {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`,
+        },
+        body: JSON.stringify(settings),
+      });
+
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        setEnrolledCourses((courses) => courses.map((course) => (
+          String(course.id || course._id) === String(courseId)
+            ? {
+                ...course,
+                reminder_offsets: data.data.reminder_offsets,
+                reminders_muted: data.data.reminders_muted,
+              }
+            : course
+        )));
+        // Reschedule this device's local reminders with the new settings
+        await syncAndScheduleReminders();
+      } else {
+        Alert.alert('Error', data.message || 'Failed to update reminders. Please try again.');
+      }
+    } catch (error) {
+      console.error('Update course reminders error:', error);
+      Alert.alert('Error', 'An error occurred. Please try again.');
+    }
+  };
+
   // Filter courses based on search query
   const filteredCourses = enrolledCourses.filter((course) => {
     if (!searchQuery.trim()) return true;
@@ -528,6 +754,11 @@ const StudentCoursesScreen = ({ navigation }) => {
                       <Text style={styles.activityCourseText}>
                         {quiz.course_code || quiz.courseCode} - {quiz.course_name || quiz.courseName}
                       </Text>
+                      {quiz.cancelled && (
+                        <View style={styles.cancelledBadge}>
+                          <Text style={styles.cancelledBadgeText}>Cancelled</Text>
+                        </View>
+                      )}
                     </View>
                   </View>
                   <View style={styles.activityDetails}>
@@ -552,6 +783,11 @@ const StudentCoursesScreen = ({ navigation }) => {
                       </View>
                     )}
                   </View>
+                  {quiz.attachments?.length > 0 && (
+                    <View style={styles.activityAttachments}>
+                      <AttachmentList attachments={quiz.attachments} />
+                    </View>
+                  )}
                 </View>
               </View>
             ))}
@@ -565,6 +801,11 @@ const StudentCoursesScreen = ({ navigation }) => {
                       <Text style={styles.activityCourseText}>
                         {tutorial.course_code || tutorial.courseCode} - {tutorial.course_name || tutorial.courseName}
                       </Text>
+                      {tutorial.cancelled && (
+                        <View style={styles.cancelledBadge}>
+                          <Text style={styles.cancelledBadgeText}>Cancelled</Text>
+                        </View>
+                      )}
                     </View>
                   </View>
                   <View style={styles.activityDetails}>
@@ -589,6 +830,11 @@ const StudentCoursesScreen = ({ navigation }) => {
                       </View>
                     )}
                   </View>
+                  {tutorial.attachments?.length > 0 && (
+                    <View style={styles.activityAttachments}>
+                      <AttachmentList attachments={tutorial.attachments} />
+                    </View>
+                  )}
                 </View>
               </View>
             ))}
@@ -602,6 +848,11 @@ const StudentCoursesScreen = ({ navigation }) => {
                       <Text style={styles.activityCourseText}>
                         {assignment.course_code || assignment.courseCode} - {assignment.course_name || assignment.courseName}
                       </Text>
+                      {assignment.cancelled && (
+                        <View style={styles.cancelledBadge}>
+                          <Text style={styles.cancelledBadgeText}>Cancelled</Text>
+                        </View>
+                      )}
                     </View>
                   </View>
                   <View style={styles.activityDetails}>
@@ -616,6 +867,35 @@ const StudentCoursesScreen = ({ navigation }) => {
                       </View>
                     )}
                   </View>
+                  {assignment.attachments?.length > 0 && (
+                    <View style={styles.activityAttachments}>
+                      <AttachmentList attachments={assignment.attachments} />
+                    </View>
+                  )}
+                  {!assignment.cancelled && (
+                    submissions[assignment.id || assignment._id] ? (
+                      <View style={styles.submissionRow}>
+                        <View style={styles.submittedStatus}>
+                          <Ionicons name="checkmark-circle" size={16} color="#10b981" />
+                          <Text style={styles.submittedText}>
+                            Submitted {formatSubmittedAt(submissions[assignment.id || assignment._id].submitted_at)}
+                            {submissions[assignment.id || assignment._id].late ? ' (late)' : ''}
+                          </Text>
+                        </View>
+                        <TouchableOpacity onPress={() => handleUndoSubmission(assignment)}>
+                          <Text style={styles.undoSubmissionText}>Undo</Text>
+                        </TouchableOpacity>
+                      </View>
+                    ) : (
+                      <TouchableOpacity
+                        style={styles.markSubmittedButton}
+                        onPress={() => openSubmitModal(assignment)}
+                      >
+                        <Ionicons name="cloud-upload-outline" size={16} color="#f97316" />
+                        <Text style={styles.markSubmittedText}>Mark as submitted</Text>
+                      </TouchableOpacity>
+                    )
+                  )}
                 </View>
               </View>
             ))}
@@ -728,6 +1008,17 @@ const StudentCoursesScreen = ({ navigation }) => {
                       </View>
                     </View>
                   </View>
+                  <TouchableOpacity
+                    style={[styles.reminderButton, course.reminders_muted && styles.reminderButtonMuted]}
+                    onPress={() => handleCourseReminders(course)}
+                    activeOpacity={0.7}
+                  >
+                    <Ionicons
+                      name={course.reminders_muted ? 'notifications-off-outline' : 'notifications-outline'}
+                      size={16}
+                      color={course.reminders_muted ? '#9ca3af' : '#2563eb'}
+                    />
+                  </TouchableOpacity>
                   <TouchableOpacity
                     style={styles.unenrollButton}
                     onPress={() => handleUnenroll(course)}
@@ -811,6 +1102,69 @@ const StudentCoursesScreen = ({ navigation }) => {
           <Text style={styles.navLabel}>Settings</Text>
         </TouchableOpacity>
       </View>
+
+      {/* Mark as Submitted Modal */}
+      <Modal
+        visible={!!submitTarget}
+        transparent={true}
+        animationType="fade"
+        onRequestClose={closeSubmitModal}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <View style={styles.modalHeader}>
+              <Text style={styles.modalTitle}>Mark as Submitted</Text>
+              <TouchableOpacity style={styles.modalCloseButton} onPress={closeSubmitModal}>
+                <Ionicons name="close" size={24} color="#6b7280" />
+              </TouchableOpacity>
+            </View>
+            <Text style={styles.modalDescription}>
+              {submitTarget?.assignment_name || submitTarget?.assignmentName}. Your course rep will see that you have submitted.
+            </Text>
+            <View style={styles.modalInputContainer}>
+              <Text style={styles.modalLabel}>Note (Optional)</Text>
+              <TextInput
+                style={[styles.modalInput, styles.modalNoteInput]}
+                placeholder="e.g. Handed in at the department office"
+                value={submissionNote}
+                onChangeText={setSubmissionNote}
+                placeholderTextColor="#9ca3af"
+                multiline
+                textAlignVertical="top"
+                maxLength={500}
+              />
+            </View>
+            <View style={styles.modalInputContainer}>
+              <Text style={styles.modalLabel}>File or Link (Optional)</Text>
+              <TextInput
+                style={styles.modalInput}
+                placeholder="e.g. assignment1.pdf or a shared link"
+                value={submissionFileReference}
+                onChangeText={setSubmissionFileReference}
+                placeholderTextColor="#9ca3af"
+                autoCapitalize="none"
+                maxLength={500}
+              />
+            </View>
+            <View style={styles.modalButtons}>
+              <Button
+                title="Cancel"
+                onPress={closeSubmitModal}
+                variant="secondary"
+                style={styles.modalButton}
+                disabled={savingSubmission}
+              />
+              <Button
+                title={savingSubmission ? 'Saving...' : 'Mark as Submitted'}
+                onPress={handleMarkSubmitted}
+                variant="primary"
+                style={styles.modalButton}
+                disabled={savingSubmission}
+              />
+            </View>
+          </View>
+        </View>
+      </Modal>
     </SafeAreaView>
   );
 };
@@ -1081,6 +1435,25 @@ const styles = StyleSheet.create({
     color: '#2563eb',
     letterSpacing: 0.5,
   },
+  reminderButton: {
+    width: 32,
+    height: 32,
+    borderRadius: 8,
+    backgroundColor: '#ffffff',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginLeft: 12,
+    borderWidth: 1,
+    borderColor: '#bfdbfe',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.05,
+    shadowRadius: 2,
+    elevation: 1,
+  },
+  reminderButtonMuted: {
+    borderColor: '#e5e7eb',
+  },
   unenrollButton: {
     width: 32,
     height: 32,
@@ -1274,6 +1647,19 @@ const styles = StyleSheet.create({
   activityTitleSection: {
     flex: 1,
   },
+  cancelledBadge: {
+    alignSelf: 'flex-start',
+    backgroundColor: '#fee2e2',
+    borderRadius: 6,
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    marginTop: 6,
+  },
+  cancelledBadgeText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#dc2626',
+  },
   activityNameText: {
     fontSize: 16,
     fontWeight: '700',
@@ -1288,6 +1674,117 @@ const styles = StyleSheet.create({
   activityDetails: {
     gap: 6,
   },
+  activityAttachments: {
+    marginTop: 12,
+  },
+  submissionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginTop: 12,
+    paddingTop: 10,
+    borderTopWidth: 1,
+    borderTopColor: '#f3f4f6',
+  },
+  submittedStatus: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    flex: 1,
+  },
+  submittedText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#10b981',
+  },
+  undoSubmissionText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#6b7280',
+  },
+  markSubmittedButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    gap: 6,
+    marginTop: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#fed7aa',
+    backgroundColor: '#fff7ed',
+  },
+  markSubmittedText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#f97316',
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  modalContent: {
+    backgroundColor: '#ffffff',
+    borderRadius: 16,
+    padding: 24,
+    width: '100%',
+    maxWidth: 400,
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontWeight: '700',
+    color: '#111827',
+  },
+  modalCloseButton: {
+    padding: 4,
+  },
+  modalDescription: {
+    fontSize: 14,
+    color: '#6b7280',
+    marginBottom: 20,
+    lineHeight: 20,
+  },
+  modalInputContainer: {
+    marginBottom: 16,
+  },
+  modalLabel: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#4b5563',
+    marginBottom: 8,
+  },
+  modalInput: {
+    height: 44,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    backgroundColor: '#f9fafb',
+    borderWidth: 1,
+    borderColor: '#e5e7eb',
+    fontSize: 14,
+    color: '#111827',
+  },
+  modalNoteInput: {
+    height: 80,
+    paddingTop: 10,
+  },
+  modalButtons: {
+    flexDirection: 'row',
+    gap: 12,
+    marginTop: 8,
+  },
+  modalButton: {
+    flex: 1,
+  },
 });
 
 export default StudentCoursesScreen;
@@ -148,11 +148,11 @@ const StudentHomeScreen = ({ navigation }) => {
         return;
       }
 
-      // Get today's date in the format needed
-      const today = new Date();
-      const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-      const todayDayName = dayNames[today.getDay()];
-      const todayDateStr = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
+      // Today's range, used to ask the server for today's class occurrences
+      const startOfToday = new Date();
+      startOfToday.setHours(0, 0, 0, 0);
+      const startOfTomorrow = new Date(startOfToday);
+      startOfTomorrow.setDate(startOfTomorrow.getDate() + 1);
 
       // Fetch enrolled courses
       const coursesResponse = await fetch(getApiUrl('enrollments/my-courses'), {
@@ -166,39 +166,82 @@ const StudentHomeScreen = ({ navigation }) => {
       const courses = coursesData.success ? (coursesData.data.courses || []) : [];
       setEnrolledCourses(courses);
 
+      // Fetch today's class occurrences (per-day times and venues resolved by the server)
+      const scheduleQuery = `from=${encodeURIComponent(startOfToday.toISOString())}&to=${encodeURIComponent(startOfTomorrow.toISOString())}`;
+      const scheduleResponse = await fetch(getApiUrl(`enrollments/schedule?${scheduleQuery}`), {
+        method: 'GET',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+        },
+      });
+      const scheduleData = await scheduleResponse.json();
+      const occurrences = scheduleData.success ? (scheduleData.data.occurrences || []) : [];
+
       // Build today's schedule from courses and their activities
       const scheduleItems = [];
 
       // Add regular lectures for today
-      courses.forEach((course) => {
-        const courseDays = course.days || [];
-        if (Array.isArray(courseDays) && courseDays.includes(todayDayName)) {
-          scheduleItems.push({
-            id: `lecture-${course.id || course._id}`,
-            type: 'lecture',
-            courseCode: course.course_code || course.courseCode,
-            courseName: course.course_name || course.courseName,
-            startTime: course.start_time || course.startTime,
-            endTime: course.end_time || course.endTime,
-            venue: course.venue,
-            creditHours: course.credit_hours || course.creditHours,
-            instructor: course.course_rep_name || course.courseRepName,
-            uniqueCode: course.unique_code || course.uniqueCode,
-            courseId: course.id || course._id,
+      occurrences.forEach((occurrence) => {
+        const course = courses.find(
+          (c) => String(c.id || c._id) === String(occurrence.course_id)
+        ) || {};
+        scheduleItems.push({
+          id: `lecture-${occurrence.course_id}-${occurrence.start}`,
+          type: 'lecture',
+          courseCode: occurrence.course_code,
+          courseName: occurrence.course_name,
+          startTime: occurrence.start_time,
+          endTime: occurrence.end_time,
+          startsAt: occurrence.start,
+          venue: occurrence.venue,
+          creditHours: course.credit_hours || course.creditHours,
+          instructor: course.course_rep_name || course.courseRepName,
+          uniqueCode: course.unique_code || course.uniqueCode,
+          courseId: occurrence.course_id,
+        });
+      });
+
+      // Add quizzes, tutorials and assignments due today
+      const itemTypes = [
+        { type: 'quiz', path: 'quizzes/today', key: 'quizzes', nameKey: 'quiz_name' },
+        { type: 'tutorial', path: 'tutorials/today', key: 'tutorials', nameKey: 'tutorial_name' },
+        { type: 'assignment', path: 'assignments/today', key: 'assignments', nameKey: 'assignment_name' },
+      ];
+      const itemResults = await Promise.all(itemTypes.map(async (itemType) => {
+        try {
+          const itemsResponse = await fetch(getApiUrl(itemType.path), {
+            method: 'GET',
+            headers: {
+              'Authorization': `Bearer ${token}`,
+            },
           });
+          const itemsData = await itemsResponse.json();
+          return itemsData.success ? (itemsData.data[itemType.key] || []) : [];
+        } catch (error) {
+          console.error(`Error fetching ${itemType.key} for today:`, error);
+          return [];
         }
-      });
+      }));
 
-      // TODO: Fetch quizzes, tutorials, and assignments for today
-      // For now, we'll just show lectures. The API endpoints can be added later:
-      // - getApiUrl('quizzes/today')
-      // - getApiUrl('tutorials/today')
-      // - getApiUrl('assignments/today')
+      itemTypes.forEach((itemType, index) => {
+        itemResults[index].forEach((item) => {
+          scheduleItems.push({
+            id: `${itemType.type}-${item.id}`,
+            type: itemType.type,
+            courseCode: item.course_code,
+            courseName: item[itemType.nameKey] || item.course_name,
+            startTime: item.time,
+            startsAt: item.due_at,
+            venue: item.venue,
+            courseId: item.course_id,
+          });
+        });
+      });
 
       // Sort by start time
       scheduleItems.sort((a, b) => {
-        const timeA = a.startTime || '';
-        const timeB = b.startTime || '';
+        const timeA = a.startsAt || '';
+        const timeB = b.startsAt || '';
         return timeA.localeCompare(timeB);
       });
 
@@ -239,27 +282,6 @@ const StudentHomeScreen = ({ navigation }) => {
     return `${startTime}-${endTime}`;
   };
 
-  // Parse date from DD/MM/YYYY format
-  const parseDate = (dateStr) => {
-    if (!dateStr) return null;
-    const parts = dateStr.split('/');
-    if (parts.length !== 3) return null;
-    const day = parseInt(parts[0], 10);
-    const month = parseInt(parts[1], 10) - 1; // Month is 0-indexed
-    const year = parseInt(parts[2], 10);
-    return new Date(year, month, day);
-  };
-
-  // Check if a date is today or in the future
-  const isUpcoming = (dateStr) => {
-    const quizDate = parseDate(dateStr);
-    if (!quizDate) return false;
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    quizDate.setHours(0, 0, 0, 0);
-    return quizDate >= today;
-  };
-
   // Load upcoming quizzes for all enrolled courses
   const loadUpcomingQuizzes = async () => {
     try {
@@ -271,49 +293,24 @@ const StudentHomeScreen = ({ navigation }) => {
         return;
       }
 
-      // Get enrolled courses first
-      const coursesResponse = await fetch(getApiUrl('enrollments/my-courses'), {
+      // Quizzes in all enrolled courses over the next 60 days, soonest first (sorted by the server)
+      const startOfToday = new Date();
+      startOfToday.setHours(0, 0, 0, 0);
+      const until = new Date(startOfToday);
+      until.setDate(until.getDate() + 60);
+      const upcomingQuery = `from=${encodeURIComponent(startOfToday.toISOString())}&to=${encodeURIComponent(until.toISOString())}`;
+
+      const quizzesResponse = await fetch(getApiUrl(`quizzes/upcoming?${upcomingQuery}`), {
         method: 'GET',
         headers: {
           'Authorization': `Bearer ${token}`,
         },
       });
 
-      const coursesData = await coursesResponse.json();
-      const courses = coursesData.success ? (coursesData.data.courses || []) : [];
-
-      if (courses.length === 0) {
-        setUpcomingQuizzes([]);
-        setLoadingQuizzes(false);
-        return;
-      }
-
-      // Fetch quizzes for each enrolled course
-      const allQuizzes = [];
-      for (const course of courses) {
-        const courseId = course.id || course._id;
-        if (!courseId) continue;
-
-        try {
-          const quizzesResponse = await fetch(getApiUrl(`quizzes/course/${courseId}`), {
-            method: 'GET',
-            headers: {
-              'Authorization': `Bearer ${token}`,
-            },
-          });
+      const quizzesData = await quizzesResponse.json();
+      const allQuizzes = quizzesData.success ? (quizzesData.data.quizzes || []) : [];
 
-          const quizzesData = await quizzesResponse.json();
-          if (quizzesData.success && quizzesData.data.quizzes) {
-            allQuizzes.push(...quizzesData.data.quizzes);
-          }
-        } catch (error) {
-          console.error(`Error fetching quizzes for course ${courseId}:`, error);
-        }
-      }
-
-      // Filter for upcoming quizzes and sort by date
       const upcoming = allQuizzes
-        .filter((quiz) => isUpcoming(quiz.date))
         .map((quiz) => ({
           id: quiz.id || quiz._id,
           type: 'quiz',
@@ -325,13 +322,7 @@ const StudentHomeScreen = ({ navigation }) => {
           courseCode: quiz.course_code || quiz.courseCode,
           courseName: quiz.course_name || quiz.courseName,
           courseId: quiz.course_id || quiz.courseId,
-        }))
-        .sort((a, b) => {
-          const dateA = parseDate(a.date);
-          const dateB = parseDate(b.date);
-          if (!dateA || !dateB) return 0;
-          return dateA - dateB;
-        });
+        }));
 
       setUpcomingQuizzes(upcoming);
     } catch (error) {
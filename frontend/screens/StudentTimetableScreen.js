@@ -27,8 +27,16 @@ const DAYS_OF_WEEK = [
   'Sunday',
 ];
 
+// Tags for classes that differ from the weekly pattern
+const STATUS_LABELS = {
+  cancelled: 'Cancelled',
+  rescheduled: 'Rescheduled',
+  extra: 'Extra class',
+};
+
 const StudentTimetableScreen = ({ navigation }) => {
   const [courses, setCourses] = useState([]);
+  const [occurrences, setOccurrences] = useState([]);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
 
@@ -64,9 +72,32 @@ const StudentTimetableScreen = ({ navigation }) => {
       } else {
         setCourses([]);
       }
+
+      // Fetch this week's class occurrences so each day shows its own time and venue
+      const weekStart = new Date();
+      weekStart.setHours(0, 0, 0, 0);
+      const weekEnd = new Date(weekStart);
+      weekEnd.setDate(weekEnd.getDate() + 7);
+      // Include cancelled classes so students can see what is off this week
+      const scheduleQuery = `from=${encodeURIComponent(weekStart.toISOString())}&to=${encodeURIComponent(weekEnd.toISOString())}&includeCancelled=true`;
+
+      const scheduleResponse = await fetch(getApiUrl(`enrollments/schedule?${scheduleQuery}`), {
+        method: 'GET',
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const scheduleData = await scheduleResponse.json();
+      if (scheduleResponse.ok && scheduleData.success) {
+        setOccurrences(scheduleData.data.occurrences || []);
+      } else {
+        setOccurrences([]);
+      }
     } catch (error) {
       console.error('Error loading timetable:', error);
       setCourses([]);
+      setOccurrences([]);
     } finally {
       setLoading(false);
       setRefreshing(false);
@@ -94,41 +125,50 @@ const StudentTimetableScreen = ({ navigation }) => {
     }));
     const unscheduled = [];
 
+    occurrences.forEach((occurrence) => {
+      const targetDay = byDay.find((entry) => entry.day === occurrence.day);
+      if (targetDay) {
+        targetDay.classes.push(occurrence);
+      }
+    });
+
     courses.forEach((course) => {
-      if (Array.isArray(course.days) && course.days.length > 0) {
-        course.days.forEach((day) => {
-          const targetDay = byDay.find(
-            (entry) => entry.day.toLowerCase() === String(day).toLowerCase()
-          );
-          if (targetDay) {
-            targetDay.classes.push(course);
-          } else if (!unscheduled.includes(course)) {
-            unscheduled.push(course);
-          }
-        });
-      } else {
+      if (!Array.isArray(course.days) || course.days.length === 0) {
         unscheduled.push(course);
       }
     });
 
     return { byDay, unscheduled };
-  }, [courses]);
+  }, [courses, occurrences]);
+
+  const renderCourseBlock = (occurrence) => {
+    const isCancelled = occurrence.status === 'cancelled';
+    const statusLabel = STATUS_LABELS[occurrence.status];
 
-  const renderCourseBlock = (course) => (
-    <View key={course.id || course._id} style={styles.courseBlock}>
-      <Text style={styles.blockTime}>
-        {formatTime(course.start_time || course.startTime, course.end_time || course.endTime)}
-      </Text>
-      <Text style={styles.blockName} numberOfLines={1}>
-        {course.course_name || course.courseName || 'Course'}
-      </Text>
-      {course.venue ? (
-        <Text style={styles.blockVenue} numberOfLines={1}>
-          {course.venue}
+    return (
+      <View
+        key={`${occurrence.course_id}-${occurrence.start}`}
+        style={[styles.courseBlock, isCancelled && styles.courseBlockCancelled]}
+      >
+        <Text style={[styles.blockTime, isCancelled && styles.blockTextCancelled]}>
+          {formatTime(occurrence.start_time, occurrence.end_time)}
         </Text>
-      ) : null}
-    </View>
-  );
+        <Text style={[styles.blockName, isCancelled && styles.blockTextCancelled]} numberOfLines={1}>
+          {occurrence.course_name || 'Course'}
+        </Text>
+        {occurrence.venue ? (
+          <Text style={styles.blockVenue} numberOfLines={1}>
+            {occurrence.venue}
+          </Text>
+        ) : null}
+        {statusLabel ? (
+          <Text style={[styles.blockTag, isCancelled && styles.blockTagCancelled]} numberOfLines={1}>
+            {statusLabel}
+          </Text>
+        ) : null}
+      </View>
+    );
+  };
 
   return (
     <SafeAreaView style={styles.screen}>
@@ -198,7 +238,7 @@ const StudentTimetableScreen = ({ navigation }) => {
                         {dayBlock.classes.length === 0 ? (
                           <Text style={styles.noClassText}>No classes</Text>
                         ) : (
-                          dayBlock.classes.map((course) => renderCourseBlock(course))
+                          dayBlock.classes.map((occurrence) => renderCourseBlock(occurrence))
                         )}
                       </View>
                     ))}
@@ -445,6 +485,17 @@ const styles = StyleSheet.create({
     fontWeight: '700',
     marginTop: 3,
   },
+  blockTagCancelled: {
+    color: '#dc2626',
+  },
+  courseBlockCancelled: {
+    backgroundColor: '#f8fafc',
+    borderLeftColor: '#f87171',
+  },
+  blockTextCancelled: {
+    color: '#9ca3af',
+    textDecorationLine: 'line-through',
+  },
   swipeHint: {
     marginTop: 4,
     fontSize: 11,
@@ -0,0 +1,131 @@
+import * as DocumentPicker from 'expo-document-picker';
+import { Linking } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getApiUrl } from '../config/api';
+
+// Matches the backend's limits (config.attachments)
+export const MAX_ATTACHMENTS = 5;
+export const MAX_ATTACHMENT_SIZE_MB = 10;
+
+const ALLOWED_TYPES = [
+  'application/pdf',
+  'image/jpeg',
+  'image/png',
+  'image/webp',
+  'image/heic',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'text/plain',
+];
+
+const getToken = async () => {
+  const token = await AsyncStorage.getItem('@auth_token');
+  if (!token) {
+    throw new Error('Not authenticated. Please log in again.');
+  }
+  return token;
+};
+
+/**
+ * Let the user pick a file and upload it for a course
+ * @param {string} courseId - Course the file is shared with
+ * @returns {Promise<Object|null>} The uploaded attachment, or null if the user cancelled
+ * @throws {Error} With a message to show the user if the upload fails
+ */
+export const pickAndUploadAttachment = async (courseId) => {
+  const result = await DocumentPicker.getDocumentAsync({
+    type: ALLOWED_TYPES,
+    copyToCacheDirectory: true,
+    multiple: false,
+  });
+
+  if (result.canceled || !result.assets || result.assets.length === 0) {
+    return null;
+  }
+
+  const file = result.assets[0];
+  if (file.size && file.size > MAX_ATTACHMENT_SIZE_MB * 1024 * 1024) {
+    throw new Error(`File is too large. The limit is ${MAX_ATTACHMENT_SIZE_MB} MB.`);
+  }
+
+  const token = await getToken();
+  const formData = new FormData();
+  formData.append('courseId', courseId);
+  formData.append('file', {
+    uri: file.uri,
+    name: file.name,
+    type: file.mimeType || 'application/octet-stream',
+  });
+
+  const response = await fetch(getApiUrl('attachments'), {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${token}`,
+    },
+    body: formData,
+  });
+
+  const data = await response.json();
+  if (!response.ok || !data.success) {
+    throw new Error(data.message || 'Failed to upload file');
+  }
+  return data.data.attachment;
+};
+
+/**
+ * Open an attachment in the browser or a viewer app, using a short-lived download link
+ * @param {Object} attachment - Attachment from the API
+ * @throws {Error} With a message to show the user if the file can't be opened
+ */
+export const openAttachment = async (attachment) => {
+  const token = await getToken();
+  const response = await fetch(getApiUrl(`attachments/${attachment.id}/download-token`), {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${token}`,
+    },
+  });
+
+  const data = await response.json();
+  if (!response.ok || !data.success) {
+    throw new Error(data.message || 'Failed to open file');
+  }
+
+  await Linking.openURL(
+    getApiUrl(`attachments/${attachment.id}/download?token=${encodeURIComponent(data.data.token)}`)
+  );
+};
+
+/**
+ * Delete an uploaded attachment (also removes it from anything it was attached to)
+ * @param {string} attachmentId - Attachment ID
+ * @throws {Error} With a message to show the user if deleting fails
+ */
+export const deleteAttachment = async (attachmentId) => {
+  const token = await getToken();
+  const response = await fetch(getApiUrl(`attachments/${attachmentId}`), {
+    method: 'DELETE',
+    headers: {
+      'Authorization': `Bearer ${token}`,
+    },
+  });
+
+  const data = await response.json();
+  if (!response.ok || !data.success) {
+    throw new Error(data.message || 'Failed to delete file');
+  }
+};
+
+/**
+ * Format a file size for display, e.g. "1.2 MB"
+ */
+export const formatFileSize = (bytes) => {
+  if (!bytes && bytes !== 0) return '';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
@@ -14,120 +14,32 @@ const SCHEDULED_NOTIFICATIONS_KEY = '@scheduled_reminders';
 const LAST_SYNC_KEY = '@last_reminder_sync';
 
 /**
- * Get day name from date
- * @param {Date} date - Date object
- * @returns {string} Day name
+ * Generate notification identifier
+ * @param {string} courseId - Course ID
+ * @param {Date} classDate - Class date/time
+ * @param {number} reminderMinutes - Minutes before class (one notification per reminder)
+ * @returns {string} Notification identifier
  */
-const getDayName = (date) => {
-  const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-  return days[date.getDay()];
+const generateNotificationId = (courseId, classDate, reminderMinutes) => {
+  const timestamp = classDate.getTime();
+  return `${NOTIFICATION_PREFIX}${courseId}_${timestamp}_${reminderMinutes}`;
 };
 
 /**
- * Parse time string (e.g., "10:00 AM" or "14:30") to Date object
- * @param {string} timeStr - Time string
- * @param {Date} date - Date object to set time on
- * @returns {Date|null} Date object with time set, or null if invalid
+ * Describe how long before class a reminder is, e.g. "15 minutes", "2 hours", "1 day"
+ * @param {number} minutes - Minutes before class
+ * @returns {string} Readable lead time
  */
-const parseTime = (timeStr, date) => {
-  if (!timeStr) return null;
-  
-  try {
-    // Try to parse as 12-hour format (e.g., "10:00 AM")
-    const time12Hour = timeStr.match(/(\d{1,2}):(\d{2})\s*(AM|PM)/i);
-    if (time12Hour) {
-      let hours = parseInt(time12Hour[1], 10);
-      const minutes = parseInt(time12Hour[2], 10);
-      const ampm = time12Hour[3].toUpperCase();
-      
-      if (ampm === 'PM' && hours !== 12) hours += 12;
-      if (ampm === 'AM' && hours === 12) hours = 0;
-      
-      const result = new Date(date);
-      result.setHours(hours, minutes, 0, 0);
-      return result;
-    }
-    
-    // Try to parse as 24-hour format (e.g., "14:30")
-    const time24Hour = timeStr.match(/(\d{1,2}):(\d{2})/);
-    if (time24Hour) {
-      const hours = parseInt(time24Hour[1], 10);
-      const minutes = parseInt(time24Hour[2], 10);
-      
-      const result = new Date(date);
-      result.setHours(hours, minutes, 0, 0);
-      return result;
-    }
-    
-    return null;
-  } catch (error) {
-    console.error('Error parsing time:', timeStr, error);
-    return null;
+export const formatReminderOffset = (minutes) => {
+  if (minutes >= 1440 && minutes % 1440 === 0) {
+    const days = minutes / 1440;
+    return `${days} day${days === 1 ? '' : 's'}`;
   }
-};
-
-/**
- * Calculate the next occurrence of a class for the next 7 days
- * @param {Object} course - Course object
- * @param {Date} fromDate - Date to calculate from (default: now)
- * @returns {Array<{date: Date, courseId: string, courseName: string}>} Array of upcoming class occurrences
- */
-const calculateUpcomingClasses = (course, fromDate = new Date()) => {
-  try {
-    const days = course.days || [];
-    if (days.length === 0) return [];
-    
-    const dayTimes = course.day_times || course.dayTimes || {};
-    const hasDayTimes = Object.keys(dayTimes).length > 0;
-    
-    const upcomingClasses = [];
-    
-    // Check next 7 days
-    for (let i = 0; i < 7; i++) {
-      const checkDate = new Date(fromDate);
-      checkDate.setDate(checkDate.getDate() + i);
-      const dayName = getDayName(checkDate);
-      
-      if (!days.includes(dayName)) continue;
-      
-      let startTime = null;
-      
-      // Use dayTimes if available, otherwise fall back to course startTime
-      if (hasDayTimes && dayTimes[dayName]) {
-        startTime = parseTime(dayTimes[dayName].startTime, checkDate);
-      } else {
-        startTime = parseTime(course.start_time || course.startTime, checkDate);
-      }
-      
-      // Only include future classes
-      if (startTime && startTime.getTime() > fromDate.getTime()) {
-        upcomingClasses.push({
-          date: startTime,
-          courseId: course.id || course._id,
-          courseName: course.course_name || course.courseName,
-          updatedAt: course.updated_at || course.updatedAt,
-          indexFrom: course.index_from || course.indexFrom,
-          indexTo: course.index_to || course.indexTo,
-        });
-      }
-    }
-    
-    return upcomingClasses;
-  } catch (error) {
-    console.error('Error calculating upcoming classes:', error);
-    return [];
+  if (minutes >= 60 && minutes % 60 === 0) {
+    const hours = minutes / 60;
+    return `${hours} hour${hours === 1 ? '' : 's'}`;
   }
-};
-
-/**
- * Generate notification identifier
- * @param {string} courseId - Course ID
- * @param {Date} classDate - Class date/time
- * @returns {string} Notification identifier
- */
-const generateNotificationId = (courseId, classDate) => {
-  const timestamp = classDate.getTime();
-  return `${NOTIFICATION_PREFIX}${courseId}_${timestamp}`;
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
 };
 
 /**
@@ -191,7 +103,7 @@ const scheduleReminderNotification = async ({
       return null;
     }
     
-    const identifier = generateNotificationId(courseId, classDate);
+    const identifier = generateNotificationId(courseId, classDate, reminderMinutes);
     
     // Cancel any existing notification with same identifier
     await Notifications.cancelScheduledNotificationAsync(identifier);
@@ -233,7 +145,7 @@ const scheduleReminderNotification = async ({
     
     const notificationContent = {
       title: 'Class Reminder',
-      body: `Your next class, ${courseName}, starts in ${reminderMinutes} minutes.${indexRangeText}`,
+      body: `Your next class, ${courseName}, starts in ${formatReminderOffset(reminderMinutes)}.${indexRangeText}`,
       data: {
         type: 'class_reminder',
         courseId: courseId.toString(),
@@ -309,21 +221,74 @@ const fetchEnrolledCourses = async () => {
   }
 };
 
+/**
+ * Fetch upcoming class occurrences for enrolled courses from the server.
+ * The server's schedule engine resolves per-day times, so "next class"
+ * here matches what the reminder job and course routes use. Cancelled
+ * classes are left out; rescheduled and extra classes come at their new time.
+ * @param {Date} fromDate - Range start (default: now)
+ * @param {number} days - Number of days to look ahead (default: 7)
+ * @returns {Promise<Array<{date: Date, courseId: string, courseName: string}>>} Upcoming class occurrences
+ */
+const fetchUpcomingClasses = async (fromDate = new Date(), days = 7) => {
+  try {
+    const token = await AsyncStorage.getItem('@auth_token');
+    if (!token) {
+      console.log('No auth token found, cannot fetch schedule');
+      return [];
+    }
+
+    const toDate = new Date(fromDate.getTime() + days * 24 * 60 * 60 * 1000);
+    const query = `from=${encodeURIComponent(fromDate.toISOString())}&to=${encodeURIComponent(toDate.toISOString())}`;
+
+    const response = await fetch(getApiUrl(`enrollments/schedule?${query}`), {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+      },
+    });
+
+    const data = await response.json();
+
+    if (response.ok && data.success) {
+      return (data.data.occurrences || []).map((occurrence) => ({
+        date: new Date(occurrence.start),
+        courseId: occurrence.course_id,
+        courseName: occurrence.course_name,
+        updatedAt: occurrence.course_updated_at,
+        indexFrom: occurrence.index_from,
+        indexTo: occurrence.index_to,
+        status: occurrence.status,
+      }));
+    } else {
+      console.error('Failed to fetch schedule:', data.message);
+      return [];
+    }
+  } catch (error) {
+    console.error('Error fetching upcoming classes:', error);
+    return [];
+  }
+};
+
 /**
  * Get user's reminder preference
- * @returns {Promise<number>} Reminder minutes (default: 15)
+ * @returns {Promise<Array<number>>} Reminder offsets in minutes (default: [15])
  */
 const getUserReminderPreference = async () => {
   try {
     const userDataString = await AsyncStorage.getItem('@user_data');
     if (userDataString) {
       const userData = JSON.parse(userDataString);
-      return userData.reminder_minutes || 15;
+      if (Array.isArray(userData.reminder_offsets) && userData.reminder_offsets.length > 0) {
+        return userData.reminder_offsets;
+      }
+      // A stored 0 means the user turned reminders off
+      return [userData.reminder_minutes ?? 15];
     }
-    return 15;
+    return [15];
   } catch (error) {
     console.error('Error getting reminder preference:', error);
-    return 15;
+    return [15];
   }
 };
 
@@ -371,11 +336,13 @@ const areNotificationsEnabled = async () => {
 };
 
 /**
- * Sync and schedule local reminder notifications
- * @param {number} customReminderMinutes - Optional custom reminder minutes (for preference changes)
+ * Sync and schedule local reminder notifications.
+ * Each course gets one notification per reminder offset, using the course's own
+ * offsets when set and skipping courses whose reminders are muted.
+ * @param {number|Array<number>} customReminderOffsets - Optional new default offsets in minutes (for preference changes)
  * @returns {Promise<{scheduled: number, cancelled: number}>} Sync result
  */
-export const syncAndScheduleReminders = async (customReminderMinutes = null) => {
+export const syncAndScheduleReminders = async (customReminderOffsets = null) => {
   try {
     // Check if notifications are enabled
     const notificationsEnabled = await areNotificationsEnabled();
@@ -393,20 +360,22 @@ export const syncAndScheduleReminders = async (customReminderMinutes = null) =>
     }
     
     // Get reminder preference
-    const reminderMinutes = customReminderMinutes !== null 
-      ? customReminderMinutes 
-      : await getUserReminderPreference();
-    
-    if (reminderMinutes <= 0) {
-      console.log('Reminder minutes is 0 or negative, cancelling all reminders');
+    const customOffsets = customReminderOffsets === null || Array.isArray(customReminderOffsets)
+      ? customReminderOffsets
+      : [customReminderOffsets];
+    const defaultOffsets = (customOffsets !== null ? customOffsets : await getUserReminderPreference())
+      .filter((minutes) => minutes > 0);
+    
+    if (defaultOffsets.length === 0) {
+      console.log('No reminder offsets above 0, cancelling all reminders');
       await cancelAllReminders();
       return { scheduled: 0, cancelled: await getScheduledReminderCount() };
     }
     
-    // If customReminderMinutes is provided (settings changed), cancel ALL existing reminders first
-    // This ensures all reminders are rescheduled with the new time
-    if (customReminderMinutes !== null) {
-      console.log(`Reminder time changed to ${customReminderMinutes} minutes, cancelling all existing reminders...`);
+    // If customReminderOffsets is provided (settings changed), cancel ALL existing reminders first
+    // This ensures all reminders are rescheduled with the new times
+    if (customOffsets !== null) {
+      console.log(`Reminder times changed to ${defaultOffsets.join(', ')} minutes, cancelling all existing reminders...`);
       await cancelAllReminders();
     }
     
@@ -421,35 +390,50 @@ export const syncAndScheduleReminders = async (customReminderMinutes = null) =>
     let cancelledCount = 0;
     const now = new Date();
     
+    // Fetch upcoming classes for all courses at once
+    const allUpcomingClasses = await fetchUpcomingClasses(now);
+    
     // Process each course
     for (const course of courses) {
       try {
+        const courseId = course.id || course._id;
+        
         // Cancel existing reminders for this course (in case some weren't cancelled above)
-        await cancelCourseReminders(course.id || course._id);
+        await cancelCourseReminders(courseId);
         cancelledCount++;
         
-        // Calculate upcoming classes
-        const upcomingClasses = calculateUpcomingClasses(course, now);
+        if (course.reminders_muted) {
+          continue;
+        }
+        const courseOffsets = course.reminder_offsets && course.reminder_offsets.length > 0
+          ? course.reminder_offsets
+          : defaultOffsets;
+        
+        const upcomingClasses = allUpcomingClasses.filter(
+          (classInfo) => String(classInfo.courseId) === String(courseId)
+        );
         
-        // Schedule reminders for each upcoming class with the current reminder time
+        // Schedule every reminder for each upcoming class
         for (const classInfo of upcomingClasses) {
-          const reminderDate = new Date(classInfo.date);
-          reminderDate.setMinutes(reminderDate.getMinutes() - reminderMinutes);
-          
-          // Only schedule if reminder time is in the future
-          if (reminderDate.getTime() > now.getTime()) {
-            const identifier = await scheduleReminderNotification({
-              courseId: classInfo.courseId,
-              courseName: classInfo.courseName,
-              classDate: classInfo.date,
-              reminderDate,
-              reminderMinutes,
-              indexFrom: classInfo.indexFrom,
-              indexTo: classInfo.indexTo,
-            });
+          for (const reminderMinutes of courseOffsets) {
+            const reminderDate = new Date(classInfo.date);
+            reminderDate.setMinutes(reminderDate.getMinutes() - reminderMinutes);
             
-            if (identifier) {
-              scheduledCount++;
+            // Only schedule if reminder time is in the future
+            if (reminderDate.getTime() > now.getTime()) {
+              const identifier = await scheduleReminderNotification({
+                courseId: classInfo.courseId,
+                courseName: classInfo.courseName,
+                classDate: classInfo.date,
+                reminderDate,
+                reminderMinutes,
+                indexFrom: classInfo.indexFrom,
+                indexTo: classInfo.indexTo,
+              });
+              
+              if (identifier) {
+                scheduledCount++;
+              }
             }
           }
         }
@@ -464,7 +448,7 @@ export const syncAndScheduleReminders = async (customReminderMinutes = null) =>
     // Update last sync timestamp
     await AsyncStorage.setItem(LAST_SYNC_KEY, new Date().toISOString());
     
-    console.log(`Reminder sync completed: ${scheduledCount} scheduled, ${cancelledCount} courses processed with ${reminderMinutes} minute reminder`);
+    console.log(`Reminder sync completed: ${scheduledCount} scheduled, ${cancelledCount} courses processed with default reminders at ${defaultOffsets.join(', ')} minutes`);
     return { scheduled: scheduledCount, cancelled: cancelledCount };
   } catch (error) {
     console.error('Error syncing reminders:', error);